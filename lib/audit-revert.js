@@ -0,0 +1,94 @@
+// ========================================
+// AUDIT LOG REVERT
+// ========================================
+// Works out how to undo an audit_log entry and which columns to write.
+// Entries come from three writers with different shapes:
+//   INSERT  old_values null, new_values the submitted values
+//   UPDATE  old_values the full previous row (form edits) or only the changed
+//           columns (bulk import), new_values the changed columns
+//   DELETE  old_values the full deleted row, new_values null
+//   REVERT  old_values/new_values the full row before/after the revert (null
+//           where the row didn't exist), so a revert can itself be reverted
+// Rows read with SELECT * carry geom as hex EWKB, which PostGIS reads back
+// directly. Form edits store coordinates as longitude/latitude instead.
+// server.js runs the resulting statement in a transaction.
+
+const COORDINATE_KEYS = ['longitude', 'latitude'];
+
+// Set by server.js itself (id from the entry, updated_at to the revert time)
+const SKIPPED_COLUMNS = ['id', 'updated_at'];
+
+// { operation: 'delete' | 'insert' | 'update', values } restoring the state before the entry
+const planRevert = (entry) => {
+    const oldValues = entry.old_values;
+    const newValues = entry.new_values;
+
+    if (!oldValues) {
+        return { operation: 'delete', values: null };
+    }
+    if (!newValues) {
+        return { operation: 'insert', values: oldValues };
+    }
+
+    // Only the columns the entry changed, so later edits of other columns survive
+    const values = {};
+    Object.keys(newValues).forEach(key => {
+        if (key in oldValues) {
+            values[key] = oldValues[key];
+        } else if (COORDINATE_KEYS.includes(key) && 'geom' in oldValues) {
+            values.geom = oldValues.geom;
+        }
+    });
+    return { operation: 'update', values };
+};
+
+// [{ column, value, sql }] for the table's columns, where sql(...params) is the
+// value expression. longitude/latitude become a point geometry when the table
+// stores coordinates in geom.
+const toColumnValues = (values, columns) => {
+    const result = [];
+
+    Object.entries(values).forEach(([key, value]) => {
+        if (SKIPPED_COLUMNS.includes(key) || !columns.includes(key)) return;
+        if (key === 'geom') {
+            result.push({ column: 'geom', value, sql: (param) => `${param}::geometry` });
+        } else if (value !== null && typeof value === 'object') {
+            result.push({ column: key, value: JSON.stringify(value), sql: (param) => param });
+        } else {
+            result.push({ column: key, value, sql: (param) => param });
+        }
+    });
+
+    const hasCoordinates = COORDINATE_KEYS.every(key => values[key] !== undefined && values[key] !== null);
+    if (hasCoordinates && !columns.includes('longitude') && columns.includes('geom') && !('geom' in values)) {
+        result.push({
+            column: 'geom',
+            value: [Number(values.longitude), Number(values.latitude)],
+            sql: (lngParam, latParam) => `ST_SetSRID(ST_MakePoint(${lngParam}, ${latParam}), 4326)`
+        });
+    }
+
+    return result;
+};
+
+// Turn column values into SQL fragments and parameters, numbering from offset + 1.
+// Returns { columns, expressions, params }.
+const buildColumnSql = (columnValues, offset = 0) => {
+    const params = [];
+    const expressions = columnValues.map(({ value, sql }) => {
+        const values = Array.isArray(value) ? value : [value];
+        const placeholders = values.map(item => {
+            params.push(item);
+            return `$${offset + params.length}`;
+        });
+        return sql(...placeholders);
+    });
+
+    return { columns: columnValues.map(({ column }) => column), expressions, params };
+};
+
+module.exports = {
+    planRevert,
+    toColumnValues,
+    buildColumnSql
+};
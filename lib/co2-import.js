@@ -0,0 +1,274 @@
+// ========================================
+// CO2 SOURCE SPREADSHEET IMPORT
+// ========================================
+// Parses an uploaded XLSX/CSV in the column layout of
+// zurich_data/CO2 sources.xlsx (see importCO2Sources in scripts/import-data.js),
+// validates every row and compares it with the sources already in the
+// database. server.js uses it for the admin bulk upload preview and commit.
+// Yearly emission spreadsheets (one row per plant and reporting year) go
+// through classifyEmissionRows, used by the admin upload and the importer.
+
+const XLSX = require('xlsx');
+
+// Database column -> spreadsheet header
+const CO2_SOURCE_COLUMNS = {
+    plant_name: 'Plant Name',
+    plant_type: 'Plant Type',
+    total_co2_t: 'Total_CO2_t',
+    fossil_co2_t: 'Fossil_CO2_t',
+    biogenic_co2_t: 'Biogenic_CO2_t',
+    comment: 'Comment',
+    longitude: 'Longitude',
+    latitude: 'Latitude'
+};
+
+// Database column -> spreadsheet header of the yearly emissions layout
+const CO2_EMISSION_COLUMNS = {
+    plant_name: 'Plant Name',
+    year: 'Year',
+    total_co2_t: 'Total_CO2_t',
+    fossil_co2_t: 'Fossil_CO2_t',
+    biogenic_co2_t: 'Biogenic_CO2_t'
+};
+
+const EMISSION_COLUMNS = ['total_co2_t', 'fossil_co2_t', 'biogenic_co2_t'];
+
+// Same range as the CHECK constraint of co2_emissions
+const MIN_YEAR = 1900;
+const MAX_YEAR = 2100;
+
+// Differences below these are rounding noise from the spreadsheet round trip
+const EMISSION_TOLERANCE = 0.001;
+const COORDINATE_TOLERANCE = 0.0000001;
+
+// Total emissions above which a source is shown as a "Major Emitter"
+const PROMINENT_CO2_T = 50000;
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+// is_prominent and pin_size of a source with the given total emissions
+const getPinStyle = (totalCO2) => {
+    const isProminent = Number(totalCO2) > PROMINENT_CO2_T;
+    return { is_prominent: isProminent, pin_size: isProminent ? 4 : 2 };
+};
+
+// First sheet as header-keyed row objects. CSV is decoded as UTF-8 text so
+// umlauts survive; XLSX.read would guess a code page for raw CSV bytes.
+const readSpreadsheet = (buffer, fileName) => {
+    const workbook = /\.csv$/i.test(fileName)
+        ? XLSX.read(buffer.toString('utf8').replace(/^\uFEFF/, ''), { type: 'string' })
+        : XLSX.read(buffer, { type: 'buffer' });
+    const sheet = workbook.Sheets[workbook.SheetNames[0]];
+    return sheet ? XLSX.utils.sheet_to_json(sheet, { defval: null }) : [];
+};
+
+// Emission columns of a row; blank cells count as 0
+const parseEmissions = (raw, errors) => {
+    const values = {};
+    EMISSION_COLUMNS.forEach(column => {
+        const value = raw[CO2_SOURCE_COLUMNS[column]];
+        values[column] = isBlank(value) ? 0 : Number(value);
+        if (isNaN(values[column]) || values[column] < 0) {
+            errors.push(`${CO2_SOURCE_COLUMNS[column]} must be a non-negative number`);
+        }
+    });
+    return values;
+};
+
+// Validated values of one spreadsheet row: { row, values, errors }.
+// row is the spreadsheet row number (the header is row 1).
+const parseCO2SourceRow = (raw, index, bounds) => {
+    const [minLng, minLat, maxLng, maxLat] = bounds;
+    const errors = [];
+    const text = (column) => (isBlank(raw[CO2_SOURCE_COLUMNS[column]]) ? '' : String(raw[CO2_SOURCE_COLUMNS[column]]).trim());
+
+    const values = {
+        plant_name: text('plant_name'),
+        plant_type: text('plant_type'),
+        comment: text('comment')
+    };
+
+    if (!values.plant_name) {
+        errors.push('Plant Name is missing');
+    }
+
+    Object.assign(values, parseEmissions(raw, errors));
+
+    values.longitude = parseFloat(raw[CO2_SOURCE_COLUMNS.longitude]);
+    values.latitude = parseFloat(raw[CO2_SOURCE_COLUMNS.latitude]);
+
+    if (isNaN(values.longitude) || isNaN(values.latitude)) {
+        errors.push('Longitude and Latitude must be numbers');
+    } else if (values.longitude < minLng || values.longitude > maxLng || values.latitude < minLat || values.latitude > maxLat) {
+        errors.push(`Coordinates ${values.latitude}, ${values.longitude} are outside ${minLat}–${maxLat}°N / ${minLng}–${maxLng}°E`);
+    }
+
+    return { row: index + 2, values, errors };
+};
+
+const nameKey = (name) => String(name || '').trim().toLowerCase();
+
+// Columns whose spreadsheet value differs from the database row:
+// { column: { old, new } }
+const diffCO2Source = (existing, values) => {
+    const changes = {};
+    Object.keys(CO2_SOURCE_COLUMNS).forEach(column => {
+        const oldValue = existing[column];
+        const newValue = values[column];
+        let changed;
+
+        if (EMISSION_COLUMNS.includes(column)) {
+            changed = Math.abs(Number(oldValue || 0) - newValue) > EMISSION_TOLERANCE;
+        } else if (column === 'longitude' || column === 'latitude') {
+            changed = oldValue === null || Math.abs(Number(oldValue) - newValue) > COORDINATE_TOLERANCE;
+        } else {
+            changed = (oldValue || '') !== newValue;
+        }
+
+        if (changed) {
+            changes[column] = { old: oldValue, new: newValue };
+        }
+    });
+    return changes;
+};
+
+// Sort spreadsheet rows into new, changed, unchanged and invalid ones.
+// Rows are matched to existing sources by plant name (case-insensitive);
+// names that appear twice in the file or match several sources are invalid.
+const classifyCO2SourceRows = (rawRows, existingRows, bounds) => {
+    const existingByName = new Map();
+    existingRows.forEach(row => {
+        const key = nameKey(row.plant_name);
+        existingByName.set(key, [...(existingByName.get(key) || []), row]);
+    });
+
+    const result = { new: [], changed: [], unchanged: [], invalid: [] };
+    const seen = new Map();
+
+    rawRows.forEach((raw, index) => {
+        const parsed = parseCO2SourceRow(raw, index, bounds);
+        const key = nameKey(parsed.values.plant_name);
+
+        if (parsed.values.plant_name) {
+            if (seen.has(key)) {
+                parsed.errors.push(`Plant Name repeats row ${seen.get(key)}`);
+            } else {
+                seen.set(key, parsed.row);
+            }
+        }
+
+        const matches = existingByName.get(key) || [];
+        if (parsed.values.plant_name && matches.length > 1) {
+            parsed.errors.push(`Plant Name matches ${matches.length} existing sources`);
+        }
+
+        if (parsed.errors.length > 0) {
+            result.invalid.push(parsed);
+        } else if (matches.length === 0) {
+            result.new.push(parsed);
+        } else {
+            const changes = diffCO2Source(matches[0], parsed.values);
+            const entry = { ...parsed, id: matches[0].id, changes };
+            if (Object.keys(changes).length > 0) {
+                result.changed.push(entry);
+            } else {
+                result.unchanged.push(entry);
+            }
+        }
+    });
+
+    return result;
+};
+
+// Validated values of one yearly emissions row: { row, values, errors }
+const parseEmissionRow = (raw, index) => {
+    const errors = [];
+    const plantName = isBlank(raw[CO2_EMISSION_COLUMNS.plant_name]) ? '' : String(raw[CO2_EMISSION_COLUMNS.plant_name]).trim();
+    const year = Number(raw[CO2_EMISSION_COLUMNS.year]);
+
+    if (!plantName) {
+        errors.push('Plant Name is missing');
+    }
+    if (!Number.isInteger(year) || year < MIN_YEAR || year > MAX_YEAR) {
+        errors.push(`Year must be a whole year between ${MIN_YEAR} and ${MAX_YEAR}`);
+    }
+
+    const values = { plant_name: plantName, year, ...parseEmissions(raw, errors) };
+    return { row: index + 2, values, errors };
+};
+
+// Sort yearly emission rows into new, changed, unchanged and invalid ones.
+// Rows are matched to sources by plant name like classifyCO2SourceRows; names
+// without exactly one source and repeated plant/year pairs are invalid.
+// existingEmissions are co2_emissions rows: { source_id, year, total_co2_t, ... }
+const classifyEmissionRows = (rawRows, sources, existingEmissions) => {
+    const sourcesByName = new Map();
+    sources.forEach(source => {
+        const key = nameKey(source.plant_name);
+        sourcesByName.set(key, [...(sourcesByName.get(key) || []), source]);
+    });
+    const existingByKey = new Map(existingEmissions.map(row => [`${row.source_id}:${row.year}`, row]));
+
+    const result = { new: [], changed: [], unchanged: [], invalid: [] };
+    const seen = new Map();
+
+    rawRows.forEach((raw, index) => {
+        const parsed = parseEmissionRow(raw, index);
+        const matches = sourcesByName.get(nameKey(parsed.values.plant_name)) || [];
+
+        if (parsed.values.plant_name && matches.length === 0) {
+            parsed.errors.push('No CO₂ source with this Plant Name');
+        } else if (matches.length > 1) {
+            parsed.errors.push(`Plant Name matches ${matches.length} existing sources`);
+        }
+
+        const sourceId = matches.length === 1 ? matches[0].id : null;
+        const key = `${sourceId}:${parsed.values.year}`;
+        if (sourceId && parsed.errors.length === 0) {
+            if (seen.has(key)) {
+                parsed.errors.push(`Plant Name and Year repeat row ${seen.get(key)}`);
+            } else {
+                seen.set(key, parsed.row);
+            }
+        }
+
+        if (parsed.errors.length > 0) {
+            result.invalid.push(parsed);
+            return;
+        }
+
+        const entry = { ...parsed, source_id: sourceId };
+        const existing = existingByKey.get(key);
+        if (!existing) {
+            result.new.push(entry);
+            return;
+        }
+
+        const changes = {};
+        EMISSION_COLUMNS.forEach(column => {
+            if (Math.abs(Number(existing[column] || 0) - parsed.values[column]) > EMISSION_TOLERANCE) {
+                changes[column] = { old: existing[column], new: parsed.values[column] };
+            }
+        });
+        if (Object.keys(changes).length > 0) {
+            result.changed.push({ ...entry, id: existing.id, changes });
+        } else {
+            result.unchanged.push({ ...entry, id: existing.id });
+        }
+    });
+
+    return result;
+};
+
+module.exports = {
+    CO2_SOURCE_COLUMNS,
+    CO2_EMISSION_COLUMNS,
+    PROMINENT_CO2_T,
+    getPinStyle,
+    readSpreadsheet,
+    parseCO2SourceRow,
+    diffCO2Source,
+    classifyCO2SourceRows,
+    parseEmissionRow,
+    classifyEmissionRows
+};
@@ -0,0 +1,111 @@
+// ========================================
+// COST GRID FOR LEAST-COST ROUTING
+// ========================================
+// Raster of per-cell cost multipliers in a metric CRS. server.js marks the
+// cells touched by each constraint or corridor layer (from PostGIS) and asks
+// for the cheapest 8-connected path between two points.
+
+const { shortestPaths, tracePath } = require('./network');
+
+const NEIGHBOURS = [
+    [-1, -1], [0, -1], [1, -1],
+    [-1, 0], [1, 0],
+    [-1, 1], [0, 1], [1, 1]
+];
+
+class CostGrid {
+    // originX/originY is the lower-left corner; cells are numbered row by row
+    // from there: index = row * cols + col
+    constructor({ originX, originY, cellSize, cols, rows }) {
+        this.originX = originX;
+        this.originY = originY;
+        this.cellSize = cellSize;
+        this.cols = cols;
+        this.rows = rows;
+        this.costs = new Float64Array(cols * rows).fill(1);
+    }
+
+    // Grid covering the box around two points plus a margin, with at most
+    // maxCells cells along the longer side and cells no smaller than minCellSize
+    static around(from, to, { margin, maxCells = 250, minCellSize = 100 }) {
+        const minX = Math.min(from[0], to[0]) - margin;
+        const minY = Math.min(from[1], to[1]) - margin;
+        const width = Math.abs(from[0] - to[0]) + 2 * margin;
+        const height = Math.abs(from[1] - to[1]) + 2 * margin;
+        const cellSize = Math.max(minCellSize, Math.ceil(Math.max(width, height) / maxCells));
+
+        return new CostGrid({
+            originX: minX,
+            originY: minY,
+            cellSize,
+            cols: Math.ceil(width / cellSize),
+            rows: Math.ceil(height / cellSize)
+        });
+    }
+
+    get size() {
+        return this.costs.length;
+    }
+
+    cellAt([x, y]) {
+        const col = Math.min(this.cols - 1, Math.max(0, Math.floor((x - this.originX) / this.cellSize)));
+        const row = Math.min(this.rows - 1, Math.max(0, Math.floor((y - this.originY) / this.cellSize)));
+        return row * this.cols + col;
+    }
+
+    center(index) {
+        const col = index % this.cols;
+        const row = Math.floor(index / this.cols);
+        return [
+            this.originX + (col + 0.5) * this.cellSize,
+            this.originY + (row + 0.5) * this.cellSize
+        ];
+    }
+
+    // Multiply the cost of the given cells; Infinity blocks them
+    applyFactor(cells, factor) {
+        cells.forEach(index => {
+            this.costs[index] *= factor;
+        });
+    }
+
+    // Cheapest path between two points: { coordinates, cost } with cell
+    // centres as vertices, or null when blocked cells separate them.
+    // The start and end cells are always passable.
+    route(from, to) {
+        const start = this.cellAt(from);
+        const target = this.cellAt(to);
+        const costs = this.costs;
+        const passable = (index) => index === start || index === target || isFinite(costs[index]);
+
+        const { distances, previous } = shortestPaths(this.size, start, (index, visit) => {
+            const col = index % this.cols;
+            const row = Math.floor(index / this.cols);
+
+            NEIGHBOURS.forEach(([dx, dy]) => {
+                const nextCol = col + dx;
+                const nextRow = row + dy;
+                if (nextCol < 0 || nextRow < 0 || nextCol >= this.cols || nextRow >= this.rows) return;
+
+                const next = nextRow * this.cols + nextCol;
+                if (!passable(next)) return;
+
+                // Step length times the mean cost of both cells
+                const step = (dx !== 0 && dy !== 0 ? Math.SQRT2 : 1) * this.cellSize;
+                const here = isFinite(costs[index]) ? costs[index] : 1;
+                const there = isFinite(costs[next]) ? costs[next] : 1;
+                visit(next, step * (here + there) / 2);
+            });
+        }, target);
+
+        const path = tracePath(previous, start, target);
+        if (!path) return null;
+
+        return {
+            coordinates: [from, ...path.slice(1, -1).map(index => this.center(index)), to],
+            cost: distances[target]
+        };
+    }
+}
+
+module.exports = CostGrid;
@@ -0,0 +1,377 @@
+// ========================================
+// LAYER EXPORT FORMATS
+// ========================================
+// Serialises layer features (GeoJSON geometries in EPSG:4326 plus a flat
+// property object) as CSV, XLSX, KML or a zipped ESRI Shapefile. server.js
+// queries the features through queryLayerFeatures and picks the writer.
+
+const XLSX = require('xlsx');
+const AdmZip = require('adm-zip');
+const wellknown = require('wellknown');
+const { escapeXml } = require('./wfs');
+
+const WGS84_PRJ = 'GEOGCS["GCS_WGS_1984",DATUM["D_WGS_1984",SPHEROID["WGS_1984",6378137.0,298.257223563]],' +
+    'PRIMEM["Greenwich",0.0],UNIT["Degree",0.0174532925199433]]';
+
+// Excel refuses cells longer than this
+const XLSX_MAX_CELL_LENGTH = 32767;
+
+// ----------------------------------------
+// Tabular formats (CSV, XLSX)
+// ----------------------------------------
+
+// One plain object per feature: the properties plus longitude/latitude for
+// points or the geometry as WKT for lines and polygons
+const toTableRows = (features, geometryType) => features.map(({ id, geometry, properties }) => {
+    const row = { id, ...properties };
+    if (geometryType === 'point') {
+        row.longitude = geometry ? geometry.coordinates[0] : null;
+        row.latitude = geometry ? geometry.coordinates[1] : null;
+    } else {
+        row.wkt = geometry ? wellknown.stringify(geometry) : null;
+    }
+    return row;
+});
+
+const toCsv = (features, geometryType) => {
+    const sheet = XLSX.utils.json_to_sheet(toTableRows(features, geometryType));
+    // The byte order mark makes Excel read umlauts as UTF-8
+    return '\ufeff' + XLSX.utils.sheet_to_csv(sheet);
+};
+
+const toXlsx = (features, geometryType, sheetName) => {
+    const rows = toTableRows(features, geometryType).map(row => {
+        if (row.wkt && row.wkt.length > XLSX_MAX_CELL_LENGTH) {
+            row.wkt = null;
+        }
+        return row;
+    });
+
+    const workbook = XLSX.utils.book_new();
+    // Sheet names are limited to 31 characters
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(rows), sheetName.slice(0, 31));
+    return XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+};
+
+// ----------------------------------------
+// KML
+// ----------------------------------------
+
+const kmlCoordinates = (coords) => coords.map(c => `${c[0]},${c[1]}`).join(' ');
+
+const kmlPolygon = (rings) => '<Polygon>' +
+    `<outerBoundaryIs><LinearRing><coordinates>${kmlCoordinates(rings[0])}</coordinates></LinearRing></outerBoundaryIs>` +
+    rings.slice(1).map(ring =>
+        `<innerBoundaryIs><LinearRing><coordinates>${kmlCoordinates(ring)}</coordinates></LinearRing></innerBoundaryIs>`
+    ).join('') +
+    '</Polygon>';
+
+const geometryToKml = (geometry) => {
+    switch (geometry.type) {
+        case 'Point':
+            return `<Point><coordinates>${kmlCoordinates([geometry.coordinates])}</coordinates></Point>`;
+        case 'LineString':
+            return `<LineString><coordinates>${kmlCoordinates(geometry.coordinates)}</coordinates></LineString>`;
+        case 'Polygon':
+            return kmlPolygon(geometry.coordinates);
+        case 'MultiPoint':
+        case 'MultiLineString':
+        case 'MultiPolygon':
+            return '<MultiGeometry>' + geometry.coordinates.map(part =>
+                geometryToKml({ type: geometry.type.replace('Multi', ''), coordinates: part })
+            ).join('') + '</MultiGeometry>';
+        case 'GeometryCollection':
+            return `<MultiGeometry>${geometry.geometries.map(geometryToKml).join('')}</MultiGeometry>`;
+        default:
+            return '';
+    }
+};
+
+// labelField names the property shown as the placemark name
+const toKml = (features, { name, labelField }) => {
+    const placemarks = features.map(({ id, geometry, properties }) => {
+        const label = (labelField && properties[labelField]) || `${name} ${id}`;
+        const data = Object.entries({ id, ...properties })
+            .filter(([, value]) => value !== null && value !== undefined)
+            .map(([key, value]) => `<Data name="${escapeXml(key)}"><value>${escapeXml(value)}</value></Data>`)
+            .join('');
+
+        return `    <Placemark><name>${escapeXml(label)}</name><ExtendedData>${data}</ExtendedData>` +
+            `${geometry ? geometryToKml(geometry) : ''}</Placemark>`;
+    });
+
+    return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+        '<kml xmlns="http://www.opengis.net/kml/2.2">\n' +
+        `  <Document><name>${escapeXml(name)}</name>\n` +
+        placemarks.join('\n') +
+        '\n  </Document>\n</kml>\n';
+};
+
+// ----------------------------------------
+// ESRI Shapefile (.shp, .shx, .dbf, .prj, .cpg in a zip)
+// ----------------------------------------
+
+const SHAPE_TYPES = { point: 1, line: 3, polygon: 5 };
+
+// Shoelace sum: positive for clockwise rings in x/y axis order
+const isClockwise = (ring) => {
+    let sum = 0;
+    for (let i = 1; i < ring.length; i++) {
+        sum += (ring[i][0] - ring[i - 1][0]) * (ring[i][1] + ring[i - 1][1]);
+    }
+    return sum > 0;
+};
+
+// Shapefile polygons want clockwise outer rings and counter-clockwise holes
+const orientRings = (rings) => rings.map((ring, index) => {
+    const clockwise = isClockwise(ring);
+    return (index === 0) === clockwise ? ring : ring.slice().reverse();
+});
+
+// Parts (arrays of coordinates) of a line or polygon geometry
+const getShapeParts = (geometry) => {
+    switch (geometry.type) {
+        case 'LineString':
+            return [geometry.coordinates];
+        case 'MultiLineString':
+            return geometry.coordinates;
+        case 'Polygon':
+            return orientRings(geometry.coordinates);
+        case 'MultiPolygon':
+            return geometry.coordinates.flatMap(orientRings);
+        default:
+            return [];
+    }
+};
+
+const getPointCoordinates = (geometry) => {
+    if (geometry.type === 'Point') return geometry.coordinates;
+    if (geometry.type === 'MultiPoint' && geometry.coordinates.length > 0) return geometry.coordinates[0];
+    return null;
+};
+
+// Record content (without the 8 byte record header) of one geometry
+const encodeShape = (shapeType, geometry) => {
+    if (!geometry) {
+        return { content: Buffer.alloc(4), bbox: null };
+    }
+
+    if (shapeType === SHAPE_TYPES.point) {
+        const point = getPointCoordinates(geometry);
+        if (!point) return { content: Buffer.alloc(4), bbox: null };
+
+        const content = Buffer.alloc(20);
+        content.writeInt32LE(shapeType, 0);
+        content.writeDoubleLE(point[0], 4);
+        content.writeDoubleLE(point[1], 12);
+        return { content, bbox: [point[0], point[1], point[0], point[1]] };
+    }
+
+    const parts = getShapeParts(geometry).filter(part => part.length > 0);
+    if (parts.length === 0) return { content: Buffer.alloc(4), bbox: null };
+
+    const points = parts.flat();
+    const bbox = points.reduce((box, [x, y]) => [
+        Math.min(box[0], x), Math.min(box[1], y), Math.max(box[2], x), Math.max(box[3], y)
+    ], [Infinity, Infinity, -Infinity, -Infinity]);
+
+    const content = Buffer.alloc(44 + parts.length * 4 + points.length * 16);
+    content.writeInt32LE(shapeType, 0);
+    bbox.forEach((value, i) => content.writeDoubleLE(value, 4 + i * 8));
+    content.writeInt32LE(parts.length, 36);
+    content.writeInt32LE(points.length, 40);
+
+    let offset = 44;
+    let partStart = 0;
+    parts.forEach(part => {
+        content.writeInt32LE(partStart, offset);
+        offset += 4;
+        partStart += part.length;
+    });
+    points.forEach(point => {
+        content.writeDoubleLE(point[0], offset);
+        content.writeDoubleLE(point[1], offset + 8);
+        offset += 16;
+    });
+
+    return { content, bbox };
+};
+
+// 100 byte main file header shared by .shp and .shx
+const shapeFileHeader = (shapeType, fileLength, bbox) => {
+    const header = Buffer.alloc(100);
+    header.writeInt32BE(9994, 0);
+    header.writeInt32BE(fileLength / 2, 24);
+    header.writeInt32LE(1000, 28);
+    header.writeInt32LE(shapeType, 32);
+    (bbox || [0, 0, 0, 0]).forEach((value, i) => header.writeDoubleLE(value, 36 + i * 8));
+    return header;
+};
+
+const buildShpAndShx = (features, shapeType) => {
+    const records = [];
+    const index = [];
+    let offset = 100;
+    let extent = null;
+
+    features.forEach(({ geometry }, i) => {
+        const { content, bbox } = encodeShape(shapeType, geometry);
+
+        const header = Buffer.alloc(8);
+        header.writeInt32BE(i + 1, 0);
+        header.writeInt32BE(content.length / 2, 4);
+        records.push(header, content);
+
+        const entry = Buffer.alloc(8);
+        entry.writeInt32BE(offset / 2, 0);
+        entry.writeInt32BE(content.length / 2, 4);
+        index.push(entry);
+        offset += 8 + content.length;
+
+        if (bbox) {
+            extent = extent
+                ? [Math.min(extent[0], bbox[0]), Math.min(extent[1], bbox[1]), Math.max(extent[2], bbox[2]), Math.max(extent[3], bbox[3])]
+                : bbox;
+        }
+    });
+
+    return {
+        shp: Buffer.concat([shapeFileHeader(shapeType, offset, extent), ...records]),
+        shx: Buffer.concat([shapeFileHeader(shapeType, 100 + index.length * 8, extent), ...index])
+    };
+};
+
+// dBASE column definitions from the property values: numbers become N,
+// booleans L and everything else C (UTF-8, see the .cpg file)
+const getDbfFields = (rows) => {
+    const usedNames = new Set();
+    const keys = rows.length > 0 ? Object.keys(rows[0]) : [];
+
+    return keys.map(key => {
+        const values = rows.map(row => row[key]).filter(value => value !== null && value !== undefined);
+
+        // Field names are limited to 10 characters and must stay unique
+        let name = key.replace(/[^A-Za-z0-9_]/g, '_').slice(0, 10) || 'FIELD';
+        for (let n = 1; usedNames.has(name.toUpperCase()); n++) {
+            name = `${name.slice(0, 10 - String(n).length)}${n}`;
+        }
+        usedNames.add(name.toUpperCase());
+
+        if (values.length > 0 && values.every(value => typeof value === 'number' && isFinite(value))) {
+            const decimals = Math.min(8, Math.max(0, ...values.map(value => {
+                const fraction = String(value).split('.')[1];
+                return fraction ? fraction.length : 0;
+            })));
+            return { key, name, type: 'N', length: 19, decimals };
+        }
+        if (values.length > 0 && values.every(value => typeof value === 'boolean')) {
+            return { key, name, type: 'L', length: 1, decimals: 0 };
+        }
+
+        const length = Math.min(254, Math.max(1, ...values.map(value => Buffer.byteLength(formatDbfText(value)))));
+        return { key, name, type: 'C', length, decimals: 0 };
+    });
+};
+
+const formatDbfText = (value) => (value instanceof Date ? value.toISOString() : String(value));
+
+const encodeDbfValue = (field, value) => {
+    const cell = Buffer.alloc(field.length, ' ');
+    if (value === null || value === undefined) {
+        if (field.type === 'L') cell.write('?');
+        return cell;
+    }
+
+    if (field.type === 'N') {
+        const text = value.toFixed(field.decimals).slice(0, field.length);
+        cell.write(text, field.length - text.length, 'latin1');
+    } else if (field.type === 'L') {
+        cell.write(value ? 'T' : 'F');
+    } else {
+        // Cut at the byte limit without leaving half a UTF-8 character behind
+        let text = formatDbfText(value);
+        while (Buffer.byteLength(text) > field.length) {
+            text = text.slice(0, -1);
+        }
+        cell.write(text, 0, 'utf8');
+    }
+    return cell;
+};
+
+const buildDbf = (rows) => {
+    const fields = getDbfFields(rows);
+    const headerLength = 32 + fields.length * 32 + 1;
+    const recordLength = 1 + fields.reduce((sum, field) => sum + field.length, 0);
+
+    const header = Buffer.alloc(headerLength);
+    const now = new Date();
+    header.writeUInt8(0x03, 0);
+    header.writeUInt8(now.getFullYear() - 1900, 1);
+    header.writeUInt8(now.getMonth() + 1, 2);
+    header.writeUInt8(now.getDate(), 3);
+    header.writeUInt32LE(rows.length, 4);
+    header.writeUInt16LE(headerLength, 8);
+    header.writeUInt16LE(recordLength, 10);
+
+    fields.forEach((field, i) => {
+        const offset = 32 + i * 32;
+        header.write(field.name, offset, 'latin1');
+        header.write(field.type, offset + 11, 'latin1');
+        header.writeUInt8(field.length, offset + 16);
+        header.writeUInt8(field.decimals, offset + 17);
+    });
+    header.writeUInt8(0x0d, headerLength - 1);
+
+    const records = rows.map(row => Buffer.concat([
+        Buffer.from(' '),
+        ...fields.map(field => encodeDbfValue(field, row[field.key]))
+    ]));
+
+    return Buffer.concat([header, ...records, Buffer.from([0x1a])]);
+};
+
+const toShapefileZip = (features, { name, geometryType }) => {
+    const shapeType = SHAPE_TYPES[geometryType];
+    const { shp, shx } = buildShpAndShx(features, shapeType);
+    const dbf = buildDbf(features.map(({ id, properties }) => ({ id, ...properties })));
+
+    const zip = new AdmZip();
+    zip.addFile(`${name}.shp`, shp);
+    zip.addFile(`${name}.shx`, shx);
+    zip.addFile(`${name}.dbf`, dbf);
+    zip.addFile(`${name}.prj`, Buffer.from(WGS84_PRJ));
+    zip.addFile(`${name}.cpg`, Buffer.from('UTF-8'));
+    return zip.toBuffer();
+};
+
+// Writers by ?format=, each with its content type and file extension
+const EXPORT_FORMATS = {
+    csv: {
+        contentType: 'text/csv; charset=utf-8',
+        extension: 'csv',
+        write: (features, { geometryType }) => toCsv(features, geometryType)
+    },
+    xlsx: {
+        contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+        extension: 'xlsx',
+        write: (features, { geometryType, name }) => toXlsx(features, geometryType, name)
+    },
+    shp: {
+        contentType: 'application/zip',
+        extension: 'zip',
+        write: (features, options) => toShapefileZip(features, options)
+    },
+    kml: {
+        contentType: 'application/vnd.google-earth.kml+xml',
+        extension: 'kml',
+        write: (features, options) => toKml(features, options)
+    }
+};
+
+module.exports = {
+    EXPORT_FORMATS,
+    toCsv,
+    toXlsx,
+    toKml,
+    toShapefileZip
+};
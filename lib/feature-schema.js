@@ -0,0 +1,154 @@
+// ========================================
+// FEATURE EDITING SCHEMA
+// ========================================
+// Turns the schema cache columns of a layer table into the field list of the
+// admin feature forms and validates submitted values against the column
+// types. Point coordinates are submitted as longitude/latitude, line and
+// polygon shapes as a GeoJSON geometry; server.js writes both to geom. Columns
+// the map or the importer maintain (ids, styles, timestamps, simplified
+// geometries, raw properties) are not editable.
+
+const NON_EDITABLE_COLUMNS = [
+    'id', 'geom', 'simplified_geom', 'created_at', 'updated_at', 'properties',
+    'pin_size', 'pin_color', 'icon_url', 'opacity', 'is_prominent',
+    'line_color', 'line_weight', 'line_opacity',
+    'fill_color', 'fill_opacity', 'border_color', 'border_weight'
+];
+
+// GeoJSON geometry types accepted per registry geometryType
+const GEOJSON_TYPES = {
+    line: ['LineString', 'MultiLineString'],
+    polygon: ['Polygon', 'MultiPolygon']
+};
+
+// Form field type per PostgreSQL udt_name; other types are not editable
+const FIELD_TYPES = {
+    varchar: 'text',
+    bpchar: 'text',
+    text: 'text',
+    int2: 'integer',
+    int4: 'integer',
+    int8: 'integer',
+    numeric: 'number',
+    float4: 'number',
+    float8: 'number',
+    bool: 'boolean',
+    date: 'date',
+    timestamp: 'datetime',
+    timestamptz: 'datetime'
+};
+
+// Study area bounds, same as the CO2 source form
+const COORDINATE_BOUNDS = {
+    latitude: { min: 46, max: 49 },
+    longitude: { min: 9, max: 17 }
+};
+
+// [{ name, type, maxLength, required }] for the columns from schemaCache.getColumns()
+const getEditableFields = (columns) => columns
+    .filter(column => !NON_EDITABLE_COLUMNS.includes(column.name) && !(column.name in COORDINATE_BOUNDS))
+    .filter(column => FIELD_TYPES[column.udtName])
+    .map(column => ({
+        name: column.name,
+        type: FIELD_TYPES[column.udtName],
+        maxLength: column.maxLength || null,
+        required: !column.nullable && !column.hasDefault
+    }));
+
+// Value converted to the field type, or { error }
+const convertValue = (field, value) => {
+    if (value === null || value === '') {
+        return field.required ? { error: 'is required' } : { value: null };
+    }
+
+    switch (field.type) {
+        case 'text': {
+            const text = String(value).trim();
+            if (field.maxLength && text.length > field.maxLength) {
+                return { error: `must be at most ${field.maxLength} characters` };
+            }
+            return { value: text };
+        }
+        case 'integer': {
+            const number = Number(value);
+            return Number.isInteger(number) ? { value: number } : { error: 'must be an integer' };
+        }
+        case 'number': {
+            const number = Number(value);
+            return Number.isFinite(number) ? { value: number } : { error: 'must be a number' };
+        }
+        case 'boolean':
+            if (value === true || value === 'true') return { value: true };
+            if (value === false || value === 'false') return { value: false };
+            return { error: 'must be true or false' };
+        default:
+            return Number.isNaN(Date.parse(value)) ? { error: 'must be a valid date' } : { value: String(value) };
+    }
+};
+
+// Check a create (partial: false) or update (partial: true) body. Point layers
+// take longitude/latitude, line and polygon layers a GeoJSON geometry, which is
+// returned unchanged; ST_IsValid is checked by server.js.
+// Returns { values, errors } with errors in express-validator's { path, msg } shape.
+const validateFeature = (fields, body, { partial = false, geometryType = 'point' } = {}) => {
+    const values = {};
+    const errors = [];
+    const fieldNames = fields.map(field => field.name);
+    const geometryKeys = geometryType === 'point' ? Object.keys(COORDINATE_BOUNDS) : ['geometry'];
+
+    Object.keys(body).forEach(key => {
+        if (!fieldNames.includes(key) && !geometryKeys.includes(key)) {
+            errors.push({ path: key, msg: 'is not an editable column' });
+        }
+    });
+
+    fields.forEach(field => {
+        if (body[field.name] === undefined) {
+            if (!partial && field.required) {
+                errors.push({ path: field.name, msg: 'is required' });
+            }
+            return;
+        }
+        const result = convertValue(field, body[field.name]);
+        if (result.error) {
+            errors.push({ path: field.name, msg: result.error });
+        } else {
+            values[field.name] = result.value;
+        }
+    });
+
+    if (geometryType !== 'point') {
+        const { geometry } = body;
+        if (geometry === undefined) {
+            if (!partial) errors.push({ path: 'geometry', msg: 'is required' });
+        } else if (!geometry || !GEOJSON_TYPES[geometryType].includes(geometry.type) || !Array.isArray(geometry.coordinates)) {
+            errors.push({ path: 'geometry', msg: `must be a GeoJSON ${GEOJSON_TYPES[geometryType].join(' or ')}` });
+        } else {
+            values.geometry = geometry;
+        }
+        return { values, errors };
+    }
+
+    // Coordinates are required on create and only change together
+    const hasCoordinates = Object.keys(COORDINATE_BOUNDS).map(key => body[key] !== undefined && body[key] !== '');
+    if (hasCoordinates.some(Boolean) || !partial) {
+        Object.entries(COORDINATE_BOUNDS).forEach(([key, { min, max }]) => {
+            const number = Number(body[key]);
+            if (body[key] === undefined || body[key] === '' || !Number.isFinite(number)) {
+                errors.push({ path: key, msg: 'is required with both coordinates' });
+            } else if (number < min || number > max) {
+                errors.push({ path: key, msg: `must be between ${min} and ${max}` });
+            } else {
+                values[key] = number;
+            }
+        });
+    }
+
+    return { values, errors };
+};
+
+module.exports = {
+    COORDINATE_BOUNDS,
+    getEditableFields,
+    validateFeature
+};
@@ -0,0 +1,413 @@
+// ========================================
+// LAYER REGISTRY
+// ========================================
+// Single source of truth for every map layer: table, geometry type, SQL
+// fields, default style, icon, clustering and the control panel group.
+// server.js builds its layer routes, stats and maintenance lists from it,
+// the importer uses it to clear tables, and the frontend renders the layer
+// panel from /api/layers. Adding a dataset means adding one entry here.
+
+// Control panel sections, in display order
+const LAYER_GROUPS = [
+    { id: 'primary', title: 'Primary Data' },
+    { id: 'infrastructure', title: 'Infrastructure' },
+    { id: 'transport', title: 'Transport Network' },
+    { id: 'unsuitable', title: 'Unsuitable Areas for CO₂ Storage' },
+    { id: 'uploaded', title: 'Uploaded Layers' }
+];
+
+// Entry properties:
+//   table          PostGIS table name, also the layer id in tiles/OGC/WFS
+//   key            frontend layer key (CO2StorageAtlas.layers / clusterGroups)
+//   geometryType   'point', 'line' or 'polygon'
+//   endpoint       JSON endpoint; customEndpoint: true when server.js defines it by hand
+//   fields         SQL select expressions for the data columns
+//   style          default style; turned into constant style columns (pin_color, line_color, ...)
+//   icon           PNG marker for point layers
+//   cluster        MarkerCluster options for point layers
+//   tiles          render as vector tiles by default
+//   visible        checked in the layer panel on load
+//   constraintBuffer  exclusion zone for the suitability analysis: the polygons
+//                  plus this buffer in metres are removed from the study area
+//   routingCost    cost multiplier of routing grid cells touching the layer:
+//                  above 1 for areas to avoid, below 1 for corridors to follow
+//   searchFields   text columns matched by /api/search
+//   uploaded       created from a shapefile upload; registered at runtime with
+//                  registerLayer() and served by /api/uploaded-layers/:table
+//   restricted     only listed and served to users with the
+//                  layers:read-restricted permission (lib/permissions.js)
+const LAYERS = [
+    {
+        table: 'voting_districts',
+        key: 'votingDistricts',
+        title: 'Left+Green Voting Share',
+        description: 'Political preference choropleth map with reduced opacity',
+        group: 'primary',
+        geometryType: 'polygon',
+        endpoint: '/api/voting-districts-choropleth',
+        customEndpoint: true,
+        fields: [
+            'id',
+            'COALESCE(gkz, 0) as gkz',
+            'COALESCE(name, \'\') as name',
+            'COALESCE(spo_percent, 0) as spo_percent',
+            'COALESCE(ovp_percent, 0) as ovp_percent',
+            'COALESCE(fpo_percent, 0) as fpo_percent',
+            'COALESCE(grune_percent, 0) as grune_percent',
+            'COALESCE(kpo_percent, 0) as kpo_percent',
+            'COALESCE(neos_percent, 0) as neos_percent',
+            'COALESCE(left_green_combined, 0) as left_green_combined',
+            'COALESCE(choropleth_color, \'#cccccc\') as fill_color'
+        ],
+        style: { fillOpacity: 0.4, borderColor: 'white', borderWeight: 1 },
+        legend: {
+            className: 'gradient-legend voting-legend',
+            title: 'Gray: No data, Orange to Green: Low to High left+green support'
+        },
+        visible: true,
+        searchFields: ['name']
+    },
+    {
+        table: 'co2_sources',
+        key: 'co2Sources',
+        title: 'CO₂ Emission Sources',
+        description: 'Industrial CO₂ emission sources with clustering',
+        group: 'primary',
+        geometryType: 'point',
+        endpoint: '/api/co2-sources-enhanced',
+        customEndpoint: true,
+        fields: [
+            'id',
+            'COALESCE(plant_name, \'\') as plant_name',
+            'COALESCE(plant_type, \'\') as plant_type',
+            'COALESCE(total_co2_t, 0) as total_co2_t',
+            'COALESCE(fossil_co2_t, 0) as fossil_co2_t',
+            'COALESCE(biogenic_co2_t, 0) as biogenic_co2_t',
+            'COALESCE(comment, \'\') as comment'
+        ],
+        style: { color: '#ff4444', radius: 8, opacity: 0.9 },
+        icon: { path: '/icons/CO₂ Sources.png', size: [24, 24], opacity: 0.9 },
+        cluster: {
+            maxClusterRadius: 50,
+            disableClusteringAtZoom: 15,
+            showCoverageOnHover: false,
+            animate: true,
+            className: 'co2-cluster',
+            iconSize: 40,
+            sizeByCount: true
+        },
+        visible: true,
+        searchFields: ['plant_name']
+    },
+    {
+        table: 'landfills',
+        key: 'landfills',
+        title: 'Landfills',
+        description: 'Waste disposal facilities',
+        group: 'infrastructure',
+        geometryType: 'point',
+        endpoint: '/api/landfills-enhanced',
+        fields: [
+            'id',
+            'COALESCE(company_name, \'\') as company_name',
+            'COALESCE(location_name, \'\') as location_name',
+            'COALESCE(district, \'\') as district',
+            'COALESCE(address, \'\') as address',
+            'COALESCE(facility_type, \'\') as facility_type'
+        ],
+        style: { color: '#ff8800', pinSize: 2, radius: 8, opacity: 0.8 },
+        icon: { path: '/icons/Landfills.png', size: [20, 20], opacity: 0.8 },
+        cluster: { maxClusterRadius: 40, disableClusteringAtZoom: 13, className: 'landfill-cluster', iconSize: 35 },
+        searchFields: ['location_name', 'company_name']
+    },
+    {
+        table: 'gravel_pits',
+        key: 'gravelPits',
+        title: 'Gravel Pits & Quarries',
+        description: 'Extraction sites and quarries',
+        group: 'infrastructure',
+        geometryType: 'point',
+        endpoint: '/api/gravel-pits-enhanced',
+        fields: [
+            'id',
+            'COALESCE(name, \'\') as name',
+            'COALESCE(resource, \'\') as resource',
+            'COALESCE(tags, \'\') as tags'
+        ],
+        style: { color: '#8855aa', pinSize: 2, radius: 6, opacity: 0.7 },
+        icon: { path: '/icons/Gravel Pits.png', size: [18, 18], opacity: 0.7 },
+        cluster: { maxClusterRadius: 40, disableClusteringAtZoom: 13, className: 'gravel-cluster', iconSize: 35 },
+        searchFields: ['name']
+    },
+    {
+        table: 'wastewater_plants',
+        key: 'wastewaterPlants',
+        title: 'Wastewater Plants',
+        description: 'Water treatment facilities',
+        group: 'infrastructure',
+        geometryType: 'point',
+        endpoint: '/api/wastewater-plants-enhanced',
+        fields: [
+            'id',
+            'COALESCE(pk, 0) as pk',
+            'COALESCE(label, \'\') as label',
+            'COALESCE(treatment_type, \'\') as treatment_type',
+            'COALESCE(capacity, 0) as capacity'
+        ],
+        style: { color: '#3388ff', pinSize: 2, radius: 8, opacity: 0.6 },
+        icon: { path: '/icons/Wastewater Plants.png', size: [20, 20], opacity: 0.6 },
+        cluster: { maxClusterRadius: 45, disableClusteringAtZoom: 14, className: 'wastewater-cluster', iconSize: 35 },
+        searchFields: ['label']
+    },
+    {
+        table: 'gas_pipelines',
+        key: 'gasPipelines',
+        title: 'Gas Pipeline Network',
+        description: 'Natural gas transmission network',
+        group: 'infrastructure',
+        geometryType: 'line',
+        endpoint: '/api/gas-pipelines-enhanced',
+        fields: [
+            'id',
+            'COALESCE(name, \'\') as name',
+            'COALESCE(operator, \'\') as operator',
+            'COALESCE(diameter, \'\') as diameter',
+            'COALESCE(pressure_level, \'\') as pressure_level',
+            'COALESCE(pipeline_type, \'\') as pipeline_type'
+        ],
+        style: { color: '#00aa44', weight: 4, opacity: 0.8 },
+        routingCost: 0.3
+    },
+    {
+        table: 'gas_storage_sites',
+        key: 'gasStorage',
+        title: 'Gas Storage Sites',
+        description: 'Underground gas storage facilities',
+        group: 'infrastructure',
+        geometryType: 'point',
+        endpoint: '/api/gas-storage-sites-enhanced',
+        fields: [
+            'id',
+            'COALESCE(name, \'\') as name',
+            'COALESCE(operator, \'\') as operator',
+            'COALESCE(storage_type, \'\') as storage_type',
+            'COALESCE(capacity_bcm, 0) as capacity_bcm'
+        ],
+        style: { color: '#00cc88', pinSize: 2, radius: 10, opacity: 0.5 },
+        icon: { path: '/icons/Gas Storage.png', size: [22, 22], opacity: 0.5 },
+        cluster: { maxClusterRadius: 60, disableClusteringAtZoom: 12, className: 'gas-storage-cluster', iconSize: 35 },
+        searchFields: ['name', 'operator']
+    },
+    {
+        table: 'gas_distribution_points',
+        key: 'gasDistribution',
+        title: 'Gas Distribution Points',
+        description: 'Local gas distribution points',
+        group: 'infrastructure',
+        geometryType: 'point',
+        endpoint: '/api/gas-distribution-points-enhanced',
+        fields: [
+            'id',
+            'COALESCE(name, \'\') as name',
+            'COALESCE(type, \'\') as type',
+            'COALESCE(operator, \'\') as operator'
+        ],
+        style: { color: '#00aa44', pinSize: 1, radius: 4, opacity: 0.4 },
+        icon: { path: '/icons/Gas Distribution.png', size: [16, 16], opacity: 0.4 },
+        cluster: { maxClusterRadius: 35, disableClusteringAtZoom: 12, className: 'gas-distribution-cluster', iconSize: 30 }
+    },
+    {
+        table: 'compressor_stations',
+        key: 'compressorStations',
+        title: 'Compressor Stations',
+        description: 'Gas compression facilities',
+        group: 'infrastructure',
+        geometryType: 'point',
+        endpoint: '/api/compressor-stations-enhanced',
+        fields: [
+            'id',
+            'COALESCE(name, \'\') as name',
+            'COALESCE(operator, \'\') as operator',
+            'COALESCE(capacity_info, \'\') as capacity_info'
+        ],
+        style: { color: '#ffaa00', pinSize: 2, radius: 8, opacity: 0.3 },
+        icon: { path: '/icons/Compressor Stations.png', size: [20, 20], opacity: 0.3 },
+        cluster: { maxClusterRadius: 50, disableClusteringAtZoom: 13, className: 'compressor-cluster', iconSize: 35 }
+    },
+    {
+        table: 'highways',
+        key: 'highways',
+        title: 'Primary Roads',
+        description: 'Major road network',
+        group: 'transport',
+        geometryType: 'line',
+        endpoint: '/api/highways',
+        fields: [
+            'id',
+            'COALESCE(name, \'\') as name',
+            'COALESCE(highway_number, \'\') as highway_number',
+            'COALESCE(road_type, \'\') as road_type'
+        ],
+        style: { color: '#666666', weight: 3, opacity: 0.7 },
+        routingCost: 0.5
+    },
+    {
+        table: 'railways',
+        key: 'railways',
+        title: 'Railway Lines',
+        description: 'Railway network',
+        group: 'transport',
+        geometryType: 'line',
+        endpoint: '/api/railways',
+        fields: [
+            'id',
+            'COALESCE(name, \'\') as name',
+            'COALESCE(railway_type, \'\') as railway_type',
+            'COALESCE(operator, \'\') as operator'
+        ],
+        style: { color: '#8B4513', weight: 3, opacity: 0.8, dashArray: '10, 10' },
+        routingCost: 0.6
+    },
+    {
+        table: 'settlement_areas',
+        key: 'settlementAreas',
+        title: 'Residential Areas',
+        description: 'Populated residential areas',
+        group: 'unsuitable',
+        geometryType: 'polygon',
+        endpoint: '/api/settlement-areas',
+        fields: [
+            'id',
+            'COALESCE(name, \'\') as name',
+            'COALESCE(area_type, \'\') as area_type',
+            'COALESCE(population, 0) as population'
+        ],
+        style: { fillColor: '#ff0000', fillOpacity: 0.3, borderColor: '#cc0000', borderWeight: 2 },
+        tiles: true,
+        constraintBuffer: 300,
+        routingCost: 25
+    },
+    {
+        table: 'conservation_areas',
+        key: 'conservationAreas',
+        title: 'Nature Conservation',
+        description: 'Protected natural areas',
+        group: 'unsuitable',
+        geometryType: 'polygon',
+        endpoint: '/api/conservation-areas',
+        fields: [
+            'id',
+            'COALESCE(name, \'\') as name',
+            'COALESCE(protection_level, \'\') as protection_level',
+            'COALESCE(area_type, \'\') as area_type'
+        ],
+        style: { fillColor: '#00ff00', fillOpacity: 0.3, borderColor: '#00cc00', borderWeight: 2 },
+        tiles: true,
+        constraintBuffer: 200,
+        routingCost: 10
+    },
+    {
+        table: 'groundwater_protection',
+        key: 'groundwaterProtection',
+        title: 'Groundwater Protection',
+        description: 'Groundwater protection zones',
+        group: 'unsuitable',
+        geometryType: 'polygon',
+        endpoint: '/api/groundwater-protection',
+        fields: [
+            'id',
+            'COALESCE(name, \'\') as name',
+            'COALESCE(protection_zone, \'\') as protection_zone'
+        ],
+        style: { fillColor: '#0066ff', fillOpacity: 0.3, borderColor: '#0044cc', borderWeight: 2 },
+        tiles: true,
+        constraintBuffer: 100,
+        routingCost: 4
+    }
+];
+
+// Style keys that become constant SQL columns, per geometry type
+const STYLE_COLUMNS = {
+    point: { color: 'pin_color', pinSize: 'pin_size', opacity: 'opacity' },
+    line: { color: 'line_color', weight: 'line_weight', opacity: 'line_opacity' },
+    polygon: { fillColor: 'fill_color', fillOpacity: 'fill_opacity', borderColor: 'border_color', borderWeight: 'border_weight' }
+};
+
+const getFieldAlias = (field) => field.split(' as ').pop().trim();
+
+// Data fields plus the constant style columns the map renderers expect.
+// A data field with the same name (e.g. the voting choropleth fill_color) wins.
+const getLayerFields = (layer) => {
+    const dataAliases = layer.fields.map(getFieldAlias);
+    const styleFields = Object.entries(STYLE_COLUMNS[layer.geometryType])
+        .filter(([styleKey, column]) => layer.style && layer.style[styleKey] !== undefined && !dataAliases.includes(column))
+        .map(([styleKey, column]) => {
+            const value = layer.style[styleKey];
+            return typeof value === 'number' ? `${value} as ${column}` : `'${value}' as ${column}`;
+        });
+
+    return [...layer.fields, ...styleFields];
+};
+
+const getLayer = (table) => LAYERS.find(layer => layer.table === table);
+
+// Add a layer at runtime (uploaded shapefiles), replacing an entry for the same table
+const registerLayer = (layer) => {
+    const index = LAYERS.findIndex(entry => entry.table === layer.table);
+    if (index === -1) {
+        LAYERS.push(layer);
+    } else {
+        LAYERS[index] = layer;
+    }
+    return layer;
+};
+
+// Default colours of uploaded layers, picked by upload order
+const UPLOAD_PALETTE = ['#e91e63', '#9c27b0', '#00bcd4', '#ff5722', '#795548', '#607d8b', '#cddc39', '#3f51b5'];
+
+const getUploadStyle = (geometryType, index) => {
+    const color = UPLOAD_PALETTE[index % UPLOAD_PALETTE.length];
+    if (geometryType === 'point') return { color, radius: 6, opacity: 0.8 };
+    if (geometryType === 'line') return { color, weight: 3, opacity: 0.8 };
+    return { fillColor: color, fillOpacity: 0.3, borderColor: color, borderWeight: 2 };
+};
+
+// Registry entry of an uploaded layer from its uploaded_layers row:
+// { table_name, title, geometry_type, columns: [{ name, type }], style, restricted }
+const buildUploadedLayer = ({ table_name: table, title, geometry_type: geometryType, columns, style, restricted }) => ({
+    table,
+    key: table.replace(/_([a-z0-9])/g, (match, letter) => letter.toUpperCase()),
+    title,
+    description: 'Uploaded shapefile',
+    group: 'uploaded',
+    geometryType,
+    endpoint: `/api/uploaded-layers/${table}`,
+    fields: ['id', ...columns.map(column => column.name)],
+    style,
+    visible: true,
+    uploaded: true,
+    restricted: Boolean(restricted)
+});
+
+const getLayerTables = () => LAYERS.map(layer => layer.table);
+
+const getConstraintLayers = () => LAYERS.filter(layer => layer.constraintBuffer !== undefined);
+
+const getRoutingLayers = () => LAYERS.filter(layer => layer.routingCost !== undefined);
+
+const getSearchLayers = () => LAYERS.filter(layer => layer.searchFields);
+
+module.exports = {
+    LAYER_GROUPS,
+    LAYERS,
+    getFieldAlias,
+    getLayerFields,
+    getLayer,
+    getLayerTables,
+    getUploadStyle,
+    buildUploadedLayer,
+    registerLayer,
+    getConstraintLayers,
+    getRoutingLayers,
+    getSearchLayers
+};
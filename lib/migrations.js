@@ -0,0 +1,177 @@
+// ========================================
+// SCHEMA MIGRATIONS
+// ========================================
+// Numbered migration modules in migrations/ (001_baseline.js, 002_...) evolve
+// the database schema. Each exports up(client) and, where the change can be
+// undone, down(client). Applied versions are recorded in schema_migrations;
+// every migration runs in its own transaction together with that record.
+// scripts/migrate.js runs the migrate, rollback and status commands and
+// server.js compares the applied version with the latest one at startup.
+
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const MIGRATION_FILE = /^(\d+)_(\w+)\.js$/;
+
+// pg_advisory_lock key, so two migrate runs can't interleave
+const MIGRATION_LOCK_ID = 20250301;
+
+const MIGRATIONS_DDL = `
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+`;
+
+class MigrationError extends Error {}
+
+// [{ version, name, description, up, down }] sorted by version
+const loadMigrations = (dir = MIGRATIONS_DIR) => {
+    const migrations = fs.readdirSync(dir)
+        .map(file => ({ file, match: MIGRATION_FILE.exec(file) }))
+        .filter(({ match }) => match)
+        .map(({ file, match }) => {
+            const migration = require(path.join(dir, file));
+            if (typeof migration.up !== 'function') {
+                throw new MigrationError(`${file} does not export an up() function`);
+            }
+            return {
+                version: parseInt(match[1], 10),
+                name: match[2],
+                description: migration.description || match[2],
+                up: migration.up,
+                down: typeof migration.down === 'function' ? migration.down : null
+            };
+        })
+        .sort((a, b) => a.version - b.version);
+
+    migrations.forEach((migration, index) => {
+        if (index > 0 && migrations[index - 1].version === migration.version) {
+            throw new MigrationError(`Two migrations have version ${migration.version}`);
+        }
+    });
+    return migrations;
+};
+
+class Migrator {
+    // migrate() and rollback() need a single connection (a pg Client or a
+    // checked-out pool client) for their transactions; status() also works on a Pool
+    constructor(db, { dir = MIGRATIONS_DIR, log = console.log } = {}) {
+        this.db = db;
+        this.dir = dir;
+        this.log = log;
+    }
+
+    // Applied versions, oldest first; [] before the first migrate run
+    async getApplied() {
+        const table = await this.db.query('SELECT to_regclass(\'schema_migrations\') IS NOT NULL AS exists');
+        if (!table.rows[0].exists) return [];
+
+        const result = await this.db.query('SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+        return result.rows;
+    }
+
+    // { current, latest, migrations, pending, unknown }; unknown are applied
+    // versions without a migration file, i.e. the database is newer than the code
+    async status() {
+        const migrations = loadMigrations(this.dir);
+        const applied = await this.getApplied();
+        const appliedByVersion = new Map(applied.map(row => [row.version, row]));
+        const known = new Set(migrations.map(migration => migration.version));
+
+        return {
+            current: applied.length > 0 ? applied[applied.length - 1].version : 0,
+            latest: migrations.length > 0 ? migrations[migrations.length - 1].version : 0,
+            migrations: migrations.map(({ version, name, description, down }) => ({
+                version,
+                name,
+                description,
+                reversible: Boolean(down),
+                applied_at: appliedByVersion.has(version) ? appliedByVersion.get(version).applied_at : null
+            })),
+            pending: migrations
+                .filter(migration => !appliedByVersion.has(migration.version))
+                .map(({ version, name }) => ({ version, name })),
+            unknown: applied.filter(row => !known.has(row.version))
+        };
+    }
+
+    async withLock(callback) {
+        await this.db.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_ID]);
+        try {
+            return await callback();
+        } finally {
+            await this.db.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_ID]);
+        }
+    }
+
+    // Run one migration step and its schema_migrations change in a transaction
+    async runStep(migration, direction) {
+        try {
+            await this.db.query('BEGIN');
+            if (direction === 'up') {
+                await migration.up(this.db);
+                await this.db.query('INSERT INTO schema_migrations (version, name) VALUES ($1, $2)', [migration.version, migration.name]);
+            } else {
+                await migration.down(this.db);
+                await this.db.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+            }
+            await this.db.query('COMMIT');
+        } catch (error) {
+            await this.db.query('ROLLBACK').catch(() => {});
+            throw new MigrationError(`Migration ${migration.version}_${migration.name} (${direction}) failed: ${error.message}`);
+        }
+    }
+
+    // Apply pending migrations up to version `to`, oldest first. Returns the applied ones.
+    async migrate({ to = Infinity } = {}) {
+        return this.withLock(async () => {
+            await this.db.query(MIGRATIONS_DDL);
+            const applied = new Set((await this.getApplied()).map(row => row.version));
+            const pending = loadMigrations(this.dir)
+                .filter(migration => !applied.has(migration.version) && migration.version <= to);
+
+            for (const migration of pending) {
+                this.log(`⬆️  ${migration.version}_${migration.name}: ${migration.description}`);
+                await this.runStep(migration, 'up');
+            }
+            return pending.map(({ version, name }) => ({ version, name }));
+        });
+    }
+
+    // Undo the last `steps` applied migrations, or every one after version `to`,
+    // newest first. Returns the rolled back ones.
+    async rollback({ steps = 1, to = null } = {}) {
+        return this.withLock(async () => {
+            const migrations = new Map(loadMigrations(this.dir).map(migration => [migration.version, migration]));
+            const applied = (await this.getApplied()).reverse();
+            const targets = to === null ? applied.slice(0, steps) : applied.filter(row => row.version > to);
+
+            // Check the whole range first so a rollback doesn't stop halfway
+            targets.forEach(row => {
+                const migration = migrations.get(row.version);
+                if (!migration) {
+                    throw new MigrationError(`Migration ${row.version}_${row.name} is applied but its file is missing`);
+                }
+                if (!migration.down) {
+                    throw new MigrationError(`Migration ${row.version}_${row.name} cannot be rolled back`);
+                }
+            });
+
+            for (const row of targets) {
+                const migration = migrations.get(row.version);
+                this.log(`⬇️  ${migration.version}_${migration.name}: ${migration.description}`);
+                await this.runStep(migration, 'down');
+            }
+            return targets.map(({ version, name }) => ({ version, name }));
+        });
+    }
+}
+
+module.exports = {
+    MigrationError,
+    Migrator,
+    loadMigrations
+};
@@ -0,0 +1,179 @@
+// ========================================
+// NETWORK ANALYSIS HELPERS
+// ========================================
+// Dijkstra shortest paths over integer node ids and a graph built from line
+// geometries (pipelines, roads). Coordinates must be in a metric CRS so edge
+// weights are metres. Used by the source-sink matching and routing endpoints.
+
+// Binary min-heap of [priority, node] pairs
+class MinHeap {
+    constructor() {
+        this.items = [];
+    }
+
+    get size() {
+        return this.items.length;
+    }
+
+    push(priority, node) {
+        const items = this.items;
+        items.push([priority, node]);
+
+        let index = items.length - 1;
+        while (index > 0) {
+            const parent = (index - 1) >> 1;
+            if (items[parent][0] <= items[index][0]) break;
+            [items[parent], items[index]] = [items[index], items[parent]];
+            index = parent;
+        }
+    }
+
+    pop() {
+        const items = this.items;
+        const top = items[0];
+        const last = items.pop();
+
+        if (items.length > 0) {
+            items[0] = last;
+            let index = 0;
+            for (;;) {
+                const left = index * 2 + 1;
+                const right = left + 1;
+                let smallest = index;
+                if (left < items.length && items[left][0] < items[smallest][0]) smallest = left;
+                if (right < items.length && items[right][0] < items[smallest][0]) smallest = right;
+                if (smallest === index) break;
+                [items[smallest], items[index]] = [items[index], items[smallest]];
+                index = smallest;
+            }
+        }
+
+        return top;
+    }
+}
+
+// Dijkstra from start over nodes 0..nodeCount-1. forEachNeighbor(node, visit)
+// calls visit(next, cost) for every outgoing edge; a negative or non-finite
+// cost blocks the edge. Stops early once target (optional) is settled.
+// Returns { distances, previous } with Infinity / -1 for unreachable nodes.
+const shortestPaths = (nodeCount, start, forEachNeighbor, target = -1) => {
+    const distances = new Float64Array(nodeCount).fill(Infinity);
+    const previous = new Int32Array(nodeCount).fill(-1);
+    const settled = new Uint8Array(nodeCount);
+    const heap = new MinHeap();
+
+    distances[start] = 0;
+    heap.push(0, start);
+
+    while (heap.size > 0) {
+        const [distance, node] = heap.pop();
+        if (settled[node]) continue;
+        settled[node] = 1;
+        if (node === target) break;
+
+        forEachNeighbor(node, (next, cost) => {
+            if (settled[next] || !(cost >= 0) || cost === Infinity) return;
+            const candidate = distance + cost;
+            if (candidate < distances[next]) {
+                distances[next] = candidate;
+                previous[next] = node;
+                heap.push(candidate, next);
+            }
+        });
+    }
+
+    return { distances, previous };
+};
+
+// Node ids from start to target, or null when target was not reached
+const tracePath = (previous, start, target) => {
+    if (start !== target && previous[target] === -1) return null;
+
+    const path = [target];
+    let node = target;
+    while (node !== start) {
+        node = previous[node];
+        path.push(node);
+    }
+    return path.reverse();
+};
+
+const distance = (a, b) => Math.hypot(a[0] - b[0], a[1] - b[1]);
+
+// Undirected graph of line vertices. Vertices closer than snapTolerance
+// (metres) are merged so separately digitised segments connect.
+class LineNetwork {
+    constructor(snapTolerance = 50) {
+        this.snapTolerance = snapTolerance;
+        this.nodes = [];
+        this.edges = [];
+        this.nodeIndex = new Map();
+    }
+
+    // Accepts GeoJSON LineString or MultiLineString geometries
+    static fromGeometries(geometries, snapTolerance) {
+        const network = new LineNetwork(snapTolerance);
+        geometries.forEach(geometry => {
+            if (!geometry) return;
+            if (geometry.type === 'LineString') {
+                network.addLine(geometry.coordinates);
+            } else if (geometry.type === 'MultiLineString') {
+                geometry.coordinates.forEach(line => network.addLine(line));
+            }
+        });
+        return network;
+    }
+
+    get size() {
+        return this.nodes.length;
+    }
+
+    getNode(coordinate) {
+        const key = `${Math.round(coordinate[0] / this.snapTolerance)}:${Math.round(coordinate[1] / this.snapTolerance)}`;
+        let node = this.nodeIndex.get(key);
+        if (node === undefined) {
+            node = this.nodes.length;
+            this.nodes.push([coordinate[0], coordinate[1]]);
+            this.edges.push([]);
+            this.nodeIndex.set(key, node);
+        }
+        return node;
+    }
+
+    addLine(coordinates) {
+        for (let i = 1; i < coordinates.length; i++) {
+            const from = this.getNode(coordinates[i - 1]);
+            const to = this.getNode(coordinates[i]);
+            if (from === to) continue;
+
+            const length = distance(coordinates[i - 1], coordinates[i]);
+            this.edges[from].push([to, length]);
+            this.edges[to].push([from, length]);
+        }
+    }
+
+    // Closest vertex to a coordinate: { node, distance } or null for an empty network
+    nearestNode(coordinate) {
+        let best = null;
+        this.nodes.forEach((point, node) => {
+            const d = distance(point, coordinate);
+            if (!best || d < best.distance) {
+                best = { node, distance: d };
+            }
+        });
+        return best;
+    }
+
+    shortestPaths(start, target) {
+        return shortestPaths(this.nodes.length, start, (node, visit) => {
+            this.edges[node].forEach(([next, length]) => visit(next, length));
+        }, target);
+    }
+}
+
+module.exports = {
+    MinHeap,
+    shortestPaths,
+    tracePath,
+    LineNetwork
+};
@@ -0,0 +1,32 @@
+// ========================================
+// ROLES AND PERMISSIONS
+// ========================================
+// Every admin_users row has one role. The role is stored in the JWT at login;
+// server.js checks route permissions with requirePermission() and hides
+// restricted layers from users without layers:read-restricted. The frontend
+// gets the permission list at login to hide controls the user can't use.
+
+// Roles in ascending order; each role has the permissions of the ones before it
+const ROLES = ['viewer', 'editor', 'admin'];
+
+const PERMISSIONS_BY_ROLE = {
+    // Read layers marked as restricted
+    viewer: ['layers:read-restricted'],
+    // Create, change and delete features and bulk imports
+    editor: ['features:edit'],
+    // User management, database maintenance (including shapefile layer uploads) and the audit log
+    admin: ['users:manage', 'maintenance', 'audit:read']
+};
+
+const getPermissions = (role) => {
+    const index = ROLES.indexOf(role);
+    return index === -1 ? [] : ROLES.slice(0, index + 1).flatMap(name => PERMISSIONS_BY_ROLE[name]);
+};
+
+const hasPermission = (role, permission) => getPermissions(role).includes(permission);
+
+module.exports = {
+    ROLES,
+    getPermissions,
+    hasPermission
+};
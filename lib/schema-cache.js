@@ -0,0 +1,169 @@
+// ========================================
+// SCHEMA METADATA CACHE
+// ========================================
+// Loads the tables, columns and PostGIS geometry columns of the public schema
+// in three queries and answers the existence checks of the layer endpoints
+// from memory. server.js loads it at startup; call refresh() after anything
+// that changes the schema (imports, uploads, migrations).
+
+// When the database is unreachable, don't retry the load on every request
+const RETRY_INTERVAL_MS = 30 * 1000;
+
+class SchemaCache {
+    constructor(pool) {
+        this.pool = pool;
+        this.tables = new Map();
+        this.loadedAt = null;
+        this.lastAttempt = 0;
+        this.pending = null;
+    }
+
+    // Reload the whole schema. Concurrent callers share one load.
+    refresh() {
+        if (!this.pending) {
+            this.pending = this.load().finally(() => {
+                this.pending = null;
+            });
+        }
+        return this.pending;
+    }
+
+    async load() {
+        this.lastAttempt = Date.now();
+
+        const [tablesResult, columnsResult] = await Promise.all([
+            this.pool.query(`
+                SELECT table_name
+                FROM information_schema.tables
+                WHERE table_schema = 'public'
+            `),
+            this.pool.query(`
+                SELECT table_name, column_name, data_type, udt_name, is_nullable, column_default,
+                       character_maximum_length
+                FROM information_schema.columns
+                WHERE table_schema = 'public'
+                ORDER BY table_name, ordinal_position
+            `)
+        ]);
+
+        // geometry_columns only exists when PostGIS is installed
+        let geometryRows = [];
+        try {
+            const geometryResult = await this.pool.query(`
+                SELECT f_table_name, f_geometry_column, srid, type
+                FROM geometry_columns
+                WHERE f_table_schema = 'public'
+            `);
+            geometryRows = geometryResult.rows;
+        } catch (error) {
+            geometryRows = [];
+        }
+
+        const tables = new Map();
+        tablesResult.rows.forEach(row => {
+            tables.set(row.table_name, { columns: new Map(), geometry: new Map() });
+        });
+
+        columnsResult.rows.forEach(row => {
+            const table = tables.get(row.table_name);
+            if (!table) return;
+            table.columns.set(row.column_name, {
+                name: row.column_name,
+                dataType: row.data_type,
+                udtName: row.udt_name,
+                nullable: row.is_nullable === 'YES',
+                hasDefault: row.column_default !== null,
+                maxLength: row.character_maximum_length === null ? null : Number(row.character_maximum_length)
+            });
+        });
+
+        geometryRows.forEach(row => {
+            const table = tables.get(row.f_table_name);
+            if (!table) return;
+            table.geometry.set(row.f_geometry_column, {
+                srid: Number(row.srid),
+                type: row.type
+            });
+        });
+
+        this.tables = tables;
+        this.loadedAt = new Date();
+        return this.getSummary();
+    }
+
+    // Make sure the cache has been loaded once. Returns false while the
+    // database is unreachable so callers can fall back to "table missing".
+    async ensureLoaded() {
+        if (this.loadedAt) return true;
+
+        if (!this.pending && Date.now() - this.lastAttempt < RETRY_INTERVAL_MS) {
+            return false;
+        }
+
+        try {
+            await this.refresh();
+            return true;
+        } catch (error) {
+            console.error('Error loading schema cache:', error.message);
+            return false;
+        }
+    }
+
+    hasTable(tableName) {
+        return this.tables.has(tableName);
+    }
+
+    hasColumn(tableName, columnName) {
+        const table = this.tables.get(tableName);
+        return Boolean(table && table.columns.has(columnName));
+    }
+
+    getColumns(tableName) {
+        const table = this.tables.get(tableName);
+        return table ? Array.from(table.columns.values()) : [];
+    }
+
+    getColumn(tableName, columnName) {
+        const table = this.tables.get(tableName);
+        return (table && table.columns.get(columnName)) || null;
+    }
+
+    // SRID and geometry type of a geometry column, or null when the column
+    // is not registered in geometry_columns
+    getGeometryInfo(tableName, columnName = 'geom') {
+        const table = this.tables.get(tableName);
+        return (table && table.geometry.get(columnName)) || null;
+    }
+
+    getSummary() {
+        let columns = 0;
+        let geometryColumns = 0;
+        this.tables.forEach(table => {
+            columns += table.columns.size;
+            geometryColumns += table.geometry.size;
+        });
+
+        return {
+            loadedAt: this.loadedAt ? this.loadedAt.toISOString() : null,
+            tables: this.tables.size,
+            columns,
+            geometryColumns
+        };
+    }
+
+    // Plain-object view of the cache for the admin API
+    toJSON() {
+        const tables = {};
+        Array.from(this.tables.keys()).sort().forEach(tableName => {
+            const table = this.tables.get(tableName);
+            tables[tableName] = {
+                columns: Array.from(table.columns.values()),
+                geometry: Object.fromEntries(table.geometry)
+            };
+        });
+
+        return { summary: this.getSummary(), tables };
+    }
+}
+
+module.exports = SchemaCache;
@@ -0,0 +1,139 @@
+// ========================================
+// ADMIN SESSION STORE
+// ========================================
+// Server-side login sessions behind the short-lived JWT access tokens. Every
+// session has a refresh token that is stored only as a SHA-256 hash and is
+// replaced on each use. Presenting an already replaced refresh token means it
+// was copied, so the whole session is revoked. server.js checks isActive() on
+// authenticated requests, which makes logout and revocation take effect at once.
+// The admin_sessions table comes from the baseline migration.
+
+const crypto = require('crypto');
+
+const SESSION_COLUMNS = 'id, user_id, user_agent, ip_address, created_at, last_used_at, expires_at';
+
+class SessionError extends Error {}
+
+const hashToken = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+// Refresh tokens are "<session id>.<random secret>" so the session is found without a scan
+const parseRefreshToken = (refreshToken) => {
+    const match = /^(\d+)\.([A-Za-z0-9_-]{43})$/.exec(String(refreshToken || ''));
+    return match ? { sessionId: parseInt(match[1], 10), hash: hashToken(match[2]) } : null;
+};
+
+class SessionStore {
+    constructor(pool, { ttlDays = 7 } = {}) {
+        this.pool = pool;
+        this.ttlDays = ttlDays;
+    }
+
+    newSecret() {
+        return crypto.randomBytes(32).toString('base64url');
+    }
+
+    // Start a session: { session, refreshToken }
+    async create(userId, { userAgent, ipAddress } = {}) {
+        const secret = this.newSecret();
+
+        const result = await this.pool.query(`
+            INSERT INTO admin_sessions (user_id, refresh_token_hash, user_agent, ip_address, expires_at)
+            VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP + make_interval(days => $5))
+            RETURNING ${SESSION_COLUMNS}
+        `, [userId, hashToken(secret), (userAgent || '').slice(0, 255), (ipAddress || '').slice(0, 64), this.ttlDays]);
+
+        const session = result.rows[0];
+        return { session, refreshToken: `${session.id}.${secret}` };
+    }
+
+    // Exchange a refresh token for a new one and extend the session: { session, refreshToken }.
+    // Throws SessionError when the token is unknown, expired, revoked or reused.
+    async rotate(refreshToken) {
+        const parsed = parseRefreshToken(refreshToken);
+        if (!parsed) {
+            throw new SessionError('Invalid refresh token');
+        }
+
+        const secret = this.newSecret();
+
+        const result = await this.pool.query(`
+            UPDATE admin_sessions
+            SET refresh_token_hash = $3,
+                previous_token_hash = refresh_token_hash,
+                last_used_at = CURRENT_TIMESTAMP,
+                expires_at = CURRENT_TIMESTAMP + make_interval(days => $4)
+            WHERE id = $1 AND refresh_token_hash = $2
+              AND revoked_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+            RETURNING ${SESSION_COLUMNS}
+        `, [parsed.sessionId, parsed.hash, hashToken(secret), this.ttlDays]);
+
+        if (result.rows.length === 0) {
+            const reused = await this.pool.query(
+                'SELECT id FROM admin_sessions WHERE id = $1 AND previous_token_hash = $2 AND revoked_at IS NULL',
+                [parsed.sessionId, parsed.hash]
+            );
+            if (reused.rows.length > 0) {
+                await this.revoke(parsed.sessionId);
+                throw new SessionError('Refresh token was already used; the session has been revoked');
+            }
+            throw new SessionError('Session expired or revoked');
+        }
+
+        const session = result.rows[0];
+        return { session, refreshToken: `${session.id}.${secret}` };
+    }
+
+    // Session id of a refresh token that still belongs to a live session, or null
+    async findByRefreshToken(refreshToken) {
+        const parsed = parseRefreshToken(refreshToken);
+        if (!parsed) return null;
+
+        const result = await this.pool.query(
+            'SELECT id, user_id FROM admin_sessions WHERE id = $1 AND refresh_token_hash = $2 AND revoked_at IS NULL',
+            [parsed.sessionId, parsed.hash]
+        );
+        return result.rows[0] || null;
+    }
+
+    async isActive(sessionId) {
+        const result = await this.pool.query(
+            'SELECT 1 FROM admin_sessions WHERE id = $1 AND revoked_at IS NULL AND expires_at > CURRENT_TIMESTAMP',
+            [sessionId]
+        );
+        return result.rows.length > 0;
+    }
+
+    async listForUser(userId) {
+        const result = await this.pool.query(`
+            SELECT ${SESSION_COLUMNS}
+            FROM admin_sessions
+            WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+            ORDER BY last_used_at DESC
+        `, [userId]);
+        return result.rows;
+    }
+
+    // Revoke one session; pass userId to only revoke a session of that user.
+    // Returns whether a live session was revoked.
+    async revoke(sessionId, userId = null) {
+        const result = await this.pool.query(`
+            UPDATE admin_sessions SET revoked_at = CURRENT_TIMESTAMP
+            WHERE id = $1 AND revoked_at IS NULL AND ($2::integer IS NULL OR user_id = $2)
+        `, [sessionId, userId]);
+        return result.rowCount > 0;
+    }
+
+    // Revoke every session of a user, optionally keeping one. Returns the number revoked.
+    async revokeAllForUser(userId, exceptSessionId = null) {
+        const result = await this.pool.query(`
+            UPDATE admin_sessions SET revoked_at = CURRENT_TIMESTAMP
+            WHERE user_id = $1 AND revoked_at IS NULL AND ($2::integer IS NULL OR id <> $2)
+        `, [userId, exceptSessionId]);
+        return result.rowCount;
+    }
+}
+
+module.exports = {
+    SessionError,
+    SessionStore
+};
@@ -0,0 +1,229 @@
+// ========================================
+// ZIPPED SHAPEFILE IMPORT
+// ========================================
+// Unpacks an uploaded .zip (.shp, .dbf, .prj and optionally .cpg), reads the
+// features with the shapefile package and reprojects them from the .prj
+// coordinate system to EPSG:4326. Also derives a safe table name and column
+// definitions from the file and its attributes. server.js creates the
+// PostGIS table and registers the layer.
+
+const path = require('path');
+const AdmZip = require('adm-zip');
+const shapefile = require('shapefile');
+const proj4 = require('proj4');
+
+const MAX_FEATURES = 200000;
+const MAX_IDENTIFIER_LENGTH = 50;
+
+// Reserved PostgreSQL keywords that can't be used as bare column names
+const RESERVED_WORDS = new Set([
+    'all', 'analyse', 'analyze', 'and', 'any', 'array', 'as', 'asc', 'asymmetric', 'both', 'case', 'cast',
+    'check', 'collate', 'column', 'constraint', 'create', 'current_catalog', 'current_date', 'current_role',
+    'current_time', 'current_timestamp', 'current_user', 'default', 'deferrable', 'desc', 'distinct', 'do',
+    'else', 'end', 'except', 'false', 'fetch', 'for', 'foreign', 'from', 'grant', 'group', 'having', 'in',
+    'initially', 'intersect', 'into', 'lateral', 'leading', 'limit', 'localtime', 'localtimestamp', 'not',
+    'null', 'offset', 'on', 'only', 'or', 'order', 'placing', 'primary', 'references', 'returning', 'select',
+    'session_user', 'some', 'symmetric', 'table', 'then', 'to', 'trailing', 'true', 'union', 'unique', 'user',
+    'using', 'variadic', 'when', 'where', 'window', 'with'
+]);
+
+// Columns every uploaded table defines itself, plus the ones the layer
+// endpoints add to their results
+const SYSTEM_COLUMNS = ['id', 'geom', 'geometry', 'longitude', 'latitude'];
+
+// .cpg contents -> TextDecoder label for the .dbf
+const CODE_PAGES = {
+    'utf-8': 'utf-8',
+    'utf8': 'utf-8',
+    '65001': 'utf-8',
+    '1252': 'windows-1252',
+    'ansi 1252': 'windows-1252',
+    'windows-1252': 'windows-1252',
+    'iso-8859-1': 'iso-8859-1',
+    '88591': 'iso-8859-1',
+    'iso 88591': 'iso-8859-1'
+};
+
+const GEOMETRY_TYPES = {
+    Point: 'point',
+    MultiPoint: 'point',
+    LineString: 'line',
+    MultiLineString: 'line',
+    Polygon: 'polygon',
+    MultiPolygon: 'polygon'
+};
+
+class ShapefileImportError extends Error {}
+
+// Lower-case identifier of letters, digits and underscores that starts with a letter
+const sanitizeIdentifier = (name, fallback) => {
+    let identifier = String(name)
+        .toLowerCase()
+        .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+        .replace(/ß/g, 'ss')
+        .replace(/[^a-z0-9_]+/g, '_')
+        .replace(/^_+|_+$/g, '')
+        .slice(0, MAX_IDENTIFIER_LENGTH);
+
+    if (!identifier) identifier = fallback;
+    if (!/^[a-z]/.test(identifier)) identifier = `${fallback}_${identifier}`;
+    return identifier;
+};
+
+// First unused name of base, base_2, base_3, ...
+const uniqueName = (base, isTaken) => {
+    let name = base;
+    for (let n = 2; isTaken(name); n++) {
+        name = `${base}_${n}`;
+    }
+    return name;
+};
+
+// Column type from the attribute values of all features
+const inferColumnType = (values) => {
+    const present = values.filter(value => value !== null && value !== undefined && value !== '');
+    if (present.length === 0) return 'text';
+    if (present.every(value => typeof value === 'number' && isFinite(value))) {
+        return present.every(Number.isInteger) && present.every(value => Math.abs(value) < 2147483648)
+            ? 'integer'
+            : 'double precision';
+    }
+    if (present.every(value => typeof value === 'boolean')) return 'boolean';
+    if (present.every(value => value instanceof Date)) return 'date';
+    return 'text';
+};
+
+// { name, source, type } per attribute: name is the table column, source the .dbf field
+const getColumnDefinitions = (features) => {
+    const sources = [];
+    features.forEach(feature => {
+        Object.keys(feature.properties || {}).forEach(key => {
+            if (!sources.includes(key)) sources.push(key);
+        });
+    });
+
+    const used = new Set(SYSTEM_COLUMNS);
+    return sources.map(source => {
+        let base = sanitizeIdentifier(source, 'field');
+        if (RESERVED_WORDS.has(base)) base = `${base}_`;
+        const name = uniqueName(base, candidate => used.has(candidate));
+        used.add(name);
+
+        return {
+            name,
+            source,
+            type: inferColumnType(features.map(feature => feature.properties[source]))
+        };
+    });
+};
+
+const reprojectCoordinates = (coordinates, forward) => (typeof coordinates[0] === 'number'
+    ? forward(coordinates.slice(0, 2))
+    : coordinates.map(part => reprojectCoordinates(part, forward)));
+
+// MultiPoint features become one point feature per member so point layers
+// can keep using ST_X/ST_Y
+const explodeMultiPoints = (features) => features.flatMap(feature => (feature.geometry.type === 'MultiPoint'
+    ? feature.geometry.coordinates.map(coordinates => ({ ...feature, geometry: { type: 'Point', coordinates } }))
+    : [feature]));
+
+const findEntry = (entries, extension) => entries.find(entry => path.extname(entry.entryName).toLowerCase() === extension);
+
+// Read the zip: { name, geometryType, features, columns, skipped }.
+// Throws ShapefileImportError for archives that can't be imported.
+const readZippedShapefile = async (buffer) => {
+    let entries;
+    try {
+        entries = new AdmZip(buffer).getEntries()
+            .filter(entry => !entry.isDirectory && !entry.entryName.startsWith('__MACOSX/'));
+    } catch (error) {
+        throw new ShapefileImportError(`Not a valid zip archive: ${error.message}`);
+    }
+
+    const shpEntry = findEntry(entries, '.shp');
+    if (!shpEntry) {
+        throw new ShapefileImportError('The archive contains no .shp file');
+    }
+
+    // Sidecar files must share the .shp base name
+    const baseName = shpEntry.entryName.slice(0, -4);
+    const sidecar = (extension) => entries.find(entry => entry.entryName.toLowerCase() === `${baseName}${extension}`.toLowerCase());
+
+    const dbfEntry = sidecar('.dbf');
+    const prjEntry = sidecar('.prj');
+    const cpgEntry = sidecar('.cpg');
+
+    if (!dbfEntry) {
+        throw new ShapefileImportError(`${path.basename(baseName)}.dbf is missing`);
+    }
+    if (!prjEntry) {
+        throw new ShapefileImportError(`${path.basename(baseName)}.prj is missing; the coordinate system is needed to place the data`);
+    }
+
+    let forward;
+    try {
+        forward = proj4(prjEntry.getData().toString('utf8').trim(), 'EPSG:4326').forward;
+    } catch (error) {
+        throw new ShapefileImportError(`Unsupported coordinate system in .prj: ${error.message}`);
+    }
+
+    const codePage = cpgEntry ? cpgEntry.getData().toString('utf8').trim().toLowerCase() : null;
+    const encoding = (codePage && CODE_PAGES[codePage]) || 'windows-1252';
+
+    const features = [];
+    let skipped = 0;
+
+    try {
+        const source = await shapefile.open(shpEntry.getData(), dbfEntry.getData(), { encoding });
+
+        for (let result = await source.read(); !result.done; result = await source.read()) {
+            if (features.length >= MAX_FEATURES) {
+                throw new ShapefileImportError(`Shapefiles are limited to ${MAX_FEATURES} features`);
+            }
+
+            const feature = result.value;
+            if (!feature.geometry || !GEOMETRY_TYPES[feature.geometry.type]) {
+                skipped++;
+                continue;
+            }
+
+            features.push({
+                properties: feature.properties || {},
+                geometry: {
+                    type: feature.geometry.type,
+                    coordinates: reprojectCoordinates(feature.geometry.coordinates, forward)
+                }
+            });
+        }
+    } catch (error) {
+        if (error instanceof ShapefileImportError) throw error;
+        throw new ShapefileImportError(`Could not read ${path.basename(shpEntry.entryName)}: ${error.message}`);
+    }
+
+    if (features.length === 0) {
+        throw new ShapefileImportError('The shapefile contains no features with geometry');
+    }
+
+    const geometryTypes = new Set(features.map(feature => GEOMETRY_TYPES[feature.geometry.type]));
+    if (geometryTypes.size > 1) {
+        throw new ShapefileImportError(`Mixed geometry types: ${Array.from(geometryTypes).join(', ')}`);
+    }
+    const geometryType = geometryTypes.values().next().value;
+
+    const layerFeatures = geometryType === 'point' ? explodeMultiPoints(features) : features;
+
+    return {
+        name: path.basename(baseName),
+        geometryType,
+        features: layerFeatures,
+        columns: getColumnDefinitions(layerFeatures),
+        skipped
+    };
+};
+
+module.exports = {
+    ShapefileImportError,
+    sanitizeIdentifier,
+    uniqueName,
+    readZippedShapefile
+};
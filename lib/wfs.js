@@ -0,0 +1,365 @@
+// ========================================
+// WFS 2.0 ENCODING HELPERS
+// ========================================
+// XML builders for the read-only WFS facade in server.js: capabilities,
+// feature type schemas, GML 3.2 feature collections, filter parsing and
+// exception reports. Everything here is pure; queries stay in server.js.
+
+const WFS_NS = 'http://www.opengis.net/wfs/2.0';
+const OWS_NS = 'http://www.opengis.net/ows/1.1';
+const FES_NS = 'http://www.opengis.net/fes/2.0';
+const GML_NS = 'http://www.opengis.net/gml/3.2';
+const XLINK_NS = 'http://www.w3.org/1999/xlink';
+const XSI_NS = 'http://www.w3.org/2001/XMLSchema-instance';
+const ATLAS_PREFIX = 'atlas';
+const ATLAS_NS = 'https://co2-storage-atlas-1.onrender.com/atlas';
+
+// Output projections offered by GetFeature (WGS84 and MGI / Austria Lambert)
+const SUPPORTED_SRIDS = [4326, 31287];
+
+class WfsError extends Error {
+    constructor(code, message, locator) {
+        super(message);
+        this.code = code;
+        this.locator = locator;
+    }
+}
+
+const escapeXml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+
+const crsUrn = (srid) => `urn:ogc:def:crs:EPSG::${srid}`;
+
+// Parse 'EPSG:31287', 'urn:ogc:def:crs:EPSG::4326' or
+// 'http://www.opengis.net/def/crs/EPSG/0/4326'. URN and URI forms of
+// EPSG:4326 use latitude/longitude axis order; the legacy form and CRS84 do not.
+const parseSrsName = (srsName) => {
+    if (!srsName) return null;
+    const name = srsName.trim();
+
+    if (/CRS:?84$/i.test(name)) {
+        return { srid: 4326, latLonOrder: false, srsName: name };
+    }
+
+    const match = name.match(/^EPSG:(\d+)$/i) ||
+        name.match(/^urn:ogc:def:crs:EPSG:[\d.]*:(\d+)$/i) ||
+        name.match(/^https?:\/\/www\.opengis\.net\/def\/crs\/EPSG\/0\/(\d+)$/i);
+    if (!match) return null;
+
+    const srid = parseInt(match[1], 10);
+    const legacy = /^EPSG:/i.test(name);
+    return { srid, latLonOrder: srid === 4326 && !legacy, srsName: name };
+};
+
+// Map a layer field expression to an XML schema type
+const inferXsdType = (field) => {
+    const alias = field.split(' as ').pop().trim();
+    const expression = field.split(' as ')[0].trim();
+
+    if (alias === 'id') return 'xsd:int';
+    if (/,\s*(true|false)\s*\)$/i.test(expression) || /^(true|false)$/i.test(expression)) return 'xsd:boolean';
+    if (/,\s*-?\d+(\.\d+)?\s*\)$/.test(expression) || /^-?\d+(\.\d+)?$/.test(expression)) return 'xsd:double';
+    return 'xsd:string';
+};
+
+// Line and polygon tables mix single and multi geometries, so they are
+// declared with the generic geometry property type
+const GML_PROPERTY_TYPES = {
+    point: 'gml:PointPropertyType',
+    line: 'gml:GeometryPropertyType',
+    polygon: 'gml:GeometryPropertyType'
+};
+
+// ========================================
+// GEOMETRY ENCODING
+// ========================================
+
+const formatPosition = (coord, swapAxes) => (swapAxes ? [coord[1], coord[0]] : [coord[0], coord[1]]).join(' ');
+
+const formatPosList = (coords, swapAxes) => coords.map(c => formatPosition(c, swapAxes)).join(' ');
+
+// Convert a GeoJSON geometry to GML 3.2. Every geometry element gets a
+// gml:id derived from gmlId, as GML 3.2 requires.
+const geometryToGml = (geometry, { srsName, gmlId, swapAxes = false }) => {
+    let counter = 0;
+    const nextId = () => `${gmlId}.${++counter}`;
+    const srsAttr = srsName ? ` srsName="${escapeXml(srsName)}"` : '';
+
+    const point = (coords, attrs = '') =>
+        `<gml:Point gml:id="${nextId()}"${attrs}><gml:pos>${formatPosition(coords, swapAxes)}</gml:pos></gml:Point>`;
+    const lineString = (coords, attrs = '') =>
+        `<gml:LineString gml:id="${nextId()}"${attrs}><gml:posList>${formatPosList(coords, swapAxes)}</gml:posList></gml:LineString>`;
+    const polygon = (rings, attrs = '') => {
+        const [exterior, ...interiors] = rings;
+        return `<gml:Polygon gml:id="${nextId()}"${attrs}>` +
+            `<gml:exterior><gml:LinearRing><gml:posList>${formatPosList(exterior, swapAxes)}</gml:posList></gml:LinearRing></gml:exterior>` +
+            interiors.map(ring => `<gml:interior><gml:LinearRing><gml:posList>${formatPosList(ring, swapAxes)}</gml:posList></gml:LinearRing></gml:interior>`).join('') +
+            '</gml:Polygon>';
+    };
+
+    switch (geometry.type) {
+    case 'Point':
+        return point(geometry.coordinates, srsAttr);
+    case 'LineString':
+        return lineString(geometry.coordinates, srsAttr);
+    case 'Polygon':
+        return polygon(geometry.coordinates, srsAttr);
+    case 'MultiPoint':
+        return `<gml:MultiPoint gml:id="${nextId()}"${srsAttr}>` +
+            geometry.coordinates.map(c => `<gml:pointMember>${point(c)}</gml:pointMember>`).join('') +
+            '</gml:MultiPoint>';
+    case 'MultiLineString':
+        return `<gml:MultiCurve gml:id="${nextId()}"${srsAttr}>` +
+            geometry.coordinates.map(c => `<gml:curveMember>${lineString(c)}</gml:curveMember>`).join('') +
+            '</gml:MultiCurve>';
+    case 'MultiPolygon':
+        return `<gml:MultiSurface gml:id="${nextId()}"${srsAttr}>` +
+            geometry.coordinates.map(c => `<gml:surfaceMember>${polygon(c)}</gml:surfaceMember>`).join('') +
+            '</gml:MultiSurface>';
+    default:
+        throw new WfsError('OperationProcessingFailed', `Unsupported geometry type ${geometry.type}`);
+    }
+};
+
+// ========================================
+// FILTER PARSING
+// ========================================
+
+const stripPrefix = (name) => name.replace(/^[\w-]+:/, '');
+
+// Parse the subset of FES 2.0 (and legacy OGC Filter 1.1) the facade supports:
+// PropertyIsEqualTo and BBOX, optionally combined with And.
+const parseFilter = (xml) => {
+    if (/<(\w+:)?(Or|Not)[\s>]/.test(xml)) {
+        throw new WfsError('OperationProcessingFailed', 'Only PropertyIsEqualTo and BBOX combined with And are supported', 'FILTER');
+    }
+
+    const result = { equals: [], bbox: null };
+
+    const equalsPattern = /<(?:\w+:)?PropertyIsEqualTo\b[^>]*>([\s\S]*?)<\/(?:\w+:)?PropertyIsEqualTo>/g;
+    let match;
+    while ((match = equalsPattern.exec(xml)) !== null) {
+        const property = match[1].match(/<(?:\w+:)?(?:ValueReference|PropertyName)>([\s\S]*?)<\//);
+        const literal = match[1].match(/<(?:\w+:)?Literal>([\s\S]*?)<\//);
+        if (!property || !literal) {
+            throw new WfsError('InvalidParameterValue', 'PropertyIsEqualTo needs a ValueReference and a Literal', 'FILTER');
+        }
+        result.equals.push({
+            property: stripPrefix(property[1].trim()),
+            value: literal[1].trim()
+                .replace(/&lt;/g, '<').replace(/&gt;/g, '>')
+                .replace(/&quot;/g, '"').replace(/&apos;/g, '\'')
+                .replace(/&amp;/g, '&')
+        });
+    }
+
+    const bboxMatch = xml.match(/<(?:\w+:)?BBOX\b[^>]*>([\s\S]*?)<\/(?:\w+:)?BBOX>/);
+    if (bboxMatch) {
+        const envelope = bboxMatch[1].match(/<(?:\w+:)?Envelope\b([^>]*)>/);
+        const lower = bboxMatch[1].match(/<(?:\w+:)?lowerCorner>([\s\S]*?)<\//);
+        const upper = bboxMatch[1].match(/<(?:\w+:)?upperCorner>([\s\S]*?)<\//);
+        if (!envelope || !lower || !upper) {
+            throw new WfsError('InvalidParameterValue', 'BBOX needs a gml:Envelope with lowerCorner and upperCorner', 'FILTER');
+        }
+        const srs = envelope[1].match(/srsName="([^"]*)"/);
+        result.bbox = {
+            coords: [...lower[1].trim().split(/\s+/), ...upper[1].trim().split(/\s+/)].map(Number),
+            srsName: srs ? srs[1] : null
+        };
+    }
+
+    if (result.equals.length === 0 && !result.bbox) {
+        throw new WfsError('OperationProcessingFailed', 'Only PropertyIsEqualTo and BBOX filters are supported', 'FILTER');
+    }
+
+    return result;
+};
+
+// ========================================
+// DOCUMENT BUILDERS
+// ========================================
+
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8"?>\n';
+
+const buildExceptionReport = (code, message, locator) => XML_HEADER +
+    `<ows:ExceptionReport xmlns:ows="${OWS_NS}" version="2.0.0" xml:lang="en">\n` +
+    `  <ows:Exception exceptionCode="${escapeXml(code)}"${locator ? ` locator="${escapeXml(locator)}"` : ''}>\n` +
+    `    <ows:ExceptionText>${escapeXml(message)}</ows:ExceptionText>\n` +
+    '  </ows:Exception>\n' +
+    '</ows:ExceptionReport>\n';
+
+// featureTypes: [{ name, title }], bounds: [minLng, minLat, maxLng, maxLat]
+const buildCapabilities = ({ serviceUrl, featureTypes, bounds, outputFormats }) => {
+    const operation = (name, parameters = '') =>
+        `    <ows:Operation name="${name}">\n` +
+        '      <ows:DCP><ows:HTTP>' +
+        `<ows:Get xlink:href="${escapeXml(serviceUrl)}?"/>` +
+        '</ows:HTTP></ows:DCP>\n' +
+        parameters +
+        '    </ows:Operation>\n';
+
+    const constraint = (name, value) =>
+        `    <ows:Constraint name="${name}"><ows:NoValues/><ows:DefaultValue>${value}</ows:DefaultValue></ows:Constraint>\n`;
+
+    const formatParameter = '      <ows:Parameter name="outputFormat"><ows:AllowedValues>' +
+        outputFormats.map(format => `<ows:Value>${escapeXml(format)}</ows:Value>`).join('') +
+        '</ows:AllowedValues></ows:Parameter>\n';
+
+    const featureTypeList = featureTypes.map(type =>
+        '    <wfs:FeatureType>\n' +
+        `      <wfs:Name>${ATLAS_PREFIX}:${type.name}</wfs:Name>\n` +
+        `      <wfs:Title>${escapeXml(type.title)}</wfs:Title>\n` +
+        `      <wfs:DefaultCRS>${crsUrn(4326)}</wfs:DefaultCRS>\n` +
+        SUPPORTED_SRIDS.filter(srid => srid !== 4326).map(srid => `      <wfs:OtherCRS>${crsUrn(srid)}</wfs:OtherCRS>\n`).join('') +
+        '      <ows:WGS84BoundingBox>\n' +
+        `        <ows:LowerCorner>${bounds[0]} ${bounds[1]}</ows:LowerCorner>\n` +
+        `        <ows:UpperCorner>${bounds[2]} ${bounds[3]}</ows:UpperCorner>\n` +
+        '      </ows:WGS84BoundingBox>\n' +
+        '    </wfs:FeatureType>\n'
+    ).join('');
+
+    const conformance = (name, value) =>
+        `      <fes:Constraint name="${name}"><ows:NoValues/><ows:DefaultValue>${value}</ows:DefaultValue></fes:Constraint>\n`;
+
+    return XML_HEADER +
+        `<wfs:WFS_Capabilities version="2.0.0" xmlns:wfs="${WFS_NS}" xmlns:ows="${OWS_NS}" ` +
+        `xmlns:fes="${FES_NS}" xmlns:gml="${GML_NS}" xmlns:xlink="${XLINK_NS}" xmlns:xsi="${XSI_NS}" ` +
+        `xmlns:${ATLAS_PREFIX}="${ATLAS_NS}" ` +
+        `xsi:schemaLocation="${WFS_NS} http://schemas.opengis.net/wfs/2.0/wfs.xsd">\n` +
+        '  <ows:ServiceIdentification>\n' +
+        '    <ows:Title>CO₂ Storage Atlas</ows:Title>\n' +
+        '    <ows:Abstract>Read-only WFS for the atlas layers of Upper Austria and Salzburg</ows:Abstract>\n' +
+        '    <ows:ServiceType>WFS</ows:ServiceType>\n' +
+        '    <ows:ServiceTypeVersion>2.0.0</ows:ServiceTypeVersion>\n' +
+        '    <ows:Fees>NONE</ows:Fees>\n' +
+        '    <ows:AccessConstraints>NONE</ows:AccessConstraints>\n' +
+        '  </ows:ServiceIdentification>\n' +
+        '  <ows:OperationsMetadata>\n' +
+        operation('GetCapabilities') +
+        operation('DescribeFeatureType') +
+        operation('GetFeature', formatParameter) +
+        constraint('ImplementsBasicWFS', 'FALSE') +
+        constraint('ImplementsTransactionalWFS', 'FALSE') +
+        constraint('ImplementsLockingWFS', 'FALSE') +
+        constraint('KVPEncoding', 'TRUE') +
+        constraint('XMLEncoding', 'FALSE') +
+        constraint('SOAPEncoding', 'FALSE') +
+        constraint('ImplementsInheritance', 'FALSE') +
+        constraint('ImplementsRemoteResolve', 'FALSE') +
+        constraint('ImplementsResultPaging', 'TRUE') +
+        constraint('ImplementsStandardJoins', 'FALSE') +
+        constraint('ImplementsSpatialJoins', 'FALSE') +
+        constraint('ImplementsTemporalJoins', 'FALSE') +
+        constraint('ImplementsFeatureVersioning', 'FALSE') +
+        constraint('ManageStoredQueries', 'FALSE') +
+        '  </ows:OperationsMetadata>\n' +
+        '  <wfs:FeatureTypeList>\n' +
+        featureTypeList +
+        '  </wfs:FeatureTypeList>\n' +
+        '  <fes:Filter_Capabilities>\n' +
+        '    <fes:Conformance>\n' +
+        conformance('ImplementsQuery', 'TRUE') +
+        conformance('ImplementsAdHocQuery', 'TRUE') +
+        conformance('ImplementsFunctions', 'FALSE') +
+        conformance('ImplementsResourceId', 'TRUE') +
+        conformance('ImplementsMinStandardFilter', 'FALSE') +
+        conformance('ImplementsStandardFilter', 'FALSE') +
+        conformance('ImplementsMinSpatialFilter', 'TRUE') +
+        conformance('ImplementsSpatialFilter', 'FALSE') +
+        conformance('ImplementsMinTemporalFilter', 'FALSE') +
+        conformance('ImplementsTemporalFilter', 'FALSE') +
+        conformance('ImplementsVersionNav', 'FALSE') +
+        conformance('ImplementsSorting', 'FALSE') +
+        conformance('ImplementsExtendedOperators', 'FALSE') +
+        conformance('ImplementsMinimumXPath', 'FALSE') +
+        conformance('ImplementsSchemaElementFunc', 'FALSE') +
+        '    </fes:Conformance>\n' +
+        '    <fes:Id_Capabilities><fes:ResourceIdentifier name="fes:ResourceId"/></fes:Id_Capabilities>\n' +
+        '    <fes:Scalar_Capabilities>\n' +
+        '      <fes:LogicalOperators/>\n' +
+        '      <fes:ComparisonOperators><fes:ComparisonOperator name="PropertyIsEqualTo"/></fes:ComparisonOperators>\n' +
+        '    </fes:Scalar_Capabilities>\n' +
+        '    <fes:Spatial_Capabilities>\n' +
+        '      <fes:GeometryOperands><fes:GeometryOperand name="gml:Envelope"/></fes:GeometryOperands>\n' +
+        '      <fes:SpatialOperators><fes:SpatialOperator name="BBOX"/></fes:SpatialOperators>\n' +
+        '    </fes:Spatial_Capabilities>\n' +
+        '  </fes:Filter_Capabilities>\n' +
+        '</wfs:WFS_Capabilities>\n';
+};
+
+// featureTypes: [{ name, fields, geometryType }]
+const buildFeatureTypeSchema = (featureTypes) => {
+    const types = featureTypes.map(type => {
+        const elements = type.fields
+            .filter(field => field.split(' as ').pop().trim() !== 'id')
+            .map(field => `          <xsd:element name="${escapeXml(field.split(' as ').pop().trim())}" type="${inferXsdType(field)}" minOccurs="0" nillable="true"/>\n`)
+            .join('');
+
+        return `  <xsd:complexType name="${type.name}Type">\n` +
+            '    <xsd:complexContent>\n' +
+            '      <xsd:extension base="gml:AbstractFeatureType">\n' +
+            '        <xsd:sequence>\n' +
+            elements +
+            `          <xsd:element name="geom" type="${GML_PROPERTY_TYPES[type.geometryType]}" minOccurs="0" nillable="true"/>\n` +
+            '        </xsd:sequence>\n' +
+            '      </xsd:extension>\n' +
+            '    </xsd:complexContent>\n' +
+            '  </xsd:complexType>\n' +
+            `  <xsd:element name="${type.name}" type="${ATLAS_PREFIX}:${type.name}Type" substitutionGroup="gml:AbstractFeature"/>\n`;
+    }).join('');
+
+    return XML_HEADER +
+        `<xsd:schema xmlns:xsd="http://www.w3.org/2001/XMLSchema" xmlns:gml="${GML_NS}" ` +
+        `xmlns:${ATLAS_PREFIX}="${ATLAS_NS}" targetNamespace="${ATLAS_NS}" ` +
+        'elementFormDefault="qualified" version="1.0">\n' +
+        `  <xsd:import namespace="${GML_NS}" schemaLocation="http://schemas.opengis.net/gml/3.2.1/gml.xsd"/>\n` +
+        types +
+        '</xsd:schema>\n';
+};
+
+// features: [{ typeName, id, properties, geometry }]
+const buildFeatureCollection = ({ features, numberMatched, srsName, swapAxes, schemaUrl }) => {
+    const members = features.map(feature => {
+        const gmlId = `${feature.typeName}.${feature.id}`;
+        const properties = Object.entries(feature.properties)
+            .filter(([, value]) => value !== null && value !== undefined)
+            .map(([name, value]) => `      <${ATLAS_PREFIX}:${name}>${escapeXml(value)}</${ATLAS_PREFIX}:${name}>\n`)
+            .join('');
+        const geometry = feature.geometry ?
+            `      <${ATLAS_PREFIX}:geom>${geometryToGml(feature.geometry, { srsName, gmlId: `${gmlId}.geom`, swapAxes })}</${ATLAS_PREFIX}:geom>\n` :
+            '';
+
+        return '  <wfs:member>\n' +
+            `    <${ATLAS_PREFIX}:${feature.typeName} gml:id="${escapeXml(gmlId)}">\n` +
+            properties +
+            geometry +
+            `    </${ATLAS_PREFIX}:${feature.typeName}>\n` +
+            '  </wfs:member>\n';
+    }).join('');
+
+    return XML_HEADER +
+        `<wfs:FeatureCollection xmlns:wfs="${WFS_NS}" xmlns:gml="${GML_NS}" xmlns:xsi="${XSI_NS}" ` +
+        `xmlns:${ATLAS_PREFIX}="${ATLAS_NS}" ` +
+        `xsi:schemaLocation="${WFS_NS} http://schemas.opengis.net/wfs/2.0/wfs.xsd ${ATLAS_NS} ${escapeXml(schemaUrl)}" ` +
+        `timeStamp="${new Date().toISOString()}" numberMatched="${numberMatched}" numberReturned="${features.length}">\n` +
+        members +
+        '</wfs:FeatureCollection>\n';
+};
+
+module.exports = {
+    ATLAS_PREFIX,
+    SUPPORTED_SRIDS,
+    WfsError,
+    escapeXml,
+    crsUrn,
+    parseSrsName,
+    parseFilter,
+    buildExceptionReport,
+    buildCapabilities,
+    buildFeatureTypeSchema,
+    buildFeatureCollection
+};
@@ -0,0 +1,468 @@
+// ========================================
+// 001 BASELINE SCHEMA
+// ========================================
+// The schema scripts/setup-database.js created before migrations. Tables and
+// indexes use IF NOT EXISTS and the column upgrades ADD COLUMN IF NOT EXISTS,
+// so databases set up by earlier versions of that script adopt the baseline
+// and keep their data. There is no down(); drop the database instead.
+
+const TABLES = [
+    // Study area boundaries (EPSG:4326)
+    `CREATE TABLE IF NOT EXISTS study_area_boundaries (
+        id SERIAL PRIMARY KEY,
+        g_id VARCHAR(50) UNIQUE,
+        g_name VARCHAR(255),
+        state VARCHAR(100),
+        geom GEOMETRY(MULTIPOLYGON, 4326),
+        properties JSONB,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`,
+
+    // CO2 Sources with enhanced columns for performance
+    `CREATE TABLE IF NOT EXISTS co2_sources (
+        id SERIAL PRIMARY KEY,
+        plant_name VARCHAR(255) NOT NULL,
+        plant_type VARCHAR(100),
+        total_co2_t NUMERIC(12,2) DEFAULT 0,
+        fossil_co2_t NUMERIC(12,2) DEFAULT 0,
+        biogenic_co2_t NUMERIC(12,2) DEFAULT 0,
+        comment TEXT,
+        is_prominent BOOLEAN DEFAULT FALSE,
+        pin_size INTEGER DEFAULT 2,
+        pin_color VARCHAR(7) DEFAULT '#ff4444',
+        icon_url VARCHAR(500),
+        opacity NUMERIC(3,2) DEFAULT 1.0,
+        geom GEOMETRY(POINT, 4326),
+        properties JSONB,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`,
+
+    // Voting Districts with enhanced geometry handling
+    `CREATE TABLE IF NOT EXISTS voting_districts (
+        id SERIAL PRIMARY KEY,
+        gkz INTEGER UNIQUE,
+        name VARCHAR(255),
+        spo_percent NUMERIC(5,2) DEFAULT 0,
+        ovp_percent NUMERIC(5,2) DEFAULT 0,
+        fpo_percent NUMERIC(5,2) DEFAULT 0,
+        grune_percent NUMERIC(5,2) DEFAULT 0,
+        kpo_percent NUMERIC(5,2) DEFAULT 0,
+        neos_percent NUMERIC(5,2) DEFAULT 0,
+        left_green_combined NUMERIC(5,2) DEFAULT 0,
+        choropleth_color VARCHAR(7),
+        geom GEOMETRY(MULTIPOLYGON, 4326),
+        center_point GEOMETRY(POINT, 4326),
+        properties JSONB,
+        geometry_valid BOOLEAN DEFAULT FALSE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`,
+
+    // Landfills with icon support
+    `CREATE TABLE IF NOT EXISTS landfills (
+        id SERIAL PRIMARY KEY,
+        company_name VARCHAR(255),
+        location_name VARCHAR(255),
+        district VARCHAR(100),
+        address VARCHAR(500),
+        facility_type VARCHAR(255),
+        pin_size INTEGER DEFAULT 2,
+        pin_color VARCHAR(7) DEFAULT '#ff8800',
+        icon_url VARCHAR(500),
+        opacity NUMERIC(3,2) DEFAULT 0.8,
+        geom GEOMETRY(POINT, 4326),
+        properties JSONB,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`,
+
+    // Gravel Pits with icon support
+    `CREATE TABLE IF NOT EXISTS gravel_pits (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(255),
+        resource VARCHAR(255),
+        tags TEXT,
+        pin_size INTEGER DEFAULT 2,
+        pin_color VARCHAR(7) DEFAULT '#8855aa',
+        icon_url VARCHAR(500),
+        opacity NUMERIC(3,2) DEFAULT 0.7,
+        geom GEOMETRY(POINT, 4326),
+        properties JSONB,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`,
+
+    // Wastewater Plants with icon support
+    `CREATE TABLE IF NOT EXISTS wastewater_plants (
+        id SERIAL PRIMARY KEY,
+        pk VARCHAR(50),
+        label VARCHAR(255),
+        treatment_type VARCHAR(100),
+        capacity INTEGER,
+        pin_size INTEGER DEFAULT 2,
+        pin_color VARCHAR(7) DEFAULT '#3388ff',
+        icon_url VARCHAR(500),
+        opacity NUMERIC(3,2) DEFAULT 0.6,
+        geom GEOMETRY(POINT, 4326),
+        properties JSONB,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`,
+
+    // Gas Pipelines with enhanced performance columns
+    `CREATE TABLE IF NOT EXISTS gas_pipelines (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(255),
+        operator VARCHAR(255),
+        diameter INTEGER,
+        pressure_level VARCHAR(50),
+        pipeline_type VARCHAR(100),
+        line_color VARCHAR(7) DEFAULT '#00aa44',
+        line_weight INTEGER DEFAULT 4,
+        line_opacity NUMERIC(3,2) DEFAULT 0.8,
+        geom GEOMETRY(MULTILINESTRING, 4326),
+        simplified_geom GEOMETRY(MULTILINESTRING, 4326),
+        properties JSONB,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`,
+
+    // Gas Storage Sites with icon support
+    `CREATE TABLE IF NOT EXISTS gas_storage_sites (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(255),
+        operator VARCHAR(255),
+        storage_type VARCHAR(100),
+        capacity_bcm NUMERIC(10,3),
+        pin_size INTEGER DEFAULT 2,
+        pin_color VARCHAR(7) DEFAULT '#00cc88',
+        icon_url VARCHAR(500),
+        opacity NUMERIC(3,2) DEFAULT 0.5,
+        geom GEOMETRY(POINT, 4326),
+        properties JSONB,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`,
+
+    // Gas Distribution Points with icon support
+    `CREATE TABLE IF NOT EXISTS gas_distribution_points (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(255),
+        type VARCHAR(100),
+        operator VARCHAR(255),
+        pin_size INTEGER DEFAULT 1,
+        pin_color VARCHAR(7) DEFAULT '#00aa44',
+        icon_url VARCHAR(500),
+        opacity NUMERIC(3,2) DEFAULT 0.4,
+        geom GEOMETRY(POINT, 4326),
+        properties JSONB,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`,
+
+    // Compressor Stations with icon support
+    `CREATE TABLE IF NOT EXISTS compressor_stations (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(255),
+        operator VARCHAR(255),
+        capacity_info TEXT,
+        pin_size INTEGER DEFAULT 2,
+        pin_color VARCHAR(7) DEFAULT '#ffaa00',
+        icon_url VARCHAR(500),
+        opacity NUMERIC(3,2) DEFAULT 0.3,
+        geom GEOMETRY(POINT, 4326),
+        properties JSONB,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`,
+
+    // Groundwater Protection with simplified geometries
+    `CREATE TABLE IF NOT EXISTS groundwater_protection (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(255),
+        protection_zone VARCHAR(50),
+        fill_color VARCHAR(7) DEFAULT '#0066ff',
+        fill_opacity NUMERIC(3,2) DEFAULT 0.3,
+        border_color VARCHAR(7) DEFAULT '#0044cc',
+        border_weight INTEGER DEFAULT 2,
+        geom GEOMETRY(MULTIPOLYGON, 4326),
+        simplified_geom GEOMETRY(MULTIPOLYGON, 4326),
+        properties JSONB,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`,
+
+    // Conservation Areas with simplified geometries
+    `CREATE TABLE IF NOT EXISTS conservation_areas (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(255),
+        protection_level VARCHAR(100),
+        area_type VARCHAR(100),
+        fill_color VARCHAR(7) DEFAULT '#00ff00',
+        fill_opacity NUMERIC(3,2) DEFAULT 0.3,
+        border_color VARCHAR(7) DEFAULT '#00cc00',
+        border_weight INTEGER DEFAULT 2,
+        geom GEOMETRY(MULTIPOLYGON, 4326),
+        simplified_geom GEOMETRY(MULTIPOLYGON, 4326),
+        properties JSONB,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`,
+
+    // Settlement Areas with simplified geometries
+    `CREATE TABLE IF NOT EXISTS settlement_areas (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(255),
+        area_type VARCHAR(50),
+        population INTEGER,
+        fill_color VARCHAR(7) DEFAULT '#ff0000',
+        fill_opacity NUMERIC(3,2) DEFAULT 0.3,
+        border_color VARCHAR(7) DEFAULT '#cc0000',
+        border_weight INTEGER DEFAULT 2,
+        geom GEOMETRY(MULTIPOLYGON, 4326),
+        simplified_geom GEOMETRY(MULTIPOLYGON, 4326),
+        properties JSONB,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`,
+
+    // Highways with simplified geometries
+    `CREATE TABLE IF NOT EXISTS highways (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(255),
+        highway_number VARCHAR(50),
+        road_type VARCHAR(50),
+        line_color VARCHAR(7) DEFAULT '#666666',
+        line_weight INTEGER DEFAULT 3,
+        line_opacity NUMERIC(3,2) DEFAULT 0.7,
+        geom GEOMETRY(MULTILINESTRING, 4326),
+        simplified_geom GEOMETRY(MULTILINESTRING, 4326),
+        properties JSONB,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`,
+
+    // Railways with simplified geometries
+    `CREATE TABLE IF NOT EXISTS railways (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(255),
+        railway_type VARCHAR(50),
+        operator VARCHAR(255),
+        line_color VARCHAR(7) DEFAULT '#8B4513',
+        line_weight INTEGER DEFAULT 3,
+        line_opacity NUMERIC(3,2) DEFAULT 0.8,
+        geom GEOMETRY(MULTILINESTRING, 4326),
+        simplified_geom GEOMETRY(MULTILINESTRING, 4326),
+        properties JSONB,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`,
+
+    // Layer Styles Configuration
+    `CREATE TABLE IF NOT EXISTS layer_styles (
+        id SERIAL PRIMARY KEY,
+        layer_name VARCHAR(100) UNIQUE,
+        style_config JSONB,
+        is_active BOOLEAN DEFAULT TRUE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`,
+
+    // Admin Users table
+    `CREATE TABLE IF NOT EXISTS admin_users (
+        id SERIAL PRIMARY KEY,
+        username VARCHAR(50) UNIQUE NOT NULL,
+        email VARCHAR(255) UNIQUE,
+        password_hash VARCHAR(255) NOT NULL,
+        role VARCHAR(20) NOT NULL DEFAULT 'viewer' CHECK (role IN ('viewer', 'editor', 'admin')),
+        must_change_password BOOLEAN NOT NULL DEFAULT FALSE,
+        is_active BOOLEAN DEFAULT TRUE,
+        last_login TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`,
+
+    // Login sessions with hashed, rotating refresh tokens (see lib/session-store.js)
+    `CREATE TABLE IF NOT EXISTS admin_sessions (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES admin_users(id),
+        refresh_token_hash CHAR(64) NOT NULL,
+        previous_token_hash CHAR(64),
+        user_agent VARCHAR(255),
+        ip_address VARCHAR(64),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        last_used_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        expires_at TIMESTAMP NOT NULL,
+        revoked_at TIMESTAMP
+    )`,
+
+    // Audit Log for changes
+    `CREATE TABLE IF NOT EXISTS audit_log (
+        id SERIAL PRIMARY KEY,
+        table_name VARCHAR(100),
+        record_id INTEGER,
+        action VARCHAR(10), -- INSERT, UPDATE, DELETE, REVERT
+        old_values JSONB,
+        new_values JSONB,
+        user_id INTEGER REFERENCES admin_users(id),
+        reverts_entry_id INTEGER REFERENCES audit_log(id),
+        timestamp TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`,
+
+    // Layers created from shapefile uploads (registered by server.js at startup)
+    `CREATE TABLE IF NOT EXISTS uploaded_layers (
+        id SERIAL PRIMARY KEY,
+        table_name VARCHAR(63) UNIQUE NOT NULL,
+        title VARCHAR(255) NOT NULL,
+        geometry_type VARCHAR(10) NOT NULL,
+        columns JSONB NOT NULL,
+        style JSONB,
+        source_file VARCHAR(255),
+        feature_count INTEGER,
+        restricted BOOLEAN NOT NULL DEFAULT FALSE,
+        uploaded_by INTEGER REFERENCES admin_users(id),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`
+];
+
+// Columns added after the first release. Existing accounts become
+// administrators, since every account had full access before roles.
+const COLUMN_UPGRADES = [
+    `ALTER TABLE admin_users ADD COLUMN IF NOT EXISTS role VARCHAR(20) NOT NULL DEFAULT 'admin'
+        CHECK (role IN ('viewer', 'editor', 'admin'))`,
+    'ALTER TABLE admin_users ALTER COLUMN role SET DEFAULT \'viewer\'',
+    'ALTER TABLE admin_users ADD COLUMN IF NOT EXISTS must_change_password BOOLEAN NOT NULL DEFAULT FALSE',
+    'ALTER TABLE uploaded_layers ADD COLUMN IF NOT EXISTS restricted BOOLEAN NOT NULL DEFAULT FALSE',
+    'ALTER TABLE audit_log ADD COLUMN IF NOT EXISTS reverts_entry_id INTEGER REFERENCES audit_log(id)',
+
+    // co2_sources style columns, missing in databases from before the map styling
+    'ALTER TABLE co2_sources ADD COLUMN IF NOT EXISTS is_prominent BOOLEAN DEFAULT FALSE',
+    'ALTER TABLE co2_sources ADD COLUMN IF NOT EXISTS pin_size INTEGER DEFAULT 2',
+    'ALTER TABLE co2_sources ADD COLUMN IF NOT EXISTS pin_color VARCHAR(7) DEFAULT \'#ff4444\'',
+    'ALTER TABLE co2_sources ADD COLUMN IF NOT EXISTS icon_url VARCHAR(500)',
+    'ALTER TABLE co2_sources ADD COLUMN IF NOT EXISTS opacity NUMERIC(3,2) DEFAULT 1.0'
+];
+
+const INDEXES = [
+    // Spatial indexes for EPSG:4326 geometries
+    'CREATE INDEX IF NOT EXISTS idx_study_area_geom ON study_area_boundaries USING GIST (geom)',
+    'CREATE INDEX IF NOT EXISTS idx_co2_sources_geom ON co2_sources USING GIST (geom)',
+    'CREATE INDEX IF NOT EXISTS idx_co2_sources_prominent ON co2_sources(is_prominent, total_co2_t DESC)',
+    'CREATE INDEX IF NOT EXISTS idx_voting_districts_geom ON voting_districts USING GIST (geom)',
+    'CREATE INDEX IF NOT EXISTS idx_voting_districts_center ON voting_districts USING GIST (center_point)',
+    'CREATE INDEX IF NOT EXISTS idx_voting_districts_gkz ON voting_districts(gkz)',
+    'CREATE INDEX IF NOT EXISTS idx_voting_districts_valid ON voting_districts(geometry_valid)',
+    'CREATE INDEX IF NOT EXISTS idx_landfills_geom ON landfills USING GIST (geom)',
+    'CREATE INDEX IF NOT EXISTS idx_gravel_pits_geom ON gravel_pits USING GIST (geom)',
+    'CREATE INDEX IF NOT EXISTS idx_wastewater_plants_geom ON wastewater_plants USING GIST (geom)',
+    'CREATE INDEX IF NOT EXISTS idx_gas_pipelines_geom ON gas_pipelines USING GIST (geom)',
+    'CREATE INDEX IF NOT EXISTS idx_gas_pipelines_simplified ON gas_pipelines USING GIST (simplified_geom)',
+    'CREATE INDEX IF NOT EXISTS idx_gas_storage_sites_geom ON gas_storage_sites USING GIST (geom)',
+    'CREATE INDEX IF NOT EXISTS idx_gas_distribution_points_geom ON gas_distribution_points USING GIST (geom)',
+    'CREATE INDEX IF NOT EXISTS idx_compressor_stations_geom ON compressor_stations USING GIST (geom)',
+    'CREATE INDEX IF NOT EXISTS idx_groundwater_protection_geom ON groundwater_protection USING GIST (geom)',
+    'CREATE INDEX IF NOT EXISTS idx_groundwater_simplified ON groundwater_protection USING GIST (simplified_geom)',
+    'CREATE INDEX IF NOT EXISTS idx_conservation_areas_geom ON conservation_areas USING GIST (geom)',
+    'CREATE INDEX IF NOT EXISTS idx_conservation_simplified ON conservation_areas USING GIST (simplified_geom)',
+    'CREATE INDEX IF NOT EXISTS idx_settlement_areas_geom ON settlement_areas USING GIST (geom)',
+    'CREATE INDEX IF NOT EXISTS idx_settlement_simplified ON settlement_areas USING GIST (simplified_geom)',
+    'CREATE INDEX IF NOT EXISTS idx_highways_geom ON highways USING GIST (geom)',
+    'CREATE INDEX IF NOT EXISTS idx_highways_simplified ON highways USING GIST (simplified_geom)',
+    'CREATE INDEX IF NOT EXISTS idx_railways_geom ON railways USING GIST (geom)',
+    'CREATE INDEX IF NOT EXISTS idx_railways_simplified ON railways USING GIST (simplified_geom)',
+    
+    // Performance indexes for frequent queries
+    'CREATE INDEX IF NOT EXISTS idx_co2_sources_type ON co2_sources(plant_type)',
+    'CREATE INDEX IF NOT EXISTS idx_voting_left_green ON voting_districts(left_green_combined DESC)',
+    'CREATE INDEX IF NOT EXISTS idx_layer_styles_name ON layer_styles(layer_name)',
+    'CREATE INDEX IF NOT EXISTS idx_layer_styles_active ON layer_styles(is_active)',
+    'CREATE INDEX IF NOT EXISTS idx_admin_users_username ON admin_users(username)',
+    'CREATE INDEX IF NOT EXISTS idx_admin_users_email ON admin_users(email)',
+    'CREATE INDEX IF NOT EXISTS idx_admin_sessions_user ON admin_sessions(user_id) WHERE revoked_at IS NULL',
+    'CREATE INDEX IF NOT EXISTS idx_audit_log_table ON audit_log(table_name, record_id)',
+    'CREATE INDEX IF NOT EXISTS idx_audit_log_timestamp ON audit_log(timestamp DESC)',
+    
+    // Composite indexes for common queries
+    'CREATE INDEX IF NOT EXISTS idx_co2_sources_type_prominent ON co2_sources(plant_type, is_prominent, total_co2_t DESC)',
+    'CREATE INDEX IF NOT EXISTS idx_voting_name_gkz ON voting_districts(name, gkz)'
+];
+
+const FUNCTIONS = [
+    // Function to update geometry validity
+    `CREATE OR REPLACE FUNCTION update_geometry_validity()
+     RETURNS VOID AS $$
+     BEGIN
+        UPDATE voting_districts 
+        SET geometry_valid = (geom IS NOT NULL AND ST_IsValid(geom));
+     END;
+     $$ LANGUAGE plpgsql;`,
+
+    // Function to create simplified geometries for performance
+    `CREATE OR REPLACE FUNCTION create_simplified_geometries()
+     RETURNS VOID AS $$
+     BEGIN
+        UPDATE gas_pipelines 
+        SET simplified_geom = ST_Simplify(geom, 0.001)
+        WHERE geom IS NOT NULL;
+        
+        UPDATE groundwater_protection 
+        SET simplified_geom = ST_Simplify(geom, 0.001)
+        WHERE geom IS NOT NULL;
+        
+        UPDATE conservation_areas 
+        SET simplified_geom = ST_Simplify(geom, 0.001)
+        WHERE geom IS NOT NULL;
+        
+        UPDATE settlement_areas 
+        SET simplified_geom = ST_Simplify(geom, 0.001)
+        WHERE geom IS NOT NULL;
+        
+        UPDATE highways 
+        SET simplified_geom = ST_Simplify(geom, 0.001)
+        WHERE geom IS NOT NULL;
+        
+        UPDATE railways 
+        SET simplified_geom = ST_Simplify(geom, 0.001)
+        WHERE geom IS NOT NULL;
+     END;
+     $$ LANGUAGE plpgsql;`,
+
+    // Trigger function for updated_at timestamps
+    `CREATE OR REPLACE FUNCTION update_updated_at_column()
+     RETURNS TRIGGER AS $$
+     BEGIN
+        NEW.updated_at = CURRENT_TIMESTAMP;
+        RETURN NEW;
+     END;
+     $$ LANGUAGE plpgsql;`
+];
+
+// Tables whose updated_at is set by update_updated_at_column()
+const TIMESTAMP_TABLES = [
+    'co2_sources', 'voting_districts', 'landfills', 'gravel_pits',
+    'wastewater_plants', 'gas_pipelines', 'gas_storage_sites',
+    'gas_distribution_points', 'compressor_stations', 'study_area_boundaries',
+    'groundwater_protection', 'conservation_areas', 'settlement_areas',
+    'highways', 'railways', 'layer_styles', 'admin_users'
+];
+
+module.exports = {
+    description: 'Layer tables, styles, admin users, sessions, audit log and uploaded layers',
+
+    async up(client) {
+        for (const statement of [...TABLES, ...COLUMN_UPGRADES, ...INDEXES, ...FUNCTIONS]) {
+            await client.query(statement);
+        }
+
+        for (const table of TIMESTAMP_TABLES) {
+            await client.query(`DROP TRIGGER IF EXISTS update_${table}_updated_at ON ${table}`);
+            await client.query(`
+                CREATE TRIGGER update_${table}_updated_at
+                BEFORE UPDATE ON ${table}
+                FOR EACH ROW EXECUTE FUNCTION update_updated_at_column()
+            `);
+        }
+    }
+};
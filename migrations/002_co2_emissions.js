@@ -0,0 +1,37 @@
+// ========================================
+// 002 YEARLY CO2 EMISSIONS
+// ========================================
+// Emissions by year per CO2 source for the map's year slider and the popup
+// trend. co2_sources keeps the current figures. IF NOT EXISTS because
+// setup-database.js created this table before it became a migration.
+
+module.exports = {
+    description: 'co2_emissions table with yearly figures per CO2 source',
+
+    async up(client) {
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS co2_emissions (
+                id SERIAL PRIMARY KEY,
+                source_id INTEGER NOT NULL REFERENCES co2_sources(id) ON DELETE CASCADE,
+                year INTEGER NOT NULL CHECK (year BETWEEN 1900 AND 2100),
+                total_co2_t NUMERIC(12,2) DEFAULT 0,
+                fossil_co2_t NUMERIC(12,2) DEFAULT 0,
+                biogenic_co2_t NUMERIC(12,2) DEFAULT 0,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE (source_id, year)
+            )
+        `);
+        await client.query('CREATE INDEX IF NOT EXISTS idx_co2_emissions_year ON co2_emissions(year)');
+        await client.query('DROP TRIGGER IF EXISTS update_co2_emissions_updated_at ON co2_emissions');
+        await client.query(`
+            CREATE TRIGGER update_co2_emissions_updated_at
+            BEFORE UPDATE ON co2_emissions
+            FOR EACH ROW EXECUTE FUNCTION update_updated_at_column()
+        `);
+    },
+
+    async down(client) {
+        await client.query('DROP TABLE IF EXISTS co2_emissions');
+    }
+};
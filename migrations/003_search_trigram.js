@@ -0,0 +1,52 @@
+// ========================================
+// 003 SEARCH TRIGRAM INDEXES
+// ========================================
+// pg_trgm and GIN trigram indexes for /api/search. The search matches
+// search_normalize(column), so the indexes are built on the same expression;
+// changing the normalization means a new migration that rebuilds them.
+
+// Columns /api/search matches (registry searchFields and the communes)
+const SEARCH_COLUMNS = [
+    ['co2_sources', 'plant_name'],
+    ['voting_districts', 'name'],
+    ['landfills', 'location_name'],
+    ['landfills', 'company_name'],
+    ['gravel_pits', 'name'],
+    ['wastewater_plants', 'label'],
+    ['gas_storage_sites', 'name'],
+    ['gas_storage_sites', 'operator'],
+    ['study_area_boundaries', 'g_name']
+];
+
+const indexName = (table, column) => `idx_${table}_${column}_trgm`;
+
+module.exports = {
+    description: 'pg_trgm extension and trigram indexes for the place search',
+
+    async up(client) {
+        await client.query('CREATE EXTENSION IF NOT EXISTS pg_trgm');
+
+        // Lower-case and spell out umlauts so "Klaeranlage" matches "Kläranlage"
+        await client.query(`
+            CREATE OR REPLACE FUNCTION search_normalize(value TEXT)
+            RETURNS TEXT AS $$
+                SELECT replace(replace(replace(replace(lower(value), 'ä', 'ae'), 'ö', 'oe'), 'ü', 'ue'), 'ß', 'ss')
+            $$ LANGUAGE sql IMMUTABLE PARALLEL SAFE
+        `);
+
+        for (const [table, column] of SEARCH_COLUMNS) {
+            await client.query(`
+                CREATE INDEX IF NOT EXISTS ${indexName(table, column)}
+                ON ${table} USING GIN (search_normalize(${column}) gin_trgm_ops)
+            `);
+        }
+    },
+
+    // Keeps the extension, which other database objects may use by now
+    async down(client) {
+        for (const [table, column] of SEARCH_COLUMNS) {
+            await client.query(`DROP INDEX IF EXISTS ${indexName(table, column)}`);
+        }
+        await client.query('DROP FUNCTION IF EXISTS search_normalize(TEXT)');
+    }
+};
@@ -11,39 +11,94 @@ class CO2StorageAtlas {
         this.currentZoom = 8;
         this.performanceMode = true;
         this.authToken = null;
+        this.refreshToken = null;
+        this.refreshPromise = null;
+        this.currentUser = null;
+        this.sessionTimer = null;
+        this.pendingSession = null;
+        this.users = [];
+        this.historyEntries = [];
+        this.featureSchema = null;
+        this.featureSearchTimer = null;
+        this.shapeEditor = null;
         this.existingSources = [];
         this.editingSource = null;
         
         // Performance tracking
-        this.loadingSteps = [
-            'Connecting to database...',
-            'Loading CO₂ sources...',
-            'Loading voting districts...',
-            'Loading infrastructure...',
-            'Loading transport networks...',
-            'Loading unsuitable areas...',
-            'Initializing clustering...',
-            'Optimizing performance...',
-            'Finalizing map...'
-        ];
-        this.currentStep = 0;
         this.layerCounts = {};
         this.featureCounts = {
             total: 0,
             visible: 0
         };
 
-        // PNG icon configurations
-        this.iconConfigs = {
-            co2_sources: { path: '/icons/CO₂ Sources.png', size: [24, 24], opacity: 0.9 },
-            landfills: { path: '/icons/Landfills.png', size: [20, 20], opacity: 0.8 },
-            gravel_pits: { path: '/icons/Gravel Pits.png', size: [18, 18], opacity: 0.7 },
-            wastewater_plants: { path: '/icons/Wastewater Plants.png', size: [20, 20], opacity: 0.6 },
-            gas_storage_sites: { path: '/icons/Gas Storage.png', size: [22, 22], opacity: 0.5 },
-            gas_distribution_points: { path: '/icons/Gas Distribution.png', size: [16, 16], opacity: 0.4 },
-            compressor_stations: { path: '/icons/Compressor Stations.png', size: [20, 20], opacity: 0.3 }
+        // Layer registry (/api/layers) and lookups derived from it
+        this.layerRegistry = [];
+        this.layerGroupsConfig = [];
+        this.layerIndex = {};
+
+        // PNG icon configurations by table, filled from the registry
+        this.iconConfigs = {};
+
+        // Layers rendered from /api/tiles instead of one big JSON download
+        // (registry entries with tiles: true start in tile mode)
+        this.tileMode = {};
+
+        // Attribute filters sent with layer exports, by table ({ field: value })
+        this.layerFilters = {};
+
+        // Server-side analysis results, loaded the first time they are switched on
+        // (checkboxes with data-analysis-key in the Analysis panel)
+        this.analysisLayers = {};
+        this.analysisLoaders = {
+            suitableArea: () => this.loadSuitableArea(),
+            sourceSinkMatches: () => this.loadSourceSinkMatches()
         };
-        
+
+        // Voting district polygons by id, so the choropleth can switch between
+        // the Left+Green share and CO₂ emissions (/api/aggregates/emissions-by-district)
+        this.districtShapes = {};
+        this.districtColorMode = 'voting';
+        this.districtEmissions = null;
+
+        // Year shown for CO₂ sources (null: the current figures in co2_sources)
+        this.co2Year = null;
+        this.emissionYears = [];
+
+        // Emission classes (t CO₂/year) for the district choropleth
+        this.emissionClasses = [
+            { min: 500000, color: '#a50f15' },
+            { min: 100000, color: '#de2d26' },
+            { min: 50000, color: '#fb6a4a' },
+            { min: 10000, color: '#fc9272' },
+            { min: 1000, color: '#fcbba1' },
+            { min: 1, color: '#fee5d9' },
+            { min: 0, color: '#f0f0f0' }
+        ];
+
+        // Layers with their own loader; all others use the generic point/line/polygon loaders
+        this.customLoaders = {
+            voting_districts: () => this.loadVotingChoropleth(),
+            co2_sources: () => this.loadCO2Sources()
+        };
+
+        // Layer-specific popups; registry layers without one get createGenericPopup
+        this.popupRenderers = {
+            voting_districts: (p) => this.createVotingPopup(p),
+            co2_sources: (p) => this.createCO2Popup(p),
+            landfills: (p) => this.createLandfillPopup(p),
+            gravel_pits: (p) => this.createGravelPitPopup(p),
+            wastewater_plants: (p) => this.createWastewaterPopup(p),
+            gas_pipelines: (p) => this.createPipelinePopup(p),
+            gas_storage_sites: (p) => this.createGasStoragePopup(p),
+            gas_distribution_points: (p) => this.createGasDistributionPopup(p),
+            compressor_stations: (p) => this.createCompressorPopup(p),
+            highways: (p) => this.createHighwayPopup(p),
+            railways: (p) => this.createRailwayPopup(p),
+            groundwater_protection: (p) => this.createGroundwaterPopup(p),
+            conservation_areas: (p) => this.createConservationPopup(p),
+            settlement_areas: (p) => this.createSettlementPopup(p)
+        };
+
         this.init();
     }
 
@@ -54,6 +109,9 @@ class CO2StorageAtlas {
         try {
             this.initMap();
             this.initBaseMaps();
+            await this.restoreSession();
+            await this.loadLayerRegistry();
+            this.renderLayerPanel();
             this.initLayerGroups();
             this.initClusterGroups();
             this.setupEventListeners();
@@ -65,6 +123,7 @@ class CO2StorageAtlas {
             }
             
             await this.loadAllLayers();
+            await this.loadEmissionYears();
             this.updateStatistics();
             this.updateDataQuality();
             this.enablePerformanceOptimizations();
@@ -157,129 +216,127 @@ class CO2StorageAtlas {
         console.log('✅ Base maps initialized');
     }
 
+    // Fetch the layer registry that drives the layer panel, layer groups and loaders
+    async loadLayerRegistry() {
+        const response = await fetch('/api/layers', { headers: this.authHeaders() });
+        if (!response.ok) throw new Error(`Layer registry unavailable (HTTP ${response.status})`);
+
+        const registry = await response.json();
+        this.layerGroupsConfig = registry.groups;
+        this.layerRegistry = registry.layers;
+
+        this.layerRegistry.forEach(layer => {
+            this.layerIndex[layer.key] = layer;
+            if (layer.icon) {
+                this.iconConfigs[layer.table] = layer.icon;
+            }
+            if (layer.tiles) {
+                this.tileMode[layer.key] = true;
+            }
+        });
+
+        console.log(`✅ Layer registry loaded (${this.layerRegistry.length} layers)`);
+    }
+
+    renderLayerPanel() {
+        const container = document.getElementById('layer-panel');
+        if (!container) return;
+
+        container.innerHTML = this.layerGroupsConfig.map(group => {
+            const layers = this.layerRegistry.filter(layer => layer.group === group.id);
+            if (layers.length === 0) return '';
+
+            return `
+                <div class="layer-controls">
+                    <h4>${group.title}</h4>
+                    ${layers.map(layer => this.createLayerControl(layer)).join('')}
+                </div>
+            `;
+        }).join('');
+
+        const layersStatus = document.getElementById('layers-status');
+        if (layersStatus) {
+            layersStatus.textContent = `0/${this.layerRegistry.length} loaded`;
+        }
+    }
+
+    createLayerControl(layer) {
+        return `
+            <div class="layer-control">
+                <input type="checkbox" id="layer-${layer.key}" data-layer-key="${layer.key}" ${layer.visible ? 'checked' : ''}>
+                <label for="layer-${layer.key}" title="${layer.description || ''}">
+                    <span class="layer-name">${layer.title}</span>
+                    <span class="layer-count" id="${layer.key}-count">(0)</span>
+                </label>
+                ${this.createLayerLegend(layer)}
+                <select class="layer-export" data-export-table="${layer.table}" title="Export the features in the current map view">
+                    <option value="" selected>⬇</option>
+                    <option value="csv">CSV</option>
+                    <option value="xlsx">Excel</option>
+                    <option value="shp">Shapefile</option>
+                    <option value="kml">KML</option>
+                </select>
+            </div>
+        `;
+    }
+
+    createLayerLegend(layer) {
+        const style = layer.style || {};
+
+        if (layer.legend) {
+            return `<div class="layer-legend ${layer.legend.className}" title="${layer.legend.title || ''}"></div>`;
+        }
+        if (layer.icon) {
+            return `<div class="layer-legend layer-icon"><img src="${layer.icon.path}" alt="${layer.title}" class="legend-icon"></div>`;
+        }
+        if (layer.geometryType === 'line') {
+            return `<div class="layer-legend line-legend${style.dashArray ? ' dashed' : ''}" 
+                         style="background: ${style.color || '#3388ff'}; height: ${style.weight || 3}px; border-radius: 2px;"></div>`;
+        }
+        if (layer.geometryType === 'polygon') {
+            return `<div class="layer-legend area-legend" 
+                         style="background: ${this.hexToRgba(style.fillColor || '#3388ff', style.fillOpacity || 0.3)}; border: 2px solid ${style.borderColor || '#3388ff'};"></div>`;
+        }
+        return `<div class="layer-legend" style="background: ${style.color || '#3388ff'}; width: 10px; height: 10px; border-radius: 50%;"></div>`;
+    }
+
     initLayerGroups() {
-        // Primary layers (voting districts always added, CO2 sources to be checked by default)
-        this.layers.votingDistricts = L.layerGroup().addTo(this.map);
-        this.layers.co2Sources = L.layerGroup(); // Will be added via cluster
-        
-        // Infrastructure layers
-        this.layers.landfills = L.layerGroup();
-        this.layers.gravelPits = L.layerGroup();
-        this.layers.wastewaterPlants = L.layerGroup();
-        
-        // Gas infrastructure
-        this.layers.gasPipelines = L.layerGroup();
-        this.layers.gasStorage = L.layerGroup();
-        this.layers.gasDistribution = L.layerGroup();
-        this.layers.compressorStations = L.layerGroup();
-        
-        // Transport layers
-        this.layers.highways = L.layerGroup();
-        this.layers.railways = L.layerGroup();
-        
-        // Unsuitable areas
-        this.layers.groundwaterProtection = L.layerGroup();
-        this.layers.conservationAreas = L.layerGroup();
-        this.layers.settlementAreas = L.layerGroup();
+        this.layerRegistry.forEach(layer => {
+            this.layers[layer.key] = L.layerGroup();
+
+            // Clustered layers are added to the map in initializeClusters once loaded
+            if (layer.visible && !layer.cluster) {
+                this.layers[layer.key].addTo(this.map);
+            }
+        });
+
+        Object.keys(this.analysisLoaders).forEach(key => {
+            this.analysisLayers[key] = L.layerGroup();
+        });
+        this.routeLayer = L.layerGroup().addTo(this.map);
+        this.nearbyLayer = L.layerGroup().addTo(this.map);
+        this.searchLayer = L.layerGroup().addTo(this.map);
 
         console.log('✅ Layer groups initialized');
     }
 
     initClusterGroups() {
-        // Cluster configurations for different layer types
-        const clusterConfigs = {
-            co2Sources: {
-                maxClusterRadius: 50,
-                disableClusteringAtZoom: 15,
-                showCoverageOnHover: false,
-                animate: true,
+        // Cluster configurations come from the registry entries of point layers
+        this.layerRegistry.filter(layer => layer.cluster).forEach(layer => {
+            const { className, iconSize, sizeByCount, ...options } = layer.cluster;
+
+            this.clusterGroups[layer.key] = L.markerClusterGroup({
+                ...options,
                 iconCreateFunction: function(cluster) {
                     const count = cluster.getChildCount();
-                    const size = count < 10 ? 'small' : count < 100 ? 'medium' : 'large';
+                    const size = !sizeByCount ? 'small' : count < 10 ? 'small' : count < 100 ? 'medium' : 'large';
                     return new L.DivIcon({
-                        html: `<div class="cluster-inner co2-cluster">${count}</div>`,
+                        html: `<div class="cluster-inner ${className}">${count}</div>`,
                         className: `cluster-marker cluster-${size}`,
-                        iconSize: new L.Point(40, 40)
-                    });
-                }
-            },
-            landfills: {
-                maxClusterRadius: 40,
-                disableClusteringAtZoom: 13,
-                iconCreateFunction: function(cluster) {
-                    const count = cluster.getChildCount();
-                    return new L.DivIcon({
-                        html: `<div class="cluster-inner landfill-cluster">${count}</div>`,
-                        className: `cluster-marker cluster-small`,
-                        iconSize: new L.Point(35, 35)
-                    });
-                }
-            },
-            gravelPits: {
-                maxClusterRadius: 40,
-                disableClusteringAtZoom: 13,
-                iconCreateFunction: function(cluster) {
-                    const count = cluster.getChildCount();
-                    return new L.DivIcon({
-                        html: `<div class="cluster-inner gravel-cluster">${count}</div>`,
-                        className: `cluster-marker cluster-small`,
-                        iconSize: new L.Point(35, 35)
-                    });
-                }
-            },
-            wastewaterPlants: {
-                maxClusterRadius: 45,
-                disableClusteringAtZoom: 14,
-                iconCreateFunction: function(cluster) {
-                    const count = cluster.getChildCount();
-                    return new L.DivIcon({
-                        html: `<div class="cluster-inner wastewater-cluster">${count}</div>`,
-                        className: `cluster-marker cluster-small`,
-                        iconSize: new L.Point(35, 35)
-                    });
-                }
-            },
-            gasStorage: {
-                maxClusterRadius: 60,
-                disableClusteringAtZoom: 12,
-                iconCreateFunction: function(cluster) {
-                    const count = cluster.getChildCount();
-                    return new L.DivIcon({
-                        html: `<div class="cluster-inner gas-storage-cluster">${count}</div>`,
-                        className: `cluster-marker cluster-small`,
-                        iconSize: new L.Point(35, 35)
-                    });
-                }
-            },
-            gasDistribution: {
-                maxClusterRadius: 35,
-                disableClusteringAtZoom: 12,
-                iconCreateFunction: function(cluster) {
-                    const count = cluster.getChildCount();
-                    return new L.DivIcon({
-                        html: `<div class="cluster-inner gas-distribution-cluster">${count}</div>`,
-                        className: `cluster-marker cluster-small`,
-                        iconSize: new L.Point(30, 30)
-                    });
-                }
-            },
-            compressorStations: {
-                maxClusterRadius: 50,
-                disableClusteringAtZoom: 13,
-                iconCreateFunction: function(cluster) {
-                    const count = cluster.getChildCount();
-                    return new L.DivIcon({
-                        html: `<div class="cluster-inner compressor-cluster">${count}</div>`,
-                        className: `cluster-marker cluster-small`,
-                        iconSize: new L.Point(35, 35)
+                        iconSize: new L.Point(iconSize, iconSize)
                     });
                 }
-            }
-        };
-
-        // Create cluster groups
-        Object.keys(clusterConfigs).forEach(layerName => {
-            this.clusterGroups[layerName] = L.markerClusterGroup(clusterConfigs[layerName]);
+            });
         });
 
         console.log('✅ Cluster groups initialized');
@@ -355,24 +412,9 @@ class CO2StorageAtlas {
     async loadAllLayers() {
         console.log('🔄 Loading all map layers...');
         let loadedCount = 0;
-        const totalLayers = 14;
+        const totalLayers = this.layerRegistry.length;
         
-        const layerPromises = [
-            this.loadVotingChoropleth(),
-            this.loadCO2Sources(),
-            this.loadLandfills(),
-            this.loadGravelPits(),
-            this.loadWastewaterPlants(),
-            this.loadGasPipelines(),
-            this.loadGasStorage(),
-            this.loadGasDistribution(),
-            this.loadCompressorStations(),
-            this.loadGroundwaterProtection(),
-            this.loadConservationAreas(),
-            this.loadSettlementAreas(),
-            this.loadHighways(),
-            this.loadRailways()
-        ];
+        const layerPromises = this.layerRegistry.map(layer => this.loadLayer(layer));
 
         // Load layers with progress tracking
         for (let i = 0; i < layerPromises.length; i++) {
@@ -380,9 +422,9 @@ class CO2StorageAtlas {
                 await layerPromises[i];
                 loadedCount++;
                 const progress = Math.round((loadedCount / totalLayers) * 90); // Leave 10% for finalization
-                this.updateLoadingStatus(this.loadingSteps[Math.min(i, this.loadingSteps.length - 1)], progress);
+                this.updateLoadingStatus(`Loading ${this.layerRegistry[i].title}...`, progress);
             } catch (error) {
-                console.error(`Failed to load layer ${i}:`, error);
+                console.error(`Failed to load layer ${this.layerRegistry[i].key}:`, error);
                 // Continue loading other layers
             }
         }
@@ -403,11 +445,20 @@ class CO2StorageAtlas {
         console.log(`✅ Loaded ${loadedCount}/${totalLayers} layers successfully`);
     }
 
-    initializeClusters() {
-        // Add CO2 sources cluster group to map by default (checked)
-        if (this.clusterGroups.co2Sources && this.clusterGroups.co2Sources.getLayers().length > 0) {
-            this.map.addLayer(this.clusterGroups.co2Sources);
+    loadLayer(layer) {
+        if (this.customLoaders[layer.table]) {
+            return this.customLoaders[layer.table]();
         }
+        return layer.geometryType === 'point' ? this.loadPointLayer(layer) : this.loadVectorLayer(layer);
+    }
+
+    initializeClusters() {
+        // Add clustered layers that are checked by default (CO2 sources) to the map
+        this.layerRegistry.filter(layer => layer.visible && this.clusterGroups[layer.key]).forEach(layer => {
+            if (this.clusterGroups[layer.key].getLayers().length > 0) {
+                this.map.addLayer(this.clusterGroups[layer.key]);
+            }
+        });
 
         // Update active cluster count
         this.updateActiveClusterCount();
@@ -422,6 +473,7 @@ class CO2StorageAtlas {
             const data = await response.json();
             let count = 0;
             let validGeometryCount = 0;
+            this.districtShapes = {};
             
             data.forEach(district => {
                 count++; // Count all imported districts
@@ -444,7 +496,8 @@ class CO2StorageAtlas {
                             }
                         });
 
-                        polygon.bindPopup(this.createVotingPopup(district));
+                        // No popup of its own: clicks fall through to the "What's here?"
+                        // point report, which includes the district's voting results
                         
                         polygon.on({
                             mouseover: (e) => {
@@ -463,6 +516,7 @@ class CO2StorageAtlas {
                             }
                         });
 
+                        this.districtShapes[district.id] = { shape: polygon, name: district.name, votingColor: fillColor };
                         this.layers.votingDistricts.addLayer(polygon);
                     } catch (error) {
                         console.warn('Invalid voting district geometry:', error);
@@ -470,8 +524,13 @@ class CO2StorageAtlas {
                 }
             });
             
-            this.layerCounts.voting = validGeometryCount;
-            this.updateLayerCount('voting-count', validGeometryCount);
+            this.layerCounts.votingDistricts = validGeometryCount;
+            this.updateLayerCount('votingDistricts-count', validGeometryCount);
+
+            if (this.districtColorMode === 'emissions') {
+                this.districtEmissions = null;
+                await this.setDistrictColorMode('emissions');
+            }
             console.log(`✅ Loaded ${validGeometryCount} voting districts with valid geometry (${count} total imported)`);
             
             // If there's a significant difference, show a warning
@@ -480,14 +539,14 @@ class CO2StorageAtlas {
             }
         } catch (error) {
             console.error('❌ Error loading voting districts:', error);
-            this.layerCounts.voting = 0;
-            this.updateLayerCount('voting-count', 0);
+            this.layerCounts.votingDistricts = 0;
+            this.updateLayerCount('votingDistricts-count', 0);
         }
     }
 
     async loadCO2Sources() {
         try {
-            const response = await fetch('/api/co2-sources-enhanced');
+            const response = await fetch(`/api/co2-sources-enhanced${this.co2Year ? `?year=${this.co2Year}` : ''}`);
             if (!response.ok) throw new Error(`HTTP ${response.status}`);
             
             const data = await response.json();
@@ -514,7 +573,8 @@ class CO2StorageAtlas {
                             marker = this.createFallbackMarker(source, source.pin_color || '#ff4444', size, 0.9);
                         }
 
-                        marker.bindPopup(this.createCO2Popup(source));
+                        marker.bindPopup(this.createLayerPopup(this.layerIndex.co2Sources, source));
+                        marker.on('popupopen', (e) => this.renderEmissionSparkline(source, e.popup.getElement()));
                         
                         // Admin edit functionality
                         if (this.isAuthenticated) {
@@ -532,490 +592,280 @@ class CO2StorageAtlas {
                 }
             });
             
-            this.layerCounts.co2 = count;
-            this.updateLayerCount('co2-count', count);
-            console.log(`✅ Loaded ${count} CO₂ sources`);
+            this.layerCounts.co2Sources = count;
+            this.updateLayerCount('co2Sources-count', count);
+            console.log(`✅ Loaded ${count} CO₂ sources${this.co2Year ? ` for ${this.co2Year}` : ''}`);
         } catch (error) {
             console.error('❌ Error loading CO₂ sources:', error);
-            this.layerCounts.co2 = 0;
-            this.updateLayerCount('co2-count', 0);
+            this.layerCounts.co2Sources = 0;
+            this.updateLayerCount('co2Sources-count', 0);
         }
     }
 
-    async loadLandfills() {
+    // Years with figures in co2_emissions; the year slider is hidden without any
+    async loadEmissionYears() {
         try {
-            const response = await fetch('/api/landfills-enhanced');
+            const response = await fetch('/api/co2-sources/years');
             if (!response.ok) throw new Error(`HTTP ${response.status}`);
-            
-            const data = await response.json();
-            let count = 0;
-            
-            data.forEach(landfill => {
-                if (landfill.latitude && landfill.longitude && landfill.geom_valid !== false) {
-                    const customIcon = this.createCustomIcon('landfills', landfill);
-                    let marker;
-                    
-                    if (customIcon) {
-                        marker = L.marker([landfill.latitude, landfill.longitude], { 
-                            icon: customIcon,
-                            riseOnHover: true
-                        });
-                    } else {
-                        marker = this.createFallbackMarker(landfill, landfill.pin_color || '#ff8800', 8, 0.8);
-                    }
 
-                    marker.bindPopup(this.createLandfillPopup(landfill));
-                    this.clusterGroups.landfills.addLayer(marker);
-                    count++;
-                }
-            });
-            
-            this.layerCounts.landfills = count;
-            this.updateLayerCount('landfills-count', count);
-            console.log(`✅ Loaded ${count} landfills`);
+            const { years } = await response.json();
+            this.emissionYears = years.map(entry => entry.year);
         } catch (error) {
-            console.error('❌ Error loading landfills:', error);
-            this.layerCounts.landfills = 0;
-            this.updateLayerCount('landfills-count', 0);
+            console.warn('Could not load emission years:', error);
+            this.emissionYears = [];
         }
-    }
 
-    async loadGravelPits() {
-        try {
-            const response = await fetch('/api/gravel-pits-enhanced');
-            if (!response.ok) throw new Error(`HTTP ${response.status}`);
-            
-            const data = await response.json();
-            let count = 0;
-            
-            data.forEach(pit => {
-                if (pit.latitude && pit.longitude && pit.geom_valid !== false) {
-                    const customIcon = this.createCustomIcon('gravel_pits', pit);
-                    let marker;
-                    
-                    if (customIcon) {
-                        marker = L.marker([pit.latitude, pit.longitude], { 
-                            icon: customIcon,
-                            riseOnHover: true
-                        });
-                    } else {
-                        marker = this.createFallbackMarker(pit, pit.pin_color || '#8855aa', 6, 0.7);
-                    }
+        const controls = document.getElementById('emission-year-controls');
+        const slider = document.getElementById('emission-year');
+        if (!controls || !slider) return;
 
-                    marker.bindPopup(this.createGravelPitPopup(pit));
-                    this.clusterGroups.gravelPits.addLayer(marker);
-                    count++;
-                }
-            });
-            
-            this.layerCounts.gravel = count;
-            this.updateLayerCount('gravel-count', count);
-            console.log(`✅ Loaded ${count} gravel pits`);
-        } catch (error) {
-            console.error('❌ Error loading gravel pits:', error);
-            this.layerCounts.gravel = 0;
-            this.updateLayerCount('gravel-count', 0);
+        controls.style.display = this.emissionYears.length > 0 ? '' : 'none';
+        slider.max = this.emissionYears.length;
+
+        if (this.co2Year && !this.emissionYears.includes(this.co2Year)) {
+            await this.setEmissionYear(null);
+        } else {
+            this.updateEmissionYearControls();
         }
     }
 
-    async loadWastewaterPlants() {
-        try {
-            const response = await fetch('/api/wastewater-plants-enhanced');
-            if (!response.ok) throw new Error(`HTTP ${response.status}`);
-            
-            const data = await response.json();
-            let count = 0;
-            
-            data.forEach(plant => {
-                if (plant.latitude && plant.longitude && plant.geom_valid !== false) {
-                    const customIcon = this.createCustomIcon('wastewater_plants', plant);
-                    let marker;
-                    
-                    if (customIcon) {
-                        marker = L.marker([plant.latitude, plant.longitude], { 
-                            icon: customIcon,
-                            riseOnHover: true
-                        });
-                    } else {
-                        marker = this.createFallbackMarker(plant, plant.pin_color || '#3388ff', 8, 0.6);
-                    }
-
-                    marker.bindPopup(this.createWastewaterPopup(plant));
-                    this.clusterGroups.wastewaterPlants.addLayer(marker);
-                    count++;
-                }
-            });
-            
-            this.layerCounts.wastewater = count;
-            this.updateLayerCount('wastewater-count', count);
-            console.log(`✅ Loaded ${count} wastewater plants`);
-        } catch (error) {
-            console.error('❌ Error loading wastewater plants:', error);
-            this.layerCounts.wastewater = 0;
-            this.updateLayerCount('wastewater-count', 0);
+    // Show the CO₂ sources with the figures of one year, or the current ones (null)
+    async setEmissionYear(year) {
+        if (year === this.co2Year) {
+            this.updateEmissionYearControls();
+            return;
         }
+
+        this.co2Year = year;
+        this.updateEmissionYearControls();
+        this.clusterGroups.co2Sources.clearLayers();
+        await this.loadCO2Sources();
+        this.updateStatistics();
     }
 
-    async loadGasStorage() {
-        try {
-            const response = await fetch('/api/gas-storage-sites-enhanced');
-            if (!response.ok) throw new Error(`HTTP ${response.status}`);
-            
-            const data = await response.json();
-            let count = 0;
-            
-            data.forEach(storage => {
-                if (storage.latitude && storage.longitude && storage.geom_valid !== false) {
-                    const customIcon = this.createCustomIcon('gas_storage_sites', storage);
-                    let marker;
-                    
-                    if (customIcon) {
-                        marker = L.marker([storage.latitude, storage.longitude], { 
-                            icon: customIcon,
-                            riseOnHover: true
-                        });
-                    } else {
-                        marker = this.createFallbackMarker(storage, storage.pin_color || '#00cc88', 10, 0.5);
-                    }
+    // Slider position and label for this.co2Year; the position after the last year is "Current"
+    updateEmissionYearControls(previewYear = this.co2Year) {
+        const slider = document.getElementById('emission-year');
+        const label = document.getElementById('emission-year-label');
+        const resetBtn = document.getElementById('emission-year-reset');
 
-                    marker.bindPopup(this.createGasStoragePopup(storage));
-                    this.clusterGroups.gasStorage.addLayer(marker);
-                    count++;
-                }
-            });
-            
-            this.layerCounts.storage = count;
-            this.updateLayerCount('storage-count', count);
-            console.log(`✅ Loaded ${count} gas storage sites`);
-        } catch (error) {
-            console.error('❌ Error loading gas storage sites:', error);
-            this.layerCounts.storage = 0;
-            this.updateLayerCount('storage-count', 0);
+        if (slider && previewYear === this.co2Year) {
+            slider.value = this.co2Year ? this.emissionYears.indexOf(this.co2Year) : slider.max;
+        }
+        if (label) {
+            label.textContent = previewYear || 'Current';
+        }
+        if (resetBtn) {
+            resetBtn.disabled = !this.co2Year;
         }
     }
 
-    async loadGasDistribution() {
+    // Trend of the yearly totals of a CO₂ source, drawn into the open popup
+    async renderEmissionSparkline(source, popupElement) {
+        const container = popupElement && popupElement.querySelector('.co2-sparkline');
+        if (!container) return;
+
         try {
-            const response = await fetch('/api/gas-distribution-points-enhanced');
+            const response = await fetch(`/api/co2-sources/${source.id}/emissions`);
             if (!response.ok) throw new Error(`HTTP ${response.status}`);
-            
-            const data = await response.json();
-            let count = 0;
-            
-            data.forEach(point => {
-                if (point.latitude && point.longitude && point.geom_valid !== false) {
-                    const customIcon = this.createCustomIcon('gas_distribution_points', point);
-                    let marker;
-                    
-                    if (customIcon) {
-                        marker = L.marker([point.latitude, point.longitude], { 
-                            icon: customIcon,
-                            riseOnHover: true
-                        });
-                    } else {
-                        marker = this.createFallbackMarker(point, point.pin_color || '#00aa44', 4, 0.4);
-                    }
 
-                    marker.bindPopup(this.createGasDistributionPopup(point));
-                    this.clusterGroups.gasDistribution.addLayer(marker);
-                    count++;
-                }
-            });
-            
-            this.layerCounts.distribution = count;
-            this.updateLayerCount('distribution-count', count);
-            console.log(`✅ Loaded ${count} gas distribution points`);
+            container.innerHTML = this.createSparkline(await response.json());
         } catch (error) {
-            console.error('❌ Error loading gas distribution points:', error);
-            this.layerCounts.distribution = 0;
-            this.updateLayerCount('distribution-count', 0);
+            console.warn(`Could not load emissions of CO₂ source ${source.id}:`, error);
         }
     }
 
-    async loadCompressorStations() {
+    createSparkline(series) {
+        if (series.length < 2) return '';
+
+        const width = 200;
+        const height = 40;
+        const padding = 4;
+        const totals = series.map(point => point.total_co2_t);
+        const min = Math.min(...totals);
+        const range = Math.max(...totals) - min || 1;
+        const x = (index) => padding + (index * (width - 2 * padding)) / (series.length - 1);
+        const y = (value) => height - padding - ((value - min) * (height - 2 * padding)) / range;
+
+        const points = series.map((point, index) => `${x(index).toFixed(1)},${y(point.total_co2_t).toFixed(1)}`).join(' ');
+        const selected = series.findIndex(point => point.year === this.co2Year);
+        const first = series[0];
+        const last = series[series.length - 1];
+
+        return `
+            <p><strong>Total CO₂ trend:</strong></p>
+            <svg class="sparkline" viewBox="0 0 ${width} ${height}" preserveAspectRatio="none">
+                <polyline points="${points}"></polyline>
+                ${selected >= 0 ? `<circle cx="${x(selected).toFixed(1)}" cy="${y(series[selected].total_co2_t).toFixed(1)}" r="3"></circle>` : ''}
+            </svg>
+            <div class="sparkline-range">
+                <span>${first.year}: ${first.total_co2_t.toLocaleString()} t</span>
+                <span>${last.year}: ${last.total_co2_t.toLocaleString()} t</span>
+            </div>
+        `;
+    }
+
+    // Generic loader for registry point layers (markers with PNG icon or circle fallback)
+    async loadPointLayer(layer) {
+        const style = layer.style || {};
+
         try {
-            const response = await fetch('/api/compressor-stations-enhanced');
+            const response = await fetch(layer.endpoint, { headers: this.authHeaders() });
             if (!response.ok) throw new Error(`HTTP ${response.status}`);
             
             const data = await response.json();
+            const target = this.clusterGroups[layer.key] || this.layers[layer.key];
             let count = 0;
             
-            data.forEach(station => {
-                if (station.latitude && station.longitude && station.geom_valid !== false) {
-                    const customIcon = this.createCustomIcon('compressor_stations', station);
+            data.forEach(feature => {
+                if (feature.latitude && feature.longitude && feature.geom_valid !== false) {
+                    const customIcon = this.createCustomIcon(layer.table, feature);
                     let marker;
                     
                     if (customIcon) {
-                        marker = L.marker([station.latitude, station.longitude], { 
+                        marker = L.marker([feature.latitude, feature.longitude], { 
                             icon: customIcon,
                             riseOnHover: true
                         });
                     } else {
-                        marker = this.createFallbackMarker(station, station.pin_color || '#ffaa00', 8, 0.3);
+                        marker = this.createFallbackMarker(feature, feature.pin_color || style.color || '#3388ff', style.radius || 8, style.opacity || 0.8);
                     }
 
-                    marker.bindPopup(this.createCompressorPopup(station));
-                    this.clusterGroups.compressorStations.addLayer(marker);
+                    marker.bindPopup(this.createLayerPopup(layer, feature));
+                    target.addLayer(marker);
                     count++;
                 }
             });
             
-            this.layerCounts.compressor = count;
-            this.updateLayerCount('compressor-count', count);
-            console.log(`✅ Loaded ${count} compressor stations`);
+            this.layerCounts[layer.key] = count;
+            this.updateLayerCount(`${layer.key}-count`, count);
+            console.log(`✅ Loaded ${count} ${layer.title}`);
         } catch (error) {
-            console.error('❌ Error loading compressor stations:', error);
-            this.layerCounts.compressor = 0;
-            this.updateLayerCount('compressor-count', 0);
+            console.error(`❌ Error loading ${layer.title}:`, error);
+            this.layerCounts[layer.key] = 0;
+            this.updateLayerCount(`${layer.key}-count`, 0);
         }
     }
 
-    async loadGasPipelines() {
+    // Generic loader for registry line and polygon layers
+    async loadVectorLayer(layer) {
+        if (this.isTileMode(layer.key)) {
+            return this.loadTileLayer(layer.key);
+        }
+
         try {
-            const response = await fetch('/api/gas-pipelines-enhanced');
+            const response = await fetch(layer.endpoint, { headers: this.authHeaders() });
             if (!response.ok) throw new Error(`HTTP ${response.status}`);
             
             const data = await response.json();
             let count = 0;
             
-            data.forEach(pipeline => {
-                if (pipeline.geometry && pipeline.geom_valid !== false) {
+            data.forEach(feature => {
+                if (feature.geometry && feature.geom_valid !== false) {
                     try {
-                        const geometry = JSON.parse(pipeline.geometry);
+                        const geometry = JSON.parse(feature.geometry);
                         
-                        const polyline = L.geoJSON(geometry, {
-                            style: {
-                                color: pipeline.line_color || '#00aa44',
-                                weight: this.currentZoom > 10 ? (pipeline.line_weight || 4) : 2,
-                                opacity: pipeline.line_opacity || 0.8
-                            }
+                        const shape = L.geoJSON(geometry, {
+                            style: this.getFeatureStyle(layer, feature, this.currentZoom)
                         });
 
-                        polyline.bindPopup(this.createPipelinePopup(pipeline));
-                        this.layers.gasPipelines.addLayer(polyline);
+                        shape.bindPopup(this.createLayerPopup(layer, feature));
+                        this.layers[layer.key].addLayer(shape);
                         count++;
                     } catch (error) {
-                        console.warn('Invalid pipeline geometry:', error);
+                        console.warn(`Invalid ${layer.title} geometry:`, error);
                     }
                 }
             });
             
-            this.layerCounts.pipelines = count;
-            this.updateLayerCount('pipelines-count', count);
-            console.log(`✅ Loaded ${count} gas pipelines`);
+            this.layerCounts[layer.key] = count;
+            this.updateLayerCount(`${layer.key}-count`, count);
+            console.log(`✅ Loaded ${count} ${layer.title}`);
         } catch (error) {
-            console.error('❌ Error loading gas pipelines:', error);
-            this.layerCounts.pipelines = 0;
-            this.updateLayerCount('pipelines-count', 0);
+            console.error(`❌ Error loading ${layer.title}:`, error);
+            this.layerCounts[layer.key] = 0;
+            this.updateLayerCount(`${layer.key}-count`, 0);
         }
     }
 
-    // Load other layers (groundwater, conservation, etc.) - similar pattern
-    async loadGroundwaterProtection() {
-        try {
-            const response = await fetch('/api/groundwater-protection');
-            if (!response.ok) throw new Error(`HTTP ${response.status}`);
-            
-            const data = await response.json();
-            let count = 0;
-            
-            data.forEach(area => {
-                if (area.geometry && area.geom_valid !== false) {
-                    try {
-                        const geometry = JSON.parse(area.geometry);
-                        
-                        const polygon = L.geoJSON(geometry, {
-                            style: {
-                                fillColor: area.fill_color || '#0066ff',
-                                weight: this.currentZoom > 12 ? (area.border_weight || 2) : 1,
-                                opacity: 1,
-                                color: area.border_color || '#0044cc',
-                                fillOpacity: area.fill_opacity || 0.3
-                            }
-                        });
+    // Style from the per-feature style columns, falling back to the registry defaults
+    getFeatureStyle(layer, properties, zoom) {
+        const style = layer.style || {};
 
-                        polygon.bindPopup(`<div class="popup-content"><h4>Groundwater Protection</h4><p><strong>Name:</strong> ${area.name || 'Protected Area'}</p><p><strong>Zone:</strong> ${area.protection_zone || 'Protected'}</p></div>`);
-                        this.layers.groundwaterProtection.addLayer(polygon);
-                        count++;
-                    } catch (error) {
-                        console.warn('Invalid groundwater protection geometry:', error);
-                    }
-                }
-            });
-            
-            this.layerCounts.groundwater = count;
-            this.updateLayerCount('groundwater-count', count);
-            console.log(`✅ Loaded ${count} groundwater protection areas`);
-        } catch (error) {
-            console.error('❌ Error loading groundwater protection:', error);
-            this.layerCounts.groundwater = 0;
-            this.updateLayerCount('groundwater-count', 0);
+        if (layer.geometryType === 'line') {
+            return {
+                color: properties.line_color || style.color || '#666666',
+                weight: zoom > 10 ? (parseFloat(properties.line_weight) || style.weight || 3) : 2,
+                opacity: parseFloat(properties.line_opacity) || style.opacity || 0.8,
+                dashArray: style.dashArray || null
+            };
         }
+
+        return {
+            fill: true,
+            fillColor: properties.fill_color || style.fillColor || '#3388ff',
+            fillOpacity: parseFloat(properties.fill_opacity) || style.fillOpacity || 0.3,
+            color: properties.border_color || style.borderColor || '#3388ff',
+            weight: zoom > 12 ? (parseFloat(properties.border_weight) || style.borderWeight || 2) : 1,
+            opacity: 1
+        };
     }
 
-    async loadConservationAreas() {
-        try {
-            const response = await fetch('/api/conservation-areas');
-            if (!response.ok) throw new Error(`HTTP ${response.status}`);
-            
-            const data = await response.json();
-            let count = 0;
-            
-            data.forEach(area => {
-                if (area.geometry && area.geom_valid !== false) {
-                    try {
-                        const geometry = JSON.parse(area.geometry);
-                        
-                        const polygon = L.geoJSON(geometry, {
-                            style: {
-                                fillColor: area.fill_color || '#00ff00',
-                                weight: this.currentZoom > 12 ? (area.border_weight || 2) : 1,
-                                opacity: 1,
-                                color: area.border_color || '#00cc00',
-                                fillOpacity: area.fill_opacity || 0.3
-                            }
-                        });
+    // Vector tile mode
+    supportsTileMode(layer) {
+        return !!layer && layer.geometryType !== 'point' && !this.customLoaders[layer.table];
+    }
 
-                        polygon.bindPopup(`<div class="popup-content"><h4>Conservation Area</h4><p><strong>Name:</strong> ${area.name || 'Protected Area'}</p><p><strong>Type:</strong> ${area.area_type || 'Nature Reserve'}</p></div>`);
-                        this.layers.conservationAreas.addLayer(polygon);
-                        count++;
-                    } catch (error) {
-                        console.warn('Invalid conservation area geometry:', error);
-                    }
-                }
-            });
-            
-            this.layerCounts.conservation = count;
-            this.updateLayerCount('conservation-count', count);
-            console.log(`✅ Loaded ${count} conservation areas`);
-        } catch (error) {
-            console.error('❌ Error loading conservation areas:', error);
-            this.layerCounts.conservation = 0;
-            this.updateLayerCount('conservation-count', 0);
-        }
+    isTileMode(layerKey) {
+        return !!this.tileMode[layerKey] && this.supportsTileMode(this.layerIndex[layerKey]) && typeof L.vectorGrid !== 'undefined';
     }
 
-    async loadSettlementAreas() {
-        try {
-            const response = await fetch('/api/settlement-areas');
-            if (!response.ok) throw new Error(`HTTP ${response.status}`);
-            
-            const data = await response.json();
-            let count = 0;
-            
-            data.forEach(area => {
-                if (area.geometry && area.geom_valid !== false) {
-                    try {
-                        const geometry = JSON.parse(area.geometry);
-                        
-                        const polygon = L.geoJSON(geometry, {
-                            style: {
-                                fillColor: area.fill_color || '#ff0000',
-                                weight: this.currentZoom > 12 ? (area.border_weight || 2) : 1,
-                                opacity: 1,
-                                color: area.border_color || '#cc0000',
-                                fillOpacity: area.fill_opacity || 0.3
-                            }
-                        });
+    loadTileLayer(layerKey) {
+        const layer = this.layerIndex[layerKey];
 
-                        polygon.bindPopup(`<div class="popup-content"><h4>Residential Area</h4><p><strong>Name:</strong> ${area.name || 'Settlement'}</p><p><strong>Population:</strong> ${area.population ? area.population.toLocaleString() : 'Unknown'}</p></div>`);
-                        this.layers.settlementAreas.addLayer(polygon);
-                        count++;
-                    } catch (error) {
-                        console.warn('Invalid settlement area geometry:', error);
-                    }
-                }
-            });
-            
-            this.layerCounts.settlements = count;
-            this.updateLayerCount('settlements-count', count);
-            console.log(`✅ Loaded ${count} settlement areas`);
-        } catch (error) {
-            console.error('❌ Error loading settlement areas:', error);
-            this.layerCounts.settlements = 0;
-            this.updateLayerCount('settlements-count', 0);
-        }
-    }
+        const tileLayer = L.vectorGrid.protobuf(`/api/tiles/${layer.table}/{z}/{x}/{y}.mvt`, {
+            rendererFactory: L.canvas.tile,
+            interactive: true,
+            maxNativeZoom: 18,
+            getFeatureId: (feature) => feature.properties.id,
+            vectorTileLayerStyles: {
+                [layer.table]: (properties, zoom) => this.getFeatureStyle(layer, properties, zoom)
+            }
+        });
 
-    async loadHighways() {
-        try {
-            const response = await fetch('/api/highways');
-            if (!response.ok) throw new Error(`HTTP ${response.status}`);
-            
-            const data = await response.json();
-            let count = 0;
-            
-            data.forEach(road => {
-                if (road.geometry && road.geom_valid !== false) {
-                    try {
-                        const geometry = JSON.parse(road.geometry);
-                        
-                        const polyline = L.geoJSON(geometry, {
-                            style: {
-                                color: road.line_color || '#666666',
-                                weight: this.currentZoom > 10 ? (road.line_weight || 3) : 2,
-                                opacity: road.line_opacity || 0.7
-                            }
-                        });
+        tileLayer.on('click', (e) => {
+            // Keep the click from reaching handleMapClick (point report)
+            L.DomEvent.stop(e);
+            L.popup()
+                .setLatLng(e.latlng)
+                .setContent(this.createLayerPopup(layer, e.layer.properties || {}))
+                .openOn(this.map);
+        });
 
-                        polyline.bindPopup(`<div class="popup-content"><h4>Highway</h4><p><strong>Name:</strong> ${road.name || 'Primary Road'}</p><p><strong>Number:</strong> ${road.highway_number || 'N/A'}</p></div>`);
-                        this.layers.highways.addLayer(polyline);
-                        count++;
-                    } catch (error) {
-                        console.warn('Invalid highway geometry:', error);
-                    }
-                }
-            });
-            
-            this.layerCounts.highways = count;
-            this.updateLayerCount('highways-count', count);
-            console.log(`✅ Loaded ${count} highways`);
-        } catch (error) {
-            console.error('❌ Error loading highways:', error);
-            this.layerCounts.highways = 0;
-            this.updateLayerCount('highways-count', 0);
+        this.layers[layerKey].addLayer(tileLayer);
+
+        // Feature totals are unknown in tile mode; tiles are fetched per viewport
+        this.layerCounts[layerKey] = 0;
+        const countElement = document.getElementById(`${layerKey}-count`);
+        if (countElement) {
+            countElement.textContent = '(tiles)';
         }
+        console.log(`✅ ${layerKey} loaded in vector tile mode`);
     }
 
-    async loadRailways() {
-        try {
-            const response = await fetch('/api/railways');
-            if (!response.ok) throw new Error(`HTTP ${response.status}`);
-            
-            const data = await response.json();
-            let count = 0;
-            
-            data.forEach(railway => {
-                if (railway.geometry && railway.geom_valid !== false) {
-                    try {
-                        const geometry = JSON.parse(railway.geometry);
-                        
-                        const polyline = L.geoJSON(geometry, {
-                            style: {
-                                color: railway.line_color || '#8B4513',
-                                weight: this.currentZoom > 10 ? (railway.line_weight || 3) : 2,
-                                opacity: railway.line_opacity || 0.8,
-                                dashArray: '10, 10'
-                            }
-                        });
-
-                        polyline.bindPopup(`<div class="popup-content"><h4>Railway</h4><p><strong>Name:</strong> ${railway.name || 'Railway Line'}</p><p><strong>Operator:</strong> ${railway.operator || 'N/A'}</p></div>`);
-                        this.layers.railways.addLayer(polyline);
-                        count++;
-                    } catch (error) {
-                        console.warn('Invalid railway geometry:', error);
-                    }
-                }
-            });
-            
-            this.layerCounts.railways = count;
-            this.updateLayerCount('railways-count', count);
-            console.log(`✅ Loaded ${count} railways`);
-        } catch (error) {
-            console.error('❌ Error loading railways:', error);
-            this.layerCounts.railways = 0;
-            this.updateLayerCount('railways-count', 0);
+    async setLayerTileMode(layerKey, enabled) {
+        const layer = this.layerIndex[layerKey];
+        if (!this.supportsTileMode(layer)) {
+            console.warn(`Layer ${layerKey} does not support tile mode`);
+            return;
         }
+
+        this.tileMode[layerKey] = enabled;
+        this.layers[layerKey].clearLayers();
+
+        await this.loadLayer(layer);
+        this.updateStatistics();
+        this.showToast(`${layer.title} switched to ${enabled ? 'vector tile' : 'full data'} mode`, 'info');
     }
 
     // Performance optimization methods
@@ -1037,42 +887,21 @@ class CO2StorageAtlas {
     updateLayersForZoom() {
         const zoom = this.currentZoom;
         
-        // Adjust line weights based on zoom
-        if (this.layers.gasPipelines) {
-            this.layers.gasPipelines.eachLayer(layer => {
-                if (layer.setStyle) {
-                    layer.setStyle({ weight: zoom > 10 ? 4 : 2 });
-                }
-            });
-        }
-
-        if (this.layers.highways) {
-            this.layers.highways.eachLayer(layer => {
-                if (layer.setStyle) {
-                    layer.setStyle({ weight: zoom > 10 ? 3 : 2 });
-                }
-            });
-        }
-
-        if (this.layers.railways) {
-            this.layers.railways.eachLayer(layer => {
-                if (layer.setStyle) {
-                    layer.setStyle({ weight: zoom > 10 ? 3 : 2 });
-                }
-            });
-        }
-
-        // Adjust polygon border weights
-        const polygonLayers = ['groundwaterProtection', 'conservationAreas', 'settlementAreas'];
-        polygonLayers.forEach(layerName => {
-            if (this.layers[layerName]) {
-                this.layers[layerName].eachLayer(layer => {
-                    if (layer.setStyle) {
-                        layer.setStyle({ weight: zoom > 12 ? 2 : 1 });
+        // Adjust line weights and polygon border weights based on zoom
+        this.layerRegistry
+            .filter(layer => layer.geometryType !== 'point' && !this.customLoaders[layer.table])
+            .forEach(layer => {
+                const style = layer.style || {};
+                const weight = layer.geometryType === 'line'
+                    ? (zoom > 10 ? (style.weight || 3) : 2)
+                    : (zoom > 12 ? (style.borderWeight || 2) : 1);
+
+                this.layers[layer.key].eachLayer(shape => {
+                    if (shape.setStyle) {
+                        shape.setStyle({ weight });
                     }
                 });
-            }
-        });
+            });
     }
 
     optimizeLayersForViewport() {
@@ -1181,7 +1010,7 @@ class CO2StorageAtlas {
                 <h4>${source.plant_name} ${isProminent ? '⭐' : ''}</h4>
                 <div class="co2-details">
                     <p><strong>Type:</strong> ${source.plant_type || 'N/A'}</p>
-                    <p><strong>Total CO₂:</strong> ${totalCO2.toLocaleString()} t/year</p>
+                    <p><strong>Total CO₂${source.year ? ` (${source.year})` : ''}:</strong> ${totalCO2.toLocaleString()} t/year</p>
                     
                     <div class="co2-breakdown">
                         <div class="co2-bar-container">
@@ -1200,9 +1029,13 @@ class CO2StorageAtlas {
                         <p><strong>Biogenic:</strong> ${biogenicCO2.toLocaleString()} t/year</p>
                     </div>
                     
+                    <div class="co2-sparkline"></div>
                     ${source.comment ? `<p><strong>Comment:</strong> ${source.comment}</p>` : ''}
                     ${isProminent ? '<div class="prominence-badge">Major Emitter</div>' : ''}
                 </div>
+                <div class="popup-route-controls">
+                    <button class="btn btn-small" onclick="atlas.routeToStorage(${source.id})">Route to storage</button>
+                </div>
                 ${this.isAuthenticated ? `<div class="popup-admin-controls show"><button class="btn btn-small" onclick="atlas.editCO2Source(${source.id})">Edit</button></div>` : ''}
             </div>
         `;
@@ -1284,478 +1117,2531 @@ class CO2StorageAtlas {
         `;
     }
 
-    // FIXED: Event handling and UI methods - Removed duplicate panel toggle listener
-    setupEventListeners() {
-        // Layer toggles
-        document.querySelectorAll('input[type="checkbox"][id^="layer-"]').forEach(checkbox => {
-            checkbox.addEventListener('change', (e) => this.toggleLayer(e));
-        });
+    createGroundwaterPopup(area) {
+        return `<div class="popup-content"><h4>Groundwater Protection</h4><p><strong>Name:</strong> ${area.name || 'Protected Area'}</p><p><strong>Zone:</strong> ${area.protection_zone || 'Protected'}</p></div>`;
+    }
 
-        // Basemap selector
-        const basemapSelector = document.getElementById('basemap-selector');
-        if (basemapSelector) {
-            basemapSelector.addEventListener('change', (e) => this.switchBasemap(e.target.value));
-        }
+    createConservationPopup(area) {
+        return `<div class="popup-content"><h4>Conservation Area</h4><p><strong>Name:</strong> ${area.name || 'Protected Area'}</p><p><strong>Type:</strong> ${area.area_type || 'Nature Reserve'}</p></div>`;
+    }
 
-        // Admin authentication
-        const adminLoginBtn = document.getElementById('admin-login-btn');
-        if (adminLoginBtn) {
-            adminLoginBtn.addEventListener('click', () => this.authenticate());
-        }
+    createSettlementPopup(area) {
+        const population = parseInt(area.population) || 0;
+        return `<div class="popup-content"><h4>Residential Area</h4><p><strong>Name:</strong> ${area.name || 'Settlement'}</p><p><strong>Population:</strong> ${population ? population.toLocaleString() : 'Unknown'}</p></div>`;
+    }
 
-        const adminLogoutBtn = document.getElementById('admin-logout-btn');
-        if (adminLogoutBtn) {
-            adminLogoutBtn.addEventListener('click', () => this.logout());
-        }
+    createHighwayPopup(road) {
+        return `<div class="popup-content"><h4>Highway</h4><p><strong>Name:</strong> ${road.name || 'Primary Road'}</p><p><strong>Number:</strong> ${road.highway_number || 'N/A'}</p></div>`;
+    }
 
-        // Layer management tools
-        const showAllBtn = document.getElementById('show-all-layers');
-        if (showAllBtn) {
-            showAllBtn.addEventListener('click', () => this.showAllLayers());
-        }
+    createRailwayPopup(railway) {
+        return `<div class="popup-content"><h4>Railway</h4><p><strong>Name:</strong> ${railway.name || 'Railway Line'}</p><p><strong>Operator:</strong> ${railway.operator || 'N/A'}</p></div>`;
+    }
 
-        const hideAllBtn = document.getElementById('hide-all-layers');
-        if (hideAllBtn) {
-            hideAllBtn.addEventListener('click', () => this.hideAllLayers());
-        }
+    createLayerPopup(layer, properties) {
+        const renderer = this.popupRenderers[layer.table];
+        const content = renderer ? renderer(properties) : this.createGenericPopup(layer, properties);
+        return properties.id !== undefined ? content + this.createNearbyControls(layer.table, properties.id) : content;
+    }
 
-        const refreshBtn = document.getElementById('refresh-data');
-        if (refreshBtn) {
-            refreshBtn.addEventListener('click', () => this.refreshData());
-        }
+    createNearbyControls(table, id) {
+        return `
+            <div class="popup-query-controls">
+                <button class="btn btn-small" onclick="atlas.findNearby('${table}', ${id})">What's nearby?</button>
+            </div>
+        `;
+    }
 
-        // REMOVED: Panel toggle listener (now handled in HTML inline script to avoid conflicts)
-        // The panel toggle is now handled in the HTML file to prevent duplicate event listeners
+    // Display name of a feature from whichever name column its layer has
+    getFeatureLabel(layer, properties) {
+        const nameFields = ['name', 'plant_name', 'location_name', 'company_name', 'highway_number', 'operator'];
+        const field = nameFields.find(name => properties[name]);
+        return field ? properties[field] : `${layer ? layer.title : 'Feature'} #${properties.id}`;
+    }
 
-        // Admin form handlers
-        this.setupAdminFormHandlers();
+    // Popup for registry layers without a dedicated template: lists the data properties
+    createGenericPopup(layer, properties) {
+        const rows = (layer.properties || [])
+            .filter(name => name !== 'id' && properties[name] !== undefined && properties[name] !== null && properties[name] !== '')
+            .map(name => `<p><strong>${name.replace(/_/g, ' ').replace(/^\w/, c => c.toUpperCase())}:</strong> ${properties[name]}</p>`)
+            .join('');
+
+        return `
+            <div class="popup-content enhanced-popup">
+                <h4>${properties.name || layer.title}</h4>
+                ${rows}
+            </div>
+        `;
     }
 
-    // FIXED: Control panel toggle method with better state management
-    toggleControlPanel() {
-        const controlPanel = document.getElementById('control-panel');
-        const panelToggle = document.getElementById('panel-toggle');
-        const toggleIcon = panelToggle.querySelector('.toggle-icon');
+    async toggleAnalysisLayer(key, visible) {
+        const layer = this.analysisLayers[key];
+        if (!layer) return;
 
-        if (!controlPanel) return;
+        if (!visible) {
+            this.map.removeLayer(layer);
+            return;
+        }
 
-        const isCollapsed = controlPanel.classList.contains('collapsed');
-        
-        if (isCollapsed) {
-            // Expand panel
-            controlPanel.classList.remove('collapsed');
-            if (toggleIcon) toggleIcon.textContent = '−';
-            console.log('Panel expanded');
-        } else {
-            // Collapse panel
-            controlPanel.classList.add('collapsed');
-            if (toggleIcon) toggleIcon.textContent = '+';
-            console.log('Panel collapsed');
+        layer.addTo(this.map);
+        if (layer.getLayers().length === 0) {
+            await this.analysisLoaders[key]();
         }
-        
-        // Save preference to localStorage
-        localStorage.setItem('controlPanelCollapsed', controlPanel.classList.contains('collapsed'));
     }
 
-    setupAdminFormHandlers() {
-        // CO2 source form
-        const saveCO2Btn = document.getElementById('save-co2');
-        if (saveCO2Btn) {
-            saveCO2Btn.addEventListener('click', () => this.saveCO2Source());
+    // Reload the analysis layers currently on the map (after a data refresh or filter change)
+    async reloadVisibleAnalysisLayers() {
+        for (const [key, layer] of Object.entries(this.analysisLayers)) {
+            if (this.map.hasLayer(layer)) {
+                await this.analysisLoaders[key]();
+            }
         }
+    }
 
-        const clearCO2Btn = document.getElementById('clear-co2');
-        if (clearCO2Btn) {
-            clearCO2Btn.addEventListener('click', () => this.clearCO2Form());
-        }
+    // Suitable area analysis: study area minus the buffered exclusion zones
+    async loadSuitableArea() {
+        this.showToast('Running suitability analysis...', 'info');
 
-        const deleteCO2Btn = document.getElementById('delete-co2');
-        if (deleteCO2Btn) {
-            deleteCO2Btn.addEventListener('click', () => this.deleteCO2Source());
-        }
+        try {
+            const response = await fetch('/api/analysis/suitability');
+            const result = await response.json();
 
-        const getCoordinatesBtn = document.getElementById('get-coordinates');
-        if (getCoordinatesBtn) {
-            getCoordinatesBtn.addEventListener('click', () => this.enableCoordinateSelection());
-        }
+            if (!response.ok) {
+                throw new Error(result.error || `HTTP ${response.status}`);
+            }
 
-        const validateCoordinatesBtn = document.getElementById('validate-coordinates');
-        if (validateCoordinatesBtn) {
-            validateCoordinatesBtn.addEventListener('click', () => this.validateCoordinates());
-        }
+            this.analysisLayers.suitableArea.clearLayers();
+            L.geoJSON(result.features.filter(feature => feature.geometry), {
+                style: {
+                    color: '#1e8449',
+                    weight: 1,
+                    fillColor: '#2ecc71',
+                    fillOpacity: 0.45
+                },
+                onEachFeature: (feature, layer) => {
+                    layer.bindPopup(this.createSuitabilityPopup(feature.properties, result.parameters));
+                }
+            }).addTo(this.analysisLayers.suitableArea);
 
-        // Database management
-        const refreshStatsBtn = document.getElementById('refresh-stats');
-        if (refreshStatsBtn) {
-            refreshStatsBtn.addEventListener('click', () => this.refreshDatabaseStats());
+            this.updateLayerCount('suitable-area-count', result.summary.candidate_count);
+            this.showToast(`Suitable area: ${result.summary.suitable_area_km2} km² (${result.summary.suitable_percent}% of the study area)`, 'success');
+        } catch (error) {
+            console.error('Suitability analysis failed:', error);
+            this.showToast(`Suitability analysis failed: ${error.message}`, 'error');
         }
     }
 
-    toggleLayer(event) {
-        const layerId = event.target.id.replace('layer-', '').replace(/-/g, '');
-        const layerMap = {
-            'voting': 'votingDistricts',
-            'co2sources': 'co2Sources',
-            'landfills': 'landfills',
-            'gravelpits': 'gravelPits',
-            'wastewater': 'wastewaterPlants',
-            'gaspipelines': 'gasPipelines',
-            'gasstorage': 'gasStorage',
-            'gasdistribution': 'gasDistribution',
-            'compressorstations': 'compressorStations',
-            'highways': 'highways',
-            'railways': 'railways',
-            'groundwater': 'groundwaterProtection',
-            'conservation': 'conservationAreas',
-            'settlements': 'settlementAreas'
-        };
+    createSuitabilityPopup(properties, parameters) {
+        const buffers = Object.entries(parameters.buffers_m)
+            .map(([table, meters]) => `${table.replace(/_/g, ' ')}: ${meters} m`)
+            .join(', ');
 
-        const layerKey = layerMap[layerId];
-        if (!layerKey) return;
+        return `
+            <div class="popup-content enhanced-popup">
+                <h4>${properties.commune_name || properties.commune_id}</h4>
+                <p><strong>Suitable area:</strong> ${properties.suitable_area_km2} km² (${properties.suitable_percent}%)</p>
+                <p><strong>Excluded area:</strong> ${properties.excluded_area_km2} km²</p>
+                <p><strong>Commune area:</strong> ${properties.total_area_km2} km²</p>
+                <p><strong>Candidate sites:</strong> ${properties.candidate_count}</p>
+                <p><small>Exclusion buffers: ${buffers || 'none'}</small></p>
+            </div>
+        `;
+    }
 
-        // Handle clustered layers
-        const clusterGroupKey = layerKey;
-        if (this.clusterGroups[clusterGroupKey]) {
-            if (event.target.checked) {
-                this.map.addLayer(this.clusterGroups[clusterGroupKey]);
-            } else {
-                this.map.removeLayer(this.clusterGroups[clusterGroupKey]);
+    // Colour the voting districts by Left+Green share ('voting') or by the CO₂
+    // emissions of the sources inside them ('emissions')
+    async setDistrictColorMode(mode) {
+        if (mode === 'emissions' && !this.districtEmissions) {
+            try {
+                const response = await fetch('/api/aggregates/emissions-by-district');
+                const result = await response.json();
+
+                if (!response.ok) {
+                    throw new Error(result.error || `HTTP ${response.status}`);
+                }
+
+                this.districtEmissions = {};
+                result.areas.forEach(area => {
+                    this.districtEmissions[area.id] = area;
+                });
+            } catch (error) {
+                console.error('Failed to load district emissions:', error);
+                this.showToast(`Failed to load district emissions: ${error.message}`, 'error');
+                const modeSelect = document.getElementById('district-color-mode');
+                if (modeSelect) modeSelect.value = this.districtColorMode;
+                return;
             }
         }
-        // Handle regular layers
-        else if (this.layers[layerKey]) {
-            if (event.target.checked) {
-                this.map.addLayer(this.layers[layerKey]);
+
+        this.districtColorMode = mode;
+
+        Object.entries(this.districtShapes).forEach(([id, district]) => {
+            district.shape.unbindTooltip();
+
+            if (mode === 'emissions') {
+                const emissions = this.districtEmissions[id] || { total_co2_t: 0, fossil_co2_t: 0, biogenic_co2_t: 0, source_count: 0 };
+                district.shape.setStyle({ fillColor: this.getEmissionColor(emissions.total_co2_t) });
+                district.shape.bindTooltip(`
+                    <strong>${district.name}</strong><br>
+                    ${Math.round(emissions.total_co2_t).toLocaleString()} t CO₂/year
+                    (${emissions.source_count} source${emissions.source_count === 1 ? '' : 's'})<br>
+                    Fossil ${Math.round(emissions.fossil_co2_t).toLocaleString()} t · Biogenic ${Math.round(emissions.biogenic_co2_t).toLocaleString()} t
+                `, { sticky: true });
             } else {
-                this.map.removeLayer(this.layers[layerKey]);
+                district.shape.setStyle({ fillColor: district.votingColor });
             }
+        });
+
+        const legend = document.querySelector('#layer-votingDistricts ~ .layer-legend');
+        if (legend) {
+            legend.dataset.votingTitle = legend.dataset.votingTitle || legend.title;
+            legend.title = mode === 'emissions' ? 'Gray: No CO₂ sources, light to dark red: low to high emissions' : legend.dataset.votingTitle;
+            legend.classList.toggle('voting-legend', mode !== 'emissions');
+            legend.classList.toggle('emissions-legend', mode === 'emissions');
         }
-        
-        this.updateVisibleLayersCount();
-        this.updateActiveClusterCount();
     }
 
-    switchBasemap(basemapKey) {
-        // Remove all base maps
-        Object.values(this.baseMaps).forEach(layer => {
-            this.map.removeLayer(layer);
-        });
-        
-        // Add selected base map
-        if (this.baseMaps[basemapKey]) {
-            this.baseMaps[basemapKey].addTo(this.map);
-            
-            // Apply appropriate class to body for styling
-            document.body.className = document.body.className.replace(/\b\w+\-mode\b/g, '');
-            document.body.classList.add(basemapKey + '-mode');
-        }
+    getEmissionColor(totalCo2) {
+        const emissionClass = this.emissionClasses.find(entry => totalCo2 >= entry.min);
+        return emissionClass ? emissionClass.color : '#f0f0f0';
     }
 
-    showAllLayers() {
-        document.querySelectorAll('input[type="checkbox"][id^="layer-"]').forEach(checkbox => {
-            if (!checkbox.checked) {
-                checkbox.checked = true;
-                this.toggleLayer({ target: checkbox });
+    // Source-sink matching: flow lines from CO₂ sources to their nearest storage sites
+    async loadSourceSinkMatches() {
+        const params = new URLSearchParams();
+        const minCo2 = document.getElementById('source-sink-min-co2');
+        const maxDistance = document.getElementById('source-sink-max-distance');
+        if (minCo2 && minCo2.value) params.set('min_co2_t', minCo2.value);
+        if (maxDistance && maxDistance.value) params.set('max_distance_km', maxDistance.value);
+
+        try {
+            const response = await fetch(`/api/analysis/source-sink-matches?${params}`);
+            const result = await response.json();
+
+            if (!response.ok) {
+                throw new Error(result.error || `HTTP ${response.status}`);
             }
-        });
-        this.showToast('All layers enabled', 'info');
-    }
 
-    hideAllLayers() {
-        document.querySelectorAll('input[type="checkbox"][id^="layer-"]').forEach(checkbox => {
-            if (checkbox.checked && checkbox.id !== 'layer-voting') { // Keep voting districts visible
-                checkbox.checked = false;
-                this.toggleLayer({ target: checkbox });
-            }
-        });
-        this.showToast('All layers disabled (except voting districts)', 'info');
+            // Line weight grows with the emitter's annual CO₂
+            const maxCo2 = Math.max(1, ...result.features.map(feature => feature.properties.total_co2_t));
+
+            this.analysisLayers.sourceSinkMatches.clearLayers();
+            L.geoJSON(result.features, {
+                style: (feature) => {
+                    const p = feature.properties;
+                    return {
+                        color: p.rank_network === 1 ? '#8e44ad' : '#c39bd3',
+                        weight: 1.5 + 5 * Math.sqrt(p.total_co2_t / maxCo2),
+                        opacity: p.rank_network === 1 || p.rank_straight === 1 ? 0.9 : 0.5,
+                        dashArray: p.rank_network === null ? '6, 6' : null
+                    };
+                },
+                onEachFeature: (feature, layer) => {
+                    layer.bindPopup(this.createSourceSinkPopup(feature.properties));
+                }
+            }).addTo(this.analysisLayers.sourceSinkMatches);
+
+            this.updateLayerCount('source-sink-count', result.features.length);
+            this.showToast(`${result.summary.matched_sources} of ${result.summary.sources} CO₂ sources matched to storage sites`, 'success');
+        } catch (error) {
+            console.error('Source-sink matching failed:', error);
+            this.showToast(`Source-sink matching failed: ${error.message}`, 'error');
+        }
     }
 
-    toggleAllLayers() {
-        const allCheckboxes = document.querySelectorAll('input[type="checkbox"][id^="layer-"]');
-        const checkedCount = Array.from(allCheckboxes).filter(cb => cb.checked).length;
-        
-        if (checkedCount > 1) {
-            this.hideAllLayers();
-        } else {
-            this.showAllLayers();
+    createSourceSinkPopup(properties) {
+        return `
+            <div class="popup-content enhanced-popup">
+                <h4>${properties.plant_name} → ${properties.site_name || `Storage site ${properties.site_id}`}</h4>
+                <p><strong>CO₂ emissions:</strong> ${properties.total_co2_t.toLocaleString()} t/year</p>
+                <p><strong>Straight-line distance:</strong> ${properties.straight_km} km${properties.rank_straight ? ` (#${properties.rank_straight})` : ''}</p>
+                <p><strong>Via pipeline network:</strong> ${properties.network_km !== null
+                    ? `${properties.network_km} km${properties.rank_network ? ` (#${properties.rank_network})` : ''}, ${properties.off_network_km} km off-network`
+                    : 'not connected'}</p>
+                ${properties.site_operator ? `<p><strong>Storage operator:</strong> ${properties.site_operator}</p>` : ''}
+            </div>
+        `;
+    }
+
+    // Least-cost pipeline corridor from a CO₂ source to a storage site
+    // (the nearest one when siteId is omitted)
+    async routeToStorage(sourceId, siteId = null) {
+        this.map.closePopup();
+        this.showToast('Computing least-cost route...', 'info');
+
+        const params = new URLSearchParams({ source_id: sourceId });
+        if (siteId !== null) params.set('site_id', siteId);
+
+        try {
+            const response = await fetch(`/api/analysis/route?${params}`);
+            const route = await response.json();
+
+            if (!response.ok) {
+                throw new Error(route.error || `HTTP ${response.status}`);
+            }
+
+            this.routeLayer.clearLayers();
+            const line = L.geoJSON(route, {
+                style: {
+                    color: '#e67e22',
+                    weight: 5,
+                    opacity: 0.9
+                }
+            }).addTo(this.routeLayer);
+
+            line.bindPopup(this.createRoutePopup(route.properties)).openPopup();
+            this.map.fitBounds(line.getBounds(), { padding: [40, 40] });
+        } catch (error) {
+            console.error('Routing failed:', error);
+            this.showToast(`Routing failed: ${error.message}`, 'error');
         }
     }
 
-    refreshAllLayers() {
-        this.refreshData();
+    clearRoute() {
+        this.routeLayer.clearLayers();
+        this.map.closePopup();
     }
 
-    async refreshData() {
-        this.showToast('Refreshing data...', 'info');
-        
-        // Clear existing layers
-        Object.values(this.layers).forEach(layer => layer.clearLayers());
-        Object.values(this.clusterGroups).forEach(cluster => cluster.clearLayers());
-        
-        // Reload all data
+    createRoutePopup(properties) {
+        const constraints = properties.constraints.length > 0
+            ? `<ul class="route-constraints">${properties.constraints.map(c =>
+                `<li>${c.title}${c.name ? `: ${c.name}` : ''} (${c.length_m.toLocaleString()} m)</li>`).join('')}</ul>`
+            : '<p>No exclusion zones crossed</p>';
+
+        return `
+            <div class="popup-content enhanced-popup">
+                <h4>${properties.plant_name} → ${properties.site_name || `Storage site ${properties.site_id}`}</h4>
+                <p><strong>Corridor length:</strong> ${properties.length_km} km</p>
+                <p><strong>Straight line:</strong> ${properties.straight_km} km (detour ×${properties.detour_factor})</p>
+                <p><strong>Crosses:</strong></p>
+                ${constraints}
+                <div class="popup-route-controls">
+                    <button class="btn btn-small" onclick="atlas.clearRoute()">Clear route</button>
+                </div>
+            </div>
+        `;
+    }
+
+    // Cross-layer search box: grouped results, click to zoom
+    async search(query) {
+        const container = document.getElementById('search-results');
+        if (!container) return;
+
+        if (query.trim().length < 2) {
+            container.innerHTML = '';
+            container.classList.remove('active');
+            return;
+        }
+
         try {
-            await this.loadAllLayers();
-            this.updateStatistics();
-            this.showToast('Data refreshed successfully', 'success');
+            const response = await fetch(`/api/search?${new URLSearchParams({ q: query.trim() })}`, { headers: this.authHeaders() });
+            const result = await response.json();
+
+            if (!response.ok) {
+                throw new Error(result.error || `HTTP ${response.status}`);
+            }
+
+            // Ignore responses that arrive after the user kept typing
+            const input = document.getElementById('search-input');
+            if (input && input.value.trim() !== result.query) return;
+
+            this.searchResults = result.groups;
+            container.innerHTML = result.groups.length === 0
+                ? '<p class="search-empty">No matches</p>'
+                : result.groups.map((group, groupIndex) => `
+                    <div class="search-group">
+                        <h5>${group.title}</h5>
+                        ${group.results.map((hit, index) => `
+                            <div class="search-result" data-group-index="${groupIndex}" data-result-index="${index}">
+                                <span class="search-result-label">${hit.label}</span>
+                                ${hit.matched_value && hit.matched_value !== hit.label ? `<small>${hit.matched_value}</small>` : ''}
+                            </div>
+                        `).join('')}
+                    </div>
+                `).join('');
+
+            container.querySelectorAll('.search-result').forEach(item => {
+                item.addEventListener('click', () => {
+                    this.zoomToSearchResult(Number(item.dataset.groupIndex), Number(item.dataset.resultIndex));
+                });
+            });
+            container.classList.add('active');
         } catch (error) {
-            console.error('Failed to refresh data:', error);
-            this.showToast('Failed to refresh data', 'error');
+            console.error('Search failed:', error);
+            container.innerHTML = `<p class="search-empty">Search failed: ${error.message}</p>`;
+            container.classList.add('active');
         }
     }
 
-    // Authentication methods
-    authenticate() {
-        const password = document.getElementById('admin-password').value;
-        if (password === 'co2atlas2024') {
-            this.isAuthenticated = true;
-            this.showToast('Authentication successful!', 'success');
-            this.enableAdminFeatures();
-            this.loadExistingSources();
+    zoomToSearchResult(groupIndex, resultIndex) {
+        const group = this.searchResults && this.searchResults[groupIndex];
+        const hit = group && group.results[resultIndex];
+        if (!hit) return;
+
+        const [minLng, minLat, maxLng, maxLat] = hit.bbox;
+        if (maxLng - minLng > 0.0001 || maxLat - minLat > 0.0001) {
+            this.map.fitBounds([[minLat, minLng], [maxLat, maxLng]], { padding: [40, 40] });
         } else {
-            this.showToast('Invalid password', 'error');
+            this.map.setView([hit.latitude, hit.longitude], Math.max(this.map.getZoom(), 15));
         }
+
+        this.searchLayer.clearLayers();
+        L.circleMarker([hit.latitude, hit.longitude], {
+            radius: 14,
+            color: '#ff9800',
+            weight: 3,
+            fillOpacity: 0.15,
+            interactive: false
+        }).addTo(this.searchLayer);
+
+        const container = document.getElementById('search-results');
+        if (container) container.classList.remove('active');
     }
 
-    logout() {
-        this.isAuthenticated = false;
-        this.authToken = null;
-        this.existingSources = [];
-        this.editingSource = null;
-        this.disableAdminFeatures();
-        this.showToast('Logged out successfully', 'info');
+    // Proximity query: features of the checked layers around a feature, listed in the query panel
+    async findNearby(table, id) {
+        this.nearbyQuery = { table, id };
+        this.map.closePopup();
+
+        const radiusSelect = document.getElementById('nearby-radius');
+        const radiusKm = radiusSelect ? Number(radiusSelect.value) : 5;
+
+        const params = new URLSearchParams({ feature: `${table}:${id}`, radius_km: radiusKm });
+        const checkedLayers = this.layerRegistry
+            .filter(layer => {
+                const checkbox = document.getElementById(`layer-${layer.key}`);
+                return checkbox && checkbox.checked;
+            })
+            .map(layer => layer.table);
+        if (checkedLayers.length > 0) {
+            params.set('layers', checkedLayers.join(','));
+        }
+
+        try {
+            const response = await fetch(`/api/query/within?${params}`, { headers: this.authHeaders() });
+            const result = await response.json();
+
+            if (!response.ok) {
+                throw new Error(result.error || `HTTP ${response.status}`);
+            }
+
+            this.nearbyLayer.clearLayers();
+            const ring = L.circle([result.center.lat, result.center.lng], {
+                radius: radiusKm * 1000,
+                color: '#2196F3',
+                weight: 2,
+                dashArray: '6, 6',
+                fillOpacity: 0.05,
+                interactive: false
+            }).addTo(this.nearbyLayer);
+            this.map.fitBounds(ring.getBounds());
+
+            this.nearbyResults = result.results;
+            this.renderNearbyResults(table, id, result);
+        } catch (error) {
+            console.error('Proximity query failed:', error);
+            this.showToast(`Proximity query failed: ${error.message}`, 'error');
+        }
     }
 
-    enableAdminFeatures() {
-        const authForm = document.getElementById('auth-form');
-        const authStatus = document.getElementById('auth-status');
-        const adminPanel = document.getElementById('admin-panel');
-        
-        if (authForm) authForm.style.display = 'none';
-        if (authStatus) authStatus.style.display = 'block';
-        if (adminPanel) adminPanel.style.display = 'block';
-        
-        this.updateAppStatus('admin', 'Admin mode active');
+    renderNearbyResults(table, id, result) {
+        const panel = document.getElementById('query-panel');
+        const title = document.getElementById('query-panel-title');
+        const content = document.getElementById('query-panel-content');
+        if (!panel || !content) return;
+
+        const origin = this.layerRegistry.find(layer => layer.table === table);
+        if (title) {
+            title.textContent = `Within ${result.radius_km} km of ${origin ? origin.title : table} #${id}`;
+        }
+
+        content.innerHTML = result.results.length === 0
+            ? '<p class="query-empty">No features of the visible layers in this radius.</p>'
+            : result.results.map((hit, index) => {
+                const layer = this.layerRegistry.find(entry => entry.table === hit.layer);
+                return `
+                    <div class="query-result" data-result-index="${index}">
+                        <span class="query-result-distance">${hit.distance_km.toFixed(2)} km</span>
+                        <span class="query-result-name">${this.getFeatureLabel(layer, hit.properties)}</span>
+                        <span class="query-result-layer">${hit.title}</span>
+                    </div>
+                `;
+            }).join('');
+
+        content.querySelectorAll('.query-result').forEach(item => {
+            item.addEventListener('click', () => this.focusNearbyResult(Number(item.dataset.resultIndex)));
+        });
+
+        panel.classList.add('active');
     }
 
-    disableAdminFeatures() {
-        const authForm = document.getElementById('auth-form');
-        const authStatus = document.getElementById('auth-status');
-        const adminPanel = document.getElementById('admin-panel');
-        
-        if (authForm) authForm.style.display = 'block';
-        if (authStatus) authStatus.style.display = 'none';
-        if (adminPanel) adminPanel.style.display = 'none';
+    focusNearbyResult(index) {
+        const hit = this.nearbyResults && this.nearbyResults[index];
+        if (!hit) return;
+
+        if (this.nearbyHighlight) {
+            this.nearbyLayer.removeLayer(this.nearbyHighlight);
+        }
+        this.nearbyHighlight = L.circleMarker([hit.latitude, hit.longitude], {
+            radius: 12,
+            color: '#2196F3',
+            weight: 3,
+            fillOpacity: 0.2
+        }).addTo(this.nearbyLayer);
+
+        this.map.setView([hit.latitude, hit.longitude], Math.max(this.map.getZoom(), 14));
+    }
+
+    closeQueryPanel() {
+        const panel = document.getElementById('query-panel');
+        if (panel) panel.classList.remove('active');
+
+        this.nearbyLayer.clearLayers();
+        this.nearbyHighlight = null;
+        this.nearbyQuery = null;
+    }
+
+    // FIXED: Event handling and UI methods - Removed duplicate panel toggle listener
+    setupEventListeners() {
+        this.bindLayerPanelEvents();
+
+        // Analysis layers
+        document.querySelectorAll('input[type="checkbox"][data-analysis-key]').forEach(checkbox => {
+            checkbox.addEventListener('change', (e) => this.toggleAnalysisLayer(e.target.dataset.analysisKey, e.target.checked));
+        });
+
+        // Emission year slider: the label follows while dragging, the map on release
+        const emissionYearSlider = document.getElementById('emission-year');
+        if (emissionYearSlider) {
+            const sliderYear = () => this.emissionYears[parseInt(emissionYearSlider.value, 10)] || null;
+            emissionYearSlider.addEventListener('input', () => this.updateEmissionYearControls(sliderYear()));
+            emissionYearSlider.addEventListener('change', () => this.setEmissionYear(sliderYear()));
+        }
+
+        const emissionYearReset = document.getElementById('emission-year-reset');
+        if (emissionYearReset) {
+            emissionYearReset.addEventListener('click', () => this.setEmissionYear(null));
+        }
+
+        const districtColorMode = document.getElementById('district-color-mode');
+        if (districtColorMode) {
+            districtColorMode.addEventListener('change', (e) => this.setDistrictColorMode(e.target.value));
+        }
+
+        // Search box (debounced)
+        const searchInput = document.getElementById('search-input');
+        if (searchInput) {
+            searchInput.addEventListener('input', () => {
+                clearTimeout(this.searchTimeout);
+                this.searchTimeout = setTimeout(() => this.search(searchInput.value), 300);
+            });
+            searchInput.addEventListener('keydown', (e) => {
+                if (e.key === 'Escape') {
+                    searchInput.value = '';
+                    this.search('');
+                    this.searchLayer.clearLayers();
+                }
+            });
+        }
+
+        // Query panel
+        const closeQueryPanelBtn = document.getElementById('close-query-panel');
+        if (closeQueryPanelBtn) {
+            closeQueryPanelBtn.addEventListener('click', () => this.closeQueryPanel());
+        }
+
+        const nearbyRadius = document.getElementById('nearby-radius');
+        if (nearbyRadius) {
+            nearbyRadius.addEventListener('change', () => {
+                if (this.nearbyQuery) {
+                    this.findNearby(this.nearbyQuery.table, this.nearbyQuery.id);
+                }
+            });
+        }
+
+        ['source-sink-min-co2', 'source-sink-max-distance'].forEach(id => {
+            const input = document.getElementById(id);
+            if (input) {
+                input.addEventListener('change', () => {
+                    if (this.map.hasLayer(this.analysisLayers.sourceSinkMatches)) {
+                        this.loadSourceSinkMatches();
+                    }
+                });
+            }
+        });
+
+        // Basemap selector
+        const basemapSelector = document.getElementById('basemap-selector');
+        if (basemapSelector) {
+            basemapSelector.addEventListener('change', (e) => this.switchBasemap(e.target.value));
+        }
+
+        // Admin authentication
+        const adminLoginBtn = document.getElementById('admin-login-btn');
+        if (adminLoginBtn) {
+            adminLoginBtn.addEventListener('click', () => this.authenticate());
+        }
+
+        const adminPasswordInput = document.getElementById('admin-password');
+        if (adminPasswordInput) {
+            adminPasswordInput.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') this.authenticate();
+            });
+        }
+
+        const adminLogoutBtn = document.getElementById('admin-logout-btn');
+        if (adminLogoutBtn) {
+            adminLogoutBtn.addEventListener('click', () => this.logout());
+        }
+
+        const changePasswordBtn = document.getElementById('change-password-btn');
+        if (changePasswordBtn) {
+            changePasswordBtn.addEventListener('click', () => this.showPasswordChange());
+        }
+
+        const savePasswordBtn = document.getElementById('save-password-btn');
+        if (savePasswordBtn) {
+            savePasswordBtn.addEventListener('click', () => this.changePassword());
+        }
+
+        const cancelPasswordBtn = document.getElementById('cancel-password-btn');
+        if (cancelPasswordBtn) {
+            cancelPasswordBtn.addEventListener('click', () => this.hidePasswordChange());
+        }
+
+        // User management
+        const usersTab = document.querySelector('.admin-tab[data-tab="users"]');
+        if (usersTab) {
+            usersTab.addEventListener('click', () => this.loadUsers());
+        }
+
+        const createUserBtn = document.getElementById('create-user');
+        if (createUserBtn) {
+            createUserBtn.addEventListener('click', () => this.createUser());
+        }
+
+        // Audit history
+        const historyTab = document.querySelector('.admin-tab[data-tab="history"]');
+        if (historyTab) {
+            historyTab.addEventListener('click', () => this.loadHistory());
+        }
+
+        const refreshHistoryBtn = document.getElementById('refresh-history');
+        if (refreshHistoryBtn) {
+            refreshHistoryBtn.addEventListener('click', () => this.loadHistory());
+        }
+
+        // Layer management tools
+        const showAllBtn = document.getElementById('show-all-layers');
+        if (showAllBtn) {
+            showAllBtn.addEventListener('click', () => this.showAllLayers());
+        }
+
+        const hideAllBtn = document.getElementById('hide-all-layers');
+        if (hideAllBtn) {
+            hideAllBtn.addEventListener('click', () => this.hideAllLayers());
+        }
+
+        const refreshBtn = document.getElementById('refresh-data');
+        if (refreshBtn) {
+            refreshBtn.addEventListener('click', () => this.refreshData());
+        }
+
+        // REMOVED: Panel toggle listener (now handled in HTML inline script to avoid conflicts)
+        // The panel toggle is now handled in the HTML file to prevent duplicate event listeners
+
+        // Admin form handlers
+        this.setupAdminFormHandlers();
+    }
+
+    // FIXED: Control panel toggle method with better state management
+    toggleControlPanel() {
+        const controlPanel = document.getElementById('control-panel');
+        const panelToggle = document.getElementById('panel-toggle');
+        const toggleIcon = panelToggle.querySelector('.toggle-icon');
+
+        if (!controlPanel) return;
+
+        const isCollapsed = controlPanel.classList.contains('collapsed');
         
-        const passwordField = document.getElementById('admin-password');
-        if (passwordField) passwordField.value = '';
+        if (isCollapsed) {
+            // Expand panel
+            controlPanel.classList.remove('collapsed');
+            if (toggleIcon) toggleIcon.textContent = '−';
+            console.log('Panel expanded');
+        } else {
+            // Collapse panel
+            controlPanel.classList.add('collapsed');
+            if (toggleIcon) toggleIcon.textContent = '+';
+            console.log('Panel collapsed');
+        }
         
-        this.updateAppStatus('connected', 'Connected to database');
+        // Save preference to localStorage
+        localStorage.setItem('controlPanelCollapsed', controlPanel.classList.contains('collapsed'));
+    }
+
+    setupAdminFormHandlers() {
+        // CO2 source form
+        const saveCO2Btn = document.getElementById('save-co2');
+        if (saveCO2Btn) {
+            saveCO2Btn.addEventListener('click', () => this.saveCO2Source());
+        }
+
+        const clearCO2Btn = document.getElementById('clear-co2');
+        if (clearCO2Btn) {
+            clearCO2Btn.addEventListener('click', () => this.clearCO2Form());
+        }
+
+        const deleteCO2Btn = document.getElementById('delete-co2');
+        if (deleteCO2Btn) {
+            deleteCO2Btn.addEventListener('click', () => this.deleteCO2Source());
+        }
+
+        // Shapefile layer upload
+        const uploadLayerBtn = document.getElementById('upload-layer');
+        if (uploadLayerBtn) {
+            uploadLayerBtn.addEventListener('click', () => this.uploadShapefileLayer());
+        }
+
+        // CO2 source bulk upload
+        const previewUploadBtn = document.getElementById('preview-co2-upload');
+        if (previewUploadBtn) {
+            previewUploadBtn.addEventListener('click', () => this.uploadCO2Sources(false));
+        }
+
+        const commitUploadBtn = document.getElementById('commit-co2-upload');
+        if (commitUploadBtn) {
+            commitUploadBtn.addEventListener('click', () => this.uploadCO2Sources(true));
+        }
+
+        const uploadKindSelect = document.getElementById('co2-upload-kind');
+        if (uploadKindSelect) {
+            uploadKindSelect.addEventListener('change', () => {
+                document.querySelectorAll('.bulk-upload-hint[data-upload-kind]').forEach(hint => {
+                    hint.style.display = hint.dataset.uploadKind === uploadKindSelect.value ? '' : 'none';
+                });
+                document.getElementById('co2-upload-preview').innerHTML = '';
+                document.getElementById('commit-co2-upload').style.display = 'none';
+            });
+        }
+
+        const uploadFileInput = document.getElementById('co2-upload-file');
+        if (uploadFileInput) {
+            uploadFileInput.addEventListener('change', () => {
+                document.getElementById('co2-upload-preview').innerHTML = '';
+                document.getElementById('commit-co2-upload').style.display = 'none';
+            });
+        }
+
+        const getCoordinatesBtn = document.getElementById('get-coordinates');
+        if (getCoordinatesBtn) {
+            getCoordinatesBtn.addEventListener('click', () => this.enableCoordinateSelection());
+        }
+
+        const validateCoordinatesBtn = document.getElementById('validate-coordinates');
+        if (validateCoordinatesBtn) {
+            validateCoordinatesBtn.addEventListener('click', () => this.validateCoordinates());
+        }
+
+        // Point feature editing
+        const featuresTab = document.querySelector('.admin-tab[data-tab="features"]');
+        if (featuresTab) {
+            featuresTab.addEventListener('click', () => this.loadEditableLayers());
+        }
+
+        const featureLayerSelect = document.getElementById('feature-layer');
+        if (featureLayerSelect) {
+            featureLayerSelect.addEventListener('change', () => this.loadFeatures());
+        }
+
+        const featureSearch = document.getElementById('feature-search');
+        if (featureSearch) {
+            featureSearch.addEventListener('input', () => {
+                clearTimeout(this.featureSearchTimer);
+                this.featureSearchTimer = setTimeout(() => this.loadFeatures(), 300);
+            });
+        }
+
+        const saveFeatureBtn = document.getElementById('save-feature');
+        if (saveFeatureBtn) {
+            saveFeatureBtn.addEventListener('click', () => this.saveFeature());
+        }
+
+        const clearFeatureBtn = document.getElementById('clear-feature');
+        if (clearFeatureBtn) {
+            clearFeatureBtn.addEventListener('click', () => this.clearFeatureForm());
+        }
+
+        const deleteFeatureBtn = document.getElementById('delete-feature');
+        if (deleteFeatureBtn) {
+            deleteFeatureBtn.addEventListener('click', () => this.deleteFeature());
+        }
+
+        const featureCoordinatesBtn = document.getElementById('feature-get-coordinates');
+        if (featureCoordinatesBtn) {
+            featureCoordinatesBtn.addEventListener('click', () => this.enableCoordinateSelection('feature'));
+        }
+
+        const featureValidateBtn = document.getElementById('feature-validate-coordinates');
+        if (featureValidateBtn) {
+            featureValidateBtn.addEventListener('click', () => this.validateCoordinates('feature'));
+        }
+
+        const drawShapeBtn = document.getElementById('feature-draw-shape');
+        if (drawShapeBtn) {
+            drawShapeBtn.addEventListener('click', () => this.drawShapePart());
+        }
+
+        const removePartBtn = document.getElementById('feature-remove-part');
+        if (removePartBtn) {
+            removePartBtn.addEventListener('click', () => this.enablePartRemoval());
+        }
+
+        const resetShapeBtn = document.getElementById('feature-reset-shape');
+        if (resetShapeBtn) {
+            resetShapeBtn.addEventListener('click', () => this.startShapeEditor(this.shapeEditor?.original));
+        }
+
+        // Database management
+        const refreshStatsBtn = document.getElementById('refresh-stats');
+        if (refreshStatsBtn) {
+            refreshStatsBtn.addEventListener('click', () => this.refreshDatabaseStats());
+        }
+
+        // Optimize Database is wired by the page script in index.html
+
+        const refreshSchemaBtn = document.getElementById('refresh-schema');
+        if (refreshSchemaBtn) {
+            refreshSchemaBtn.addEventListener('click', () => this.refreshSchemaCache());
+        }
+    }
+
+    // Layer toggles and export menus of the rendered layer panel
+    bindLayerPanelEvents() {
+        document.querySelectorAll('input[type="checkbox"][id^="layer-"]').forEach(checkbox => {
+            checkbox.addEventListener('change', (e) => this.toggleLayer(e));
+        });
+
+        document.querySelectorAll('select[data-export-table]').forEach(select => {
+            select.addEventListener('change', (e) => {
+                if (!e.target.value) return;
+                this.exportLayer(e.target.dataset.exportTable, e.target.value);
+                e.target.value = '';
+            });
+        });
+    }
+
+    toggleLayer(event) {
+        const layerKey = event.target.dataset.layerKey;
+        if (!layerKey) return;
+
+        // Handle clustered layers
+        const clusterGroupKey = layerKey;
+        if (this.clusterGroups[clusterGroupKey]) {
+            if (event.target.checked) {
+                this.map.addLayer(this.clusterGroups[clusterGroupKey]);
+            } else {
+                this.map.removeLayer(this.clusterGroups[clusterGroupKey]);
+            }
+        }
+        // Handle regular layers
+        else if (this.layers[layerKey]) {
+            if (event.target.checked) {
+                this.map.addLayer(this.layers[layerKey]);
+            } else {
+                this.map.removeLayer(this.layers[layerKey]);
+            }
+        }
+        
+        this.updateVisibleLayersCount();
+        this.updateActiveClusterCount();
+    }
+
+    switchBasemap(basemapKey) {
+        // Remove all base maps
+        Object.values(this.baseMaps).forEach(layer => {
+            this.map.removeLayer(layer);
+        });
+        
+        // Add selected base map
+        if (this.baseMaps[basemapKey]) {
+            this.baseMaps[basemapKey].addTo(this.map);
+            
+            // Apply appropriate class to body for styling
+            document.body.className = document.body.className.replace(/\b\w+\-mode\b/g, '');
+            document.body.classList.add(basemapKey + '-mode');
+        }
+    }
+
+    showAllLayers() {
+        document.querySelectorAll('input[type="checkbox"][id^="layer-"]').forEach(checkbox => {
+            if (!checkbox.checked) {
+                checkbox.checked = true;
+                this.toggleLayer({ target: checkbox });
+            }
+        });
+        this.showToast('All layers enabled', 'info');
+    }
+
+    hideAllLayers() {
+        document.querySelectorAll('input[type="checkbox"][id^="layer-"]').forEach(checkbox => {
+            if (checkbox.checked && checkbox.id !== 'layer-votingDistricts') { // Keep voting districts visible
+                checkbox.checked = false;
+                this.toggleLayer({ target: checkbox });
+            }
+        });
+        this.showToast('All layers disabled (except voting districts)', 'info');
+    }
+
+    toggleAllLayers() {
+        const allCheckboxes = document.querySelectorAll('input[type="checkbox"][id^="layer-"]');
+        const checkedCount = Array.from(allCheckboxes).filter(cb => cb.checked).length;
+        
+        if (checkedCount > 1) {
+            this.hideAllLayers();
+        } else {
+            this.showAllLayers();
+        }
+    }
+
+    refreshAllLayers() {
+        this.refreshData();
+    }
+
+    async refreshData() {
+        this.showToast('Refreshing data...', 'info');
+        
+        // Clear existing layers
+        Object.values(this.layers).forEach(layer => layer.clearLayers());
+        Object.values(this.clusterGroups).forEach(cluster => cluster.clearLayers());
+        Object.values(this.analysisLayers).forEach(layer => layer.clearLayers());
+        
+        // Reload all data
+        try {
+            await this.loadAllLayers();
+            await this.loadEmissionYears();
+            await this.reloadVisibleAnalysisLayers();
+            this.updateStatistics();
+            this.showToast('Data refreshed successfully', 'success');
+        } catch (error) {
+            console.error('Failed to refresh data:', error);
+            this.showToast('Failed to refresh data', 'error');
+        }
+    }
+
+    // Authentication methods: /api/auth/login returns a short-lived JWT access
+    // token and a refresh token. Both are kept in sessionStorage; the access
+    // token is sent as a Bearer header and renewed before it expires.
+    async authenticate() {
+        const username = document.getElementById('admin-username')?.value.trim();
+        const password = document.getElementById('admin-password')?.value;
+
+        if (!username || !password) {
+            this.showToast('Please enter username and password', 'error');
+            return;
+        }
+
+        try {
+            const response = await fetch('/api/auth/login', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({ username, password })
+            });
+            const result = await response.json().catch(() => ({}));
+
+            if (!response.ok) {
+                throw new Error(result.error || `HTTP ${response.status}`);
+            }
+
+            // Accounts with a temporary password have to replace it first
+            if (result.user.must_change_password) {
+                this.pendingSession = result;
+                this.showPasswordChange(true);
+                return;
+            }
+
+            if (!this.startSession(result)) {
+                throw new Error('Received an expired token');
+            }
+            this.showToast(`Logged in as ${result.user.username} (${result.user.role})`, 'success');
+            await this.syncRestrictedLayers();
+        } catch (error) {
+            console.error('Login failed:', error);
+            this.showToast(`Login failed: ${error.message}`, 'error');
+        }
+    }
+
+    // Password form: forced after login with a temporary password, or opened from the status bar
+    showPasswordChange(forced = false) {
+        const form = document.getElementById('password-change-form');
+        const hint = document.getElementById('password-change-hint');
+        const authForm = document.getElementById('auth-form');
+        if (!form) return;
+
+        if (hint) {
+            hint.textContent = forced
+                ? 'Your password was set by an administrator. Choose a new password to continue.'
+                : 'Change your password';
+        }
+        if (forced && authForm) authForm.style.display = 'none';
+        form.style.display = 'block';
+        document.getElementById('current-password')?.focus();
+    }
+
+    hidePasswordChange() {
+        const form = document.getElementById('password-change-form');
+        if (form) form.style.display = 'none';
+        ['current-password', 'new-password', 'confirm-password'].forEach(id => {
+            const field = document.getElementById(id);
+            if (field) field.value = '';
+        });
+
+        // Abandoning a forced change leaves the user logged out
+        if (this.pendingSession) {
+            this.revokeSession(this.pendingSession);
+            this.pendingSession = null;
+            const authForm = document.getElementById('auth-form');
+            if (authForm) authForm.style.display = 'block';
+        }
+    }
+
+    async changePassword() {
+        const currentPassword = document.getElementById('current-password')?.value;
+        const newPassword = document.getElementById('new-password')?.value;
+        const confirmPassword = document.getElementById('confirm-password')?.value;
+
+        if (!currentPassword || !newPassword) {
+            this.showToast('Please enter the current and the new password', 'error');
+            return;
+        }
+        if (newPassword !== confirmPassword) {
+            this.showToast('The new passwords do not match', 'error');
+            return;
+        }
+
+        const token = this.pendingSession ? this.pendingSession.token : this.authToken;
+
+        try {
+            const response = await fetch('/api/auth/change-password', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${token}`
+                },
+                body: JSON.stringify({ current_password: currentPassword, new_password: newPassword })
+            });
+            const result = await response.json().catch(() => ({}));
+
+            if (!response.ok) {
+                throw new Error(this.getResponseError(result, response));
+            }
+
+            const wasPending = Boolean(this.pendingSession);
+            this.pendingSession = null;
+            this.hidePasswordChange();
+            this.startSession(result);
+            this.showToast('Password changed', 'success');
+            if (wasPending) {
+                await this.syncRestrictedLayers();
+            }
+        } catch (error) {
+            console.error('Password change failed:', error);
+            this.showToast(`Password change failed: ${error.message}`, 'error');
+        }
+    }
+
+    // Message of an error response: { error } or express-validator's { errors: [{ msg }] }
+    getResponseError(result, response) {
+        if (result.error) return result.error;
+        if (result.errors && result.errors.length > 0) {
+            return result.errors.map(error => `${error.path || error.param}: ${error.msg}`).join(', ');
+        }
+        return `HTTP ${response.status}`;
+    }
+
+    // Expiry time (ms) from the JWT payload; the signature is checked by the server
+    getTokenExpiry(token) {
+        try {
+            const payload = JSON.parse(atob(token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')));
+            return payload.exp ? payload.exp * 1000 : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // Keep the tokens of a login or refresh response; false when the access token has already expired
+    applySession({ token, refresh_token: refreshToken, user }) {
+        const expiresAt = this.getTokenExpiry(token);
+        if (expiresAt && expiresAt <= Date.now()) {
+            return false;
+        }
+
+        this.authToken = token;
+        this.refreshToken = refreshToken;
+        this.currentUser = user;
+        this.isAuthenticated = true;
+        sessionStorage.setItem('co2AtlasSession', JSON.stringify({ token, refresh_token: refreshToken, user }));
+
+        // Renew the access token a minute before it runs out
+        clearTimeout(this.sessionTimer);
+        if (expiresAt) {
+            const delay = Math.max(expiresAt - Date.now() - 60 * 1000, 5000);
+            this.sessionTimer = setTimeout(() => this.refreshSession(), Math.min(delay, 2147483647));
+        }
+        return true;
+    }
+
+    // Switch to admin mode with a login response; returns false when its token has already expired
+    startSession(session) {
+        if (!this.applySession(session)) {
+            return false;
+        }
+
+        this.enableAdminFeatures();
+        if (this.hasPermission('features:edit')) {
+            this.loadExistingSources();
+        }
+        if (this.hasPermission('users:manage')) {
+            this.loadUsers();
+        }
+        return true;
+    }
+
+    hasPermission(permission) {
+        return Boolean(this.currentUser && (this.currentUser.permissions || []).includes(permission));
+    }
+
+    // Bearer header for public requests, so restricted layers are served to signed-in users
+    authHeaders() {
+        return this.authToken ? { 'Authorization': `Bearer ${this.authToken}` } : {};
+    }
+
+    // Resume the admin session of this browser tab after a page reload
+    async restoreSession() {
+        const stored = sessionStorage.getItem('co2AtlasSession');
+        if (!stored) return;
+
+        try {
+            const session = JSON.parse(stored);
+            if (this.startSession(session)) return;
+
+            // The access token ran out while the page was closed
+            this.refreshToken = session.refresh_token;
+            const renewed = await this.requestTokenRefresh();
+            if (!renewed || !this.startSession(renewed)) {
+                this.refreshToken = null;
+                sessionStorage.removeItem('co2AtlasSession');
+            }
+        } catch (error) {
+            sessionStorage.removeItem('co2AtlasSession');
+        }
+    }
+
+    // New tokens from /api/auth/refresh, or null when the session is gone
+    async requestTokenRefresh() {
+        if (!this.refreshToken) return null;
+
+        try {
+            const response = await fetch('/api/auth/refresh', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({ refresh_token: this.refreshToken })
+            });
+            return response.ok ? await response.json() : null;
+        } catch (error) {
+            console.error('Token refresh failed:', error);
+            return null;
+        }
+    }
+
+    // Renew the access token. A refresh token works only once, so concurrent
+    // callers share one request. Logs out when the session can't be renewed.
+    refreshSession() {
+        if (!this.refreshPromise) {
+            this.refreshPromise = this.requestTokenRefresh()
+                .then(session => {
+                    if (session && this.applySession(session)) {
+                        // Pick up role changes
+                        this.enableAdminFeatures();
+                        return true;
+                    }
+                    this.handleSessionExpired();
+                    return false;
+                })
+                .finally(() => {
+                    this.refreshPromise = null;
+                });
+        }
+        return this.refreshPromise;
+    }
+
+    // Ask the server to revoke a session; logging out locally doesn't wait for it
+    revokeSession({ token, refresh_token: refreshToken }) {
+        fetch('/api/auth/logout', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                ...(token ? { 'Authorization': `Bearer ${token}` } : {})
+            },
+            body: JSON.stringify({ refresh_token: refreshToken })
+        }).catch(error => console.warn('Logout request failed:', error));
+    }
+
+    handleSessionExpired() {
+        if (!this.isAuthenticated) return;
+
+        this.logout(false);
+        this.showToast('Your admin session has expired. Please log in again.', 'warning');
+        document.getElementById('admin-username')?.focus();
+    }
+
+    logout(showMessage = true) {
+        const hadRestrictedLayers = this.layerRegistry.some(layer => layer.restricted);
+        this.hidePasswordChange();
+        if (this.authToken || this.refreshToken) {
+            this.revokeSession({ token: this.authToken, refresh_token: this.refreshToken });
+        }
+        this.isAuthenticated = false;
+        this.authToken = null;
+        this.refreshToken = null;
+        this.currentUser = null;
+        this.users = [];
+        this.historyEntries = [];
+        this.existingSources = [];
+        this.editingSource = null;
+        clearTimeout(this.sessionTimer);
+        sessionStorage.removeItem('co2AtlasSession');
+        this.disableAdminFeatures();
+        if (hadRestrictedLayers) {
+            this.removeRestrictedLayers();
+        }
+        if (showMessage) {
+            this.showToast('Logged out successfully', 'info');
+        }
+    }
+
+    // fetch() for /api/admin endpoints: adds the Bearer token, renews it once
+    // when the server rejects it and ends the session when that fails too
+    async adminFetch(url, options = {}, retry = true) {
+        const response = await fetch(url, {
+            ...options,
+            headers: {
+                ...(options.headers || {}),
+                ...this.authHeaders()
+            }
+        });
+
+        if (response.status === 401) {
+            if (retry && await this.refreshSession()) {
+                return this.adminFetch(url, options, false);
+            }
+            this.handleSessionExpired();
+            throw new Error('Admin session expired');
+        }
+        return response;
+    }
+
+    enableAdminFeatures() {
+        const authForm = document.getElementById('auth-form');
+        const authStatus = document.getElementById('auth-status');
+        const adminPanel = document.getElementById('admin-panel');
+        
+        if (authForm) authForm.style.display = 'none';
+        if (authStatus) authStatus.style.display = 'block';
+        if (adminPanel) adminPanel.style.display = 'block';
+
+        const authText = authStatus && authStatus.querySelector('.auth-text');
+        if (authText) authText.textContent = this.currentUser ? `${this.currentUser.username} (${this.currentUser.role})` : 'Admin Mode';
+
+        this.applyPermissions();
+        
+        this.updateAppStatus('admin', 'Admin mode active');
+    }
+
+    // Hide admin controls marked with data-permission that the current user can't use
+    applyPermissions() {
+        document.querySelectorAll('[data-permission]').forEach(element => {
+            element.style.display = this.hasPermission(element.dataset.permission) ? '' : 'none';
+        });
+
+        // Switch away from a tab that just got hidden
+        const tabs = Array.from(document.querySelectorAll('.admin-tab'));
+        const activeTab = tabs.find(tab => tab.classList.contains('active'));
+        if (activeTab && activeTab.style.display === 'none') {
+            const firstVisible = tabs.find(tab => tab.style.display !== 'none');
+            if (firstVisible) firstVisible.click();
+        }
+    }
+
+    disableAdminFeatures() {
+        const authForm = document.getElementById('auth-form');
+        const authStatus = document.getElementById('auth-status');
+        const adminPanel = document.getElementById('admin-panel');
+        
+        if (authForm) authForm.style.display = 'block';
+        if (authStatus) authStatus.style.display = 'none';
+        if (adminPanel) adminPanel.style.display = 'none';
+        
+        const passwordField = document.getElementById('admin-password');
+        if (passwordField) passwordField.value = '';
+
+        this.stopShapeEditor();
+        
+        this.updateAppStatus('connected', 'Connected to database');
+    }
+
+    // Admin functionality
+    async loadExistingSources() {
+        if (!this.isAuthenticated) return;
+
+        try {
+            const response = await this.adminFetch('/api/admin/co2-sources');
+            if (response.ok) {
+                this.existingSources = await response.json();
+                this.displayExistingSources();
+            }
+        } catch (error) {
+            console.error('Failed to load existing sources:', error);
+        }
+    }
+
+    displayExistingSources() {
+        const sourcesList = document.getElementById('sources-list');
+        if (!sourcesList) return;
+
+        if (this.existingSources.length === 0) {
+            sourcesList.innerHTML = '<p>No existing sources found.</p>';
+            return;
+        }
+
+        let html = '<div class="sources-grid">';
+        this.existingSources.forEach(source => {
+            html += `
+                <div class="source-item" onclick="atlas.editCO2Source(${source.id})">
+                    <h6>${source.plant_name}</h6>
+                    <p>${source.plant_type}</p>
+                    <small>${source.total_co2_t?.toLocaleString() || 0} t CO₂/year</small>
+                </div>
+            `;
+        });
+        html += '</div>';
+        sourcesList.innerHTML = html;
+    }
+
+    editCO2Source(sourceId) {
+        const source = this.existingSources.find(s => s.id == sourceId);
+        if (!source) return;
+
+        this.editingSource = source;
+        
+        // Populate form
+        document.getElementById('co2-id').value = source.id;
+        document.getElementById('co2-plant-name').value = source.plant_name || '';
+        document.getElementById('co2-plant-type').value = source.plant_type || '';
+        document.getElementById('co2-total').value = source.total_co2_t || '';
+        document.getElementById('co2-fossil').value = source.fossil_co2_t || '';
+        document.getElementById('co2-biogenic').value = source.biogenic_co2_t || '';
+        document.getElementById('co2-latitude').value = source.latitude || '';
+        document.getElementById('co2-longitude').value = source.longitude || '';
+        document.getElementById('co2-comment').value = source.comment || '';
+
+        // Show delete button
+        const deleteBtn = document.getElementById('delete-co2');
+        if (deleteBtn) deleteBtn.style.display = 'inline-block';
+
+        // Center map on the source
+        if (source.latitude && source.longitude) {
+            this.map.setView([source.latitude, source.longitude], 12);
+        }
+
+        this.showToast(`Editing: ${source.plant_name}`, 'info');
+    }
+
+    // Pick coordinates on the map for the form whose fields start with prefix
+    enableCoordinateSelection(prefix = 'co2') {
+        this.coordinateClickMode = prefix;
+        this.showToast('Click on map to select coordinates', 'info');
+        document.getElementById('coordinates-display').style.display = 'block';
+    }
+
+    handleMapClick(e) {
+        // Clicks place vertices while a line or polygon is drawn
+        if (this.map.pm && this.map.pm.globalDrawModeEnabled()) return;
+
+        if (this.coordinateClickMode) {
+            const lat = e.latlng.lat.toFixed(6);
+            const lng = e.latlng.lng.toFixed(6);
+            
+            const latField = document.getElementById(`${this.coordinateClickMode}-latitude`);
+            const lngField = document.getElementById(`${this.coordinateClickMode}-longitude`);
+            
+            if (latField) latField.value = lat;
+            if (lngField) lngField.value = lng;
+            
+            if (this.temporaryMarker) {
+                this.map.removeLayer(this.temporaryMarker);
+            }
+            
+            this.temporaryMarker = L.marker([lat, lng], {
+                icon: L.divIcon({
+                    html: '📍',
+                    className: 'temp-coordinate-marker',
+                    iconSize: [20, 20],
+                    iconAnchor: [10, 10]
+                })
+            }).addTo(this.map);
+            
+            this.coordinateClickMode = false;
+            document.getElementById('coordinates-display').style.display = 'none';
+            this.showToast(`Coordinates selected: ${lat}, ${lng}`, 'success');
+            return;
+        }
+
+        // Features with a popup stop the click before it reaches the map, so this
+        // only runs for the background and the popup-less voting district choropleth
+        this.showPointReport(e.latlng);
+    }
+
+    // "What's here?" site screening popup for a clicked coordinate
+    async showPointReport(latlng) {
+        const popup = L.popup({ maxWidth: 340 })
+            .setLatLng(latlng)
+            .setContent('<div class="popup-content"><p>Loading site report...</p></div>')
+            .openOn(this.map);
+
+        try {
+            const params = new URLSearchParams({ lat: latlng.lat.toFixed(6), lng: latlng.lng.toFixed(6) });
+            const response = await fetch(`/api/query/point-report?${params}`);
+            const report = await response.json();
+
+            if (!response.ok) {
+                throw new Error(report.error || `HTTP ${response.status}`);
+            }
+
+            popup.setContent(this.createPointReportPopup(report));
+        } catch (error) {
+            console.error('Point report failed:', error);
+            popup.setContent(`<div class="popup-content"><p>Site report unavailable: ${error.message}</p></div>`);
+        }
+    }
+
+    createPointReportPopup(report) {
+        const { lat, lng } = report.location;
+
+        const constraints = report.constraints.length > 0
+            ? `<ul class="report-list">${report.constraints.map(c => `
+                <li>${c.title}: ${this.getFeatureLabel(this.layerRegistry.find(layer => layer.table === c.layer), c.properties)}
+                    ${c.covers ? '<strong>(covers this point)</strong>' : `(${c.distance_m} m, buffer ${c.buffer_m} m)`}</li>`).join('')}</ul>`
+            : '<p>No protection or settlement areas within their buffer distance.</p>';
+
+        const nearest = Object.values(report.nearest).filter(Boolean).map(hit => {
+            const layer = this.layerRegistry.find(entry => entry.table === hit.layer);
+            return `<li><strong>${hit.title}:</strong> ${this.getFeatureLabel(layer, hit.properties)} (${hit.distance_km.toFixed(2)} km)</li>`;
+        }).join('');
+
+        return `
+            <div class="popup-content enhanced-popup point-report">
+                <h4>What's here?</h4>
+                <p class="report-coordinates">${lat.toFixed(5)}, ${lng.toFixed(5)}</p>
+                <p><strong>Commune:</strong> ${report.commune ? report.commune.name : 'Outside study area'}</p>
+                <div class="report-status ${report.suitable ? 'suitable' : 'constrained'}">
+                    ${report.suitable ? 'No exclusion constraints' : 'Constrained site'}
+                </div>
+                <h5>Constraints</h5>
+                ${constraints}
+                <h5>Nearest infrastructure</h5>
+                ${nearest ? `<ul class="report-list">${nearest}</ul>` : '<p>No infrastructure data</p>'}
+                ${report.voting_district ? `<h5>Voting district</h5>${this.createVotingPopup(report.voting_district)}` : ''}
+            </div>
+        `;
+    }
+
+    validateCoordinates(prefix = 'co2') {
+        const latField = document.getElementById(`${prefix}-latitude`);
+        const lngField = document.getElementById(`${prefix}-longitude`);
+        
+        if (!latField || !lngField) return;
+        
+        const lat = parseFloat(latField.value);
+        const lng = parseFloat(lngField.value);
+        
+        if (isNaN(lat) || isNaN(lng)) {
+            this.showToast('Please enter valid coordinates', 'error');
+            return;
+        }
+        
+        if (lat < 46 || lat > 49 || lng < 9 || lng > 17) {
+            this.showToast('Coordinates outside Austria region', 'warning');
+            return;
+        }
+        
+        this.map.setView([lat, lng], 12);
+        this.showToast('Coordinates are valid', 'success');
+    }
+
+    async saveCO2Source() {
+        const formData = {
+            plant_name: document.getElementById('co2-plant-name')?.value,
+            plant_type: document.getElementById('co2-plant-type')?.value,
+            total_co2_t: parseFloat(document.getElementById('co2-total')?.value) || 0,
+            fossil_co2_t: parseFloat(document.getElementById('co2-fossil')?.value) || 0,
+            biogenic_co2_t: parseFloat(document.getElementById('co2-biogenic')?.value) || 0,
+            latitude: parseFloat(document.getElementById('co2-latitude')?.value),
+            longitude: parseFloat(document.getElementById('co2-longitude')?.value),
+            comment: document.getElementById('co2-comment')?.value || ''
+        };
+        
+        if (!formData.plant_name || !formData.plant_type || isNaN(formData.latitude) || isNaN(formData.longitude)) {
+            this.showToast('Please fill in all required fields', 'error');
+            return;
+        }
+
+        const sourceId = document.getElementById('co2-id')?.value;
+        const isUpdate = sourceId && sourceId !== '';
+        
+        try {
+            const url = isUpdate ? `/api/admin/co2-sources/${sourceId}` : '/api/admin/co2-sources';
+            const method = isUpdate ? 'PUT' : 'POST';
+            
+            const response = await this.adminFetch(url, {
+                method: method,
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify(formData)
+            });
+            
+            if (response.ok) {
+                this.showToast(`CO₂ source ${isUpdate ? 'updated' : 'created'} successfully`, 'success');
+                this.clearCO2Form();
+                this.loadExistingSources();
+                // Reload CO2 sources on map
+                this.clusterGroups.co2Sources.clearLayers();
+                await this.loadCO2Sources();
+            } else {
+                throw new Error(`Failed to ${isUpdate ? 'update' : 'create'} CO₂ source`);
+            }
+        } catch (error) {
+            console.error('Error saving CO₂ source:', error);
+            this.showToast('Failed to save CO₂ source', 'error');
+        }
+    }
+
+    async deleteCO2Source() {
+        const sourceId = document.getElementById('co2-id')?.value;
+        if (!sourceId || !this.editingSource) {
+            this.showToast('No source selected for deletion', 'error');
+            return;
+        }
+
+        if (!confirm(`Are you sure you want to delete "${this.editingSource.plant_name}"?`)) {
+            return;
+        }
+
+        try {
+            const response = await this.adminFetch(`/api/admin/co2-sources/${sourceId}`, {
+                method: 'DELETE'
+            });
+            
+            if (response.ok) {
+                this.showToast('CO₂ source deleted successfully', 'success');
+                this.clearCO2Form();
+                this.loadExistingSources();
+                // Reload CO2 sources on map
+                this.clusterGroups.co2Sources.clearLayers();
+                await this.loadCO2Sources();
+            } else {
+                throw new Error('Failed to delete CO₂ source');
+            }
+        } catch (error) {
+            console.error('Error deleting CO₂ source:', error);
+            this.showToast('Failed to delete CO₂ source', 'error');
+        }
+    }
+
+    // Send the chosen spreadsheet to the bulk upload endpoint for sources or
+    // yearly emissions: first as a preview, then (commit = true) to import the
+    // new and changed rows
+    async uploadCO2Sources(commit) {
+        const fileInput = document.getElementById('co2-upload-file');
+        const kindSelect = document.getElementById('co2-upload-kind');
+        const emissions = kindSelect && kindSelect.value === 'emissions';
+        const file = fileInput && fileInput.files[0];
+        if (!file) {
+            this.showToast('Choose an XLSX or CSV file first', 'error');
+            return;
+        }
+
+        const what = emissions ? 'yearly CO₂ figures' : 'CO₂ sources';
+        if (commit && !confirm(`Import the new and changed ${what}?`)) {
+            return;
+        }
+
+        const formData = new FormData();
+        formData.append('file', file);
+
+        try {
+            const endpoint = emissions ? '/api/admin/co2-sources/emissions/import' : '/api/admin/co2-sources/import';
+            const response = await this.adminFetch(`${endpoint}${commit ? '?commit=true' : ''}`, {
+                method: 'POST',
+                body: formData
+            });
+            const result = await response.json();
+
+            if (!response.ok) {
+                throw new Error(result.error || `HTTP ${response.status}`);
+            }
+
+            this.renderCO2UploadPreview(result);
+
+            if (result.committed) {
+                this.showToast(`Imported ${result.summary.new} new and ${result.summary.changed} changed ${what}`, 'success');
+                fileInput.value = '';
+                if (emissions) {
+                    await this.loadEmissionYears();
+                } else {
+                    this.loadExistingSources();
+                }
+                this.clusterGroups.co2Sources.clearLayers();
+                await this.loadCO2Sources();
+            }
+        } catch (error) {
+            console.error('CO₂ source upload failed:', error);
+            this.showToast(`Upload failed: ${error.message}`, 'error');
+        }
+    }
+
+    renderCO2UploadPreview(result) {
+        const container = document.getElementById('co2-upload-preview');
+        const commitBtn = document.getElementById('commit-co2-upload');
+        if (!container) return;
+
+        const { summary } = result;
+        const formatChange = (change) => `${change.old ?? '–'} → ${change.new}`;
+        const formatName = (row) => `${row.plant_name}${row.year ? ` ${row.year}` : ''}`;
+
+        container.innerHTML = `
+            <p class="upload-summary">
+                ${result.committed ? 'Imported' : 'Preview of'} <strong>${result.file}</strong>:
+                ${summary.new} new, ${summary.changed} changed, ${summary.unchanged} unchanged, ${summary.invalid} invalid
+            </p>
+            ${result.new.length > 0 ? `
+                <h6>New</h6>
+                <ul class="upload-list upload-new">
+                    ${result.new.map(row => `<li>Row ${row.row}: ${formatName(row)} (${row.total_co2_t.toLocaleString()} t)</li>`).join('')}
+                </ul>
+            ` : ''}
+            ${result.changed.length > 0 ? `
+                <h6>Changed</h6>
+                <ul class="upload-list upload-changed">
+                    ${result.changed.map(row => `
+                        <li>Row ${row.row}: ${formatName(row)}
+                            <small>${Object.entries(row.changes).map(([column, change]) => `${column}: ${formatChange(change)}`).join(', ')}</small>
+                        </li>
+                    `).join('')}
+                </ul>
+            ` : ''}
+            ${result.invalid.length > 0 ? `
+                <h6>Invalid (skipped)</h6>
+                <ul class="upload-list upload-invalid">
+                    ${result.invalid.map(row => `<li>Row ${row.row}${row.plant_name ? `: ${row.plant_name}` : ''} <small>${row.errors.join('; ')}</small></li>`).join('')}
+                </ul>
+            ` : ''}
+        `;
+
+        if (commitBtn) {
+            commitBtn.style.display = !result.committed && summary.new + summary.changed > 0 ? '' : 'none';
+        }
+    }
+
+    // Create a layer from a zipped shapefile and add it to the map and layer panel
+    async uploadShapefileLayer() {
+        const fileInput = document.getElementById('layer-upload-file');
+        const titleInput = document.getElementById('layer-upload-title');
+        const file = fileInput && fileInput.files[0];
+        if (!file) {
+            this.showToast('Choose a zipped shapefile first', 'error');
+            return;
+        }
+
+        const formData = new FormData();
+        formData.append('file', file);
+        if (titleInput && titleInput.value.trim()) {
+            formData.append('title', titleInput.value.trim());
+        }
+        const restrictedInput = document.getElementById('layer-upload-restricted');
+        formData.append('restricted', String(Boolean(restrictedInput && restrictedInput.checked)));
+
+        this.showToast(`Uploading ${file.name}...`, 'info');
+
+        try {
+            const response = await this.adminFetch('/api/admin/layers/upload', {
+                method: 'POST',
+                body: formData
+            });
+            const result = await response.json();
+
+            if (!response.ok) {
+                throw new Error(result.error || `HTTP ${response.status}`);
+            }
+
+            await this.addRegistryLayer(result.layer);
+            fileInput.value = '';
+            if (titleInput) titleInput.value = '';
+
+            const skipped = result.skipped > 0 ? `, ${result.skipped} without geometry skipped` : '';
+            this.showToast(`Layer "${result.layer.title}" created with ${result.feature_count} features${skipped}`, 'success');
+        } catch (error) {
+            console.error('Shapefile upload failed:', error);
+            this.showToast(`Shapefile upload failed: ${error.message}`, 'error');
+        }
+    }
+
+    // Add a layer registered at runtime (shapefile upload) without reloading the page
+    async addRegistryLayer(layer) {
+        this.layerRegistry.push(layer);
+        this.layerIndex[layer.key] = layer;
+        this.layers[layer.key] = L.layerGroup();
+        if (layer.visible) {
+            this.layers[layer.key].addTo(this.map);
+        }
+
+        const loaded = this.rerenderLayerPanel();
+        await this.loadLayer(layer);
+        this.updateLayersStatus(loaded + 1);
+    }
+
+    // Re-render the panel after registry changes, keeping the current checkbox
+    // states and counts. Returns the number of loaded layers shown before.
+    rerenderLayerPanel() {
+        const layersStatus = document.getElementById('layers-status');
+        const loaded = layersStatus ? parseInt(layersStatus.textContent, 10) || 0 : 0;
+        this.renderLayerPanel();
+        this.bindLayerPanelEvents();
+        this.layerRegistry.forEach(entry => {
+            const checkbox = document.getElementById(`layer-${entry.key}`);
+            const group = this.clusterGroups[entry.key] || this.layers[entry.key];
+            if (checkbox && group) {
+                checkbox.checked = this.map.hasLayer(group);
+            }
+            this.updateLayerCount(`${entry.key}-count`, this.layerCounts[entry.key] || 0);
+        });
+        this.updateLayersStatus(loaded);
+        return loaded;
+    }
+
+    updateLayersStatus(loaded) {
+        const layersStatus = document.getElementById('layers-status');
+        if (layersStatus) {
+            layersStatus.textContent = `${Math.min(loaded, this.layerRegistry.length)}/${this.layerRegistry.length} loaded`;
+        }
+    }
+
+    // Add the restricted layers the signed-in user may now read
+    async syncRestrictedLayers() {
+        try {
+            const response = await fetch('/api/layers', { headers: this.authHeaders() });
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+            const registry = await response.json();
+            for (const layer of registry.layers.filter(entry => !this.layerIndex[entry.key])) {
+                await this.addRegistryLayer(layer);
+            }
+        } catch (error) {
+            console.error('Failed to load restricted layers:', error);
+        }
+    }
+
+    // Drop restricted layers from the map and panel after logout
+    removeRestrictedLayers() {
+        const restricted = this.layerRegistry.filter(layer => layer.restricted);
+        restricted.forEach(layer => {
+            const group = this.clusterGroups[layer.key] || this.layers[layer.key];
+            if (group) this.map.removeLayer(group);
+            delete this.layers[layer.key];
+            delete this.clusterGroups[layer.key];
+            delete this.layerIndex[layer.key];
+            delete this.layerCounts[layer.key];
+        });
+        this.layerRegistry = this.layerRegistry.filter(layer => !layer.restricted);
+
+        const layersStatus = document.getElementById('layers-status');
+        const loaded = layersStatus ? parseInt(layersStatus.textContent, 10) || 0 : 0;
+        this.rerenderLayerPanel();
+        this.updateLayersStatus(loaded - restricted.length);
+    }
+
+    // ========================================
+    // USER MANAGEMENT
+    // ========================================
+
+    async loadUsers() {
+        if (!this.hasPermission('users:manage')) return;
+
+        try {
+            const response = await this.adminFetch('/api/admin/users');
+            const result = await response.json();
+            if (!response.ok) {
+                throw new Error(this.getResponseError(result, response));
+            }
+
+            this.users = result.users;
+            this.renderUsers(result.roles);
+        } catch (error) {
+            console.error('Failed to load users:', error);
+            const usersList = document.getElementById('users-list');
+            if (usersList) usersList.innerHTML = `<p>Failed to load users: ${error.message}</p>`;
+        }
+    }
+
+    renderUsers(roles) {
+        const usersList = document.getElementById('users-list');
+        if (!usersList) return;
+
+        if (this.users.length === 0) {
+            usersList.innerHTML = '<p>No users found.</p>';
+            return;
+        }
+
+        usersList.innerHTML = this.users.map(user => {
+            const isSelf = this.currentUser && user.id === this.currentUser.id;
+            return `
+                <div class="user-item${user.is_active ? '' : ' inactive'}">
+                    <div class="user-info">
+                        <h6>${user.username}${isSelf ? ' (you)' : ''}</h6>
+                        <small>
+                            ${user.email || 'No email'} ·
+                            ${user.last_login ? `last login ${new Date(user.last_login).toLocaleDateString()}` : 'never logged in'}
+                            ${user.must_change_password ? ' · password reset pending' : ''}
+                        </small>
+                    </div>
+                    <div class="user-actions">
+                        <select onchange="atlas.updateUser(${user.id}, { role: this.value })" ${isSelf ? 'disabled' : ''}>
+                            ${roles.map(role => `<option value="${role}" ${role === user.role ? 'selected' : ''}>${role}</option>`).join('')}
+                        </select>
+                        <button class="btn btn-small" onclick="atlas.resetUserPassword(${user.id})">Reset Password</button>
+                        <button class="btn btn-small" onclick="atlas.showUserSessions(${user.id})">Sessions</button>
+                        ${isSelf ? '' : `
+                            <button class="btn btn-small" onclick="atlas.updateUser(${user.id}, { is_active: ${!user.is_active} })">
+                                ${user.is_active ? 'Deactivate' : 'Activate'}
+                            </button>
+                        `}
+                    </div>
+                    <div class="user-sessions" id="user-sessions-${user.id}"></div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    // Toggle the list of active sessions (devices) under a user
+    async showUserSessions(userId) {
+        const container = document.getElementById(`user-sessions-${userId}`);
+        if (!container) return;
+        if (container.innerHTML.trim()) {
+            container.innerHTML = '';
+            return;
+        }
+
+        try {
+            const response = await this.adminFetch(`/api/admin/users/${userId}/sessions`);
+            const sessions = await response.json();
+            if (!response.ok) {
+                throw new Error(this.getResponseError(sessions, response));
+            }
+
+            container.innerHTML = sessions.length === 0 ? '<small>No active sessions</small>' : `
+                <ul class="upload-list">
+                    ${sessions.map(session => `
+                        <li>${session.current ? '<strong>This session</strong>' : `Signed in ${new Date(session.created_at).toLocaleString()}`}
+                            <small>Last active ${new Date(session.last_used_at).toLocaleString()} · ${session.ip_address || 'unknown IP'} · ${session.user_agent || 'unknown client'}</small>
+                        </li>
+                    `).join('')}
+                </ul>
+                <button class="btn btn-small btn-danger" onclick="atlas.revokeUserSessions(${userId})">Sign Out Everywhere</button>
+            `;
+        } catch (error) {
+            console.error('Failed to load sessions:', error);
+            this.showToast(`Failed to load sessions: ${error.message}`, 'error');
+        }
+    }
+
+    async revokeUserSessions(userId) {
+        const user = this.users.find(entry => entry.id === userId);
+        const isSelf = this.currentUser && userId === this.currentUser.id;
+        if (!confirm(`Sign ${isSelf ? 'yourself out on all other devices' : `${user ? user.username : 'this user'} out everywhere`}?`)) {
+            return;
+        }
+
+        try {
+            const response = await this.adminFetch(`/api/admin/users/${userId}/sessions`, { method: 'DELETE' });
+            const result = await response.json();
+            if (!response.ok) {
+                throw new Error(this.getResponseError(result, response));
+            }
+
+            this.showToast(`${result.revoked} session${result.revoked === 1 ? '' : 's'} revoked`, 'success');
+            const container = document.getElementById(`user-sessions-${userId}`);
+            if (container) container.innerHTML = '';
+            this.showUserSessions(userId);
+        } catch (error) {
+            console.error('Failed to revoke sessions:', error);
+            this.showToast(`Failed to revoke sessions: ${error.message}`, 'error');
+        }
+    }
+
+    async createUser() {
+        const fields = {
+            username: document.getElementById('new-user-username'),
+            email: document.getElementById('new-user-email'),
+            role: document.getElementById('new-user-role'),
+            password: document.getElementById('new-user-password')
+        };
+
+        const data = {
+            username: fields.username?.value.trim(),
+            email: fields.email?.value.trim(),
+            role: fields.role?.value,
+            password: fields.password?.value
+        };
+
+        if (!data.username || !data.password) {
+            this.showToast('Username and temporary password are required', 'error');
+            return;
+        }
+
+        try {
+            const response = await this.adminFetch('/api/admin/users', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify(data)
+            });
+            const result = await response.json();
+            if (!response.ok) {
+                throw new Error(this.getResponseError(result, response));
+            }
+
+            ['username', 'email', 'password'].forEach(key => {
+                if (fields[key]) fields[key].value = '';
+            });
+            this.showToast(`User ${result.username} created`, 'success');
+            this.loadUsers();
+        } catch (error) {
+            console.error('Failed to create user:', error);
+            this.showToast(`Failed to create user: ${error.message}`, 'error');
+        }
+    }
+
+    async updateUser(userId, changes) {
+        const user = this.users.find(entry => entry.id === userId);
+        if (changes.is_active === false && !confirm(`Deactivate ${user ? user.username : 'this user'}? They won't be able to log in.`)) {
+            return;
+        }
+
+        try {
+            const response = await this.adminFetch(`/api/admin/users/${userId}`, {
+                method: 'PUT',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify(changes)
+            });
+            const result = await response.json();
+            if (!response.ok) {
+                throw new Error(this.getResponseError(result, response));
+            }
+
+            this.showToast(`User ${result.username} updated`, 'success');
+        } catch (error) {
+            console.error('Failed to update user:', error);
+            this.showToast(`Failed to update user: ${error.message}`, 'error');
+        }
+        this.loadUsers();
+    }
+
+    async resetUserPassword(userId) {
+        const user = this.users.find(entry => entry.id === userId);
+        const password = prompt(`Temporary password for ${user ? user.username : 'this user'} (min. 10 characters). They have to change it at the next login.`);
+        if (!password) return;
+
+        try {
+            const response = await this.adminFetch(`/api/admin/users/${userId}/reset-password`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({ password })
+            });
+            const result = await response.json();
+            if (!response.ok) {
+                throw new Error(this.getResponseError(result, response));
+            }
+
+            this.showToast(`Password of ${result.username} reset`, 'success');
+            this.loadUsers();
+        } catch (error) {
+            console.error('Failed to reset password:', error);
+            this.showToast(`Failed to reset password: ${error.message}`, 'error');
+        }
+    }
+
+    // ========================================
+    // POINT FEATURE EDITING
+    // ========================================
+
+    // Fill the layer select with the point layers the server allows editing
+    async loadEditableLayers() {
+        const layerSelect = document.getElementById('feature-layer');
+        if (!layerSelect || layerSelect.options.length > 1) return;
+
+        try {
+            const response = await this.adminFetch('/api/admin/features');
+            const layers = await response.json();
+            if (!response.ok) {
+                throw new Error(this.getResponseError(layers, response));
+            }
+
+            layers.forEach(layer => layerSelect.add(new Option(layer.title, layer.table)));
+        } catch (error) {
+            console.error('Failed to load editable layers:', error);
+            this.showToast(`Failed to load editable layers: ${error.message}`, 'error');
+        }
+    }
+
+    // Load the form fields and features of the selected layer
+    async loadFeatures() {
+        const table = document.getElementById('feature-layer')?.value;
+        const featuresList = document.getElementById('features-list');
+        if (!table) {
+            this.featureSchema = null;
+            this.renderFeatureFields();
+            this.clearFeatureForm();
+            if (featuresList) featuresList.innerHTML = '<p>Select a layer to list its features.</p>';
+            return;
+        }
+
+        const query = document.getElementById('feature-search')?.value.trim();
+        const params = query ? `?${new URLSearchParams({ q: query })}` : '';
+
+        try {
+            const response = await this.adminFetch(`/api/admin/features/${table}${params}`);
+            const result = await response.json();
+            if (!response.ok) {
+                throw new Error(this.getResponseError(result, response));
+            }
+
+            const layerChanged = !this.featureSchema || this.featureSchema.table !== result.table;
+            this.featureSchema = result;
+            if (layerChanged) {
+                this.renderFeatureFields();
+                this.clearFeatureForm();
+            }
+            this.displayFeatures();
+        } catch (error) {
+            console.error('Failed to load features:', error);
+            if (featuresList) featuresList.innerHTML = `<p>Failed to load features: ${error.message}</p>`;
+        }
+    }
+
+    formatColumnName(name) {
+        const label = name.replace(/_/g, ' ');
+        return label.charAt(0).toUpperCase() + label.slice(1);
+    }
+
+    // One input per editable column, typed after the column, plus the
+    // coordinate inputs of point layers or the shape tools of the others
+    renderFeatureFields() {
+        const isShape = Boolean(this.featureSchema && this.featureSchema.geometryType !== 'point');
+        const pointTools = document.getElementById('feature-point-tools');
+        const shapeTools = document.getElementById('feature-shape-tools');
+        if (pointTools) pointTools.style.display = isShape ? 'none' : '';
+        if (shapeTools) shapeTools.style.display = isShape ? '' : 'none';
+
+        const container = document.getElementById('feature-fields');
+        if (!container) return;
+        if (!this.featureSchema) {
+            container.innerHTML = '';
+            return;
+        }
+
+        const inputTypes = { text: 'text', integer: 'number', number: 'number', date: 'date', datetime: 'datetime-local' };
+        container.innerHTML = this.featureSchema.fields.map(field => {
+            const label = `${this.formatColumnName(field.name)}${field.required ? ' *' : ''}`;
+            if (field.type === 'boolean') {
+                return `
+                    <select id="feature-field-${field.name}" title="${label}">
+                        <option value="">${label}: not set</option>
+                        <option value="true">${label}: yes</option>
+                        <option value="false">${label}: no</option>
+                    </select>
+                `;
+            }
+            return `
+                <input type="${inputTypes[field.type]}" id="feature-field-${field.name}" placeholder="${label}" title="${label}"
+                    ${field.type === 'integer' ? 'step="1"' : ''}${field.type === 'number' ? 'step="any"' : ''}
+                    ${field.maxLength ? `maxlength="${field.maxLength}"` : ''}>
+            `;
+        }).join('');
+    }
+
+    // Label of a feature in the list: the first filled text column
+    getFeatureTitle(feature) {
+        const textField = this.featureSchema.fields.find(field => field.type === 'text' && feature[field.name]);
+        return textField ? feature[textField.name] : `#${feature.id}`;
+    }
+
+    displayFeatures() {
+        const featuresList = document.getElementById('features-list');
+        if (!featuresList) return;
+
+        const { features, truncated } = this.featureSchema;
+        if (features.length === 0) {
+            featuresList.innerHTML = '<p>No features found.</p>';
+            return;
+        }
+
+        featuresList.innerHTML = `
+            <div class="sources-grid">
+                ${features.map(feature => `
+                    <div class="source-item" onclick="atlas.editFeature(${feature.id})">
+                        <h6>${this.escapeHtml(this.getFeatureTitle(feature))}</h6>
+                        <small>#${feature.id} · ${Number(feature.latitude).toFixed(4)}, ${Number(feature.longitude).toFixed(4)}</small>
+                    </div>
+                `).join('')}
+            </div>
+            ${truncated ? `<small>Showing the first ${features.length} features; search to narrow down.</small>` : ''}
+        `;
+    }
+
+    async editFeature(featureId) {
+        const feature = this.featureSchema?.features.find(entry => entry.id === featureId);
+        if (!feature) return;
+
+        document.getElementById('feature-id').value = feature.id;
+        this.featureSchema.fields.forEach(field => {
+            const input = document.getElementById(`feature-field-${field.name}`);
+            if (!input) return;
+            const value = feature[field.name];
+            if (value === null || value === undefined) {
+                input.value = '';
+            } else if (field.type === 'date' || field.type === 'datetime') {
+                const date = new Date(value);
+                const local = new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString();
+                input.value = field.type === 'date' ? local.slice(0, 10) : local.slice(0, 16);
+            } else {
+                input.value = String(value);
+            }
+        });
+        document.getElementById('feature-latitude').value = feature.latitude ?? '';
+        document.getElementById('feature-longitude').value = feature.longitude ?? '';
+
+        const deleteBtn = document.getElementById('delete-feature');
+        if (deleteBtn) deleteBtn.style.display = 'inline-block';
+
+        if (this.featureSchema.geometryType !== 'point') {
+            // The list has no shapes; map layers may be simplified, so load the full geometry
+            try {
+                const response = await this.adminFetch(`/api/admin/features/${this.featureSchema.table}/${featureId}`);
+                const result = await response.json();
+                if (!response.ok) {
+                    throw new Error(this.getResponseError(result, response));
+                }
+                this.startShapeEditor(result.geometry);
+            } catch (error) {
+                console.error('Failed to load feature geometry:', error);
+                this.showToast(`Failed to load the shape: ${error.message}`, 'error');
+            }
+        } else if (feature.latitude && feature.longitude) {
+            this.map.setView([feature.latitude, feature.longitude], 13);
+        }
+        this.showToast(`Editing: ${this.getFeatureTitle(feature)}`, 'info');
     }
 
-    // Admin functionality
-    async loadExistingSources() {
-        if (!this.isAuthenticated) return;
+    // ----------------------------------------
+    // Line and polygon shapes (Leaflet-Geoman)
+    // ----------------------------------------
 
-        try {
-            const response = await fetch('/api/admin/co2-sources');
-            if (response.ok) {
-                this.existingSources = await response.json();
-                this.displayExistingSources();
+    // Put a shape on the map for vertex editing, one Leaflet layer per part of
+    // a multi geometry. Without a geometry the editor starts empty for drawing.
+    startShapeEditor(geometry = null) {
+        this.stopShapeEditor();
+        if (!this.map.pm) {
+            this.showToast('Geometry editing tools failed to load', 'error');
+            return;
+        }
+
+        this.shapeEditor = { original: geometry, group: L.featureGroup().addTo(this.map), changed: false, removing: false };
+
+        if (geometry) {
+            const parts = geometry.type.startsWith('Multi')
+                ? geometry.coordinates.map(coordinates => ({ type: geometry.type.replace('Multi', ''), coordinates }))
+                : [geometry];
+            parts.forEach(part => {
+                L.geoJSON(part).getLayers().forEach(layer => this.addShapePart(layer));
+            });
+            if (this.shapeEditor.group.getLayers().length > 0) {
+                this.map.fitBounds(this.shapeEditor.group.getBounds(), { maxZoom: 15 });
             }
-        } catch (error) {
-            console.error('Failed to load existing sources:', error);
         }
+        this.updateShapeStatus();
     }
 
-    displayExistingSources() {
-        const sourcesList = document.getElementById('sources-list');
-        if (!sourcesList) return;
+    stopShapeEditor() {
+        if (this.map && this.map.pm) this.map.pm.disableDraw();
+        if (this.shapeEditor) {
+            this.map.removeLayer(this.shapeEditor.group);
+            this.shapeEditor = null;
+        }
+    }
 
-        if (this.existingSources.length === 0) {
-            sourcesList.innerHTML = '<p>No existing sources found.</p>';
+    addShapePart(layer) {
+        const editor = this.shapeEditor;
+        layer.setStyle({ color: '#ff9800', weight: 3, fillOpacity: 0.2 });
+        editor.group.addLayer(layer);
+        layer.pm.enable({ allowSelfIntersection: false });
+        layer.on('pm:edit', () => {
+            editor.changed = true;
+            this.updateShapeStatus();
+        });
+        layer.on('click', (e) => {
+            if (!editor.removing) return;
+            L.DomEvent.stopPropagation(e);
+            editor.group.removeLayer(layer);
+            editor.removing = false;
+            editor.changed = true;
+            this.updateShapeStatus();
+        });
+    }
+
+    drawShapePart() {
+        if (!this.shapeEditor) this.startShapeEditor();
+        if (!this.shapeEditor) return;
+
+        const shape = this.featureSchema.geometryType === 'line' ? 'Line' : 'Polygon';
+        this.map.pm.enableDraw(shape, { allowSelfIntersection: false, finishOn: 'dblclick' });
+        // Replaces the handler of a drawing that was cancelled
+        this.map.off('pm:create').once('pm:create', (e) => {
+            this.map.removeLayer(e.layer);
+            if (!this.shapeEditor) return;
+            this.addShapePart(e.layer);
+            this.shapeEditor.changed = true;
+            this.updateShapeStatus();
+        });
+        this.showToast(`Click the map to draw the ${shape.toLowerCase()}; double-click to finish`, 'info');
+    }
+
+    enablePartRemoval() {
+        if (!this.shapeEditor || this.shapeEditor.group.getLayers().length === 0) {
+            this.showToast('No shape to remove parts from', 'error');
             return;
         }
+        this.shapeEditor.removing = true;
+        this.showToast('Click the part to remove', 'info');
+    }
 
-        let html = '<div class="sources-grid">';
-        this.existingSources.forEach(source => {
-            html += `
-                <div class="source-item" onclick="atlas.editCO2Source(${source.id})">
-                    <h6>${source.plant_name}</h6>
-                    <p>${source.plant_type}</p>
-                    <small>${source.total_co2_t?.toLocaleString() || 0} t CO₂/year</small>
-                </div>
-            `;
+    updateShapeStatus() {
+        const status = document.getElementById('feature-shape-status');
+        if (!status) return;
+        const parts = this.shapeEditor ? this.shapeEditor.group.getLayers().length : 0;
+        status.textContent = parts === 0
+            ? 'No shape drawn'
+            : `${parts} part${parts === 1 ? '' : 's'}${this.shapeEditor.changed ? ' (changed)' : ''}; drag the vertices to edit`;
+    }
+
+    // GeoJSON geometry of the edited parts: a single part or a multi geometry
+    getEditedShape() {
+        if (!this.shapeEditor) return null;
+        const parts = this.shapeEditor.group.getLayers().flatMap(layer => {
+            const geometry = layer.toGeoJSON().geometry;
+            return geometry.type.startsWith('Multi') ? geometry.coordinates : [geometry.coordinates];
         });
-        html += '</div>';
-        sourcesList.innerHTML = html;
+        if (parts.length === 0) return null;
+
+        const type = this.featureSchema.geometryType === 'line' ? 'LineString' : 'Polygon';
+        return parts.length === 1 ? { type, coordinates: parts[0] } : { type: `Multi${type}`, coordinates: parts };
     }
 
-    editCO2Source(sourceId) {
-        const source = this.existingSources.find(s => s.id == sourceId);
-        if (!source) return;
+    clearFeatureForm() {
+        ['feature-id', 'feature-latitude', 'feature-longitude'].forEach(fieldId => {
+            const field = document.getElementById(fieldId);
+            if (field) field.value = '';
+        });
+        document.querySelectorAll('#feature-fields input, #feature-fields select').forEach(input => {
+            input.value = '';
+        });
 
-        this.editingSource = source;
-        
-        // Populate form
-        document.getElementById('co2-id').value = source.id;
-        document.getElementById('co2-plant-name').value = source.plant_name || '';
-        document.getElementById('co2-plant-type').value = source.plant_type || '';
-        document.getElementById('co2-total').value = source.total_co2_t || '';
-        document.getElementById('co2-fossil').value = source.fossil_co2_t || '';
-        document.getElementById('co2-biogenic').value = source.biogenic_co2_t || '';
-        document.getElementById('co2-latitude').value = source.latitude || '';
-        document.getElementById('co2-longitude').value = source.longitude || '';
-        document.getElementById('co2-comment').value = source.comment || '';
+        const deleteBtn = document.getElementById('delete-feature');
+        if (deleteBtn) deleteBtn.style.display = 'none';
 
-        // Show delete button
-        const deleteBtn = document.getElementById('delete-co2');
-        if (deleteBtn) deleteBtn.style.display = 'inline-block';
+        this.stopShapeEditor();
+        this.updateShapeStatus();
+    }
 
-        // Center map on the source
-        if (source.latitude && source.longitude) {
-            this.map.setView([source.latitude, source.longitude], 12);
+    async saveFeature() {
+        if (!this.featureSchema) {
+            this.showToast('Select a layer first', 'error');
+            return;
         }
 
-        this.showToast(`Editing: ${source.plant_name}`, 'info');
-    }
+        const featureId = document.getElementById('feature-id')?.value;
+        const { table, geometryType } = this.featureSchema;
 
-    enableCoordinateSelection() {
-        this.coordinateClickMode = true;
-        this.showToast('Click on map to select coordinates', 'info');
-        document.getElementById('coordinates-display').style.display = 'block';
-    }
+        // Empty inputs clear the column; the server validates types, required columns and shapes
+        const data = {};
+        if (geometryType === 'point') {
+            data.latitude = document.getElementById('feature-latitude')?.value;
+            data.longitude = document.getElementById('feature-longitude')?.value;
+        } else if (!featureId || this.shapeEditor?.changed) {
+            const geometry = this.getEditedShape();
+            if (!geometry) {
+                this.showToast('Draw the shape first', 'error');
+                return;
+            }
+            data.geometry = geometry;
+        }
+        this.featureSchema.fields.forEach(field => {
+            const input = document.getElementById(`feature-field-${field.name}`);
+            if (input) data[field.name] = input.value === '' ? null : input.value;
+        });
 
-    handleMapClick(e) {
-        if (this.coordinateClickMode) {
-            const lat = e.latlng.lat.toFixed(6);
-            const lng = e.latlng.lng.toFixed(6);
-            
-            const latField = document.getElementById('co2-latitude');
-            const lngField = document.getElementById('co2-longitude');
-            
-            if (latField) latField.value = lat;
-            if (lngField) lngField.value = lng;
-            
-            if (this.temporaryMarker) {
-                this.map.removeLayer(this.temporaryMarker);
+        try {
+            const response = await this.adminFetch(`/api/admin/features/${table}${featureId ? `/${featureId}` : ''}`, {
+                method: featureId ? 'PUT' : 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify(data)
+            });
+            const result = await response.json();
+            if (!response.ok) {
+                throw new Error(this.getResponseError(result, response));
             }
-            
-            this.temporaryMarker = L.marker([lat, lng], {
-                icon: L.divIcon({
-                    html: '📍',
-                    className: 'temp-coordinate-marker',
-                    iconSize: [20, 20],
-                    iconAnchor: [10, 10]
-                })
-            }).addTo(this.map);
-            
-            this.coordinateClickMode = false;
-            document.getElementById('coordinates-display').style.display = 'none';
-            this.showToast(`Coordinates selected: ${lat}, ${lng}`, 'success');
+
+            this.showToast(`Feature ${featureId ? 'updated' : 'created'} successfully`, 'success');
+            this.clearFeatureForm();
+            this.loadFeatures();
+            await this.reloadLayerData(table);
+        } catch (error) {
+            console.error('Error saving feature:', error);
+            this.showToast(`Failed to save feature: ${error.message}`, 'error');
         }
     }
 
-    validateCoordinates() {
-        const latField = document.getElementById('co2-latitude');
-        const lngField = document.getElementById('co2-longitude');
-        
-        if (!latField || !lngField) return;
-        
-        const lat = parseFloat(latField.value);
-        const lng = parseFloat(lngField.value);
-        
-        if (isNaN(lat) || isNaN(lng)) {
-            this.showToast('Please enter valid coordinates', 'error');
+    async deleteFeature() {
+        const featureId = document.getElementById('feature-id')?.value;
+        const feature = this.featureSchema?.features.find(entry => String(entry.id) === featureId);
+        if (!feature) {
+            this.showToast('No feature selected for deletion', 'error');
             return;
         }
-        
-        if (lat < 46 || lat > 49 || lng < 9 || lng > 17) {
-            this.showToast('Coordinates outside Austria region', 'warning');
+
+        if (!confirm(`Are you sure you want to delete "${this.getFeatureTitle(feature)}"?`)) {
             return;
         }
-        
-        this.map.setView([lat, lng], 12);
-        this.showToast('Coordinates are valid', 'success');
+
+        const { table } = this.featureSchema;
+        try {
+            const response = await this.adminFetch(`/api/admin/features/${table}/${featureId}`, { method: 'DELETE' });
+            const result = await response.json();
+            if (!response.ok) {
+                throw new Error(this.getResponseError(result, response));
+            }
+
+            this.showToast('Feature deleted successfully', 'success');
+            this.clearFeatureForm();
+            this.loadFeatures();
+            await this.reloadLayerData(table);
+        } catch (error) {
+            console.error('Error deleting feature:', error);
+            this.showToast(`Failed to delete feature: ${error.message}`, 'error');
+        }
     }
 
-    async saveCO2Source() {
-        const formData = {
-            plant_name: document.getElementById('co2-plant-name')?.value,
-            plant_type: document.getElementById('co2-plant-type')?.value,
-            total_co2_t: parseFloat(document.getElementById('co2-total')?.value) || 0,
-            fossil_co2_t: parseFloat(document.getElementById('co2-fossil')?.value) || 0,
-            biogenic_co2_t: parseFloat(document.getElementById('co2-biogenic')?.value) || 0,
-            latitude: parseFloat(document.getElementById('co2-latitude')?.value),
-            longitude: parseFloat(document.getElementById('co2-longitude')?.value),
-            comment: document.getElementById('co2-comment')?.value || ''
-        };
-        
-        if (!formData.plant_name || !formData.plant_type || isNaN(formData.latitude) || isNaN(formData.longitude)) {
-            this.showToast('Please fill in all required fields', 'error');
-            return;
+    // ========================================
+    // AUDIT HISTORY
+    // ========================================
+
+    // Load audit entries for the table/record filters. With a record ID the list
+    // is that record's timeline, oldest first.
+    async loadHistory() {
+        if (!this.hasPermission('audit:read')) return;
+
+        const historyList = document.getElementById('history-list');
+        const tableSelect = document.getElementById('history-table');
+        const table = tableSelect?.value || '';
+        const recordId = document.getElementById('history-record')?.value.trim() || '';
+
+        if (tableSelect && tableSelect.options.length === 1) {
+            this.layerRegistry.forEach(layer => {
+                tableSelect.add(new Option(layer.title, layer.table));
+            });
+            tableSelect.add(new Option('User accounts', 'admin_users'));
+            tableSelect.add(new Option('Uploaded layers', 'uploaded_layers'));
         }
 
-        const sourceId = document.getElementById('co2-id')?.value;
-        const isUpdate = sourceId && sourceId !== '';
-        
+        const params = new URLSearchParams({ limit: 100 });
+        if (table) params.set('table_name', table);
+        if (recordId) params.set('record_id', recordId);
+
         try {
-            const url = isUpdate ? `/api/admin/co2-sources/${sourceId}` : '/api/admin/co2-sources';
-            const method = isUpdate ? 'PUT' : 'POST';
-            
-            const response = await fetch(url, {
-                method: method,
-                headers: {
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify(formData)
-            });
-            
-            if (response.ok) {
-                this.showToast(`CO₂ source ${isUpdate ? 'updated' : 'created'} successfully`, 'success');
-                this.clearCO2Form();
-                this.loadExistingSources();
-                // Reload CO2 sources on map
-                this.clusterGroups.co2Sources.clearLayers();
-                await this.loadCO2Sources();
-            } else {
-                throw new Error(`Failed to ${isUpdate ? 'update' : 'create'} CO₂ source`);
+            const response = await this.adminFetch(`/api/admin/audit-log?${params}`);
+            const entries = await response.json();
+            if (!response.ok) {
+                throw new Error(this.getResponseError(entries, response));
             }
+
+            const timeline = Boolean(table && recordId);
+            this.historyEntries = timeline ? entries.reverse() : entries;
+
+            const scope = document.getElementById('history-scope');
+            if (scope) {
+                scope.textContent = timeline
+                    ? `Timeline of ${this.getHistoryTableTitle(table)} #${recordId}, oldest first`
+                    : `Latest changes${table ? ` to ${this.getHistoryTableTitle(table)}` : ''}`;
+            }
+            this.renderHistory();
         } catch (error) {
-            console.error('Error saving CO₂ source:', error);
-            this.showToast('Failed to save CO₂ source', 'error');
+            console.error('Failed to load history:', error);
+            if (historyList) historyList.innerHTML = `<p>Failed to load history: ${error.message}</p>`;
         }
     }
 
-    async deleteCO2Source() {
-        const sourceId = document.getElementById('co2-id')?.value;
-        if (!sourceId || !this.editingSource) {
-            this.showToast('No source selected for deletion', 'error');
+    getHistoryTableTitle(table) {
+        const layer = this.layerRegistry.find(entry => entry.table === table);
+        return layer ? layer.title : table;
+    }
+
+    renderHistory() {
+        const historyList = document.getElementById('history-list');
+        if (!historyList) return;
+
+        if (this.historyEntries.length === 0) {
+            historyList.innerHTML = '<p>No changes recorded.</p>';
             return;
         }
 
-        if (!confirm(`Are you sure you want to delete "${this.editingSource.plant_name}"?`)) {
+        historyList.innerHTML = this.historyEntries.map(entry => `
+            <div class="history-item">
+                <div class="history-summary" onclick="atlas.toggleHistoryDiff(${entry.id})">
+                    <span class="history-action ${entry.action.toLowerCase()}">${entry.action}</span>
+                    <strong>${this.getHistoryTableTitle(entry.table_name)}</strong>
+                    ${entry.record_id ? `<a href="#" onclick="event.stopPropagation(); atlas.showRecordHistory('${entry.table_name}', ${entry.record_id}); return false;">#${entry.record_id}</a>` : ''}
+                    <small>${new Date(entry.timestamp).toLocaleString()} · ${entry.username || 'system'}</small>
+                </div>
+                <div class="history-diff" id="history-diff-${entry.id}"></div>
+            </div>
+        `).join('');
+    }
+
+    // Show the timeline of one record
+    showRecordHistory(table, recordId) {
+        const tableSelect = document.getElementById('history-table');
+        const recordInput = document.getElementById('history-record');
+        if (tableSelect) tableSelect.value = table;
+        if (recordInput) recordInput.value = recordId;
+        this.loadHistory();
+    }
+
+    // Toggle the column-by-column diff of an entry
+    toggleHistoryDiff(entryId) {
+        const container = document.getElementById(`history-diff-${entryId}`);
+        const entry = this.historyEntries.find(item => item.id === entryId);
+        if (!container || !entry) return;
+        if (container.innerHTML.trim()) {
+            container.innerHTML = '';
+            return;
+        }
+
+        const oldValues = entry.old_values || {};
+        const newValues = entry.new_values || {};
+        const columns = [...new Set([...Object.keys(oldValues), ...Object.keys(newValues)])]
+            .filter(column => !['id', 'created_at', 'updated_at', 'password_hash'].includes(column));
+        const rows = columns.map(column => {
+            const before = this.formatHistoryValue(column, oldValues[column]);
+            const after = this.formatHistoryValue(column, newValues[column]);
+            // Compare the raw values: every geometry is shown as "(geometry)"
+            const changed = entry.old_values && entry.new_values
+                && JSON.stringify(oldValues[column]) !== JSON.stringify(newValues[column]);
+            return `
+                <tr class="${changed ? 'changed' : ''}">
+                    <td>${column}</td>
+                    <td>${entry.old_values ? before : ''}</td>
+                    <td>${entry.new_values ? after : ''}</td>
+                </tr>
+            `;
+        }).join('');
+
+        container.innerHTML = `
+            <table class="history-diff-table">
+                <thead><tr><th>Column</th><th>Before</th><th>After</th></tr></thead>
+                <tbody>${rows || '<tr><td colspan="3">No values recorded</td></tr>'}</tbody>
+            </table>
+            ${entry.revertable ? `<button class="btn btn-small btn-warning" onclick="atlas.revertHistoryEntry(${entry.id})">Revert</button>` : ''}
+        `;
+    }
+
+    formatHistoryValue(column, value) {
+        if (value === undefined || value === null) return '–';
+        if (column === 'geom' || column === 'simplified_geom') return '(geometry)';
+        return this.escapeHtml(typeof value === 'object' ? JSON.stringify(value) : String(value));
+    }
+
+    escapeHtml(text) {
+        return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    }
+
+    // Restore the record to its state before the entry. Asks again when later
+    // changes would be overwritten.
+    async revertHistoryEntry(entryId, force = false) {
+        const entry = this.historyEntries.find(item => item.id === entryId);
+        if (!entry) return;
+        if (!force && !confirm(`Revert ${entry.action} of ${this.getHistoryTableTitle(entry.table_name)} #${entry.record_id}?`)) {
             return;
         }
 
         try {
-            const response = await fetch(`/api/admin/co2-sources/${sourceId}`, {
-                method: 'DELETE'
+            const response = await this.adminFetch(`/api/admin/audit-log/${entryId}/revert${force ? '?force=true' : ''}`, {
+                method: 'POST'
             });
-            
-            if (response.ok) {
-                this.showToast('CO₂ source deleted successfully', 'success');
-                this.clearCO2Form();
-                this.loadExistingSources();
-                // Reload CO2 sources on map
-                this.clusterGroups.co2Sources.clearLayers();
-                await this.loadCO2Sources();
-            } else {
-                throw new Error('Failed to delete CO₂ source');
+            const result = await response.json();
+            if (response.status === 409 && result.later_changes && !force) {
+                if (confirm(`${result.error}. Revert anyway?`)) {
+                    await this.revertHistoryEntry(entryId, true);
+                }
+                return;
             }
+            if (!response.ok) {
+                throw new Error(this.getResponseError(result, response));
+            }
+
+            this.showToast(`Change reverted (${this.getHistoryTableTitle(result.table_name)} #${result.record_id})`, 'success');
+            this.loadHistory();
+            await this.reloadLayerData(result.table_name);
         } catch (error) {
-            console.error('Error deleting CO₂ source:', error);
-            this.showToast('Failed to delete CO₂ source', 'error');
+            console.error('Failed to revert change:', error);
+            this.showToast(`Failed to revert change: ${error.message}`, 'error');
+        }
+    }
+
+    // Reload the features of a registry layer after its rows changed
+    async reloadLayerData(table) {
+        const layer = this.layerRegistry.find(entry => entry.table === table);
+        if (!layer) return;
+
+        if (this.clusterGroups[layer.key]) {
+            this.clusterGroups[layer.key].clearLayers();
+        } else if (this.layers[layer.key]) {
+            this.layers[layer.key].clearLayers();
+        }
+        await this.loadLayer(layer);
+
+        if (layer.key === 'co2Sources') {
+            this.loadExistingSources();
         }
     }
 
@@ -1780,7 +3666,7 @@ class CO2StorageAtlas {
 
     async refreshDatabaseStats() {
         try {
-            const response = await fetch('/api/database-stats');
+            const response = await fetch('/api/database-stats', { headers: this.authHeaders() });
             const stats = await response.json();
             
             const statsContainer = document.getElementById('database-stats');
@@ -1803,7 +3689,7 @@ class CO2StorageAtlas {
         this.showToast('Optimizing database...', 'info');
         
         try {
-            const response = await fetch('/api/admin/optimize-database', {
+            const response = await this.adminFetch('/api/admin/optimize-database', {
                 method: 'POST'
             });
             
@@ -1827,6 +3713,66 @@ class CO2StorageAtlas {
         }
     }
 
+    // Reload the server's cached table/column metadata, e.g. after an import
+    async refreshSchemaCache() {
+        if (!this.isAuthenticated) return;
+
+        try {
+            const response = await this.adminFetch('/api/admin/schema/refresh', {
+                method: 'POST'
+            });
+
+            if (!response.ok) {
+                throw new Error('Schema refresh failed');
+            }
+
+            const result = await response.json();
+            this.showToast(`Schema cache refreshed: ${result.schema.tables} tables`, 'success');
+            await this.refreshDatabaseStats();
+            await this.refreshData();
+        } catch (error) {
+            console.error('Schema cache refresh failed:', error);
+            this.showToast('Schema cache refresh failed', 'error');
+        }
+    }
+
+    // Download a layer through /api/export, limited to the current map view
+    // plus any attribute filters set for the layer
+    async exportLayer(table, format) {
+        const layer = this.layerRegistry.find(entry => entry.table === table);
+        const bounds = this.map.getBounds();
+        const params = new URLSearchParams({
+            format,
+            bbox: [bounds.getWest(), bounds.getSouth(), bounds.getEast(), bounds.getNorth()].map(v => v.toFixed(5)).join(','),
+            ...(this.layerFilters[table] || {})
+        });
+
+        this.showToast(`Exporting ${layer ? layer.title : table}...`, 'info');
+
+        try {
+            const response = await fetch(`/api/export/${table}?${params}`, { headers: this.authHeaders() });
+            if (!response.ok) {
+                const result = await response.json().catch(() => ({}));
+                throw new Error(result.error || `HTTP ${response.status}`);
+            }
+
+            // Use the file name from Content-Disposition
+            const disposition = response.headers.get('Content-Disposition') || '';
+            const match = disposition.match(/filename="?([^";]+)"?/);
+            const url = URL.createObjectURL(await response.blob());
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = match ? match[1] : `${table}.${format}`;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            URL.revokeObjectURL(url);
+        } catch (error) {
+            console.error(`Export of ${table} failed:`, error);
+            this.showToast(`Export failed: ${error.message}`, 'error');
+        }
+    }
+
     // Utility methods
     updateLayerCount(elementId, count) {
         const element = document.getElementById(elementId);
@@ -1872,7 +3818,7 @@ class CO2StorageAtlas {
     }
 
     updateDataQuality() {
-        const totalLayers = 14;
+        const totalLayers = this.layerRegistry.length;
         const loadedLayers = Object.keys(this.layerCounts).length;
         
         const qualityElement = document.getElementById('layers-status');
@@ -1941,6 +3887,12 @@ class CO2StorageAtlas {
         });
     }
 
+    hexToRgba(hex, alpha) {
+        const match = /^#?([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(hex);
+        if (!match) return hex;
+        return `rgba(${parseInt(match[1], 16)}, ${parseInt(match[2], 16)}, ${parseInt(match[3], 16)}, ${alpha})`;
+    }
+
     // UPDATED: Enhanced voting color function
     getVotingColor(percentage, hasData = true) {
         if (!hasData || !percentage || percentage <= 0) return '#cccccc';
@@ -6,6 +6,8 @@ const shapefile = require('shapefile');
 const proj4 = require('proj4');
 const turf = require('@turf/turf');
 const { Client } = require('pg');
+const { getLayerTables } = require('../lib/layer-registry');
+const { classifyEmissionRows, getPinStyle } = require('../lib/co2-import');
 require('dotenv').config();
 
 class OptimizedDataImporter {
@@ -35,6 +37,7 @@ class OptimizedDataImporter {
 
         this.stats = {
             co2Sources: 0,
+            co2Emissions: 0,
             votingDistricts: 0,
             landfills: 0,
             gravelPits: 0,
@@ -141,13 +144,7 @@ class OptimizedDataImporter {
 
     async clearExistingData() {
         console.log('Clearing existing data...');
-        const tables = [
-            'co2_sources', 'voting_districts', 'landfills', 'gravel_pits',
-            'wastewater_plants', 'gas_pipelines', 'gas_storage_sites',
-            'gas_distribution_points', 'compressor_stations', 'study_area_boundaries',
-            'groundwater_protection', 'conservation_areas', 'settlement_areas',
-            'highways', 'railways'
-        ];
+        const tables = [...getLayerTables(), 'study_area_boundaries'];
 
         for (const table of tables) {
             try {
@@ -349,6 +346,7 @@ class OptimizedDataImporter {
         console.log('\nImporting CSV/Excel data...');
         
         await this.importCO2Sources();
+        await this.importCO2Emissions();
         // Removed voting data import since it's now handled by shapefile
         await this.importLandfills();
         await this.importGravelPits();
@@ -382,7 +380,7 @@ class OptimizedDataImporter {
             }
 
             const totalCO2 = parseFloat(row['Total_CO2_t'] || 0);
-            const isProminent = totalCO2 > 50000;
+            const pinStyle = getPinStyle(totalCO2);
 
             await this.client.query(`
                 INSERT INTO co2_sources (
@@ -395,8 +393,8 @@ class OptimizedDataImporter {
                 row['Plant Name'], row['Plant Type'], totalCO2,
                 parseFloat(row['Fossil_CO2_t'] || 0),
                 parseFloat(row['Biogenic_CO2_t'] || 0),
-                row['Comment'] || '', isProminent,
-                isProminent ? 4 : 2,
+                row['Comment'] || '', pinStyle.is_prominent,
+                pinStyle.pin_size,
                 longitude, latitude,
                 JSON.stringify(row)
             ]);
@@ -408,6 +406,38 @@ class OptimizedDataImporter {
         console.log(`Imported ${imported} CO2 sources (${filtered} filtered out by area)`);
     }
 
+    // Optional yearly figures, matched to the imported sources by Plant Name
+    async importCO2Emissions() {
+        const filePath = path.join(this.dataDir, 'CO2 emissions by year.xlsx');
+        if (!fs.existsSync(filePath)) {
+            console.log('CO2 emissions by year file not found');
+            return;
+        }
+
+        console.log('  Importing CO2 emissions by year...');
+        const workbook = XLSX.readFile(filePath);
+        const sheet = workbook.Sheets[workbook.SheetNames[0]];
+        const data = XLSX.utils.sheet_to_json(sheet);
+
+        const sources = await this.client.query('SELECT id, plant_name FROM co2_sources');
+        const rows = classifyEmissionRows(data, sources.rows, []);
+
+        for (const { source_id: sourceId, values } of rows.new) {
+            await this.client.query(`
+                INSERT INTO co2_emissions (source_id, year, total_co2_t, fossil_co2_t, biogenic_co2_t)
+                VALUES ($1, $2, $3, $4, $5)
+                ON CONFLICT (source_id, year) DO NOTHING
+            `, [sourceId, values.year, values.total_co2_t, values.fossil_co2_t, values.biogenic_co2_t]);
+        }
+
+        rows.invalid.forEach(({ row, errors }) => {
+            console.log(`    Skipped row ${row} (${errors.join('; ')})`);
+        });
+
+        this.stats.co2Emissions = rows.new.length;
+        console.log(`Imported ${rows.new.length} yearly CO2 figures (${rows.invalid.length} rows skipped)`);
+    }
+
     async importLandfills() {
         const filePath = path.join(this.dataDir, 'LandfiilsDeponien.csv');
         if (!fs.existsSync(filePath)) {
@@ -1198,6 +1228,7 @@ class OptimizedDataImporter {
         console.log('\nIMPORT SUMMARY');
         console.log('=====================================');
         console.log(`CO₂ Sources: ${this.stats.co2Sources}`);
+        console.log(`CO₂ Yearly Figures: ${this.stats.co2Emissions}`);
         console.log(`Voting Districts: ${this.stats.votingDistricts}`);
         console.log(`Landfills: ${this.stats.landfills}`);
         console.log(`Gravel Pits: ${this.stats.gravelPits}`);
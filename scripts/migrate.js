@@ -0,0 +1,98 @@
+const { Client } = require('pg');
+const { MigrationError, Migrator } = require('../lib/migrations');
+require('dotenv').config();
+
+const USAGE = `Usage: node scripts/migrate.js <command> [options]
+
+Commands:
+  migrate [--to <version>]   Apply pending migrations, optionally only up to a version
+  rollback [--steps <n>]     Undo the last n applied migrations (default 1)
+  rollback --to <version>    Undo every applied migration after a version
+  status                     List migrations and whether they are applied`;
+
+// Same connection settings as server.js, so migrations also run against DATABASE_URL
+const getClientConfig = () => {
+    const ssl = process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false;
+    if (process.env.DATABASE_URL) {
+        return { connectionString: process.env.DATABASE_URL, ssl };
+    }
+    return {
+        host: process.env.DB_HOST || 'localhost',
+        port: process.env.DB_PORT || 5432,
+        user: process.env.DB_USER || 'postgres',
+        password: process.env.DB_PASSWORD,
+        database: process.env.DB_NAME || 'co2_storage_atlas',
+        ssl
+    };
+};
+
+// --to / --steps as a non-negative integer, undefined when not given
+const getOption = (args, name) => {
+    const index = args.indexOf(`--${name}`);
+    if (index === -1) return undefined;
+
+    const value = args[index + 1];
+    if (!/^\d+$/.test(value || '')) {
+        throw new MigrationError(`--${name} needs a whole number`);
+    }
+    return parseInt(value, 10);
+};
+
+const printStatus = (status) => {
+    console.log(`Schema version ${status.current}, latest ${status.latest}\n`);
+    status.migrations.forEach(migration => {
+        const state = migration.applied_at
+            ? `applied ${new Date(migration.applied_at).toISOString().slice(0, 19).replace('T', ' ')}`
+            : 'pending';
+        const version = String(migration.version).padStart(3, '0');
+        console.log(`  ${migration.applied_at ? '✅' : '⏳'} ${version}_${migration.name}  ${state}${migration.reversible ? '' : '  (irreversible)'}`);
+    });
+    status.unknown.forEach(row => {
+        console.log(`  ⚠️  ${String(row.version).padStart(3, '0')}_${row.name}  applied, but no migration file`);
+    });
+};
+
+const run = async (command, args) => {
+    const client = new Client(getClientConfig());
+    await client.connect();
+
+    try {
+        const migrator = new Migrator(client);
+
+        if (command === 'migrate') {
+            const applied = await migrator.migrate({ to: getOption(args, 'to') });
+            const { current } = await migrator.status();
+            console.log(applied.length === 0
+                ? `✅ Nothing to migrate, schema version ${current}`
+                : `✅ Applied ${applied.length} migration(s), schema version ${current}`);
+        } else if (command === 'rollback') {
+            const to = getOption(args, 'to');
+            const rolledBack = await migrator.rollback({
+                steps: getOption(args, 'steps') ?? 1,
+                to: to === undefined ? null : to
+            });
+            const { current } = await migrator.status();
+            console.log(rolledBack.length === 0
+                ? `✅ Nothing to roll back, schema version ${current}`
+                : `✅ Rolled back ${rolledBack.length} migration(s), schema version ${current}`);
+        } else {
+            printStatus(await migrator.status());
+        }
+    } finally {
+        await client.end();
+    }
+};
+
+if (require.main === module) {
+    const [command, ...args] = process.argv.slice(2);
+
+    if (!['migrate', 'rollback', 'status'].includes(command)) {
+        console.log(USAGE);
+        process.exit(command ? 1 : 0);
+    }
+
+    run(command, args).catch(error => {
+        console.error(`❌ ${command} failed:`, error instanceof MigrationError ? error.message : error);
+        process.exit(1);
+    });
+}
@@ -8,8 +8,26 @@ const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const rateLimit = require('express-rate-limit');
 const { Pool } = require('pg');
+const multer = require('multer');
 const { body, validationResult } = require('express-validator');
 require('dotenv').config();
+const { LAYER_GROUPS, LAYERS, buildUploadedLayer, getConstraintLayers, getFieldAlias, getLayer, getLayerFields, getLayerTables, getRoutingLayers, getSearchLayers, getUploadStyle, registerLayer } = require('./lib/layer-registry');
+const SchemaCache = require('./lib/schema-cache');
+const { LineNetwork } = require('./lib/network');
+const CostGrid = require('./lib/cost-grid');
+const { EXPORT_FORMATS } = require('./lib/export');
+const {
+    CO2_EMISSION_COLUMNS, CO2_SOURCE_COLUMNS, PROMINENT_CO2_T,
+    classifyCO2SourceRows, classifyEmissionRows, getPinStyle, readSpreadsheet
+} = require('./lib/co2-import');
+const { ShapefileImportError, readZippedShapefile, sanitizeIdentifier, uniqueName } = require('./lib/shapefile-import');
+const wfs = require('./lib/wfs');
+const { ROLES, getPermissions, hasPermission } = require('./lib/permissions');
+const { SessionError, SessionStore } = require('./lib/session-store');
+const { buildColumnSql, planRevert, toColumnValues } = require('./lib/audit-revert');
+const { getEditableFields, validateFeature } = require('./lib/feature-schema');
+const { Migrator } = require('./lib/migrations');
+const { WfsError } = wfs;
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -43,12 +61,22 @@ const getDatabaseConfig = () => {
     };
 };
 
+// Minimum word similarity (0-1) for a trigram match in /api/search. Also the
+// threshold of the indexable <% operator, set on every pool connection.
+const SEARCH_SIMILARITY_THRESHOLD = 0.4;
+
 // Database connection pool with enhanced configuration
 const pool = new Pool(getDatabaseConfig());
 
+// Tables, columns and geometry columns, loaded at startup and refreshed on demand
+const schemaCache = new SchemaCache(pool);
+const sessionStore = new SessionStore(pool, { ttlDays: parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 7 });
+
 // Enhanced database connection handling
 pool.on('connect', (client) => {
     console.log('✓ Connected to PostgreSQL database');
+    client.query(`SET pg_trgm.word_similarity_threshold = ${SEARCH_SIMILARITY_THRESHOLD}`)
+        .catch(error => console.warn('Could not set the search similarity threshold:', error.message));
 });
 
 pool.on('error', (err) => {
@@ -149,7 +177,13 @@ if (process.env.NODE_ENV === 'production') {
     app.set('trust proxy', 1);
 }
 
-// JWT Authentication middleware
+// The fallback only serves local development; startServer refuses to run
+// in production without JWT_SECRET
+const JWT_SECRET = process.env.JWT_SECRET || 'fallback-secret';
+const ACCESS_TOKEN_TTL = process.env.JWT_EXPIRES_IN || '15m';
+
+// JWT Authentication middleware. Access tokens name their session (sid), which
+// must not have been revoked by a logout or an administrator.
 const authenticateToken = (req, res, next) => {
     const authHeader = req.headers['authorization'];
     const token = authHeader && authHeader.split(' ')[1];
@@ -158,15 +192,76 @@ const authenticateToken = (req, res, next) => {
         return res.status(401).json({ error: 'Access token required' });
     }
 
-    jwt.verify(token, process.env.JWT_SECRET || 'fallback-secret', (err, user) => {
+    jwt.verify(token, JWT_SECRET, async (err, user) => {
+        // 401 so the frontend can tell an expired session from a forbidden action
         if (err) {
-            return res.status(403).json({ error: 'Invalid token' });
+            return res.status(401).json({ error: err.name === 'TokenExpiredError' ? 'Token expired' : 'Invalid token' });
+        }
+
+        try {
+            if (!user.sid || !(await sessionStore.isActive(user.sid))) {
+                return res.status(401).json({ error: 'Session expired or revoked' });
+            }
+        } catch (error) {
+            console.error('Session check failed:', error);
+            return res.status(503).json({ error: 'Session check unavailable' });
         }
+
         req.user = user;
         next();
     });
 };
 
+// Role check for routes behind authenticateToken (roles: lib/permissions.js)
+const requirePermission = (permission) => (req, res, next) => {
+    // Accounts with a pending password reset may only change their password
+    if (req.user.mustChangePassword) {
+        return res.status(403).json({ error: 'Password change required' });
+    }
+    if (!hasPermission(req.user.role, permission)) {
+        return res.status(403).json({ error: 'Insufficient permissions', required: permission });
+    }
+    next();
+};
+
+// Optional authentication for public routes: sets req.user when a valid token
+// is sent so restricted layers can be served, and ignores missing or bad tokens.
+// Sessions aren't looked up here; a revoked session keeps read access until
+// its access token expires (ACCESS_TOKEN_TTL).
+const identifyUser = (req, res, next) => {
+    const authHeader = req.headers['authorization'];
+    const token = authHeader && authHeader.split(' ')[1];
+
+    if (!token) {
+        return next();
+    }
+
+    jwt.verify(token, JWT_SECRET, (err, user) => {
+        if (!err) {
+            req.user = user;
+        }
+        next();
+    });
+};
+
+app.use(identifyUser);
+
+const canReadLayer = (user, table) => {
+    const layer = getLayer(table);
+    return !layer || !layer.restricted || hasPermission(user && user.role, 'layers:read-restricted');
+};
+
+const getReadableLayerTables = (user) => getLayerTables().filter(table => canReadLayer(user, table));
+
+// Every route addressing a single layer (/api/uploaded-layers/:table, tiles,
+// OGC collections, export) refuses restricted layers to other users
+app.param(['table', 'layer', 'collectionId'], (req, res, next, table) => {
+    if (!canReadLayer(req.user, table)) {
+        return res.status(req.user ? 403 : 401).json({ error: `Layer ${table} is restricted` });
+    }
+    next();
+});
+
 // Check if PostGIS is available
 const checkPostGIS = async () => {
     try {
@@ -180,12 +275,57 @@ const checkPostGIS = async () => {
     }
 };
 
+// Compare the applied migrations with migrations/. Queries rely on the schema
+// of the latest migration, so the server refuses to start and /api/health
+// fails while migrations are pending or the database is newer than the code.
+// Returns null when the database can't be reached.
+const checkSchemaVersion = async () => {
+    try {
+        const status = await new Migrator(pool).status();
+        let problem = null;
+        if (status.unknown.length > 0) {
+            const versions = status.unknown.map(row => row.version).join(', ');
+            problem = `Database has migrations this server doesn't know (${versions}); deploy the matching code`;
+        } else if (status.pending.length > 0) {
+            const names = status.pending.map(migration => `${migration.version}_${migration.name}`).join(', ');
+            problem = `Schema version ${status.current} is behind ${status.latest}; run npm run migrate (pending: ${names})`;
+        }
+        return {
+            version: status.current,
+            latest: status.latest,
+            pending: status.pending.length,
+            unknown: status.unknown.length,
+            current: !problem,
+            problem
+        };
+    } catch (error) {
+        console.warn('Schema version could not be checked:', error.message);
+        return null;
+    }
+};
+
 let hasPostGIS = false;
+let schemaVersion = null;
 
 // Enhanced health check endpoint
 app.get('/api/health', async (req, res) => {
     try {
         const result = await pool.query('SELECT NOW() as timestamp');
+
+        // Checked again when the database wasn't reachable at startup
+        if (!schemaVersion) {
+            schemaVersion = await checkSchemaVersion();
+        }
+        if (!schemaVersion || !schemaVersion.current) {
+            return res.status(503).json({
+                status: 'ERROR',
+                error: schemaVersion ? schemaVersion.problem : 'Schema version could not be checked',
+                schema: schemaVersion,
+                timestamp: result.rows[0].timestamp,
+                environment: process.env.NODE_ENV || 'development'
+            });
+        }
+
         const dbCheck = await pool.query('SELECT COUNT(*) as table_count FROM information_schema.tables WHERE table_schema = $1', ['public']);
         
         // Check PostGIS availability
@@ -206,6 +346,7 @@ app.get('/api/health', async (req, res) => {
             database: 'Connected',
             tables: parseInt(dbCheck.rows[0].table_count),
             postgis: postgisInfo,
+            schema: schemaVersion,
             environment: process.env.NODE_ENV || 'development',
             port: PORT,
             uptime: process.uptime(),
@@ -240,6 +381,58 @@ app.get('/api/info', (req, res) => {
 // AUTHENTICATION ENDPOINTS
 // ========================================
 
+const PASSWORD_MIN_LENGTH = 10;
+const BCRYPT_ROUNDS = 12;
+
+const ACCOUNT_COLUMNS = 'role, must_change_password';
+
+// Short-lived access token for a session. A pending password reset is
+// carried in the token so requirePermission can enforce it.
+const signAccessToken = (user, sessionId) => {
+    const claims = { id: user.id, username: user.username, role: user.role, sid: sessionId };
+    if (user.must_change_password) {
+        claims.mustChangePassword = true;
+    }
+    return jwt.sign(claims, JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
+};
+
+// Login and refresh response: access token, the rotated refresh token and
+// what the frontend needs to show the right controls
+const buildSessionResponse = (user, session, refreshToken) => ({
+    token: signAccessToken(user, session.id),
+    refresh_token: refreshToken,
+    refresh_expires_at: session.expires_at,
+    user: {
+        id: user.id,
+        username: user.username,
+        role: user.role,
+        permissions: getPermissions(user.role),
+        must_change_password: Boolean(user.must_change_password)
+    }
+});
+
+const createSession = async (req, user) => {
+    const { session, refreshToken } = await sessionStore.create(user.id, {
+        userAgent: req.get('user-agent'),
+        ipAddress: req.ip
+    });
+    return buildSessionResponse(user, session, refreshToken);
+};
+
+// Audit entry for an admin_users change; password hashes are never logged
+const logUserChange = async (recordId, action, oldValues, newValues, userId) => {
+    try {
+        if (await tableExists('audit_log')) {
+            await pool.query(`
+                INSERT INTO audit_log (table_name, record_id, action, old_values, new_values, user_id)
+                VALUES ($1, $2, $3, $4, $5, $6)
+            `, ['admin_users', recordId, action, oldValues && JSON.stringify(oldValues), newValues && JSON.stringify(newValues), userId]);
+        }
+    } catch (auditError) {
+        console.log('Audit logging not available:', auditError.message);
+    }
+};
+
 app.post('/api/auth/login', [
     body('username').trim().notEmpty(),
     body('password').notEmpty()
@@ -253,19 +446,12 @@ app.post('/api/auth/login', [
         const { username, password } = req.body;
         
         // Check if admin_users table exists
-        const tableCheck = await pool.query(`
-            SELECT EXISTS (
-                SELECT 1 FROM information_schema.tables 
-                WHERE table_schema = 'public' AND table_name = 'admin_users'
-            )
-        `);
-        
-        if (!tableCheck.rows[0].exists) {
+        if (!(await tableExists('admin_users'))) {
             return res.status(503).json({ error: 'Admin functionality not configured' });
         }
         
         const result = await pool.query(
-            'SELECT id, username, password_hash FROM admin_users WHERE username = $1 AND is_active = true',
+            `SELECT id, username, password_hash, ${ACCOUNT_COLUMNS} FROM admin_users WHERE username = $1 AND is_active = true`,
             [username]
         );
 
@@ -286,113 +472,361 @@ app.post('/api/auth/login', [
             [user.id]
         );
 
-        const token = jwt.sign(
-            { id: user.id, username: user.username },
-            process.env.JWT_SECRET || 'fallback-secret',
-            { expiresIn: process.env.JWT_EXPIRES_IN || '24h' }
-        );
-
-        res.json({ 
-            token, 
-            user: { id: user.id, username: user.username }
-        });
+        res.json(await createSession(req, user));
     } catch (error) {
         console.error('Login error:', error);
         res.status(500).json({ error: 'Login failed' });
     }
 });
 
+// Change the password of the signed-in user; also completes a forced reset
+app.post('/api/auth/change-password', [
+    adminLimiter,
+    body('current_password').notEmpty(),
+    body('new_password').isLength({ min: PASSWORD_MIN_LENGTH })
+        .withMessage(`Password must have at least ${PASSWORD_MIN_LENGTH} characters`)
+], authenticateToken, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const { current_password, new_password } = req.body;
+        if (current_password === new_password) {
+            return res.status(400).json({ error: 'The new password must differ from the current one' });
+        }
+
+        const result = await pool.query(
+            `SELECT id, username, password_hash, ${ACCOUNT_COLUMNS} FROM admin_users WHERE id = $1 AND is_active = true`,
+            [req.user.id]
+        );
+        if (result.rows.length === 0) {
+            return res.status(401).json({ error: 'Account not found or deactivated' });
+        }
+
+        const user = result.rows[0];
+        if (!(await bcrypt.compare(current_password, user.password_hash))) {
+            return res.status(400).json({ error: 'Current password is incorrect' });
+        }
+
+        await pool.query(
+            'UPDATE admin_users SET password_hash = $1, must_change_password = false, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+            [await bcrypt.hash(new_password, BCRYPT_ROUNDS), user.id]
+        );
+        await logUserChange(user.id, 'UPDATE', null, { password_changed: true }, user.id);
+
+        // Sign out everywhere else: other sessions may have been opened with the old password
+        await sessionStore.revokeAllForUser(user.id);
+        res.json(await createSession(req, { ...user, must_change_password: false }));
+    } catch (error) {
+        console.error('Password change error:', error);
+        res.status(500).json({ error: 'Failed to change password' });
+    }
+});
+
+// New access token for a refresh token. The refresh token is rotated, and the
+// account is read again so role changes and deactivations apply.
+app.post('/api/auth/refresh', [
+    body('refresh_token').isString().notEmpty()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const { session, refreshToken } = await sessionStore.rotate(req.body.refresh_token);
+
+        const result = await pool.query(
+            `SELECT id, username, ${ACCOUNT_COLUMNS} FROM admin_users WHERE id = $1 AND is_active = true`,
+            [session.user_id]
+        );
+        if (result.rows.length === 0) {
+            await sessionStore.revoke(session.id);
+            return res.status(401).json({ error: 'Account not found or deactivated' });
+        }
+
+        res.json(buildSessionResponse(result.rows[0], session, refreshToken));
+    } catch (error) {
+        if (error instanceof SessionError) {
+            return res.status(401).json({ error: error.message });
+        }
+        console.error('Token refresh error:', error);
+        res.status(500).json({ error: 'Token refresh failed' });
+    }
+});
+
+// Revoke the session of the access token or, once that has expired, of the refresh token
+app.post('/api/auth/logout', async (req, res) => {
+    try {
+        let sessionId = req.user && req.user.sid;
+        if (!sessionId && req.body && req.body.refresh_token) {
+            const session = await sessionStore.findByRefreshToken(req.body.refresh_token);
+            sessionId = session && session.id;
+        }
+
+        if (sessionId) {
+            await sessionStore.revoke(sessionId);
+        }
+        res.status(204).end();
+    } catch (error) {
+        console.error('Logout error:', error);
+        res.status(500).json({ error: 'Logout failed' });
+    }
+});
+
+// Active sessions of the signed-in user
+app.get('/api/auth/sessions', authenticateToken, async (req, res) => {
+    try {
+        const sessions = await sessionStore.listForUser(req.user.id);
+        res.json(sessions.map(session => ({ ...session, current: session.id === req.user.sid })));
+    } catch (error) {
+        console.error('Error fetching sessions:', error);
+        res.status(500).json({ error: 'Failed to fetch sessions' });
+    }
+});
+
+app.delete('/api/auth/sessions/:sessionId', authenticateToken, async (req, res) => {
+    try {
+        const revoked = await sessionStore.revoke(parseInt(req.params.sessionId, 10) || 0, req.user.id);
+        if (!revoked) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+        res.status(204).end();
+    } catch (error) {
+        console.error('Error revoking session:', error);
+        res.status(500).json({ error: 'Failed to revoke session' });
+    }
+});
+
 // ========================================
 // DATA RETRIEVAL ENDPOINTS WITH FALLBACKS
 // ========================================
 
-// Helper function to check if table exists
+// Helper function to check if table exists (answered from the schema cache)
 const tableExists = async (tableName) => {
-    try {
-        const result = await pool.query(`
-            SELECT EXISTS (
-                SELECT 1 FROM information_schema.tables 
-                WHERE table_schema = 'public' AND table_name = $1
-            )
-        `, [tableName]);
-        return result.rows[0].exists;
-    } catch (error) {
-        console.error(`Error checking table ${tableName}:`, error);
-        return false;
-    }
+    if (!(await schemaCache.ensureLoaded())) return false;
+    return schemaCache.hasTable(tableName);
 };
 
-// Helper function to check if column exists
+// Helper function to check if column exists (answered from the schema cache)
 const columnExists = async (tableName, columnName) => {
-    try {
-        const result = await pool.query(`
-            SELECT EXISTS (
-                SELECT 1 FROM information_schema.columns 
-                WHERE table_schema = 'public' AND table_name = $1 AND column_name = $2
-            )
-        `, [tableName, columnName]);
-        return result.rows[0].exists;
-    } catch (error) {
-        console.error(`Error checking column ${columnName} in ${tableName}:`, error);
-        return false;
+    if (!(await schemaCache.ensureLoaded())) return false;
+    return schemaCache.hasColumn(tableName, columnName);
+};
+
+// SRID of a table's geometry column as SQL. A constant from the schema cache
+// lets bbox filters use the GIST index; ST_SRID() is the per-row fallback.
+const geometrySridSql = (tableName, geomColumn = 'geom') => {
+    const info = schemaCache.getGeometryInfo(tableName, geomColumn.split('.').pop());
+    return info && info.srid > 0 ? String(info.srid) : `ST_SRID(${geomColumn})`;
+};
+
+// Helper function to keep only the field expressions whose source column exists.
+// Constant style fields such as '2 as pin_size' are always kept.
+const buildSafeFields = async (tableName, fields) => {
+    const safeFields = [];
+    for (const field of fields) {
+        // Extract column name from field (handle COALESCE statements)
+        const columnName = field.includes('(') ?
+            field.split('(')[1].split(',')[0].trim() :
+            field.split(' as ')[0].trim();
+
+        const isLiteral = /^('.*'|\d+(\.\d+)?)$/.test(columnName);
+
+        if (isLiteral || field.includes('COALESCE') || await columnExists(tableName, columnName)) {
+            safeFields.push(field);
+        }
+    }
+    return safeFields;
+};
+
+// Field and geometry definitions from the layer registry, keyed by table name.
+// Used by the layer endpoint factories, vector tiles, OGC API and WFS.
+const layerDefinitions = {};
+LAYERS.forEach(layer => {
+    layerDefinitions[layer.table] = { fields: getLayerFields(layer), geometryType: layer.geometryType };
+});
+
+// WGS84 extent of the study area (matches the coordinate validation bounds)
+const ATLAS_BOUNDS = [9, 46, 17, 49];
+
+// Helper function to get the SQL expression of a field
+// ('COALESCE(name, \'\') as name' -> 'COALESCE(name, \'\')')
+const getFieldExpression = (field) => field.split(' as ')[0].trim();
+
+// Shared feature query for the standards-based endpoints (OGC API, WFS, exports).
+// Returns the total match count and rows carrying a parsed GeoJSON geometry.
+// bbox is given in bboxSrid, equals is a list of { property, value } text comparisons
+// and srid selects the output projection.
+const queryLayerFeatures = async (tableName, options = {}) => {
+    const {
+        properties, bbox, bboxSrid = 4326, equals = [],
+        limit, offset = 0, featureIds, srid = 4326
+    } = options;
+    const definition = layerDefinitions[tableName];
+
+    const safeFields = (await buildSafeFields(tableName, definition.fields)).filter(field => {
+        const alias = getFieldAlias(field);
+        return alias === 'id' || !properties || properties.includes(alias);
+    });
+
+    const conditions = ['geom IS NOT NULL'];
+    const params = [];
+
+    if (bbox) {
+        conditions.push(`geom && ST_Transform(ST_MakeEnvelope($${params.length + 1}, $${params.length + 2}, $${params.length + 3}, $${params.length + 4}, $${params.length + 5}), ${geometrySridSql(tableName)})`);
+        params.push(...bbox, bboxSrid);
+    }
+
+    for (const { property, value } of equals) {
+        const field = definition.fields.find(f => getFieldAlias(f) === property);
+        conditions.push(`(${getFieldExpression(field)})::text = $${params.length + 1}`);
+        params.push(String(value));
     }
+
+    if (featureIds) {
+        conditions.push(`id = ANY($${params.length + 1}::int[])`);
+        params.push(featureIds);
+    }
+
+    const whereClause = conditions.join(' AND ');
+    const countResult = await pool.query(`SELECT COUNT(*) as count FROM ${tableName} WHERE ${whereClause}`, params);
+
+    let query = `
+        SELECT ${safeFields.join(', ')},
+               ST_AsGeoJSON(ST_Transform(geom, ${parseInt(srid, 10)}))::json as geometry
+        FROM ${tableName}
+        WHERE ${whereClause}
+        ORDER BY id
+    `;
+
+    const queryParams = [...params];
+    if (limit !== undefined && limit !== null) {
+        query += ` LIMIT $${queryParams.length + 1} OFFSET $${queryParams.length + 2}`;
+        queryParams.push(limit, offset);
+    }
+
+    const result = await pool.query(query, queryParams);
+
+    return {
+        numberMatched: parseInt(countResult.rows[0].count),
+        rows: result.rows
+    };
+};
+
+// Helper function to build absolute links (respects the Render proxy via trust proxy)
+const getBaseUrl = (req) => `${req.protocol}://${req.get('host')}`;
+
+// Helper function to turn a row with a parsed geometry into a GeoJSON Feature
+const rowToFeature = (row) => {
+    const { id, geometry, ...properties } = row;
+    return { type: 'Feature', id, geometry, properties };
+};
+
+// Output formats accepted by the layer endpoint factories (?format=)
+const LAYER_FORMATS = ['json', 'geojson'];
+
+// Helper function to convert layer endpoint rows into a GeoJSON FeatureCollection.
+// Point rows carry longitude/latitude columns, line and polygon rows a stringified geometry.
+const rowsToFeatureCollection = (rows, geometryType, hasCoordinates = true) => ({
+    type: 'FeatureCollection',
+    features: rows.map(row => {
+        const { id, geometry, longitude, latitude, ...properties } = row;
+        let featureGeometry = null;
+
+        if (geometryType === 'point') {
+            if (hasCoordinates && longitude !== null && latitude !== null) {
+                featureGeometry = { type: 'Point', coordinates: [Number(longitude), Number(latitude)] };
+            }
+        } else if (geometry) {
+            featureGeometry = typeof geometry === 'string' ? JSON.parse(geometry) : geometry;
+        }
+
+        return { type: 'Feature', id, geometry: featureGeometry, properties };
+    })
+});
+
+// Helper function to send layer rows as a plain array or, with ?format=geojson, a FeatureCollection
+const sendLayerRows = (req, res, rows, geometryType, hasCoordinates = true) => {
+    if (req.query.format === 'geojson') {
+        return res.type('application/geo+json').send(JSON.stringify(rowsToFeatureCollection(rows, geometryType, hasCoordinates)));
+    }
+    res.json(rows);
+};
+
+// ?year=YYYY of the CO2 source endpoints: the year, null when absent, NaN when invalid
+const parseEmissionYear = (value) => {
+    if (value === undefined || value === '') return null;
+    return /^\d{4}$/.test(value) ? parseInt(value, 10) : NaN;
 };
 
-// CO2 Sources with enhanced performance and fallbacks
+// CO2 Sources with enhanced performance and fallbacks. With ?year= the
+// emissions are the ones reported for that year (co2_emissions) and plants
+// without a report for it are left out.
 app.get('/api/co2-sources-enhanced', async (req, res) => {
     try {
+        const { bbox, zoom } = req.query;
+        const year = parseEmissionYear(req.query.year);
+        if (Number.isNaN(year)) {
+            return res.status(400).json({ error: 'year must be a four-digit year' });
+        }
+
         // Check if table exists
         if (!(await tableExists('co2_sources'))) {
             return res.json([]); // Return empty array if table doesn't exist
         }
-
-        const { bbox, zoom } = req.query;
         
         // Build query with fallbacks for missing columns
         const hasGeom = await columnExists('co2_sources', 'geom');
-        const hasLongitude = await columnExists('co2_sources', 'longitude');
-        const hasLatitude = await columnExists('co2_sources', 'latitude');
-        const hasPinSize = await columnExists('co2_sources', 'pin_size');
-        const hasPinColor = await columnExists('co2_sources', 'pin_color');
-        const hasProminent = await columnExists('co2_sources', 'is_prominent');
+
+        // Emission columns come from the yearly report when a year is given
+        const emissions = year === null ? 'co2_sources' : 'e';
+        const prominent = year === null
+            ? 'COALESCE(is_prominent, false)'
+            : `COALESCE(e.total_co2_t, 0) > ${PROMINENT_CO2_T}`;
+        const pinSize = year === null
+            ? 'COALESCE(pin_size, 2)'
+            : `CASE WHEN COALESCE(e.total_co2_t, 0) > ${PROMINENT_CO2_T} THEN 4 ELSE 2 END`;
         
         let query = `
-            SELECT id, 
+            SELECT co2_sources.id, 
                    plant_name, 
                    plant_type, 
-                   COALESCE(total_co2_t, 0) as total_co2_t, 
-                   COALESCE(fossil_co2_t, 0) as fossil_co2_t,
-                   COALESCE(biogenic_co2_t, 0) as biogenic_co2_t, 
+                   COALESCE(${emissions}.total_co2_t, 0) as total_co2_t, 
+                   COALESCE(${emissions}.fossil_co2_t, 0) as fossil_co2_t,
+                   COALESCE(${emissions}.biogenic_co2_t, 0) as biogenic_co2_t, 
                    COALESCE(comment, '') as comment,
-                   ${hasProminent ? 'COALESCE(is_prominent, false) as is_prominent,' : 'false as is_prominent,'}
-                   ${hasPinSize ? 'COALESCE(pin_size, 2) as pin_size,' : '2 as pin_size,'}
-                   ${hasPinColor ? 'COALESCE(pin_color, \'#ff0000\') as pin_color,' : '\'#ff0000\' as pin_color,'}
+                   ${year === null ? '' : 'e.year,'}
+                   ${prominent} as is_prominent,
+                   ${pinSize} as pin_size,
+                   COALESCE(pin_color, '#ff0000') as pin_color,
         `;
+
+        const params = [];
+        let from = 'co2_sources';
+        if (year !== null) {
+            params.push(year);
+            from = 'co2_sources JOIN co2_emissions e ON e.source_id = co2_sources.id AND e.year = $1';
+        }
         
         if (hasPostGIS && hasGeom) {
             query += `
                    ST_X(geom) as longitude, 
                    ST_Y(geom) as latitude
-            FROM co2_sources
+            FROM ${from}
             WHERE geom IS NOT NULL
             `;
-        } else if (hasLongitude && hasLatitude) {
-            query += `
-                   longitude, 
-                   latitude
-            FROM co2_sources
-            WHERE longitude IS NOT NULL AND latitude IS NOT NULL
-            `;
         } else {
             // No geographic data available
             query += `
                    0 as longitude, 
                    0 as latitude
-            FROM co2_sources
+            FROM ${from}
             `;
         }
         
-        const params = [];
         
         // Add bounding box filter if PostGIS is available
         if (bbox && hasPostGIS && hasGeom) {
@@ -421,6 +855,51 @@ app.get('/api/co2-sources-enhanced', async (req, res) => {
     }
 });
 
+// Reporting years with emission data, for the map's time slider
+app.get('/api/co2-sources/years', async (req, res) => {
+    try {
+        const result = await pool.query(`
+            SELECT year, COUNT(*)::integer AS sources, SUM(total_co2_t)::float8 AS total_co2_t
+            FROM co2_emissions
+            GROUP BY year
+            ORDER BY year
+        `);
+        res.json({ years: result.rows });
+    } catch (error) {
+        console.error('Error fetching emission years:', error);
+        res.status(500).json({
+            error: 'Failed to fetch emission years',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// Yearly emissions of one source, oldest first (popup sparkline)
+app.get('/api/co2-sources/:sourceId/emissions', async (req, res) => {
+    try {
+        if (!/^\d+$/.test(req.params.sourceId)) {
+            return res.status(404).json({ error: 'CO2 source not found' });
+        }
+
+        const result = await pool.query(`
+            SELECT year,
+                   COALESCE(total_co2_t, 0)::float8 AS total_co2_t,
+                   COALESCE(fossil_co2_t, 0)::float8 AS fossil_co2_t,
+                   COALESCE(biogenic_co2_t, 0)::float8 AS biogenic_co2_t
+            FROM co2_emissions
+            WHERE source_id = $1
+            ORDER BY year
+        `, [parseInt(req.params.sourceId, 10)]);
+        res.json(result.rows);
+    } catch (error) {
+        console.error('Error fetching source emissions:', error);
+        res.status(500).json({
+            error: 'Failed to fetch emissions',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
 // Voting districts endpoint with fallbacks
 app.get('/api/voting-districts-choropleth', async (req, res) => {
     try {
@@ -439,7 +918,7 @@ app.get('/api/voting-districts-choropleth', async (req, res) => {
         
         const query = `
             SELECT vd.id, 
-                   COALESCE(vd.gkz, '') as gkz, 
+                   COALESCE(vd.gkz, 0) as gkz, 
                    COALESCE(vd.name, '') as name, 
                    COALESCE(vd.spo_percent, 0) as spo_percent, 
                    COALESCE(vd.ovp_percent, 0) as ovp_percent, 
@@ -476,28 +955,23 @@ app.get('/api/voting-districts-choropleth', async (req, res) => {
 // Generic endpoint for point-based layers with enhanced fallbacks
 const createPointLayerEndpoint = (tableName, fields, orderBy = 'id') => {
     return async (req, res) => {
+        if (req.query.format && !LAYER_FORMATS.includes(req.query.format)) {
+            return res.status(400).json({
+                error: `Unsupported format ${req.query.format}`,
+                details: `Supported formats: ${LAYER_FORMATS.join(', ')}`
+            });
+        }
+
         try {
             if (!(await tableExists(tableName))) {
-                return res.json([]);
+                return sendLayerRows(req, res, [], 'point');
             }
 
             const { bbox, zoom } = req.query;
             const hasGeom = await columnExists(tableName, 'geom');
-            const hasLongitude = await columnExists(tableName, 'longitude');
-            const hasLatitude = await columnExists(tableName, 'latitude');
             
             // Build base fields, checking if each exists
-            const safeFields = [];
-            for (const field of fields) {
-                // Extract column name from field (handle COALESCE statements)
-                const columnName = field.includes('(') ? 
-                    field.split('(')[1].split(',')[0].trim() : 
-                    field.split(' as ')[0].trim();
-                
-                if (field.includes('COALESCE') || await columnExists(tableName, columnName)) {
-                    safeFields.push(field);
-                }
-            }
+            const safeFields = await buildSafeFields(tableName, fields);
             
             let query = `SELECT ${safeFields.join(', ')},`;
             
@@ -508,13 +982,6 @@ const createPointLayerEndpoint = (tableName, fields, orderBy = 'id') => {
                 FROM ${tableName}
                 WHERE geom IS NOT NULL
                 `;
-            } else if (hasLongitude && hasLatitude) {
-                query += `
-                       longitude, 
-                       latitude
-                FROM ${tableName}
-                WHERE longitude IS NOT NULL AND latitude IS NOT NULL
-                `;
             } else {
                 query += `
                        0 as longitude, 
@@ -528,14 +995,11 @@ const createPointLayerEndpoint = (tableName, fields, orderBy = 'id') => {
             // Add bounding box filter if PostGIS is available
             if (bbox && hasPostGIS && hasGeom) {
                 const [minLng, minLat, maxLng, maxLat] = bbox.split(',').map(Number);
-                query += ` AND geom && ST_Transform(ST_MakeEnvelope($${params.length + 1}, $${params.length + 2}, $${params.length + 3}, $${params.length + 4}, 4326), ST_SRID(geom))`;
+                query += ` AND geom && ST_Transform(ST_MakeEnvelope($${params.length + 1}, $${params.length + 2}, $${params.length + 3}, $${params.length + 4}, 4326), ${geometrySridSql(tableName)})`;
                 params.push(minLng, minLat, maxLng, maxLat);
             }
             
-            // Check if orderBy column exists
-            if (await columnExists(tableName, orderBy)) {
-                query += ` ORDER BY ${orderBy}`;
-            }
+            query += ` ORDER BY ${orderBy}`;
             
             // Add limit for performance at low zoom levels
             if (zoom && parseInt(zoom) < 8) {
@@ -545,7 +1009,7 @@ const createPointLayerEndpoint = (tableName, fields, orderBy = 'id') => {
             const result = await pool.query(query, params);
             
             console.log(`Retrieved ${result.rows.length} ${tableName.replace('_', ' ')}`);
-            res.json(result.rows);
+            sendLayerRows(req, res, result.rows, 'point', hasPostGIS && hasGeom);
         } catch (error) {
             console.error(`Error fetching ${tableName}:`, error);
             res.status(500).json({ 
@@ -556,99 +1020,32 @@ const createPointLayerEndpoint = (tableName, fields, orderBy = 'id') => {
     };
 };
 
-// Point-based layer endpoints with fallback-safe fields
-app.get('/api/landfills-enhanced', createPointLayerEndpoint('landfills', [
-    'id', 
-    'COALESCE(company_name, \'\') as company_name', 
-    'COALESCE(location_name, \'\') as location_name', 
-    'COALESCE(district, \'\') as district', 
-    'COALESCE(address, \'\') as address', 
-    'COALESCE(facility_type, \'\') as facility_type',
-    '2 as pin_size', 
-    '\'#ff8800\' as pin_color',
-    '0.8 as opacity'
-]));
-
-app.get('/api/gravel-pits-enhanced', createPointLayerEndpoint('gravel_pits', [
-    'id', 
-    'COALESCE(name, \'\') as name', 
-    'COALESCE(resource, \'\') as resource', 
-    'COALESCE(tags, \'\') as tags',
-    '2 as pin_size', 
-    '\'#8855aa\' as pin_color',
-    '0.7 as opacity'
-]));
-
-app.get('/api/wastewater-plants-enhanced', createPointLayerEndpoint('wastewater_plants', [
-    'id', 
-    'COALESCE(pk, 0) as pk', 
-    'COALESCE(label, \'\') as label', 
-    'COALESCE(treatment_type, \'\') as treatment_type', 
-    'COALESCE(capacity, 0) as capacity',
-    '2 as pin_size', 
-    '\'#3388ff\' as pin_color',
-    '0.6 as opacity'
-]));
-
-app.get('/api/gas-storage-sites-enhanced', createPointLayerEndpoint('gas_storage_sites', [
-    'id', 
-    'COALESCE(name, \'\') as name', 
-    'COALESCE(operator, \'\') as operator', 
-    'COALESCE(storage_type, \'\') as storage_type', 
-    'COALESCE(capacity_bcm, 0) as capacity_bcm',
-    '2 as pin_size', 
-    '\'#00cc88\' as pin_color',
-    '0.5 as opacity'
-]));
-
-app.get('/api/gas-distribution-points-enhanced', createPointLayerEndpoint('gas_distribution_points', [
-    'id', 
-    'COALESCE(name, \'\') as name', 
-    'COALESCE(type, \'\') as type', 
-    'COALESCE(operator, \'\') as operator',
-    '1 as pin_size', 
-    '\'#00aa44\' as pin_color',
-    '0.4 as opacity'
-]));
-
-app.get('/api/compressor-stations-enhanced', createPointLayerEndpoint('compressor_stations', [
-    'id', 
-    'COALESCE(name, \'\') as name', 
-    'COALESCE(operator, \'\') as operator', 
-    'COALESCE(capacity_info, \'\') as capacity_info',
-    '2 as pin_size', 
-    '\'#ffaa00\' as pin_color',
-    '0.3 as opacity'
-]));
-
 // Generic endpoint for line-based layers with fallbacks
 const createLineLayerEndpoint = (tableName, fields) => {
     return async (req, res) => {
+        if (req.query.format && !LAYER_FORMATS.includes(req.query.format)) {
+            return res.status(400).json({
+                error: `Unsupported format ${req.query.format}`,
+                details: `Supported formats: ${LAYER_FORMATS.join(', ')}`
+            });
+        }
+
         try {
             if (!(await tableExists(tableName))) {
-                return res.json([]);
+                return sendLayerRows(req, res, [], 'line');
             }
 
             const hasGeom = await columnExists(tableName, 'geom');
             
             if (!hasPostGIS || !hasGeom) {
-                return res.json([]);
+                return sendLayerRows(req, res, [], 'line');
             }
 
             const { bbox, simplify } = req.query;
             const tolerance = simplify === 'true' ? 0.001 : 0;
             
             // Build safe fields
-            const safeFields = [];
-            for (const field of fields) {
-                const columnName = field.includes('(') ? 
-                    field.split('(')[1].split(',')[0].trim() : 
-                    field.split(' as ')[0].trim();
-                
-                if (field.includes('COALESCE') || await columnExists(tableName, columnName)) {
-                    safeFields.push(field);
-                }
-            }
+            const safeFields = await buildSafeFields(tableName, fields);
             
             let geomField = 'geom';
             if (tolerance > 0) {
@@ -666,14 +1063,14 @@ const createLineLayerEndpoint = (tableName, fields) => {
             
             if (bbox) {
                 const [minLng, minLat, maxLng, maxLat] = bbox.split(',').map(Number);
-                query += ` AND geom && ST_Transform(ST_MakeEnvelope(${params.length + 1}, ${params.length + 2}, ${params.length + 3}, ${params.length + 4}, 4326), ST_SRID(geom))`;
+                query += ` AND geom && ST_Transform(ST_MakeEnvelope($${params.length + 1}, $${params.length + 2}, $${params.length + 3}, $${params.length + 4}, 4326), ${geometrySridSql(tableName)})`;
                 params.push(minLng, minLat, maxLng, maxLat);
             }
             
             const result = await pool.query(query, params);
             
             console.log(`Retrieved ${result.rows.length} ${tableName.replace('_', ' ')}`);
-            res.json(result.rows);
+            sendLayerRows(req, res, result.rows, 'line');
         } catch (error) {
             console.error(`Error fetching ${tableName}:`, error);
             res.status(500).json({ 
@@ -684,64 +1081,1772 @@ const createLineLayerEndpoint = (tableName, fields) => {
     };
 };
 
-// Polygon-based layer endpoints
-app.get('/api/groundwater-protection', createPolygonLayerEndpoint('groundwater_protection', [
-    'id', 
-    'COALESCE(name, \'\') as name', 
-    'COALESCE(protection_zone, \'\') as protection_zone',
-    '\'#0066ff\' as fill_color', 
-    '0.3 as fill_opacity', 
-    '\'#0044cc\' as border_color', 
-    '2 as border_weight'
-]));
-
-app.get('/api/conservation-areas', createPolygonLayerEndpoint('conservation_areas', [
-    'id', 
-    'COALESCE(name, \'\') as name', 
-    'COALESCE(protection_level, \'\') as protection_level', 
-    'COALESCE(area_type, \'\') as area_type',
-    '\'#00ff00\' as fill_color', 
-    '0.3 as fill_opacity', 
-    '\'#00cc00\' as border_color', 
-    '2 as border_weight'
-]));
-
-app.get('/api/settlement-areas', createPolygonLayerEndpoint('settlement_areas', [
-    'id', 
-    'COALESCE(name, \'\') as name', 
-    'COALESCE(area_type, \'\') as area_type', 
-    'COALESCE(population, 0) as population',
-    '\'#ff0000\' as fill_color', 
-    '0.3 as fill_opacity', 
-    '\'#cc0000\' as border_color', 
-    '2 as border_weight'
-]));
+// Generic endpoint for polygon-based layers with fallbacks
+const createPolygonLayerEndpoint = (tableName, fields) => {
+    return async (req, res) => {
+        if (req.query.format && !LAYER_FORMATS.includes(req.query.format)) {
+            return res.status(400).json({
+                error: `Unsupported format ${req.query.format}`,
+                details: `Supported formats: ${LAYER_FORMATS.join(', ')}`
+            });
+        }
 
-// Database stats endpoint with table existence checks
-app.get('/api/database-stats', async (req, res) => {
-    try {
-        const tables = [
-            'co2_sources', 'voting_districts', 'landfills', 'gravel_pits',
-            'wastewater_plants', 'gas_pipelines', 'gas_storage_sites',
-            'gas_distribution_points', 'compressor_stations',
-            'groundwater_protection', 'conservation_areas', 'settlement_areas',
-            'highways', 'railways'
-        ];
-        
-        const stats = {};
-        for (const table of tables) {
-            try {
-                if (!(await tableExists(table))) {
-                    stats[table] = { total: 0, validGeometry: 0, exists: false };
-                    continue;
-                }
-                
-                const countResult = await pool.query(`SELECT COUNT(*) as count FROM ${table}`);
-                
-                let validGeomCount = 0;
-                const hasGeom = await columnExists(table, 'geom');
-                if (hasPostGIS && hasGeom) {
-                    const validGeomResult = await pool.query(`SELECT COUNT(*) as count FROM ${table} WHERE geom IS NOT NULL`);
+        try {
+            if (!(await tableExists(tableName))) {
+                return sendLayerRows(req, res, [], 'polygon');
+            }
+
+            const hasGeom = await columnExists(tableName, 'geom');
+            
+            if (!hasPostGIS || !hasGeom) {
+                return sendLayerRows(req, res, [], 'polygon');
+            }
+
+            const { bbox, simplify } = req.query;
+            const tolerance = simplify === 'true' ? 0.002 : 0; // Larger tolerance for polygons
+            
+            // Build safe fields
+            const safeFields = await buildSafeFields(tableName, fields);
+            
+            let geomField = 'geom';
+            if (tolerance > 0) {
+                geomField = `ST_Simplify(geom, ${tolerance})`;
+            }
+            
+            let query = `
+                SELECT ${safeFields.join(', ')},
+                       ST_AsGeoJSON(ST_Transform(${geomField}, 4326)) as geometry
+                FROM ${tableName}
+                WHERE geom IS NOT NULL
+            `;
+            
+            const params = [];
+            
+            if (bbox) {
+                const [minLng, minLat, maxLng, maxLat] = bbox.split(',').map(Number);
+                query += ` AND geom && ST_Transform(ST_MakeEnvelope($${params.length + 1}, $${params.length + 2}, $${params.length + 3}, $${params.length + 4}, 4326), ${geometrySridSql(tableName)})`;
+                params.push(minLng, minLat, maxLng, maxLat);
+            }
+            
+            const result = await pool.query(query, params);
+            
+            console.log(`Retrieved ${result.rows.length} ${tableName.replace('_', ' ')}`);
+            sendLayerRows(req, res, result.rows, 'polygon');
+        } catch (error) {
+            console.error(`Error fetching ${tableName}:`, error);
+            res.status(500).json({ 
+                error: `Failed to fetch ${tableName.replace('_', ' ')}`,
+                details: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+            });
+        }
+    };
+};
+
+// Register the JSON endpoint of every registry layer that is not served by a dedicated route
+const layerEndpointFactories = {
+    point: createPointLayerEndpoint,
+    line: createLineLayerEndpoint,
+    polygon: createPolygonLayerEndpoint
+};
+
+LAYERS.filter(layer => !layer.customEndpoint).forEach(layer => {
+    const factory = layerEndpointFactories[layer.geometryType];
+    app.get(layer.endpoint, factory(layer.table, layerDefinitions[layer.table].fields, layer.orderBy));
+});
+
+// Layers created from shapefile uploads are registered at runtime. Routes added
+// after startup would land behind the catch-all, so one route dispatches to them.
+const uploadedLayerHandlers = {};
+
+// Add an uploaded_layers row to the registry, layer definitions and JSON endpoint
+const registerUploadedLayer = (row) => {
+    const layer = registerLayer(buildUploadedLayer(row));
+    layerDefinitions[layer.table] = { fields: getLayerFields(layer), geometryType: layer.geometryType };
+    uploadedLayerHandlers[layer.table] = layerEndpointFactories[layer.geometryType](layer.table, layerDefinitions[layer.table].fields);
+    return layer;
+};
+
+const loadUploadedLayers = async () => {
+    if (!(await tableExists('uploaded_layers'))) return 0;
+
+    const result = await pool.query('SELECT table_name, title, geometry_type, columns, style, restricted FROM uploaded_layers ORDER BY id');
+    result.rows.forEach(registerUploadedLayer);
+    return result.rows.length;
+};
+
+app.get('/api/uploaded-layers/:table', (req, res) => {
+    const handler = uploadedLayerHandlers[req.params.table];
+    if (!handler) {
+        return res.status(404).json({ error: `Unknown uploaded layer: ${req.params.table}` });
+    }
+    handler(req, res);
+});
+
+// ========================================
+// VECTOR TILE ENDPOINTS
+// ========================================
+
+// TileJSON description of a layer so clients know the tile URL and attributes
+app.get('/api/tiles/:layer.json', (req, res) => {
+    const { layer } = req.params;
+    const definition = layerDefinitions[layer];
+
+    if (!definition) {
+        return res.status(404).json({ error: `Unknown tile layer: ${layer}` });
+    }
+
+    const baseUrl = getBaseUrl(req);
+    const fields = {};
+    definition.fields.forEach(field => {
+        fields[getFieldAlias(field)] = 'String';
+    });
+
+    res.json({
+        tilejson: '3.0.0',
+        name: layer,
+        scheme: 'xyz',
+        tiles: [`${baseUrl}/api/tiles/${layer}/{z}/{x}/{y}.mvt`],
+        minzoom: 0,
+        maxzoom: 22,
+        bounds: ATLAS_BOUNDS,
+        vector_layers: [{ id: layer, fields, geometry_type: definition.geometryType }]
+    });
+});
+
+// Mapbox Vector Tiles for every layer registered by the endpoint factories
+app.get('/api/tiles/:layer/:z/:x/:y.mvt', async (req, res) => {
+    try {
+        const { layer } = req.params;
+        const definition = layerDefinitions[layer];
+
+        if (!definition) {
+            return res.status(404).json({ error: `Unknown tile layer: ${layer}` });
+        }
+
+        const z = parseInt(req.params.z, 10);
+        const x = parseInt(req.params.x, 10);
+        const y = parseInt(req.params.y, 10);
+        const maxIndex = Math.pow(2, z);
+
+        if ([z, x, y].some(isNaN) || z < 0 || z > 22 || x < 0 || y < 0 || x >= maxIndex || y >= maxIndex) {
+            return res.status(400).json({ error: 'Invalid tile coordinates' });
+        }
+
+        if (!hasPostGIS || !(await tableExists(layer)) || !(await columnExists(layer, 'geom'))) {
+            return res.status(204).end();
+        }
+
+        const safeFields = await buildSafeFields(layer, definition.fields);
+
+        // Use pre-simplified geometries at overview zoom levels when the table has them
+        const geomField = z < 10 && await columnExists(layer, 'simplified_geom')
+            ? 'COALESCE(t.simplified_geom, t.geom)'
+            : 't.geom';
+
+        const query = `
+            WITH bounds AS (
+                SELECT ST_TileEnvelope($1, $2, $3) AS envelope
+            ),
+            tile_features AS (
+                SELECT ${safeFields.join(', ')},
+                       ST_AsMVTGeom(ST_Transform(${geomField}, 3857), bounds.envelope, 4096, 64, true) AS mvt_geom
+                FROM ${layer} t, bounds
+                WHERE t.geom IS NOT NULL
+                  AND t.geom && ST_Transform(bounds.envelope, ${geometrySridSql(layer, 't.geom')})
+            )
+            SELECT ST_AsMVT(tile_features.*, $4, 4096, 'mvt_geom') AS tile
+            FROM tile_features
+            WHERE mvt_geom IS NOT NULL
+        `;
+
+        const result = await pool.query(query, [z, x, y, layer]);
+        const tile = result.rows[0] && result.rows[0].tile;
+
+        res.set('Cache-Control', process.env.NODE_ENV === 'production' ? 'public, max-age=3600' : 'no-cache');
+
+        if (!tile || tile.length === 0) {
+            return res.status(204).end();
+        }
+
+        res.set('Content-Type', 'application/vnd.mapbox-vector-tile');
+        res.send(tile);
+    } catch (error) {
+        console.error(`Error generating tile for ${req.params.layer}:`, error);
+        res.status(500).json({
+            error: 'Failed to generate vector tile',
+            details: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        });
+    }
+});
+
+// ========================================
+// OGC API - FEATURES ENDPOINTS
+// ========================================
+
+const OGC_CRS84 = 'http://www.opengis.net/def/crs/OGC/1.3/CRS84';
+const OGC_DEFAULT_LIMIT = 100;
+const OGC_MAX_LIMIT = 10000;
+
+const formatLayerTitle = (tableName) => tableName
+    .split('_')
+    .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(' ');
+
+// OGC API exception response
+const sendOgcError = (res, status, code, description) => {
+    res.status(status).json({ code, description });
+};
+
+const buildOgcCollection = (baseUrl, collectionId) => ({
+    id: collectionId,
+    title: formatLayerTitle(collectionId),
+    description: `${formatLayerTitle(collectionId)} (${layerDefinitions[collectionId].geometryType} layer)`,
+    itemType: 'feature',
+    crs: [OGC_CRS84],
+    extent: {
+        spatial: { bbox: [ATLAS_BOUNDS], crs: OGC_CRS84 }
+    },
+    links: [
+        { href: `${baseUrl}/ogc/collections/${collectionId}`, rel: 'self', type: 'application/json', title: 'This collection' },
+        { href: `${baseUrl}/ogc/collections/${collectionId}/items`, rel: 'items', type: 'application/geo+json', title: 'Features' }
+    ]
+});
+
+// Landing page
+app.get('/ogc', (req, res) => {
+    const baseUrl = getBaseUrl(req);
+    res.json({
+        title: 'CO₂ Storage Atlas',
+        description: 'Atlas layers for Upper Austria and Salzburg as OGC API - Features',
+        links: [
+            { href: `${baseUrl}/ogc`, rel: 'self', type: 'application/json', title: 'This document' },
+            { href: `${baseUrl}/ogc/conformance`, rel: 'conformance', type: 'application/json', title: 'Conformance classes' },
+            { href: `${baseUrl}/ogc/collections`, rel: 'data', type: 'application/json', title: 'Feature collections' }
+        ]
+    });
+});
+
+app.get('/ogc/conformance', (req, res) => {
+    res.json({
+        conformsTo: [
+            'http://www.opengis.net/spec/ogcapi-features-1/1.0/conf/core',
+            'http://www.opengis.net/spec/ogcapi-features-1/1.0/conf/geojson'
+        ]
+    });
+});
+
+app.get('/ogc/collections', (req, res) => {
+    const baseUrl = getBaseUrl(req);
+    res.json({
+        links: [
+            { href: `${baseUrl}/ogc/collections`, rel: 'self', type: 'application/json', title: 'This document' }
+        ],
+        collections: Object.keys(layerDefinitions)
+            .filter(id => canReadLayer(req.user, id))
+            .map(id => buildOgcCollection(baseUrl, id))
+    });
+});
+
+app.get('/ogc/collections/:collectionId', (req, res) => {
+    const { collectionId } = req.params;
+
+    if (!layerDefinitions[collectionId]) {
+        return sendOgcError(res, 404, 'NotFound', `Collection ${collectionId} does not exist`);
+    }
+
+    res.json(buildOgcCollection(getBaseUrl(req), collectionId));
+});
+
+app.get('/ogc/collections/:collectionId/items', async (req, res) => {
+    const { collectionId } = req.params;
+    const definition = layerDefinitions[collectionId];
+
+    if (!definition) {
+        return sendOgcError(res, 404, 'NotFound', `Collection ${collectionId} does not exist`);
+    }
+
+    // Validate query parameters
+    const limit = req.query.limit !== undefined ? parseInt(req.query.limit, 10) : OGC_DEFAULT_LIMIT;
+    const offset = req.query.offset !== undefined ? parseInt(req.query.offset, 10) : 0;
+
+    if (isNaN(limit) || limit < 1) {
+        return sendOgcError(res, 400, 'InvalidParameterValue', 'limit must be a positive integer');
+    }
+    if (isNaN(offset) || offset < 0) {
+        return sendOgcError(res, 400, 'InvalidParameterValue', 'offset must be a non-negative integer');
+    }
+
+    let bbox = null;
+    if (req.query.bbox) {
+        bbox = req.query.bbox.split(',').map(Number);
+        if (bbox.length !== 4 || bbox.some(isNaN)) {
+            return sendOgcError(res, 400, 'InvalidParameterValue', 'bbox must be minLng,minLat,maxLng,maxLat');
+        }
+    }
+
+    let properties = null;
+    if (req.query.properties) {
+        const available = definition.fields.map(getFieldAlias);
+        properties = req.query.properties.split(',').map(p => p.trim()).filter(Boolean);
+        const unknown = properties.filter(p => !available.includes(p));
+        if (unknown.length > 0) {
+            return sendOgcError(res, 400, 'InvalidParameterValue', `Unknown properties: ${unknown.join(', ')}`);
+        }
+    }
+
+    const effectiveLimit = Math.min(limit, OGC_MAX_LIMIT);
+    const baseUrl = getBaseUrl(req);
+    const itemsUrl = `${baseUrl}/ogc/collections/${collectionId}/items`;
+    const pageUrl = (pageOffset) => {
+        const query = new URLSearchParams({ ...req.query, limit: effectiveLimit, offset: pageOffset });
+        return `${itemsUrl}?${query.toString()}`;
+    };
+
+    try {
+        let numberMatched = 0;
+        let rows = [];
+
+        if (hasPostGIS && await tableExists(collectionId) && await columnExists(collectionId, 'geom')) {
+            ({ numberMatched, rows } = await queryLayerFeatures(collectionId, {
+                properties,
+                bbox,
+                limit: effectiveLimit,
+                offset
+            }));
+        }
+
+        const links = [
+            { href: pageUrl(offset), rel: 'self', type: 'application/geo+json', title: 'This page' },
+            { href: `${baseUrl}/ogc/collections/${collectionId}`, rel: 'collection', type: 'application/json', title: 'The collection' }
+        ];
+
+        if (offset + rows.length < numberMatched) {
+            links.push({ href: pageUrl(offset + effectiveLimit), rel: 'next', type: 'application/geo+json', title: 'Next page' });
+        }
+        if (offset > 0) {
+            links.push({ href: pageUrl(Math.max(offset - effectiveLimit, 0)), rel: 'prev', type: 'application/geo+json', title: 'Previous page' });
+        }
+
+        res.type('application/geo+json').send(JSON.stringify({
+            type: 'FeatureCollection',
+            features: rows.map(rowToFeature),
+            numberMatched,
+            numberReturned: rows.length,
+            timeStamp: new Date().toISOString(),
+            links
+        }));
+    } catch (error) {
+        console.error(`Error fetching OGC items for ${collectionId}:`, error);
+        sendOgcError(res, 500, 'ServerError', process.env.NODE_ENV === 'development' ? error.message : 'Internal server error');
+    }
+});
+
+app.get('/ogc/collections/:collectionId/items/:featureId', async (req, res) => {
+    const { collectionId, featureId } = req.params;
+
+    if (!layerDefinitions[collectionId]) {
+        return sendOgcError(res, 404, 'NotFound', `Collection ${collectionId} does not exist`);
+    }
+    if (!/^\d+$/.test(featureId)) {
+        return sendOgcError(res, 404, 'NotFound', `Feature ${featureId} does not exist`);
+    }
+
+    try {
+        if (!hasPostGIS || !(await tableExists(collectionId)) || !(await columnExists(collectionId, 'geom'))) {
+            return sendOgcError(res, 404, 'NotFound', `Feature ${featureId} does not exist`);
+        }
+
+        const { rows } = await queryLayerFeatures(collectionId, { featureIds: [parseInt(featureId, 10)] });
+        if (rows.length === 0) {
+            return sendOgcError(res, 404, 'NotFound', `Feature ${featureId} does not exist`);
+        }
+
+        const baseUrl = getBaseUrl(req);
+        res.type('application/geo+json').send(JSON.stringify({
+            ...rowToFeature(rows[0]),
+            links: [
+                { href: `${baseUrl}/ogc/collections/${collectionId}/items/${featureId}`, rel: 'self', type: 'application/geo+json', title: 'This feature' },
+                { href: `${baseUrl}/ogc/collections/${collectionId}`, rel: 'collection', type: 'application/json', title: 'The collection' }
+            ]
+        }));
+    } catch (error) {
+        console.error(`Error fetching OGC feature ${collectionId}/${featureId}:`, error);
+        sendOgcError(res, 500, 'ServerError', process.env.NODE_ENV === 'development' ? error.message : 'Internal server error');
+    }
+});
+
+// ========================================
+// WFS 2.0 ENDPOINT (read-only)
+// ========================================
+
+const WFS_DEFAULT_COUNT = 1000;
+const WFS_GEOJSON_FORMATS = ['application/json', 'application/geo+json', 'json', 'geojson'];
+const WFS_GML_FORMATS = ['application/gml+xml; version=3.2', 'text/xml; subtype=gml/3.2', 'gml32'];
+const WFS_ERROR_STATUS = { OperationNotSupported: 501, NoApplicableCode: 500 };
+
+const sendWfsError = (res, error) => {
+    res.status(WFS_ERROR_STATUS[error.code] || 400)
+        .type('application/xml')
+        .send(wfs.buildExceptionReport(error.code, error.message, error.locator));
+};
+
+// Resolve 'atlas:landfills' or 'landfills' to a table name the user may read
+const resolveTypeName = (typeName, user) => {
+    const name = typeName.trim().replace(/^[\w-]+:/, '');
+    if (!getReadableLayerTables(user).includes(name) || !layerDefinitions[name]) {
+        throw new WfsError('InvalidParameterValue', `Unknown feature type ${typeName}`, 'typeNames');
+    }
+    return name;
+};
+
+// Convert a bbox in any supported CRS to x/y order plus its SRID
+const resolveWfsBbox = ({ coords, srsName }) => {
+    if (coords.length !== 4 || coords.some(isNaN)) {
+        throw new WfsError('InvalidParameterValue', 'BBOX needs four numeric coordinates', 'bbox');
+    }
+    const srs = wfs.parseSrsName(srsName || wfs.crsUrn(4326));
+    if (!srs || !wfs.SUPPORTED_SRIDS.includes(srs.srid)) {
+        throw new WfsError('InvalidParameterValue', `Unsupported BBOX CRS ${srsName}`, 'bbox');
+    }
+    const bbox = srs.latLonOrder ? [coords[1], coords[0], coords[3], coords[2]] : coords;
+    return { bbox, bboxSrid: srs.srid };
+};
+
+const handleDescribeFeatureType = (req, res, params) => {
+    const typeNames = params.TYPENAMES || params.TYPENAME;
+    const tables = typeNames
+        ? typeNames.split(',').map(typeName => resolveTypeName(typeName, req.user))
+        : getReadableLayerTables(req.user);
+
+    res.type('application/gml+xml; version=3.2').send(wfs.buildFeatureTypeSchema(tables.map(name => ({
+        name,
+        fields: layerDefinitions[name].fields,
+        geometryType: layerDefinitions[name].geometryType
+    }))));
+};
+
+const handleGetFeature = async (req, res, params) => {
+    // RESOURCEID=landfills.12,landfills.13
+    let resourceIds = null;
+    if (params.RESOURCEID) {
+        resourceIds = params.RESOURCEID.split(',').map(resourceId => {
+            const match = resourceId.trim().match(/^(.+)\.(\d+)$/);
+            if (!match) {
+                throw new WfsError('InvalidParameterValue', `Invalid resource id ${resourceId}`, 'resourceId');
+            }
+            return { table: resolveTypeName(match[1], req.user), id: parseInt(match[2], 10) };
+        });
+    }
+
+    let tables;
+    if (params.TYPENAMES || params.TYPENAME) {
+        tables = (params.TYPENAMES || params.TYPENAME).split(',').map(typeName => resolveTypeName(typeName, req.user));
+    } else if (resourceIds) {
+        tables = [...new Set(resourceIds.map(resourceId => resourceId.table))];
+    } else {
+        throw new WfsError('MissingParameterValue', 'typeNames is required', 'typeNames');
+    }
+
+    if ([params.FILTER, params.BBOX, params.RESOURCEID].filter(Boolean).length > 1) {
+        throw new WfsError('InvalidParameterValue', 'FILTER, BBOX and RESOURCEID are mutually exclusive', 'filter');
+    }
+
+    // Filters
+    let equals = [];
+    let bboxFilter = {};
+    if (params.FILTER) {
+        const filter = wfs.parseFilter(params.FILTER);
+        equals = filter.equals;
+        if (filter.bbox) bboxFilter = resolveWfsBbox(filter.bbox);
+    } else if (params.BBOX) {
+        const parts = params.BBOX.split(',');
+        bboxFilter = resolveWfsBbox({ coords: parts.slice(0, 4).map(Number), srsName: parts[4] });
+    }
+
+    // Output projection
+    const srs = wfs.parseSrsName(params.SRSNAME || wfs.crsUrn(4326));
+    if (!srs || !wfs.SUPPORTED_SRIDS.includes(srs.srid)) {
+        throw new WfsError('InvalidParameterValue', `Unsupported srsName ${params.SRSNAME}`, 'srsName');
+    }
+
+    // Output format
+    const outputFormat = (params.OUTPUTFORMAT || WFS_GML_FORMATS[0]).toLowerCase().replace(/\s+/g, ' ');
+    const asGeoJSON = WFS_GEOJSON_FORMATS.includes(outputFormat);
+    if (!asGeoJSON && !WFS_GML_FORMATS.includes(outputFormat)) {
+        throw new WfsError('InvalidParameterValue', `Unsupported outputFormat ${params.OUTPUTFORMAT}`, 'outputFormat');
+    }
+
+    // Paging
+    const count = parseInt(params.COUNT || params.MAXFEATURES || WFS_DEFAULT_COUNT, 10);
+    const startIndex = parseInt(params.STARTINDEX || 0, 10);
+    if (isNaN(count) || count < 0) {
+        throw new WfsError('InvalidParameterValue', 'count must be a non-negative integer', 'count');
+    }
+    if (isNaN(startIndex) || startIndex < 0) {
+        throw new WfsError('InvalidParameterValue', 'startIndex must be a non-negative integer', 'startIndex');
+    }
+
+    // Property selection and filter properties must exist on every requested type
+    const properties = params.PROPERTYNAME ?
+        params.PROPERTYNAME.split(',').map(p => p.trim().replace(/^[\w-]+:/, '')).filter(p => p && p !== 'geom') :
+        null;
+    for (const table of tables) {
+        const available = layerDefinitions[table].fields.map(getFieldAlias);
+        const unknown = [...(properties || []), ...equals.map(e => e.property)].filter(p => !available.includes(p));
+        if (unknown.length > 0) {
+            throw new WfsError('InvalidParameterValue', `Unknown properties for ${table}: ${unknown.join(', ')}`, 'propertyName');
+        }
+    }
+
+    // Query each type in turn; startIndex and count apply to the combined result
+    let remaining = Math.min(count, OGC_MAX_LIMIT);
+    let skip = startIndex;
+    let numberMatched = 0;
+    const features = [];
+
+    for (const table of tables) {
+        if (!hasPostGIS || !(await tableExists(table)) || !(await columnExists(table, 'geom'))) {
+            continue;
+        }
+
+        const featureIds = resourceIds ?
+            resourceIds.filter(resourceId => resourceId.table === table).map(resourceId => resourceId.id) :
+            undefined;
+
+        const result = await queryLayerFeatures(table, {
+            properties,
+            ...bboxFilter,
+            equals,
+            featureIds,
+            srid: srs.srid,
+            limit: remaining,
+            offset: skip
+        });
+
+        numberMatched += result.numberMatched;
+        skip = Math.max(skip - result.numberMatched, 0);
+        remaining -= result.rows.length;
+
+        result.rows.forEach(row => {
+            const { id, geometry, ...featureProperties } = row;
+            features.push({ typeName: table, id, geometry, properties: featureProperties });
+        });
+    }
+
+    if (asGeoJSON) {
+        const collection = {
+            type: 'FeatureCollection',
+            features: features.map(feature => ({
+                type: 'Feature',
+                id: `${feature.typeName}.${feature.id}`,
+                geometry: feature.geometry,
+                properties: feature.properties
+            })),
+            numberMatched,
+            numberReturned: features.length,
+            timeStamp: new Date().toISOString()
+        };
+        if (srs.srid !== 4326) {
+            collection.crs = { type: 'name', properties: { name: wfs.crsUrn(srs.srid) } };
+        }
+        return res.type('application/geo+json').send(JSON.stringify(collection));
+    }
+
+    const schemaUrl = `${getBaseUrl(req)}/wfs?SERVICE=WFS&VERSION=2.0.0&REQUEST=DescribeFeatureType&TYPENAMES=${tables.join(',')}`;
+    res.type('application/gml+xml; version=3.2').send(wfs.buildFeatureCollection({
+        features,
+        numberMatched,
+        srsName: srs.srsName,
+        swapAxes: srs.latLonOrder,
+        schemaUrl
+    }));
+};
+
+// Key-value-pair encoded WFS requests, e.g.
+// /wfs?SERVICE=WFS&VERSION=2.0.0&REQUEST=GetFeature&TYPENAMES=atlas:landfills&SRSNAME=EPSG:31287
+app.get('/wfs', async (req, res) => {
+    // WFS parameter names are case-insensitive
+    const params = {};
+    Object.entries(req.query).forEach(([key, value]) => {
+        params[key.toUpperCase()] = Array.isArray(value) ? value[0] : value;
+    });
+
+    try {
+        if (params.SERVICE && params.SERVICE.toUpperCase() !== 'WFS') {
+            throw new WfsError('InvalidParameterValue', `Unsupported service ${params.SERVICE}`, 'service');
+        }
+        if (!params.REQUEST) {
+            throw new WfsError('MissingParameterValue', 'request is required', 'request');
+        }
+
+        const request = params.REQUEST.toLowerCase();
+        if (request !== 'getcapabilities' && params.VERSION && !params.VERSION.startsWith('2.0')) {
+            throw new WfsError('InvalidParameterValue', `Unsupported version ${params.VERSION}, use 2.0.0`, 'version');
+        }
+
+        switch (request) {
+        case 'getcapabilities':
+            return res.type('application/xml').send(wfs.buildCapabilities({
+                serviceUrl: `${getBaseUrl(req)}/wfs`,
+                featureTypes: getReadableLayerTables(req.user).map(name => ({ name, title: formatLayerTitle(name) })),
+                bounds: ATLAS_BOUNDS,
+                outputFormats: [...WFS_GML_FORMATS.slice(0, 2), WFS_GEOJSON_FORMATS[0]]
+            }));
+        case 'describefeaturetype':
+            return handleDescribeFeatureType(req, res, params);
+        case 'getfeature':
+            return await handleGetFeature(req, res, params);
+        default:
+            throw new WfsError('OperationNotSupported', `Operation ${params.REQUEST} is not supported`, 'request');
+        }
+    } catch (error) {
+        if (error instanceof WfsError) {
+            return sendWfsError(res, error);
+        }
+        console.error('Error handling WFS request:', error);
+        sendWfsError(res, new WfsError(
+            'NoApplicableCode',
+            process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        ));
+    }
+});
+
+// ========================================
+// SPATIAL ANALYSIS ENDPOINTS
+// ========================================
+
+// Metric CRS for buffers and areas (MGI / Austria Lambert)
+const ANALYSIS_SRID = 31287;
+const MAX_CONSTRAINT_BUFFER = 10000;
+
+// Parse 'settlement_areas:500,groundwater_protection:0' into per-table buffers,
+// starting from the registry defaults
+const parseConstraintBuffers = (value) => {
+    const buffers = {};
+    getConstraintLayers().forEach(layer => {
+        buffers[layer.table] = layer.constraintBuffer;
+    });
+
+    if (!value) return buffers;
+
+    for (const entry of String(value).split(',')) {
+        const [table, distance] = entry.split(':').map(part => part && part.trim());
+        const meters = Number(distance);
+
+        if (!(table in buffers)) {
+            throw new Error(`Unknown constraint layer: ${table}`);
+        }
+        if (distance === undefined || isNaN(meters) || meters < 0 || meters > MAX_CONSTRAINT_BUFFER) {
+            throw new Error(`Buffer for ${table} must be between 0 and ${MAX_CONSTRAINT_BUFFER} metres`);
+        }
+        buffers[table] = meters;
+    }
+
+    return buffers;
+};
+
+const toSquareKm = (squareMeters) => Math.round(Number(squareMeters) / 1000) / 1000;
+
+// Study area minus every constraint polygon and its buffer, per commune.
+// Query parameters: buffers=table:metres,..., min_area_m2 (drops slivers), communes=g_id,...
+app.get('/api/analysis/suitability', async (req, res) => {
+    try {
+        let buffers;
+        try {
+            buffers = parseConstraintBuffers(req.query.buffers);
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+
+        const minArea = req.query.min_area_m2 !== undefined ? Number(req.query.min_area_m2) : 10000;
+        if (isNaN(minArea) || minArea < 0) {
+            return res.status(400).json({ error: 'min_area_m2 must be a non-negative number' });
+        }
+
+        if (!hasPostGIS) {
+            return res.status(503).json({ error: 'Suitability analysis requires PostGIS' });
+        }
+        if (!(await tableExists('study_area_boundaries'))) {
+            return res.status(503).json({ error: 'Study area boundaries have not been imported' });
+        }
+
+        const params = [minArea];
+        const applied = {};
+        const skipped = [];
+        const constraintQueries = [];
+
+        for (const [table, buffer] of Object.entries(buffers)) {
+            if (!(await tableExists(table)) || !(await columnExists(table, 'geom'))) {
+                skipped.push(table);
+                continue;
+            }
+            params.push(buffer);
+            applied[table] = buffer;
+            constraintQueries.push(`
+                SELECT ST_Buffer(ST_MakeValid(ST_Transform(geom, ${ANALYSIS_SRID})), $${params.length}) AS geom
+                FROM ${table}
+                WHERE geom IS NOT NULL
+            `);
+        }
+
+        if (constraintQueries.length === 0) {
+            constraintQueries.push('SELECT NULL::geometry AS geom WHERE false');
+        }
+
+        let communeFilter = '';
+        if (req.query.communes) {
+            params.push(String(req.query.communes).split(',').map(id => id.trim()).filter(Boolean));
+            communeFilter = `AND g_id = ANY($${params.length}::text[])`;
+        }
+
+        const query = `
+            WITH communes AS (
+                SELECT id, g_id, g_name, ST_MakeValid(ST_Transform(geom, ${ANALYSIS_SRID})) AS geom
+                FROM study_area_boundaries
+                WHERE geom IS NOT NULL ${communeFilter}
+            ),
+            constraint_areas AS (
+                ${constraintQueries.join(' UNION ALL ')}
+            ),
+            remaining AS (
+                SELECT c.id, c.g_id, c.g_name, ST_Area(c.geom) AS total_area,
+                       CASE WHEN u.geom IS NULL THEN c.geom
+                            ELSE ST_CollectionExtract(ST_Difference(c.geom, u.geom), 3)
+                       END AS geom
+                FROM communes c
+                LEFT JOIN LATERAL (
+                    SELECT ST_Union(k.geom) AS geom
+                    FROM constraint_areas k
+                    WHERE ST_Intersects(k.geom, c.geom)
+                ) u ON true
+            ),
+            candidates AS (
+                SELECT r.id, ST_Collect(d.geom) AS geom, COUNT(*) AS candidate_count, SUM(ST_Area(d.geom)) AS suitable_area
+                FROM remaining r
+                CROSS JOIN LATERAL ST_Dump(r.geom) d
+                WHERE ST_Area(d.geom) >= $1
+                GROUP BY r.id
+            )
+            SELECT r.g_id, r.g_name, r.total_area,
+                   COALESCE(c.suitable_area, 0) AS suitable_area,
+                   COALESCE(c.candidate_count, 0) AS candidate_count,
+                   ST_AsGeoJSON(ST_Transform(c.geom, 4326), 6) AS geometry
+            FROM remaining r
+            LEFT JOIN candidates c ON c.id = r.id
+            ORDER BY r.g_name
+        `;
+
+        const result = await pool.query(query, params);
+
+        let totalArea = 0;
+        let suitableArea = 0;
+        let candidateCount = 0;
+
+        const features = result.rows.map(row => {
+            totalArea += Number(row.total_area);
+            suitableArea += Number(row.suitable_area);
+            candidateCount += Number(row.candidate_count);
+
+            return {
+                type: 'Feature',
+                id: row.g_id,
+                geometry: row.geometry ? JSON.parse(row.geometry) : null,
+                properties: {
+                    commune_id: row.g_id,
+                    commune_name: row.g_name,
+                    total_area_km2: toSquareKm(row.total_area),
+                    excluded_area_km2: toSquareKm(row.total_area - row.suitable_area),
+                    suitable_area_km2: toSquareKm(row.suitable_area),
+                    suitable_percent: row.total_area > 0 ? Math.round(row.suitable_area / row.total_area * 1000) / 10 : 0,
+                    candidate_count: Number(row.candidate_count)
+                }
+            };
+        });
+
+        res.set('Cache-Control', process.env.NODE_ENV === 'production' ? 'public, max-age=3600' : 'no-cache');
+        res.json({
+            type: 'FeatureCollection',
+            features,
+            summary: {
+                communes: features.length,
+                total_area_km2: toSquareKm(totalArea),
+                suitable_area_km2: toSquareKm(suitableArea),
+                suitable_percent: totalArea > 0 ? Math.round(suitableArea / totalArea * 1000) / 10 : 0,
+                candidate_count: candidateCount
+            },
+            parameters: {
+                buffers_m: applied,
+                skipped_layers: skipped,
+                min_area_m2: minArea
+            }
+        });
+    } catch (error) {
+        console.error('Error running suitability analysis:', error);
+        res.status(500).json({ 
+            error: 'Failed to run suitability analysis',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// Pipeline vertices closer than this (metres) count as connected
+const PIPELINE_SNAP_TOLERANCE = 50;
+
+const toKm = (meters) => Math.round(meters / 10) / 100;
+
+// Point rows with WGS84 and metric coordinates for distance calculations
+const queryAnalysisPoints = async (tableName, columns, where = 'TRUE', params = []) => {
+    const result = await pool.query(`
+        SELECT ${columns.join(', ')},
+               ST_X(ST_Transform(geom, 4326)) AS longitude, ST_Y(ST_Transform(geom, 4326)) AS latitude,
+               ST_X(ST_Transform(geom, ${ANALYSIS_SRID})) AS x,
+               ST_Y(ST_Transform(geom, ${ANALYSIS_SRID})) AS y
+        FROM ${tableName}
+        WHERE geom IS NOT NULL AND ${where}
+    `, params);
+    return result.rows;
+};
+
+// Nearest gas storage sites for every CO2 source, by straight-line distance and
+// along the gas pipeline network (access to the nearest pipeline vertex, network
+// path, egress to the site). Returns one flow line per match.
+// Query parameters: min_co2_t, max_distance_km, limit (matches per source and ranking)
+app.get('/api/analysis/source-sink-matches', async (req, res) => {
+    try {
+        const minCo2 = req.query.min_co2_t !== undefined ? Number(req.query.min_co2_t) : 0;
+        const maxDistance = req.query.max_distance_km !== undefined ? Number(req.query.max_distance_km) : Infinity;
+        const limit = req.query.limit !== undefined ? parseInt(req.query.limit, 10) : 3;
+
+        if (isNaN(minCo2) || minCo2 < 0) {
+            return res.status(400).json({ error: 'min_co2_t must be a non-negative number' });
+        }
+        if (isNaN(maxDistance) || maxDistance <= 0) {
+            return res.status(400).json({ error: 'max_distance_km must be a positive number' });
+        }
+        if (isNaN(limit) || limit < 1 || limit > 10) {
+            return res.status(400).json({ error: 'limit must be between 1 and 10' });
+        }
+
+        if (!hasPostGIS) {
+            return res.status(503).json({ error: 'Source-sink matching requires PostGIS' });
+        }
+
+        const parameters = {
+            min_co2_t: minCo2,
+            max_distance_km: maxDistance === Infinity ? null : maxDistance,
+            limit
+        };
+
+        if (!(await tableExists('co2_sources')) || !(await tableExists('gas_storage_sites'))) {
+            return res.json({ type: 'FeatureCollection', features: [], summary: { sources: 0, sites: 0, matched_sources: 0 }, parameters });
+        }
+
+        const [sources, sites] = await Promise.all([
+            queryAnalysisPoints('co2_sources',
+                ['id', 'plant_name', 'COALESCE(plant_type, \'\') as plant_type', 'COALESCE(total_co2_t, 0) as total_co2_t'],
+                'COALESCE(total_co2_t, 0) >= $1', [minCo2]),
+            queryAnalysisPoints('gas_storage_sites',
+                ['id', 'COALESCE(name, \'\') as name', 'COALESCE(operator, \'\') as operator'])
+        ]);
+
+        let pipelineGeometries = [];
+        if (await tableExists('gas_pipelines')) {
+            const result = await pool.query(`
+                SELECT ST_AsGeoJSON(ST_Transform(geom, ${ANALYSIS_SRID})) AS geometry
+                FROM gas_pipelines
+                WHERE geom IS NOT NULL
+            `);
+            pipelineGeometries = result.rows.map(row => JSON.parse(row.geometry));
+        }
+        const network = LineNetwork.fromGeometries(pipelineGeometries, PIPELINE_SNAP_TOLERANCE);
+
+        // One Dijkstra run per storage site gives its network distance to every pipeline vertex
+        const siteReach = sites.map(site => {
+            const entry = network.nearestNode([site.x, site.y]);
+            if (!entry) return null;
+            return { egress: entry.distance, distances: network.shortestPaths(entry.node).distances };
+        });
+
+        const features = [];
+        let matchedSources = 0;
+
+        sources.forEach(source => {
+            const access = network.nearestNode([source.x, source.y]);
+
+            const candidates = sites.map((site, index) => {
+                const reach = siteReach[index];
+                const pathLength = reach && access ? reach.distances[access.node] : Infinity;
+
+                return {
+                    site,
+                    straight: Math.hypot(site.x - source.x, site.y - source.y),
+                    network: isFinite(pathLength) ? access.distance + pathLength + reach.egress : null,
+                    offNetwork: isFinite(pathLength) ? access.distance + reach.egress : null
+                };
+            });
+
+            const byStraight = candidates
+                .filter(candidate => candidate.straight <= maxDistance * 1000)
+                .sort((a, b) => a.straight - b.straight)
+                .slice(0, limit);
+            const byNetwork = candidates
+                .filter(candidate => candidate.network !== null && candidate.network <= maxDistance * 1000)
+                .sort((a, b) => a.network - b.network)
+                .slice(0, limit);
+
+            const matches = [...new Set([...byStraight, ...byNetwork])];
+            if (matches.length > 0) matchedSources++;
+
+            matches.forEach(match => {
+                features.push({
+                    type: 'Feature',
+                    id: `${source.id}-${match.site.id}`,
+                    geometry: {
+                        type: 'LineString',
+                        coordinates: [
+                            [Number(source.longitude), Number(source.latitude)],
+                            [Number(match.site.longitude), Number(match.site.latitude)]
+                        ]
+                    },
+                    properties: {
+                        source_id: source.id,
+                        plant_name: source.plant_name,
+                        plant_type: source.plant_type,
+                        total_co2_t: Number(source.total_co2_t),
+                        site_id: match.site.id,
+                        site_name: match.site.name,
+                        site_operator: match.site.operator,
+                        straight_km: toKm(match.straight),
+                        network_km: match.network !== null ? toKm(match.network) : null,
+                        off_network_km: match.offNetwork !== null ? toKm(match.offNetwork) : null,
+                        rank_straight: byStraight.includes(match) ? byStraight.indexOf(match) + 1 : null,
+                        rank_network: byNetwork.includes(match) ? byNetwork.indexOf(match) + 1 : null
+                    }
+                });
+            });
+        });
+
+        res.json({
+            type: 'FeatureCollection',
+            features,
+            summary: {
+                sources: sources.length,
+                sites: sites.length,
+                matched_sources: matchedSources,
+                pipeline_vertices: network.size
+            },
+            parameters
+        });
+    } catch (error) {
+        console.error('Error matching CO2 sources to storage sites:', error);
+        res.status(500).json({ 
+            error: 'Failed to match CO2 sources to storage sites',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// Routing grid: at most this many cells along the longer side
+const ROUTING_MAX_CELLS = 250;
+const ROUTING_MIN_MARGIN = 5000;
+
+// Parse 'settlement_areas:blocked,highways:0.4' on top of the registry routing costs
+const parseRoutingCosts = (value) => {
+    const costs = {};
+    getRoutingLayers().forEach(layer => {
+        costs[layer.table] = layer.routingCost;
+    });
+
+    if (!value) return costs;
+
+    for (const entry of String(value).split(',')) {
+        const [table, factor] = entry.split(':').map(part => part && part.trim());
+        const cost = factor === 'blocked' ? Infinity : Number(factor);
+
+        if (!getLayer(table) || getLayer(table).geometryType === 'point') {
+            throw new Error(`Unknown routing layer: ${table}`);
+        }
+        if (factor === undefined || isNaN(cost) || cost <= 0) {
+            throw new Error(`Cost for ${table} must be a positive number or "blocked"`);
+        }
+        costs[table] = cost;
+    }
+
+    return costs;
+};
+
+// Indices (row * cols + col) of the grid cells touched by a layer: polygon layers
+// mark the cells whose centre they cover, line layers every cell they pass through
+const queryGridCells = async (grid, layer) => {
+    const layerSrid = (schemaCache.getGeometryInfo(layer.table) || {}).srid || 4326;
+    const params = [grid.originX, grid.originY, grid.cellSize, grid.cols, grid.rows];
+
+    const query = layer.geometryType === 'polygon' ? `
+        WITH cells AS (
+            SELECT gx, gy, ST_Transform(ST_SetSRID(ST_MakePoint($1 + (gx + 0.5) * $3, $2 + (gy + 0.5) * $3), ${ANALYSIS_SRID}), ${layerSrid}) AS center
+            FROM generate_series(0, $4 - 1) gx, generate_series(0, $5 - 1) gy
+        )
+        SELECT c.gx, c.gy
+        FROM cells c
+        WHERE EXISTS (SELECT 1 FROM ${layer.table} t WHERE ST_Intersects(t.geom, c.center))
+    ` : `
+        WITH area AS (
+            SELECT ST_Transform(ST_MakeEnvelope($1, $2, $1 + $4 * $3, $2 + $5 * $3, ${ANALYSIS_SRID}), ${layerSrid}) AS envelope
+        )
+        SELECT DISTINCT FLOOR((ST_X(d.geom) - $1) / $3)::int AS gx, FLOOR((ST_Y(d.geom) - $2) / $3)::int AS gy
+        FROM ${layer.table} t, area,
+             ST_DumpPoints(ST_Segmentize(ST_Transform(t.geom, ${ANALYSIS_SRID}), $3 / 2.0)) d
+        WHERE t.geom && area.envelope
+    `;
+
+    const result = await pool.query(query, params);
+    return result.rows
+        .filter(row => row.gx >= 0 && row.gy >= 0 && row.gx < grid.cols && row.gy < grid.rows)
+        .map(row => row.gy * grid.cols + row.gx);
+};
+
+// Least-cost pipeline corridor from a CO2 source to a gas storage site (the
+// nearest one when site_id is omitted) over a cost grid built from the
+// registry routingCost of the constraint and corridor layers.
+// Query parameters: source_id, site_id, costs=table:factor|blocked,...
+app.get('/api/analysis/route', async (req, res) => {
+    try {
+        const sourceId = parseInt(req.query.source_id, 10);
+        const siteId = req.query.site_id !== undefined ? parseInt(req.query.site_id, 10) : null;
+
+        if (isNaN(sourceId) || (siteId !== null && isNaN(siteId))) {
+            return res.status(400).json({ error: 'source_id and site_id must be integers' });
+        }
+
+        let costs;
+        try {
+            costs = parseRoutingCosts(req.query.costs);
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+
+        if (!hasPostGIS) {
+            return res.status(503).json({ error: 'Routing requires PostGIS' });
+        }
+        if (!(await tableExists('co2_sources')) || !(await tableExists('gas_storage_sites'))) {
+            return res.status(404).json({ error: 'CO2 sources or gas storage sites have not been imported' });
+        }
+
+        const [source] = await queryAnalysisPoints('co2_sources', ['id', 'plant_name'], 'id = $1', [sourceId]);
+        if (!source) {
+            return res.status(404).json({ error: 'CO2 source not found' });
+        }
+
+        const sites = siteId !== null
+            ? await queryAnalysisPoints('gas_storage_sites', ['id', 'COALESCE(name, \'\') as name', 'COALESCE(operator, \'\') as operator'], 'id = $1', [siteId])
+            : await queryAnalysisPoints('gas_storage_sites', ['id', 'COALESCE(name, \'\') as name', 'COALESCE(operator, \'\') as operator']);
+
+        const from = [Number(source.x), Number(source.y)];
+        const site = sites
+            .map(candidate => ({ ...candidate, straight: Math.hypot(candidate.x - from[0], candidate.y - from[1]) }))
+            .sort((a, b) => a.straight - b.straight)[0];
+        if (!site) {
+            return res.status(404).json({ error: 'Gas storage site not found' });
+        }
+        const to = [Number(site.x), Number(site.y)];
+
+        const grid = CostGrid.around(from, to, {
+            margin: Math.max(ROUTING_MIN_MARGIN, site.straight * 0.3),
+            maxCells: ROUTING_MAX_CELLS
+        });
+
+        const applied = {};
+        const skipped = [];
+        for (const [table, factor] of Object.entries(costs)) {
+            if (factor === 1) continue;
+            if (!(await tableExists(table)) || !(await columnExists(table, 'geom'))) {
+                skipped.push(table);
+                continue;
+            }
+            grid.applyFactor(await queryGridCells(grid, getLayer(table)), factor);
+            applied[table] = factor === Infinity ? 'blocked' : factor;
+        }
+
+        const route = grid.route(from, to);
+        if (!route) {
+            return res.status(422).json({ error: 'No route found: the storage site is cut off by blocked areas' });
+        }
+
+        const wkt = `LINESTRING(${route.coordinates.map(([x, y]) => `${x} ${y}`).join(', ')})`;
+        const routeResult = await pool.query(`
+            WITH route AS (
+                SELECT ST_SimplifyPreserveTopology(ST_GeomFromText($1, ${ANALYSIS_SRID}), $2) AS geom
+            )
+            SELECT ST_AsText(geom) AS wkt, ST_AsGeoJSON(ST_Transform(geom, 4326), 6) AS geometry, ST_Length(geom) AS length
+            FROM route
+        `, [wkt, grid.cellSize / 2]);
+        const { geometry, length, wkt: simplifiedWkt } = routeResult.rows[0];
+
+        // Constraint polygons the corridor passes through, with the crossing length
+        const constraints = [];
+        for (const layer of getConstraintLayers()) {
+            if (!(await tableExists(layer.table))) continue;
+
+            const layerSrid = (schemaCache.getGeometryInfo(layer.table) || {}).srid || 4326;
+            const nameField = await columnExists(layer.table, 'name') ? 'COALESCE(t.name, \'\')' : '\'\'';
+            const result = await pool.query(`
+                WITH route AS (
+                    SELECT ST_GeomFromText($1, ${ANALYSIS_SRID}) AS geom
+                )
+                SELECT t.id, ${nameField} AS name,
+                       ST_Length(ST_Intersection(ST_MakeValid(ST_Transform(t.geom, ${ANALYSIS_SRID})), r.geom)) AS length
+                FROM ${layer.table} t, route r
+                WHERE t.geom && ST_Transform(r.geom, ${layerSrid})
+                  AND ST_Intersects(t.geom, ST_Transform(r.geom, ${layerSrid}))
+                ORDER BY length DESC
+            `, [simplifiedWkt]);
+
+            result.rows.forEach(row => {
+                constraints.push({
+                    layer: layer.table,
+                    title: layer.title,
+                    id: row.id,
+                    name: row.name,
+                    length_m: Math.round(row.length)
+                });
+            });
+        }
+
+        res.json({
+            type: 'Feature',
+            geometry: JSON.parse(geometry),
+            properties: {
+                source_id: source.id,
+                plant_name: source.plant_name,
+                site_id: site.id,
+                site_name: site.name,
+                site_operator: site.operator,
+                length_km: toKm(length),
+                straight_km: toKm(site.straight),
+                detour_factor: site.straight > 0 ? Math.round(length / site.straight * 100) / 100 : 1,
+                weighted_cost_km: toKm(route.cost),
+                constraints
+            },
+            parameters: {
+                costs: applied,
+                skipped_layers: skipped,
+                cell_size_m: grid.cellSize
+            }
+        });
+    } catch (error) {
+        console.error('Error routing pipeline corridor:', error);
+        res.status(500).json({ 
+            error: 'Failed to compute pipeline route',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// ========================================
+// SPATIAL QUERY ENDPOINTS
+// ========================================
+
+const MAX_QUERY_RADIUS_KM = 50;
+const MAX_QUERY_RESULTS_PER_LAYER = 500;
+
+// Parse 'co2_sources:42' into a registry layer and feature id
+const parseFeatureReference = (value) => {
+    const [table, id] = String(value).split(':');
+    const layer = getLayer(table);
+    const featureId = parseInt(id, 10);
+
+    if (!layer || isNaN(featureId)) {
+        throw new Error('feature must look like <layer>:<id>, e.g. co2_sources:42');
+    }
+    return { layer, id: featureId };
+};
+
+// Features of one registry layer within radius metres of a WGS84 GeoJSON geometry,
+// nearest first, with the distance and the closest point of each feature
+const queryFeaturesWithin = async (layer, targetGeometry, radius, expandDegrees, excludeId = null) => {
+    const safeFields = await buildSafeFields(layer.table, layer.fields);
+    const params = [JSON.stringify(targetGeometry), radius, expandDegrees];
+
+    let excludeFilter = '';
+    if (excludeId !== null) {
+        params.push(excludeId);
+        excludeFilter = `AND t.id <> $${params.length}`;
+    }
+    params.push(MAX_QUERY_RESULTS_PER_LAYER);
+
+    const result = await pool.query(`
+        WITH target AS (
+            SELECT ST_SetSRID(ST_GeomFromGeoJSON($1), 4326) AS target_geom
+        )
+        SELECT ${safeFields.join(', ')},
+               ST_Distance(ST_Transform(t.geom, 4326)::geography, target.target_geom::geography) AS distance,
+               ST_X(ST_ClosestPoint(ST_Transform(t.geom, 4326), target.target_geom)) AS closest_longitude,
+               ST_Y(ST_ClosestPoint(ST_Transform(t.geom, 4326), target.target_geom)) AS closest_latitude
+        FROM ${layer.table} t, target
+        WHERE t.geom IS NOT NULL
+          AND t.geom && ST_Transform(ST_Expand(target.target_geom, $3), ${geometrySridSql(layer.table, 't.geom')})
+          AND ST_DWithin(ST_Transform(t.geom, 4326)::geography, target.target_geom::geography, $2)
+          ${excludeFilter}
+        ORDER BY distance
+        LIMIT $${params.length}
+    `, params);
+
+    return result.rows.map(({ distance, closest_longitude, closest_latitude, ...properties }) => ({
+        layer: layer.table,
+        title: layer.title,
+        id: properties.id,
+        distance_km: Math.round(distance) / 1000,
+        latitude: Number(closest_latitude),
+        longitude: Number(closest_longitude),
+        properties
+    }));
+};
+
+// Features from the selected registry layers within a radius of a point or of
+// another feature, sorted by distance.
+// /api/query/within?lat=&lng=&radius_km=&layers=landfills,gravel_pits
+// /api/query/within?feature=co2_sources:42&radius_km=
+app.get('/api/query/within', async (req, res) => {
+    try {
+        const radiusKm = Number(req.query.radius_km);
+        if (isNaN(radiusKm) || radiusKm <= 0 || radiusKm > MAX_QUERY_RADIUS_KM) {
+            return res.status(400).json({ error: `radius_km must be between 0 and ${MAX_QUERY_RADIUS_KM}` });
+        }
+
+        let reference = null;
+        let lat;
+        let lng;
+
+        if (req.query.feature) {
+            try {
+                reference = parseFeatureReference(req.query.feature);
+            } catch (error) {
+                return res.status(400).json({ error: error.message });
+            }
+            if (!canReadLayer(req.user, reference.layer.table)) {
+                return res.status(req.user ? 403 : 401).json({ error: `Layer ${reference.layer.table} is restricted` });
+            }
+        } else {
+            lat = Number(req.query.lat);
+            lng = Number(req.query.lng);
+            if (isNaN(lat) || isNaN(lng) || lat < -90 || lat > 90 || lng < -180 || lng > 180) {
+                return res.status(400).json({ error: 'lat and lng (or feature) are required' });
+            }
+        }
+
+        const requested = req.query.layers
+            ? String(req.query.layers).split(',').map(table => table.trim()).filter(Boolean)
+            : getReadableLayerTables(req.user);
+        const unknown = requested.filter(table => !getLayer(table) || !canReadLayer(req.user, table));
+        if (unknown.length > 0) {
+            return res.status(400).json({ error: `Unknown layers: ${unknown.join(', ')}` });
+        }
+
+        if (!hasPostGIS) {
+            return res.status(503).json({ error: 'Proximity queries require PostGIS' });
+        }
+
+        let targetGeometry = { type: 'Point', coordinates: [lng, lat] };
+
+        if (reference) {
+            if (!(await tableExists(reference.layer.table))) {
+                return res.status(404).json({ error: 'Feature not found' });
+            }
+            const result = await pool.query(`
+                SELECT ST_AsGeoJSON(ST_Transform(geom, 4326)) AS geometry,
+                       ST_X(ST_PointOnSurface(ST_Transform(geom, 4326))) AS longitude,
+                       ST_Y(ST_PointOnSurface(ST_Transform(geom, 4326))) AS latitude
+                FROM ${reference.layer.table}
+                WHERE id = $1 AND geom IS NOT NULL
+            `, [reference.id]);
+
+            if (result.rows.length === 0) {
+                return res.status(404).json({ error: 'Feature not found' });
+            }
+            targetGeometry = JSON.parse(result.rows[0].geometry);
+            lat = Number(result.rows[0].latitude);
+            lng = Number(result.rows[0].longitude);
+        }
+
+        // Degrees that cover the radius in both directions, for the index pre-filter
+        const expandDegrees = radiusKm * 1000 / (111320 * Math.cos(Math.min(Math.abs(lat), 85) * Math.PI / 180));
+
+        const results = [];
+        for (const table of requested) {
+            if (!(await tableExists(table)) || !(await columnExists(table, 'geom'))) continue;
+
+            const excludeId = reference && reference.layer.table === table ? reference.id : null;
+            results.push(...await queryFeaturesWithin(getLayer(table), targetGeometry, radiusKm * 1000, expandDegrees, excludeId));
+        }
+
+        results.sort((a, b) => a.distance_km - b.distance_km);
+
+        res.json({
+            center: { lat, lng },
+            radius_km: radiusKm,
+            feature: reference ? { layer: reference.layer.table, id: reference.id } : null,
+            total: results.length,
+            results
+        });
+    } catch (error) {
+        console.error('Error running proximity query:', error);
+        res.status(500).json({ 
+            error: 'Failed to run proximity query',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// Layers whose nearest feature the point report lists, in display order
+const POINT_REPORT_NEAREST = ['gas_pipelines', 'highways', 'railways', 'gas_storage_sites'];
+
+// Nearest feature of a registry layer to a WGS84 point: the five nearest by
+// index distance, re-ranked by geodesic distance
+const queryNearestFeature = async (layer, lng, lat) => {
+    const safeFields = await buildSafeFields(layer.table, layer.fields);
+    const srid = geometrySridSql(layer.table, 't.geom');
+
+    const result = await pool.query(`
+        WITH target AS (
+            SELECT ST_SetSRID(ST_MakePoint($1, $2), 4326) AS target_geom
+        ),
+        candidates AS (
+            SELECT t.*
+            FROM ${layer.table} t, target
+            WHERE t.geom IS NOT NULL
+            ORDER BY t.geom <-> ST_Transform(target.target_geom, ${srid})
+            LIMIT 5
+        )
+        SELECT ${safeFields.join(', ')},
+               ST_Distance(ST_Transform(t.geom, 4326)::geography, target.target_geom::geography) AS distance,
+               ST_X(ST_ClosestPoint(ST_Transform(t.geom, 4326), target.target_geom)) AS closest_longitude,
+               ST_Y(ST_ClosestPoint(ST_Transform(t.geom, 4326), target.target_geom)) AS closest_latitude
+        FROM candidates t, target
+        ORDER BY distance
+        LIMIT 1
+    `, [lng, lat]);
+
+    if (result.rows.length === 0) return null;
+
+    const { distance, closest_longitude, closest_latitude, ...properties } = result.rows[0];
+    return {
+        layer: layer.table,
+        title: layer.title,
+        id: properties.id,
+        distance_km: Math.round(distance) / 1000,
+        latitude: Number(closest_latitude),
+        longitude: Number(closest_longitude),
+        properties
+    };
+};
+
+// Site screening report for one coordinate: voting district and commune, the
+// constraint polygons covering it or within their suitability buffer, and the
+// nearest pipeline, road, railway and storage site.
+// /api/query/point-report?lat=&lng=
+app.get('/api/query/point-report', async (req, res) => {
+    try {
+        const lat = Number(req.query.lat);
+        const lng = Number(req.query.lng);
+
+        if (req.query.lat === undefined || req.query.lng === undefined || isNaN(lat) || isNaN(lng) || lat < -90 || lat > 90 || lng < -180 || lng > 180) {
+            return res.status(400).json({ error: 'lat and lng are required' });
+        }
+
+        if (!hasPostGIS) {
+            return res.status(503).json({ error: 'Point reports require PostGIS' });
+        }
+
+        const report = {
+            location: { lat, lng },
+            voting_district: null,
+            commune: null,
+            constraints: [],
+            nearest: {},
+            suitable: true
+        };
+
+        const votingLayer = getLayer('voting_districts');
+        if (await tableExists(votingLayer.table)) {
+            const safeFields = await buildSafeFields(votingLayer.table, votingLayer.fields);
+            const result = await pool.query(`
+                SELECT ${safeFields.join(', ')}
+                FROM voting_districts
+                WHERE ST_Intersects(geom, ST_Transform(ST_SetSRID(ST_MakePoint($1, $2), 4326), ${geometrySridSql('voting_districts')}))
+                LIMIT 1
+            `, [lng, lat]);
+            report.voting_district = result.rows[0] || null;
+        }
+
+        if (await tableExists('study_area_boundaries')) {
+            const result = await pool.query(`
+                SELECT g_id AS id, g_name AS name
+                FROM study_area_boundaries
+                WHERE ST_Intersects(geom, ST_Transform(ST_SetSRID(ST_MakePoint($1, $2), 4326), ${geometrySridSql('study_area_boundaries')}))
+                LIMIT 1
+            `, [lng, lat]);
+            report.commune = result.rows[0] || null;
+        }
+
+        for (const layer of getConstraintLayers()) {
+            if (!(await tableExists(layer.table)) || !(await columnExists(layer.table, 'geom'))) continue;
+
+            const safeFields = await buildSafeFields(layer.table, layer.fields);
+            const buffer = layer.constraintBuffer;
+            const expandDegrees = buffer / (111320 * Math.cos(lat * Math.PI / 180));
+            const result = await pool.query(`
+                WITH target AS (
+                    SELECT ST_SetSRID(ST_MakePoint($1, $2), 4326) AS target_geom
+                )
+                SELECT ${safeFields.join(', ')},
+                       ST_Distance(ST_Transform(t.geom, 4326)::geography, target.target_geom::geography) AS distance
+                FROM ${layer.table} t, target
+                WHERE t.geom IS NOT NULL
+                  AND t.geom && ST_Transform(ST_Expand(target.target_geom, $4), ${geometrySridSql(layer.table, 't.geom')})
+                  AND ST_DWithin(ST_Transform(t.geom, 4326)::geography, target.target_geom::geography, $3)
+                ORDER BY distance
+            `, [lng, lat, buffer, expandDegrees]);
+
+            result.rows.forEach(({ distance, ...properties }) => {
+                report.constraints.push({
+                    layer: layer.table,
+                    title: layer.title,
+                    id: properties.id,
+                    covers: distance === 0,
+                    distance_m: Math.round(distance),
+                    buffer_m: buffer,
+                    properties
+                });
+            });
+        }
+        report.suitable = report.constraints.length === 0;
+
+        for (const table of POINT_REPORT_NEAREST) {
+            if (!(await tableExists(table)) || !(await columnExists(table, 'geom'))) {
+                report.nearest[table] = null;
+                continue;
+            }
+            report.nearest[table] = await queryNearestFeature(getLayer(table), lng, lat);
+        }
+
+        res.json(report);
+    } catch (error) {
+        console.error('Error building point report:', error);
+        res.status(500).json({ 
+            error: 'Failed to build point report',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// Searchable tables outside the layer registry
+const SEARCH_EXTRA_SOURCES = [
+    { table: 'study_area_boundaries', title: 'Communes', searchFields: ['g_name'] }
+];
+
+// Lower-case and spell out umlauts so "Klaeranlage" matches "Kläranlage".
+// search_normalize() comes from migration 003, which indexes the same expression.
+const normalizeSearchSql = (expression) => `search_normalize(${expression})`;
+
+const normalizeSearchText = (text) => text.toLowerCase()
+    .replace(/ä/g, 'ae')
+    .replace(/ö/g, 'oe')
+    .replace(/ü/g, 'ue')
+    .replace(/ß/g, 'ss');
+
+// Query for the best matches of one table, ranked by word similarity with
+// plain substring matches scoring 1. LIKE and <% pre-filter through the
+// trigram indexes of migration 003.
+const buildSearchQuery = (source, fields, normalized, limit) => {
+    const pattern = `%${normalized.replace(/[\\%_]/g, '\\$&')}%`;
+    const values = [pattern, limit, normalized];
+
+    const scores = fields.map(field => {
+        const expression = normalizeSearchSql(`t.${field}`);
+        return `GREATEST(COALESCE(word_similarity($3, ${expression}), 0), CASE WHEN ${expression} LIKE $1 THEN 1 ELSE 0 END)`;
+    });
+    const bestScore = scores.length > 1 ? `GREATEST(${scores.join(', ')})` : scores[0];
+    const candidates = fields.map(field => {
+        const expression = normalizeSearchSql(`t.${field}`);
+        return `${expression} LIKE $1 OR $3 <% ${expression}`;
+    });
+
+    const text = `
+        SELECT t.id,
+               ${fields.map((field, index) => `COALESCE(t.${field}::text, '') AS field_${index}, ${scores[index]} AS score_${index}`).join(',\n               ')},
+               ST_X(ST_PointOnSurface(ST_Transform(t.geom, 4326))) AS longitude,
+               ST_Y(ST_PointOnSurface(ST_Transform(t.geom, 4326))) AS latitude,
+               ST_XMin(ST_Transform(t.geom, 4326)) AS min_lng, ST_YMin(ST_Transform(t.geom, 4326)) AS min_lat,
+               ST_XMax(ST_Transform(t.geom, 4326)) AS max_lng, ST_YMax(ST_Transform(t.geom, 4326)) AS max_lat
+        FROM ${source.table} t
+        WHERE t.geom IS NOT NULL AND (${candidates.join(' OR ')}) AND ${bestScore} >= ${SEARCH_SIMILARITY_THRESHOLD}
+        ORDER BY ${bestScore} DESC
+        LIMIT $2
+    `;
+
+    return { text, values };
+};
+
+// Fuzzy search across plant, landfill, gravel pit, wastewater plant, storage
+// site, voting district and commune names, grouped by layer.
+// /api/search?q=Klaeranlage&limit=5
+app.get('/api/search', async (req, res) => {
+    try {
+        const q = String(req.query.q || '').trim();
+        const limit = req.query.limit !== undefined ? parseInt(req.query.limit, 10) : 5;
+
+        if (q.length < 2 || q.length > 100) {
+            return res.status(400).json({ error: 'q must be between 2 and 100 characters' });
+        }
+        if (isNaN(limit) || limit < 1 || limit > 20) {
+            return res.status(400).json({ error: 'limit must be between 1 and 20' });
+        }
+
+        const response = { query: q, total: 0, groups: [] };
+
+        if (!hasPostGIS) {
+            return res.json(response);
+        }
+
+        const normalized = normalizeSearchText(q);
+
+        const searchLayers = getSearchLayers().filter(layer => canReadLayer(req.user, layer.table));
+        for (const source of [...searchLayers, ...SEARCH_EXTRA_SOURCES]) {
+            if (!(await tableExists(source.table))) continue;
+
+            const fields = [];
+            for (const field of source.searchFields) {
+                if (await columnExists(source.table, field)) fields.push(field);
+            }
+            if (fields.length === 0) continue;
+
+            const result = await pool.query(buildSearchQuery(source, fields, normalized, limit));
+            if (result.rows.length === 0) continue;
+
+            response.groups.push({
+                layer: source.table,
+                title: source.title,
+                results: result.rows.map(row => {
+                    // Report the field that matched best, label with the first non-empty one
+                    const best = fields.reduce((bestIndex, field, index) =>
+                        Number(row[`score_${index}`]) > Number(row[`score_${bestIndex}`]) ? index : bestIndex, 0);
+                    const label = fields.map((field, index) => row[`field_${index}`]).find(Boolean) || `#${row.id}`;
+
+                    return {
+                        id: row.id,
+                        label,
+                        matched_field: fields[best],
+                        matched_value: row[`field_${best}`],
+                        score: Math.round(Number(row[`score_${best}`]) * 100) / 100,
+                        latitude: Number(row.latitude),
+                        longitude: Number(row.longitude),
+                        bbox: [row.min_lng, row.min_lat, row.max_lng, row.max_lat].map(Number)
+                    };
+                })
+            });
+            response.total += result.rows.length;
+        }
+
+        res.json(response);
+    } catch (error) {
+        console.error('Error searching:', error);
+        res.status(500).json({ 
+            error: 'Search failed',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// ========================================
+// AGGREGATE ENDPOINTS
+// ========================================
+
+// Area layers CO2 sources can be aggregated by (?by=)
+const EMISSION_AGGREGATE_AREAS = {
+    district: {
+        table: 'voting_districts',
+        fields: ['a.id', 'COALESCE(a.gkz, 0) as gkz', 'COALESCE(a.name, \'\') as name', 'COALESCE(a.left_green_combined, 0) as left_green_combined'],
+        groupBy: 'a.id, a.gkz, a.name, a.left_green_combined'
+    },
+    commune: {
+        table: 'study_area_boundaries',
+        fields: ['a.id', 'a.g_id', 'COALESCE(a.g_name, \'\') as name'],
+        groupBy: 'a.id, a.g_id, a.g_name'
+    }
+};
+
+// Total, fossil and biogenic CO2 plus source counts per voting district (or
+// commune with ?by=commune), joining co2_sources by point-in-polygon
+app.get('/api/aggregates/emissions-by-district', async (req, res) => {
+    try {
+        const by = req.query.by || 'district';
+        const area = EMISSION_AGGREGATE_AREAS[by];
+
+        if (!area) {
+            return res.status(400).json({ error: `by must be one of: ${Object.keys(EMISSION_AGGREGATE_AREAS).join(', ')}` });
+        }
+
+        if (!hasPostGIS || !(await tableExists(area.table)) || !(await tableExists('co2_sources'))) {
+            return res.json({ by, summary: { areas: 0, areas_with_sources: 0, sources: 0, total_co2_t: 0 }, areas: [] });
+        }
+
+        const result = await pool.query(`
+            SELECT ${area.fields.join(', ')},
+                   COUNT(c.id) AS source_count,
+                   COALESCE(SUM(c.total_co2_t), 0) AS total_co2_t,
+                   COALESCE(SUM(c.fossil_co2_t), 0) AS fossil_co2_t,
+                   COALESCE(SUM(c.biogenic_co2_t), 0) AS biogenic_co2_t
+            FROM ${area.table} a
+            LEFT JOIN co2_sources c
+                   ON c.geom IS NOT NULL
+                  AND ST_Intersects(a.geom, ST_Transform(c.geom, ${geometrySridSql(area.table, 'a.geom')}))
+            WHERE a.geom IS NOT NULL
+            GROUP BY ${area.groupBy}
+            ORDER BY total_co2_t DESC
+        `);
+
+        const areas = result.rows.map(row => ({
+            ...row,
+            source_count: Number(row.source_count),
+            total_co2_t: Number(row.total_co2_t),
+            fossil_co2_t: Number(row.fossil_co2_t),
+            biogenic_co2_t: Number(row.biogenic_co2_t)
+        }));
+
+        res.json({
+            by,
+            summary: {
+                areas: areas.length,
+                areas_with_sources: areas.filter(row => row.source_count > 0).length,
+                sources: areas.reduce((sum, row) => sum + row.source_count, 0),
+                total_co2_t: areas.reduce((sum, row) => sum + row.total_co2_t, 0)
+            },
+            areas
+        });
+    } catch (error) {
+        console.error('Error aggregating emissions:', error);
+        res.status(500).json({ 
+            error: 'Failed to aggregate emissions',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// ========================================
+// EXPORT ENDPOINTS
+// ========================================
+
+const EXPORT_MAX_FEATURES = 50000;
+const EXPORT_RESERVED_PARAMS = ['format', 'bbox'];
+
+// pg returns numeric and bigint columns as strings; exports want numbers
+const NUMERIC_UDT_NAMES = ['numeric', 'int8'];
+
+// Aliases of the layer fields whose source column is numeric or bigint
+const getNumericStringFields = (tableName, fields) => fields
+    .filter(field => {
+        const expression = getFieldExpression(field);
+        const columnName = expression.includes('(') ? expression.split('(')[1].split(',')[0].trim() : expression;
+        const column = schemaCache.getColumn(tableName, columnName);
+        return column && NUMERIC_UDT_NAMES.includes(column.udtName);
+    })
+    .map(getFieldAlias);
+
+// Download a layer as CSV, XLSX, zipped Shapefile or KML (?format=), limited to
+// ?bbox=minLng,minLat,maxLng,maxLat and to ?<field>=<value> attribute filters
+app.get('/api/export/:layer', async (req, res) => {
+    const { layer } = req.params;
+    const definition = layerDefinitions[layer];
+
+    if (!definition) {
+        return res.status(404).json({ error: `Unknown layer: ${layer}` });
+    }
+
+    const format = req.query.format || 'csv';
+    const writer = EXPORT_FORMATS[format];
+    if (!writer) {
+        return res.status(400).json({ error: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+    }
+
+    let bbox = null;
+    if (req.query.bbox) {
+        bbox = String(req.query.bbox).split(',').map(Number);
+        if (bbox.length !== 4 || bbox.some(isNaN)) {
+            return res.status(400).json({ error: 'bbox must be minLng,minLat,maxLng,maxLat' });
+        }
+    }
+
+    const aliases = definition.fields.map(getFieldAlias);
+    const filterParams = Object.keys(req.query).filter(key => !EXPORT_RESERVED_PARAMS.includes(key));
+    const unknown = filterParams.filter(key => !aliases.includes(key));
+    if (unknown.length > 0) {
+        return res.status(400).json({ error: `Unknown filter fields: ${unknown.join(', ')}` });
+    }
+    const equals = filterParams.map(property => ({ property, value: req.query[property] }));
+
+    try {
+        if (!hasPostGIS || !(await tableExists(layer)) || !(await columnExists(layer, 'geom'))) {
+            return res.status(503).json({ error: 'Export requires PostGIS and the layer table' });
+        }
+
+        const { numberMatched, rows } = await queryLayerFeatures(layer, {
+            bbox,
+            equals,
+            limit: EXPORT_MAX_FEATURES
+        });
+
+        if (numberMatched > EXPORT_MAX_FEATURES) {
+            return res.status(413).json({
+                error: `Export is limited to ${EXPORT_MAX_FEATURES} features (${numberMatched} match); zoom in or add filters`
+            });
+        }
+
+        const numericFields = getNumericStringFields(layer, definition.fields);
+        const features = rows.map(row => {
+            const feature = rowToFeature(row);
+            numericFields.forEach(field => {
+                if (typeof feature.properties[field] === 'string') {
+                    feature.properties[field] = Number(feature.properties[field]);
+                }
+            });
+            return feature;
+        });
+
+        const registryEntry = getLayer(layer);
+        const labelField = registryEntry && registryEntry.searchFields ? registryEntry.searchFields[0] : null;
+        const output = writer.write(features, { name: layer, geometryType: definition.geometryType, labelField });
+
+        console.log(`📦 Exported ${features.length} ${layer} features as ${format}`);
+        // attachment() sets a type from the extension, so override it afterwards
+        res.attachment(`${layer}.${writer.extension}`);
+        res.type(writer.contentType);
+        res.send(output);
+    } catch (error) {
+        console.error(`Error exporting ${layer}:`, error);
+        res.status(500).json({
+            error: 'Failed to export layer',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// Database stats endpoint with table existence checks
+app.get('/api/database-stats', async (req, res) => {
+    try {
+        const stats = {};
+        for (const table of getReadableLayerTables(req.user)) {
+            try {
+                if (!(await tableExists(table))) {
+                    stats[table] = { total: 0, validGeometry: 0, exists: false };
+                    continue;
+                }
+                
+                const countResult = await pool.query(`SELECT COUNT(*) as count FROM ${table}`);
+                
+                let validGeomCount = 0;
+                const hasGeom = await columnExists(table, 'geom');
+                if (hasPostGIS && hasGeom) {
+                    const validGeomResult = await pool.query(`SELECT COUNT(*) as count FROM ${table} WHERE geom IS NOT NULL`);
                     validGeomCount = parseInt(validGeomResult.rows[0].count);
                 }
                 
@@ -755,291 +2860,1032 @@ app.get('/api/database-stats', async (req, res) => {
                 stats[table] = { total: 0, validGeometry: 0, exists: false, error: error.message };
             }
         }
-        
-        res.json(stats);
+        
+        res.json(stats);
+    } catch (error) {
+        console.error('Error fetching database stats:', error);
+        res.status(500).json({ 
+            error: 'Failed to fetch database statistics',
+            details: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        });
+    }
+});
+
+// Registry entry as sent to the frontend: SQL details replaced by property names
+const toPublicLayer = ({ fields, customEndpoint: _customEndpoint, orderBy: _orderBy, ...layer }) => ({
+    ...layer,
+    properties: fields.map(getFieldAlias)
+});
+
+app.get('/api/layers', (req, res) => {
+    res.json({
+        groups: LAYER_GROUPS,
+        layers: LAYERS.filter(layer => canReadLayer(req.user, layer.table)).map(toPublicLayer)
+    });
+});
+
+// Layer styles endpoint with table existence check
+app.get('/api/layer-styles', async (req, res) => {
+    try {
+        if (!(await tableExists('layer_styles'))) {
+            return res.json([]);
+        }
+        
+        const query = 'SELECT * FROM layer_styles WHERE is_active = true';
+        const result = await pool.query(query);
+        res.json(result.rows);
+    } catch (error) {
+        console.error('Error fetching layer styles:', error);
+        res.status(500).json({ 
+            error: 'Failed to fetch layer styles',
+            details: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        });
+    }
+});
+
+// ========================================
+// ADMIN ENDPOINTS
+// ========================================
+
+// Add CO2 source
+app.post('/api/admin/co2-sources', [
+    adminLimiter,
+    body('plant_name').trim().notEmpty(),
+    body('plant_type').trim().notEmpty(),
+    body('latitude').isFloat({ min: 46, max: 49 }),
+    body('longitude').isFloat({ min: 9, max: 17 }),
+    body('total_co2_t').isFloat({ min: 0 }),
+    body('fossil_co2_t').isFloat({ min: 0 }),
+    body('biogenic_co2_t').isFloat({ min: 0 })
+], authenticateToken, requirePermission('features:edit'), async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        if (!(await tableExists('co2_sources'))) {
+            return res.status(503).json({ error: 'CO2 sources table not available' });
+        }
+
+        const {
+            plant_name, plant_type, total_co2_t, fossil_co2_t,
+            biogenic_co2_t, latitude, longitude, comment
+        } = req.body;
+
+        const pinStyle = getPinStyle(total_co2_t);
+
+        const result = await pool.query(`
+            INSERT INTO co2_sources (
+                plant_name, plant_type, total_co2_t, fossil_co2_t,
+                biogenic_co2_t, comment, is_prominent, pin_size, geom
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8,
+                ST_SetSRID(ST_MakePoint($9, $10), 4326))
+            RETURNING *
+        `, [
+            plant_name, plant_type, total_co2_t, fossil_co2_t,
+            biogenic_co2_t, comment || '', pinStyle.is_prominent, pinStyle.pin_size,
+            longitude, latitude
+        ]);
+
+        // Log to audit table if it exists
+        try {
+            if (await tableExists('audit_log')) {
+                await pool.query(`
+                    INSERT INTO audit_log (table_name, record_id, action, new_values, user_id)
+                    VALUES ($1, $2, $3, $4, $5)
+                `, ['co2_sources', result.rows[0].id, 'INSERT', JSON.stringify(req.body), req.user.id]);
+            }
+        } catch (auditError) {
+            console.log('Audit logging not available:', auditError.message);
+        }
+
+        res.status(201).json(result.rows[0]);
+    } catch (error) {
+        console.error('Error creating CO2 source:', error);
+        res.status(500).json({ error: 'Failed to create CO2 source' });
+    }
+});
+
+// Update CO2 source
+app.put('/api/admin/co2-sources/:id', [
+    adminLimiter,
+    body('plant_name').optional().trim().notEmpty(),
+    body('plant_type').optional().trim().notEmpty(),
+    body('latitude').optional().isFloat({ min: 46, max: 49 }),
+    body('longitude').optional().isFloat({ min: 9, max: 17 })
+], authenticateToken, requirePermission('features:edit'), async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const { id } = req.params;
+
+        if (!(await tableExists('co2_sources'))) {
+            return res.status(503).json({ error: 'CO2 sources table not available' });
+        }
+
+        // Only editable data columns can be set. Unknown keys and columns such as
+        // id, updated_at or the pin styles are rejected with 400, not ignored.
+        const { values: updates, errors: fieldErrors } = validateFeature(
+            getEditableFields(schemaCache.getColumns('co2_sources')), req.body, { partial: true }
+        );
+        if (fieldErrors.length > 0) {
+            return res.status(400).json({ errors: fieldErrors });
+        }
+
+        // Get old values for audit
+        const oldRecord = await pool.query('SELECT * FROM co2_sources WHERE id = $1', [id]);
+        if (oldRecord.rows.length === 0) {
+            return res.status(404).json({ error: 'CO2 source not found' });
+        }
+
+        // The pin style follows the emissions, as in the bulk upload
+        if (updates.total_co2_t !== undefined) {
+            Object.assign(updates, getPinStyle(updates.total_co2_t));
+        }
+
+        // Build dynamic update query
+        const setClauses = [];
+        const values = [];
+        let paramIndex = 1;
+
+        Object.keys(updates).forEach(key => {
+            if (key === 'latitude' || key === 'longitude') {
+                return;
+            }
+            setClauses.push(`${key} = $${paramIndex}`);
+            values.push(updates[key]);
+            paramIndex++;
+        });
+
+        // validateFeature answers a lone coordinate with 400, so both are set or neither
+        if (updates.longitude !== undefined && updates.latitude !== undefined) {
+            setClauses.push(`geom = ST_SetSRID(ST_MakePoint($${paramIndex}, $${paramIndex + 1}), 4326)`);
+            values.push(updates.longitude, updates.latitude);
+            paramIndex += 2;
+        }
+
+        if (setClauses.length === 0) {
+            return res.status(400).json({ error: 'No valid fields to update' });
+        }
+
+        values.push(id);
+        const query = `
+            UPDATE co2_sources 
+            SET ${setClauses.join(', ')}, updated_at = CURRENT_TIMESTAMP
+            WHERE id = $${paramIndex}
+            RETURNING *
+        `;
+
+        const result = await pool.query(query, values);
+
+        // Log to audit table if it exists
+        try {
+            if (await tableExists('audit_log')) {
+                await pool.query(`
+                    INSERT INTO audit_log (table_name, record_id, action, old_values, new_values, user_id)
+                    VALUES ($1, $2, $3, $4, $5, $6)
+                `, ['co2_sources', id, 'UPDATE', JSON.stringify(oldRecord.rows[0]), JSON.stringify(updates), req.user.id]);
+            }
+        } catch (auditError) {
+            console.log('Audit logging not available:', auditError.message);
+        }
+
+        res.json(result.rows[0]);
+    } catch (error) {
+        console.error('Error updating CO2 source:', error);
+        res.status(500).json({ error: 'Failed to update CO2 source' });
+    }
+});
+
+// Delete CO2 source
+app.delete('/api/admin/co2-sources/:id', adminLimiter, authenticateToken, requirePermission('features:edit'), async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        if (!(await tableExists('co2_sources'))) {
+            return res.status(503).json({ error: 'CO2 sources table not available' });
+        }
+
+        // Get record for audit
+        const oldRecord = await pool.query('SELECT * FROM co2_sources WHERE id = $1', [id]);
+        if (oldRecord.rows.length === 0) {
+            return res.status(404).json({ error: 'CO2 source not found' });
+        }
+
+        await pool.query('DELETE FROM co2_sources WHERE id = $1', [id]);
+
+        // Log to audit table if it exists
+        try {
+            if (await tableExists('audit_log')) {
+                await pool.query(`
+                    INSERT INTO audit_log (table_name, record_id, action, old_values, user_id)
+                    VALUES ($1, $2, $3, $4, $5)
+                `, ['co2_sources', id, 'DELETE', JSON.stringify(oldRecord.rows[0]), req.user.id]);
+            }
+        } catch (auditError) {
+            console.log('Audit logging not available:', auditError.message);
+        }
+
+        res.json({ message: 'CO2 source deleted successfully' });
+    } catch (error) {
+        console.error('Error deleting CO2 source:', error);
+        res.status(500).json({ error: 'Failed to delete CO2 source' });
+    }
+});
+
+// Get existing CO2 sources for editing
+app.get('/api/admin/co2-sources', authenticateToken, requirePermission('features:edit'), async (req, res) => {
+    try {
+        if (!(await tableExists('co2_sources'))) {
+            return res.json([]);
+        }
+
+        const hasGeom = await columnExists('co2_sources', 'geom');
+        
+        let query = `
+            SELECT id, plant_name, plant_type, total_co2_t, fossil_co2_t, biogenic_co2_t, comment,
+        `;
+        
+        if (hasPostGIS && hasGeom) {
+            query += ` ST_X(geom) as longitude, ST_Y(geom) as latitude`;
+        } else {
+            query += ` 0 as longitude, 0 as latitude`;
+        }
+        
+        query += ` FROM co2_sources ORDER BY plant_name`;
+        
+        const result = await pool.query(query);
+        res.json(result.rows);
+    } catch (error) {
+        console.error('Error fetching CO2 sources for admin:', error);
+        res.status(500).json({ error: 'Failed to fetch CO2 sources' });
+    }
+});
+
+// ========================================
+// FEATURE EDITING ENDPOINTS
+// ========================================
+// Create, update and delete features of the registry layers. Forms and
+// validation come from the table columns (lib/feature-schema.js), so uploaded
+// layers are editable too. Points are placed by coordinates, lines and
+// polygons are drawn in the browser and sent as GeoJSON. CO2 sources and the
+// voting districts keep their own routes.
+
+const FEATURE_LIST_LIMIT = 200;
+
+// Same tolerance as create_simplified_geometries() in the baseline migration
+const SIMPLIFY_TOLERANCE = 0.001;
+
+const getEditableLayer = (table) => {
+    const layer = getLayer(table);
+    return layer && !layer.customEndpoint ? layer : null;
+};
+
+// { layer, fields, srid, multi, hasSimplified } of an editable layer whose
+// table has a geometry, or null
+const getFeatureSchema = async (table) => {
+    const layer = getEditableLayer(table);
+    if (!layer || !hasPostGIS || !(await columnExists(table, 'geom'))) {
+        return null;
+    }
+    const geometryInfo = schemaCache.getGeometryInfo(table) || {};
+    return {
+        layer,
+        fields: getEditableFields(schemaCache.getColumns(table)),
+        srid: geometryInfo.srid || 4326,
+        multi: /^MULTI/i.test(geometryInfo.type || ''),
+        hasSimplified: schemaCache.hasColumn(table, 'simplified_geom')
+    };
+};
+
+// Columns of a feature as sent to the forms. longitude/latitude are the point,
+// or a point on the line or polygon; withGeometry adds the GeoJSON shape.
+const getFeatureSelect = ({ layer, fields, srid }, { withGeometry = false } = {}) => {
+    const geom = srid === 4326 ? 'geom' : 'ST_Transform(geom, 4326)';
+    const point = layer.geometryType === 'point' ? geom : `ST_PointOnSurface(${geom})`;
+    return [
+        'id',
+        ...fields.map(field => field.name),
+        `ST_X(${point}) AS longitude`,
+        `ST_Y(${point}) AS latitude`,
+        ...(withGeometry ? [`ST_AsGeoJSON(${geom})::json AS geometry`] : [])
+    ].join(', ');
+};
+
+// WGS84 location or shape expression in the column's type and SRID
+const getGeometryExpression = ({ layer, srid, multi }, params) => {
+    let geometry = layer.geometryType === 'point'
+        ? `ST_SetSRID(ST_MakePoint(${params[0]}, ${params[1]}), 4326)`
+        : `ST_SetSRID(ST_GeomFromGeoJSON(${params[0]}), 4326)`;
+    if (multi) geometry = `ST_Multi(${geometry})`;
+    return srid === 4326 ? geometry : `ST_Transform(${geometry}, ${srid})`;
+};
+
+// [column, expression] pairs writing the submitted location or shape to geom
+// and simplified_geom; their parameters are appended to params
+const getGeometryAssignments = (schema, values, params) => {
+    if (schema.layer.geometryType === 'point') {
+        if (values.longitude === undefined) return [];
+        params.push(values.longitude, values.latitude);
+    } else {
+        if (values.geometry === undefined) return [];
+        params.push(JSON.stringify(values.geometry));
+    }
+
+    const placeholders = schema.layer.geometryType === 'point'
+        ? [`$${params.length - 1}`, `$${params.length}`]
+        : [`$${params.length}`];
+    const expression = getGeometryExpression(schema, placeholders);
+    const assignments = [['geom', expression]];
+    if (schema.hasSimplified) {
+        assignments.push(['simplified_geom', `ST_Simplify(${expression}, ${SIMPLIFY_TOLERANCE})`]);
+    }
+    return assignments;
+};
+
+// PostGIS's reason why a submitted shape can't be stored, or null when it's valid
+const checkShape = async (schema, geometry) => {
+    try {
+        const result = await pool.query(`
+            SELECT ST_IsEmpty(shape) AS empty, ST_IsValid(shape) AS valid, ST_IsValidReason(shape) AS reason
+            FROM (SELECT ${getGeometryExpression(schema, ['$1'])} AS shape) AS submitted
+        `, [JSON.stringify(geometry)]);
+        const { empty, valid, reason } = result.rows[0];
+        if (empty) return 'is empty';
+        return valid ? null : `is not valid: ${reason}`;
+    } catch (error) {
+        return `can't be read: ${error.message}`;
+    }
+};
+
+// Validate a request body; sends the 400 response and returns null on errors
+const validateFeatureRequest = async (schema, body, res, { partial = false } = {}) => {
+    const { values, errors } = validateFeature(schema.fields, body, { partial, geometryType: schema.layer.geometryType });
+    if (errors.length === 0 && values.geometry !== undefined) {
+        const shapeError = await checkShape(schema, values.geometry);
+        if (shapeError) errors.push({ path: 'geometry', msg: shapeError });
+    }
+    if (errors.length > 0) {
+        res.status(400).json({ errors });
+        return null;
+    }
+    return values;
+};
+
+// Submitted values without the location or shape
+const getColumnValues = (values) => Object.fromEntries(
+    Object.entries(values).filter(([key]) => !['longitude', 'latitude', 'geometry'].includes(key))
+);
+
+// Audit values: a submitted shape is logged as geom so a revert restores the column
+const toAuditValues = ({ geometry, ...values }) => (geometry === undefined ? values : { ...values, geom: geometry });
+
+const logFeatureChange = async (table, recordId, action, oldValues, newValues, userId) => {
+    try {
+        if (await tableExists('audit_log')) {
+            await pool.query(`
+                INSERT INTO audit_log (table_name, record_id, action, old_values, new_values, user_id)
+                VALUES ($1, $2, $3, $4, $5, $6)
+            `, [table, recordId, action, oldValues && JSON.stringify(oldValues), newValues && JSON.stringify(newValues), userId]);
+        }
+    } catch (auditError) {
+        console.log('Audit logging not available:', auditError.message);
+    }
+};
+
+// Numeric feature ids only
+app.param('featureId', (req, res, next, value) => {
+    if (!/^\d+$/.test(value)) {
+        return res.status(404).json({ error: 'Feature not found' });
+    }
+    req.params.featureId = parseInt(value, 10);
+    next();
+});
+
+// Layers that can be edited here
+app.get('/api/admin/features', authenticateToken, requirePermission('features:edit'), async (req, res) => {
+    try {
+        const layers = [];
+        for (const layer of LAYERS.filter(entry => getEditableLayer(entry.table) && canReadLayer(req.user, entry.table))) {
+            if (await getFeatureSchema(layer.table)) {
+                layers.push({ table: layer.table, key: layer.key, title: layer.title, geometryType: layer.geometryType });
+            }
+        }
+        res.json(layers);
+    } catch (error) {
+        console.error('Error listing editable layers:', error);
+        res.status(500).json({ error: 'Failed to list editable layers' });
+    }
+});
+
+// Form fields and features of a layer; ?q= matches the text columns
+app.get('/api/admin/features/:layer', authenticateToken, requirePermission('features:edit'), async (req, res) => {
+    try {
+        const schema = await getFeatureSchema(req.params.layer);
+        if (!schema) {
+            return res.status(404).json({ error: `Layer ${req.params.layer} can't be edited` });
+        }
+
+        const params = [];
+        let where = '';
+        const textFields = schema.fields.filter(field => field.type === 'text');
+        if (req.query.q && textFields.length > 0) {
+            params.push(`%${req.query.q}%`);
+            where = `WHERE ${textFields.map(field => `${field.name} ILIKE $1`).join(' OR ')}`;
+        }
+        params.push(FEATURE_LIST_LIMIT + 1);
+
+        const result = await pool.query(`
+            SELECT ${getFeatureSelect(schema)}
+            FROM ${schema.layer.table}
+            ${where}
+            ORDER BY id
+            LIMIT $${params.length}
+        `, params);
+
+        res.json({
+            table: schema.layer.table,
+            title: schema.layer.title,
+            geometryType: schema.layer.geometryType,
+            fields: schema.fields,
+            features: result.rows.slice(0, FEATURE_LIST_LIMIT),
+            truncated: result.rows.length > FEATURE_LIST_LIMIT
+        });
+    } catch (error) {
+        console.error('Error fetching features for admin:', error);
+        res.status(500).json({ error: 'Failed to fetch features' });
+    }
+});
+
+// One feature with its full-resolution shape for the geometry editor
+app.get('/api/admin/features/:layer/:featureId', authenticateToken, requirePermission('features:edit'), async (req, res) => {
+    try {
+        const schema = await getFeatureSchema(req.params.layer);
+        if (!schema) {
+            return res.status(404).json({ error: `Layer ${req.params.layer} can't be edited` });
+        }
+
+        const result = await pool.query(`
+            SELECT ${getFeatureSelect(schema, { withGeometry: true })}
+            FROM ${schema.layer.table}
+            WHERE id = $1
+        `, [req.params.featureId]);
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Feature not found' });
+        }
+
+        res.json(result.rows[0]);
+    } catch (error) {
+        console.error('Error fetching feature for admin:', error);
+        res.status(500).json({ error: 'Failed to fetch feature' });
+    }
+});
+
+app.post('/api/admin/features/:layer', adminLimiter, authenticateToken, requirePermission('features:edit'), async (req, res) => {
+    try {
+        const schema = await getFeatureSchema(req.params.layer);
+        if (!schema) {
+            return res.status(404).json({ error: `Layer ${req.params.layer} can't be edited` });
+        }
+
+        const values = await validateFeatureRequest(schema, req.body, res);
+        if (!values) return;
+
+        const columnValues = getColumnValues(values);
+        const params = Object.values(columnValues);
+        const assignments = [
+            ...Object.keys(columnValues).map((column, index) => [column, `$${index + 1}`]),
+            ...getGeometryAssignments(schema, values, params)
+        ];
+        const table = schema.layer.table;
+
+        const result = await pool.query(`
+            INSERT INTO ${table} (${assignments.map(([column]) => column).join(', ')})
+            VALUES (${assignments.map(([, expression]) => expression).join(', ')})
+            RETURNING ${getFeatureSelect(schema)}
+        `, params);
+
+        const feature = result.rows[0];
+        await logFeatureChange(table, feature.id, 'INSERT', null, toAuditValues(values), req.user.id);
+
+        res.status(201).json(feature);
     } catch (error) {
-        console.error('Error fetching database stats:', error);
-        res.status(500).json({ 
-            error: 'Failed to fetch database statistics',
-            details: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        console.error('Error creating feature:', error);
+        res.status(500).json({
+            error: 'Failed to create feature',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
         });
     }
 });
 
-// Layer styles endpoint with table existence check
-app.get('/api/layer-styles', async (req, res) => {
+app.put('/api/admin/features/:layer/:featureId', adminLimiter, authenticateToken, requirePermission('features:edit'), async (req, res) => {
     try {
-        if (!(await tableExists('layer_styles'))) {
-            return res.json([]);
+        const schema = await getFeatureSchema(req.params.layer);
+        if (!schema) {
+            return res.status(404).json({ error: `Layer ${req.params.layer} can't be edited` });
         }
-        
-        const query = 'SELECT * FROM layer_styles WHERE is_active = true';
-        const result = await pool.query(query);
-        res.json(result.rows);
+
+        const values = await validateFeatureRequest(schema, req.body, res, { partial: true });
+        if (!values) return;
+
+        const table = schema.layer.table;
+        const { featureId } = req.params;
+        const oldRecord = await pool.query(`SELECT * FROM ${table} WHERE id = $1`, [featureId]);
+        if (oldRecord.rows.length === 0) {
+            return res.status(404).json({ error: 'Feature not found' });
+        }
+
+        const columnValues = getColumnValues(values);
+        const params = [featureId];
+        const setClauses = Object.entries(columnValues).map(([column, value]) => {
+            params.push(value);
+            return `${column} = $${params.length}`;
+        });
+        getGeometryAssignments(schema, values, params).forEach(([column, expression]) => {
+            setClauses.push(`${column} = ${expression}`);
+        });
+        if (setClauses.length === 0) {
+            return res.status(400).json({ error: 'No valid fields to update' });
+        }
+        if (await columnExists(table, 'updated_at')) {
+            setClauses.push('updated_at = CURRENT_TIMESTAMP');
+        }
+
+        const result = await pool.query(`
+            UPDATE ${table} SET ${setClauses.join(', ')}
+            WHERE id = $1
+            RETURNING ${getFeatureSelect(schema)}
+        `, params);
+
+        await logFeatureChange(table, featureId, 'UPDATE', oldRecord.rows[0], toAuditValues(values), req.user.id);
+
+        res.json(result.rows[0]);
     } catch (error) {
-        console.error('Error fetching layer styles:', error);
-        res.status(500).json({ 
-            error: 'Failed to fetch layer styles',
-            details: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        console.error('Error updating feature:', error);
+        res.status(500).json({
+            error: 'Failed to update feature',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
         });
     }
 });
 
-// ========================================
-// ADMIN ENDPOINTS
-// ========================================
+app.delete('/api/admin/features/:layer/:featureId', adminLimiter, authenticateToken, requirePermission('features:edit'), async (req, res) => {
+    try {
+        const schema = await getFeatureSchema(req.params.layer);
+        if (!schema) {
+            return res.status(404).json({ error: `Layer ${req.params.layer} can't be edited` });
+        }
 
-// Add CO2 source
-app.post('/api/admin/co2-sources', [
-    adminLimiter,
-    body('plant_name').trim().notEmpty(),
-    body('plant_type').trim().notEmpty(),
-    body('latitude').isFloat({ min: 46, max: 49 }),
-    body('longitude').isFloat({ min: 9, max: 17 }),
-    body('total_co2_t').isFloat({ min: 0 }),
-    body('fossil_co2_t').isFloat({ min: 0 }),
-    body('biogenic_co2_t').isFloat({ min: 0 })
-], authenticateToken, async (req, res) => {
+        const table = schema.layer.table;
+        const { featureId } = req.params;
+        const result = await pool.query(`DELETE FROM ${table} WHERE id = $1 RETURNING *`, [featureId]);
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Feature not found' });
+        }
+
+        await logFeatureChange(table, featureId, 'DELETE', result.rows[0], null, req.user.id);
+
+        res.json({ message: 'Feature deleted successfully' });
+    } catch (error) {
+        console.error('Error deleting feature:', error);
+        res.status(500).json({
+            error: 'Failed to delete feature',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// Spreadsheets are parsed in memory; nothing is written to uploads/
+const SPREADSHEET_MAX_BYTES = 10 * 1024 * 1024;
+const spreadsheetUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: SPREADSHEET_MAX_BYTES, files: 1 },
+    fileFilter: (req, file, cb) => cb(null, /\.(xlsx|xls|csv)$/i.test(file.originalname))
+}).single('file');
+
+// Run a multer middleware and answer its errors (file too large, ...) as JSON
+const handleUpload = (upload) => (req, res, next) => {
+    upload(req, res, (error) => {
+        if (error) {
+            return res.status(400).json({ error: `Upload failed: ${error.message}` });
+        }
+        next();
+    });
+};
+
+// Existing sources in the shape compared by classifyCO2SourceRows
+const queryExistingCO2Sources = async (client) => {
+    const result = await client.query(`
+        SELECT id, plant_name, COALESCE(plant_type, '') as plant_type,
+               COALESCE(total_co2_t, 0)::float8 as total_co2_t,
+               COALESCE(fossil_co2_t, 0)::float8 as fossil_co2_t,
+               COALESCE(biogenic_co2_t, 0)::float8 as biogenic_co2_t,
+               COALESCE(comment, '') as comment,
+               ST_X(geom) as longitude, ST_Y(geom) as latitude
+        FROM co2_sources
+    `);
+    return result.rows;
+};
+
+// Bulk upload of CO2 sources from an XLSX/CSV in the importer's column layout
+// (multipart field "file"). Without ?commit=true only the preview of new,
+// changed and invalid rows is returned; with it the new and changed rows are
+// written in one transaction together with their audit_log entries.
+app.post('/api/admin/co2-sources/import', adminLimiter, authenticateToken, requirePermission('features:edit'), handleUpload(spreadsheetUpload), async (req, res) => {
+    if (!req.file) {
+        return res.status(400).json({ error: 'Upload an .xlsx, .xls or .csv file in the "file" field' });
+    }
+
+    let rawRows;
     try {
-        const errors = validationResult(req);
-        if (!errors.isEmpty()) {
-            return res.status(400).json({ errors: errors.array() });
+        rawRows = readSpreadsheet(req.file.buffer, req.file.originalname);
+    } catch (error) {
+        return res.status(400).json({ error: `Could not read ${req.file.originalname}: ${error.message}` });
+    }
+
+    if (rawRows.length === 0) {
+        return res.status(400).json({ error: `${req.file.originalname} contains no data rows` });
+    }
+
+    const missingColumns = ['plant_name', 'longitude', 'latitude']
+        .map(column => CO2_SOURCE_COLUMNS[column])
+        .filter(header => !(header in rawRows[0]));
+    if (missingColumns.length > 0) {
+        return res.status(400).json({ error: `Missing columns: ${missingColumns.join(', ')}` });
+    }
+
+    const commit = req.query.commit === 'true';
+    let client = null;
+
+    try {
+        if (!hasPostGIS || !(await tableExists('co2_sources')) || !(await columnExists('co2_sources', 'geom'))) {
+            return res.status(503).json({ error: 'CO2 source upload requires PostGIS and the co2_sources table' });
         }
 
-        if (!(await tableExists('co2_sources'))) {
-            return res.status(503).json({ error: 'CO2 sources table not available' });
+        client = commit ? await pool.connect() : pool;
+        if (commit) {
+            await client.query('BEGIN');
         }
 
-        const {
-            plant_name, plant_type, total_co2_t, fossil_co2_t,
-            biogenic_co2_t, latitude, longitude, comment
-        } = req.body;
+        const rows = classifyCO2SourceRows(rawRows, await queryExistingCO2Sources(client), ATLAS_BOUNDS);
+        const summary = {
+            rows: rawRows.length,
+            new: rows.new.length,
+            changed: rows.changed.length,
+            unchanged: rows.unchanged.length,
+            invalid: rows.invalid.length
+        };
 
-        const isProminent = total_co2_t > 50000;
-        const pinSize = isProminent ? 4 : 2;
+        const preview = {
+            file: req.file.originalname,
+            summary,
+            new: rows.new.map(({ row, values }) => ({ row, ...values })),
+            changed: rows.changed.map(({ row, id, values, changes }) => ({ row, id, plant_name: values.plant_name, changes })),
+            invalid: rows.invalid.map(({ row, values, errors }) => ({ row, plant_name: values.plant_name, errors }))
+        };
 
-        let query, values;
-        
-        if (hasPostGIS && await columnExists('co2_sources', 'geom')) {
-            query = `
+        if (!commit) {
+            return res.json({ committed: false, ...preview });
+        }
+
+        const audit = await tableExists('audit_log');
+        const writeAudit = (recordId, action, oldValues, newValues) => client.query(`
+            INSERT INTO audit_log (table_name, record_id, action, old_values, new_values, user_id)
+            VALUES ($1, $2, $3, $4, $5, $6)
+        `, ['co2_sources', recordId, action, oldValues ? JSON.stringify(oldValues) : null, JSON.stringify(newValues), req.user.id]);
+
+        for (const { values } of rows.new) {
+            const pinStyle = getPinStyle(values.total_co2_t);
+            const result = await client.query(`
                 INSERT INTO co2_sources (
                     plant_name, plant_type, total_co2_t, fossil_co2_t,
                     biogenic_co2_t, comment, is_prominent, pin_size, geom
-                ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, 
+                ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8,
                     ST_SetSRID(ST_MakePoint($9, $10), 4326))
-                RETURNING *
-            `;
-            values = [
-                plant_name, plant_type, total_co2_t, fossil_co2_t,
-                biogenic_co2_t, comment || '', isProminent, pinSize,
-                longitude, latitude
-            ];
-        } else {
-            // Fallback without PostGIS
-            query = `
-                INSERT INTO co2_sources (
-                    plant_name, plant_type, total_co2_t, fossil_co2_t,
-                    biogenic_co2_t, comment, is_prominent, pin_size,
-                    longitude, latitude
-                ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
-                RETURNING *
-            `;
-            values = [
-                plant_name, plant_type, total_co2_t, fossil_co2_t,
-                biogenic_co2_t, comment || '', isProminent, pinSize,
-                longitude, latitude
-            ];
+                RETURNING id
+            `, [
+                values.plant_name, values.plant_type, values.total_co2_t, values.fossil_co2_t,
+                values.biogenic_co2_t, values.comment, pinStyle.is_prominent, pinStyle.pin_size,
+                values.longitude, values.latitude
+            ]);
+            if (audit) {
+                await writeAudit(result.rows[0].id, 'INSERT', null, values);
+            }
         }
 
-        const result = await pool.query(query, values);
-
-        // Log to audit table if it exists
-        try {
-            if (await tableExists('audit_log')) {
-                await pool.query(`
-                    INSERT INTO audit_log (table_name, record_id, action, new_values, user_id)
-                    VALUES ($1, $2, $3, $4, $5)
-                `, ['co2_sources', result.rows[0].id, 'INSERT', JSON.stringify(req.body), req.user.id]);
+        for (const { id, values, changes } of rows.changed) {
+            const pinStyle = getPinStyle(values.total_co2_t);
+            await client.query(`
+                UPDATE co2_sources
+                SET plant_name = $1, plant_type = $2, total_co2_t = $3, fossil_co2_t = $4,
+                    biogenic_co2_t = $5, comment = $6, is_prominent = $7, pin_size = $8,
+                    geom = ST_SetSRID(ST_MakePoint($9, $10), 4326)
+                WHERE id = $11
+            `, [
+                values.plant_name, values.plant_type, values.total_co2_t, values.fossil_co2_t,
+                values.biogenic_co2_t, values.comment, pinStyle.is_prominent, pinStyle.pin_size,
+                values.longitude, values.latitude, id
+            ]);
+            if (audit) {
+                const oldValues = Object.fromEntries(Object.entries(changes).map(([column, change]) => [column, change.old]));
+                const newValues = Object.fromEntries(Object.entries(changes).map(([column, change]) => [column, change.new]));
+                await writeAudit(id, 'UPDATE', oldValues, newValues);
             }
-        } catch (auditError) {
-            console.log('Audit logging not available:', auditError.message);
         }
 
-        res.status(201).json(result.rows[0]);
+        await client.query('COMMIT');
+        console.log(`📥 CO2 source upload ${req.file.originalname}: ${summary.new} inserted, ${summary.changed} updated, ${summary.invalid} skipped`);
+
+        res.json({ committed: true, ...preview });
     } catch (error) {
-        console.error('Error creating CO2 source:', error);
-        res.status(500).json({ error: 'Failed to create CO2 source' });
+        if (commit && client) {
+            await client.query('ROLLBACK').catch(() => {});
+        }
+        console.error('Error importing CO2 sources:', error);
+        res.status(500).json({
+            error: 'Failed to import CO2 sources',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    } finally {
+        if (commit && client) {
+            client.release();
+        }
     }
 });
 
-// Update CO2 source
-app.put('/api/admin/co2-sources/:id', [
-    adminLimiter,
-    body('plant_name').optional().trim().notEmpty(),
-    body('plant_type').optional().trim().notEmpty(),
-    body('latitude').optional().isFloat({ min: 46, max: 49 }),
-    body('longitude').optional().isFloat({ min: 9, max: 17 })
-], authenticateToken, async (req, res) => {
+// Yearly emissions from an XLSX/CSV with Plant Name, Year, Total_CO2_t,
+// Fossil_CO2_t and Biogenic_CO2_t (multipart field "file"). Plants are matched
+// to existing sources by name. Preview and ?commit=true work like the source
+// upload; committed rows are upserted into co2_emissions with audit entries.
+app.post('/api/admin/co2-sources/emissions/import', adminLimiter, authenticateToken, requirePermission('features:edit'), handleUpload(spreadsheetUpload), async (req, res) => {
+    if (!req.file) {
+        return res.status(400).json({ error: 'Upload an .xlsx, .xls or .csv file in the "file" field' });
+    }
+
+    let rawRows;
     try {
-        const errors = validationResult(req);
-        if (!errors.isEmpty()) {
-            return res.status(400).json({ errors: errors.array() });
-        }
+        rawRows = readSpreadsheet(req.file.buffer, req.file.originalname);
+    } catch (error) {
+        return res.status(400).json({ error: `Could not read ${req.file.originalname}: ${error.message}` });
+    }
 
-        const { id } = req.params;
-        const updates = req.body;
+    if (rawRows.length === 0) {
+        return res.status(400).json({ error: `${req.file.originalname} contains no data rows` });
+    }
 
-        if (!(await tableExists('co2_sources'))) {
-            return res.status(503).json({ error: 'CO2 sources table not available' });
-        }
+    const missingColumns = ['plant_name', 'year', 'total_co2_t']
+        .map(column => CO2_EMISSION_COLUMNS[column])
+        .filter(header => !(header in rawRows[0]));
+    if (missingColumns.length > 0) {
+        return res.status(400).json({ error: `Missing columns: ${missingColumns.join(', ')}` });
+    }
 
-        // Get old values for audit
-        const oldRecord = await pool.query('SELECT * FROM co2_sources WHERE id = $1', [id]);
-        if (oldRecord.rows.length === 0) {
-            return res.status(404).json({ error: 'CO2 source not found' });
-        }
+    const commit = req.query.commit === 'true';
+    let client = null;
 
-        // Build dynamic update query
-        const setClauses = [];
-        const values = [];
-        let paramIndex = 1;
+    try {
+        client = commit ? await pool.connect() : pool;
+        if (commit) {
+            await client.query('BEGIN');
+        }
 
-        Object.keys(updates).forEach(key => {
-            if (key === 'latitude' || key === 'longitude') {
-                return;
-            }
-            setClauses.push(`${key} = ${paramIndex}`);
-            values.push(updates[key]);
-            paramIndex++;
-        });
+        const [sources, existing] = await Promise.all([
+            client.query('SELECT id, plant_name FROM co2_sources'),
+            client.query('SELECT id, source_id, year, total_co2_t, fossil_co2_t, biogenic_co2_t FROM co2_emissions')
+        ]);
+        const rows = classifyEmissionRows(rawRows, sources.rows, existing.rows);
+        const summary = {
+            rows: rawRows.length,
+            new: rows.new.length,
+            changed: rows.changed.length,
+            unchanged: rows.unchanged.length,
+            invalid: rows.invalid.length
+        };
 
-        if (updates.latitude && updates.longitude && hasPostGIS && await columnExists('co2_sources', 'geom')) {
-            setClauses.push(`geom = ST_SetSRID(ST_MakePoint(${paramIndex}, ${paramIndex + 1}), 4326)`);
-            values.push(updates.longitude, updates.latitude);
-            paramIndex += 2;
-        } else if (updates.latitude && updates.longitude) {
-            setClauses.push(`longitude = ${paramIndex}, latitude = ${paramIndex + 1}`);
-            values.push(updates.longitude, updates.latitude);
-            paramIndex += 2;
-        }
+        const preview = {
+            file: req.file.originalname,
+            summary,
+            new: rows.new.map(({ row, source_id: sourceId, values }) => ({ row, source_id: sourceId, ...values })),
+            changed: rows.changed.map(({ row, id, values, changes }) => ({ row, id, plant_name: values.plant_name, year: values.year, changes })),
+            invalid: rows.invalid.map(({ row, values, errors }) => ({ row, plant_name: values.plant_name, errors }))
+        };
 
-        if (setClauses.length === 0) {
-            return res.status(400).json({ error: 'No valid fields to update' });
+        if (!commit) {
+            return res.json({ committed: false, ...preview });
         }
 
-        values.push(id);
-        const query = `
-            UPDATE co2_sources 
-            SET ${setClauses.join(', ')}, updated_at = CURRENT_TIMESTAMP
-            WHERE id = ${paramIndex}
-            RETURNING *
-        `;
-
-        const result = await pool.query(query, values);
+        const audit = await tableExists('audit_log');
+        for (const { source_id: sourceId, values, changes } of [...rows.new, ...rows.changed]) {
+            const emission = {
+                source_id: sourceId,
+                year: values.year,
+                total_co2_t: values.total_co2_t,
+                fossil_co2_t: values.fossil_co2_t,
+                biogenic_co2_t: values.biogenic_co2_t
+            };
+            const result = await client.query(`
+                INSERT INTO co2_emissions (source_id, year, total_co2_t, fossil_co2_t, biogenic_co2_t)
+                VALUES ($1, $2, $3, $4, $5)
+                ON CONFLICT (source_id, year) DO UPDATE
+                SET total_co2_t = EXCLUDED.total_co2_t,
+                    fossil_co2_t = EXCLUDED.fossil_co2_t,
+                    biogenic_co2_t = EXCLUDED.biogenic_co2_t,
+                    updated_at = CURRENT_TIMESTAMP
+                RETURNING id
+            `, Object.values(emission));
 
-        // Log to audit table if it exists
-        try {
-            if (await tableExists('audit_log')) {
-                await pool.query(`
+            if (audit) {
+                const oldValues = changes && Object.fromEntries(Object.entries(changes).map(([column, change]) => [column, change.old]));
+                const newValues = changes ? Object.fromEntries(Object.entries(changes).map(([column, change]) => [column, change.new])) : emission;
+                await client.query(`
                     INSERT INTO audit_log (table_name, record_id, action, old_values, new_values, user_id)
                     VALUES ($1, $2, $3, $4, $5, $6)
-                `, ['co2_sources', id, 'UPDATE', JSON.stringify(oldRecord.rows[0]), JSON.stringify(updates), req.user.id]);
+                `, ['co2_emissions', result.rows[0].id, changes ? 'UPDATE' : 'INSERT', oldValues ? JSON.stringify(oldValues) : null, JSON.stringify(newValues), req.user.id]);
             }
-        } catch (auditError) {
-            console.log('Audit logging not available:', auditError.message);
         }
 
-        res.json(result.rows[0]);
+        await client.query('COMMIT');
+        console.log(`📥 Emission upload ${req.file.originalname}: ${summary.new} inserted, ${summary.changed} updated, ${summary.invalid} skipped`);
+
+        res.json({ committed: true, ...preview });
     } catch (error) {
-        console.error('Error updating CO2 source:', error);
-        res.status(500).json({ error: 'Failed to update CO2 source' });
+        if (commit && client) {
+            await client.query('ROLLBACK').catch(() => {});
+        }
+        console.error('Error importing emissions:', error);
+        res.status(500).json({
+            error: 'Failed to import emissions',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    } finally {
+        if (commit && client) {
+            client.release();
+        }
     }
 });
 
-// Delete CO2 source
-app.delete('/api/admin/co2-sources/:id', adminLimiter, authenticateToken, async (req, res) => {
-    try {
-        const { id } = req.params;
+const SHAPEFILE_MAX_BYTES = 50 * 1024 * 1024;
+const shapefileUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: SHAPEFILE_MAX_BYTES, files: 1 },
+    fileFilter: (req, file, cb) => cb(null, /\.zip$/i.test(file.originalname))
+}).single('file');
 
-        if (!(await tableExists('co2_sources'))) {
-            return res.status(503).json({ error: 'CO2 sources table not available' });
-        }
+// PostGIS column type and insert expression per layer geometry type.
+// Polygons are repaired so self-intersecting rings don't break the analyses.
+const UPLOAD_GEOMETRY_COLUMNS = {
+    point: { type: 'Point', insert: (param) => `ST_SetSRID(ST_GeomFromGeoJSON(${param}), 4326)` },
+    line: { type: 'MultiLineString', insert: (param) => `ST_Multi(ST_SetSRID(ST_GeomFromGeoJSON(${param}), 4326))` },
+    polygon: { type: 'MultiPolygon', insert: (param) => `ST_Multi(ST_CollectionExtract(ST_MakeValid(ST_SetSRID(ST_GeomFromGeoJSON(${param}), 4326)), 3))` }
+};
 
-        // Get record for audit
-        const oldRecord = await pool.query('SELECT * FROM co2_sources WHERE id = $1', [id]);
-        if (oldRecord.rows.length === 0) {
-            return res.status(404).json({ error: 'CO2 source not found' });
-        }
+// Postgres accepts at most 65535 parameters per statement
+const UPLOAD_BATCH_PARAMS = 60000;
+const UPLOAD_BATCH_ROWS = 500;
 
-        await pool.query('DELETE FROM co2_sources WHERE id = $1', [id]);
+const toColumnValue = (value, type) => {
+    if (value === null || value === undefined || value === '') return null;
+    if (type === 'text') return value instanceof Date ? value.toISOString() : String(value);
+    return value;
+};
 
-        // Log to audit table if it exists
-        try {
-            if (await tableExists('audit_log')) {
-                await pool.query(`
-                    INSERT INTO audit_log (table_name, record_id, action, old_values, user_id)
-                    VALUES ($1, $2, $3, $4, $5)
-                `, ['co2_sources', id, 'DELETE', JSON.stringify(oldRecord.rows[0]), req.user.id]);
-            }
-        } catch (auditError) {
-            console.log('Audit logging not available:', auditError.message);
-        }
+// Create a map layer from a zipped shapefile (multipart field "file", optional
+// "title"): reprojects to EPSG:4326, creates a PostGIS table with a GIST index
+// and registers the layer so it shows up in /api/layers. Creating tables is
+// schema maintenance, so it is reserved for administrators.
+app.post('/api/admin/layers/upload', adminLimiter, authenticateToken, requirePermission('maintenance'), handleUpload(shapefileUpload), async (req, res) => {
+    if (!req.file) {
+        return res.status(400).json({ error: 'Upload a .zip with .shp, .dbf and .prj files in the "file" field' });
+    }
 
-        res.json({ message: 'CO2 source deleted successfully' });
+    let data;
+    try {
+        data = await readZippedShapefile(req.file.buffer);
     } catch (error) {
-        console.error('Error deleting CO2 source:', error);
-        res.status(500).json({ error: 'Failed to delete CO2 source' });
+        if (error instanceof ShapefileImportError) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Error reading uploaded shapefile:', error);
+        return res.status(500).json({ error: 'Failed to read shapefile' });
     }
-});
 
-// Get existing CO2 sources for editing
-app.get('/api/admin/co2-sources', authenticateToken, async (req, res) => {
-    try {
-        if (!(await tableExists('co2_sources'))) {
-            return res.json([]);
+    if (!hasPostGIS) {
+        return res.status(503).json({ error: 'Shapefile upload requires PostGIS' });
+    }
+
+    let client = null;
+    let committed = false;
+
+    try {
+        await schemaCache.refresh();
+
+        const tableName = uniqueName(
+            `upload_${sanitizeIdentifier(data.name, 'layer')}`.slice(0, 50),
+            name => schemaCache.hasTable(name) || Boolean(getLayer(name))
+        );
+        const title = String(req.body.title || '').trim().slice(0, 255) || data.name;
+        const restricted = req.body.restricted === 'true';
+        const style = getUploadStyle(data.geometryType, LAYERS.filter(layer => layer.uploaded).length);
+        const geometryColumn = UPLOAD_GEOMETRY_COLUMNS[data.geometryType];
+
+        client = await pool.connect();
+        await client.query('BEGIN');
+
+        await client.query(`
+            CREATE TABLE ${tableName} (
+                id SERIAL PRIMARY KEY,
+                ${data.columns.map(column => `${column.name} ${column.type},`).join('\n                ')}
+                geom geometry(${geometryColumn.type}, 4326)
+            )
+        `);
+
+        const paramsPerRow = data.columns.length + 1;
+        const batchSize = Math.max(1, Math.min(UPLOAD_BATCH_ROWS, Math.floor(UPLOAD_BATCH_PARAMS / paramsPerRow)));
+        const columnList = [...data.columns.map(column => column.name), 'geom'].join(', ');
+
+        for (let start = 0; start < data.features.length; start += batchSize) {
+            const batch = data.features.slice(start, start + batchSize);
+            const params = [];
+            const rows = batch.map(feature => {
+                const placeholders = data.columns.map(column => {
+                    params.push(toColumnValue(feature.properties[column.source], column.type));
+                    return `$${params.length}`;
+                });
+                params.push(JSON.stringify(feature.geometry));
+                placeholders.push(geometryColumn.insert(`$${params.length}`));
+                return `(${placeholders.join(', ')})`;
+            });
+
+            await client.query(`INSERT INTO ${tableName} (${columnList}) VALUES ${rows.join(', ')}`, params);
+        }
+
+        await client.query(`CREATE INDEX idx_${tableName}_geom ON ${tableName} USING GIST (geom)`);
+
+        const layerResult = await client.query(`
+            INSERT INTO uploaded_layers (table_name, title, geometry_type, columns, style, source_file, feature_count, restricted, uploaded_by)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+            RETURNING *
+        `, [
+            tableName, title, data.geometryType,
+            JSON.stringify(data.columns.map(({ name, type }) => ({ name, type }))),
+            JSON.stringify(style), req.file.originalname, data.features.length, restricted, req.user.id
+        ]);
+
+        if (await tableExists('audit_log')) {
+            await client.query(`
+                INSERT INTO audit_log (table_name, record_id, action, new_values, user_id)
+                VALUES ($1, $2, $3, $4, $5)
+            `, ['uploaded_layers', layerResult.rows[0].id, 'INSERT', JSON.stringify(layerResult.rows[0]), req.user.id]);
         }
 
-        const hasGeom = await columnExists('co2_sources', 'geom');
-        const hasLongitude = await columnExists('co2_sources', 'longitude');
-        const hasLatitude = await columnExists('co2_sources', 'latitude');
-        
-        let query = `
-            SELECT id, plant_name, plant_type, total_co2_t, fossil_co2_t, biogenic_co2_t, comment,
-        `;
-        
-        if (hasPostGIS && hasGeom) {
-            query += ` ST_X(geom) as longitude, ST_Y(geom) as latitude`;
-        } else if (hasLongitude && hasLatitude) {
-            query += ` longitude, latitude`;
-        } else {
-            query += ` 0 as longitude, 0 as latitude`;
+        await client.query('COMMIT');
+        committed = true;
+        const layer = registerUploadedLayer(layerResult.rows[0]);
+
+        // The layer exists from here on, so a failure to refresh the planner
+        // statistics or the schema cache is logged instead of failing the upload
+        try {
+            await client.query(`ANALYZE ${tableName}`);
+            await schemaCache.refresh();
+        } catch (error) {
+            console.error(`Layer ${tableName} was created, but refreshing its statistics or the schema cache failed:`, error.message);
         }
-        
-        query += ` FROM co2_sources ORDER BY plant_name`;
-        
-        const result = await pool.query(query);
-        res.json(result.rows);
+
+        console.log(`🗺️ Shapefile ${req.file.originalname} uploaded as ${tableName} (${data.features.length} ${data.geometryType} features)`);
+
+        res.status(201).json({
+            layer: toPublicLayer(layer),
+            feature_count: data.features.length,
+            skipped: data.skipped,
+            columns: data.columns
+        });
     } catch (error) {
-        console.error('Error fetching CO2 sources for admin:', error);
-        res.status(500).json({ error: 'Failed to fetch CO2 sources' });
+        if (client && !committed) {
+            await client.query('ROLLBACK').catch(() => {});
+        }
+        console.error('Error creating layer from shapefile:', error);
+        res.status(500).json({
+            error: 'Failed to create layer from shapefile',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    } finally {
+        if (client) {
+            client.release();
+        }
     }
 });
 
 // Database optimization endpoint
-app.post('/api/admin/optimize-database', adminLimiter, authenticateToken, async (req, res) => {
+app.post('/api/admin/optimize-database', adminLimiter, authenticateToken, requirePermission('maintenance'), async (req, res) => {
     try {
         const optimizations = [];
         
         // Analyze tables
-        const tables = [
-            'co2_sources', 'voting_districts', 'landfills', 'gravel_pits',
-            'wastewater_plants', 'gas_pipelines', 'gas_storage_sites',
-            'gas_distribution_points', 'compressor_stations',
-            'groundwater_protection', 'conservation_areas', 'settlement_areas',
-            'highways', 'railways'
-        ];
-
-        for (const table of tables) {
+        for (const table of getLayerTables()) {
             try {
                 if (await tableExists(table)) {
                     await pool.query(`ANALYZE ${table}`);
@@ -1052,6 +3898,13 @@ app.post('/api/admin/optimize-database', adminLimiter, authenticateToken, async
             }
         }
 
+        try {
+            const schema = await schemaCache.refresh();
+            optimizations.push(`Refreshed schema cache (${schema.tables} tables)`);
+        } catch (error) {
+            optimizations.push(`Failed to refresh schema cache: ${error.message}`);
+        }
+
         res.json({ 
             message: 'Database optimization completed',
             optimizations
@@ -1062,14 +3915,49 @@ app.post('/api/admin/optimize-database', adminLimiter, authenticateToken, async
     }
 });
 
+// Cached schema metadata (tables, columns, SRIDs, geometry types)
+app.get('/api/admin/schema', adminLimiter, authenticateToken, requirePermission('maintenance'), async (req, res) => {
+    try {
+        if (!(await schemaCache.ensureLoaded())) {
+            return res.status(503).json({ error: 'Schema metadata not available' });
+        }
+
+        res.json(schemaCache.toJSON());
+    } catch (error) {
+        console.error('Error reading schema cache:', error);
+        res.status(500).json({ error: 'Failed to read schema metadata' });
+    }
+});
+
+// Reload the schema cache, e.g. after running the importer against a live server
+app.post('/api/admin/schema/refresh', adminLimiter, authenticateToken, requirePermission('maintenance'), async (req, res) => {
+    try {
+        const schema = await schemaCache.refresh();
+        console.log(`✓ Schema cache refreshed: ${schema.tables} tables, ${schema.geometryColumns} geometry columns`);
+
+        res.json({
+            message: 'Schema cache refreshed',
+            schema
+        });
+    } catch (error) {
+        console.error('Error refreshing schema cache:', error);
+        res.status(500).json({ 
+            error: 'Failed to refresh schema cache',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
 // Get audit log if table exists
-app.get('/api/admin/audit-log', adminLimiter, authenticateToken, async (req, res) => {
+app.get('/api/admin/audit-log', adminLimiter, authenticateToken, requirePermission('audit:read'), async (req, res) => {
     try {
         if (!(await tableExists('audit_log'))) {
             return res.json([]);
         }
 
-        const { limit = 100, offset = 0, table_name } = req.query;
+        const { table_name, record_id, action } = req.query;
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), 1000);
+        const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
         
         let query = `
             SELECT al.*, au.username
@@ -1078,24 +3966,360 @@ app.get('/api/admin/audit-log', adminLimiter, authenticateToken, async (req, res
         `;
         
         const params = [];
+        const conditions = [];
         
         if (table_name) {
-            query += ` WHERE al.table_name = ${params.length + 1}`;
             params.push(table_name);
+            conditions.push(`al.table_name = $${params.length}`);
+        }
+        if (record_id) {
+            params.push(parseInt(record_id, 10) || 0);
+            conditions.push(`al.record_id = $${params.length}`);
+        }
+        if (action) {
+            params.push(String(action).toUpperCase());
+            conditions.push(`al.action = $${params.length}`);
+        }
+        if (conditions.length > 0) {
+            query += ` WHERE ${conditions.join(' AND ')}`;
         }
         
-        query += ` ORDER BY al.timestamp DESC LIMIT ${params.length + 1} OFFSET ${params.length + 2}`;
+        query += ` ORDER BY al.timestamp DESC, al.id DESC LIMIT $${params.length + 1} OFFSET $${params.length + 2}`;
         params.push(limit, offset);
 
         const result = await pool.query(query, params);
         
-        res.json(result.rows);
+        res.json(result.rows.map(row => ({ ...row, revertable: isRevertableTable(row.table_name) })));
     } catch (error) {
         console.error('Error fetching audit log:', error);
         res.status(500).json({ error: 'Failed to fetch audit log' });
     }
 });
 
+// ========================================
+// USER MANAGEMENT ENDPOINTS
+// ========================================
+
+const USER_COLUMNS = 'id, username, email, role, is_active, must_change_password, last_login, created_at, updated_at';
+
+// Numeric user ids only; anything else can't match an account
+app.param('userId', (req, res, next, value) => {
+    if (!/^\d+$/.test(value)) {
+        return res.status(404).json({ error: 'User not found' });
+    }
+    req.params.userId = parseInt(value, 10);
+    next();
+});
+
+const findUser = async (id) => {
+    const result = await pool.query(`SELECT ${USER_COLUMNS} FROM admin_users WHERE id = $1`, [id]);
+    return result.rows[0] || null;
+};
+
+app.get('/api/admin/users', adminLimiter, authenticateToken, requirePermission('users:manage'), async (req, res) => {
+    try {
+        const result = await pool.query(`SELECT ${USER_COLUMNS} FROM admin_users ORDER BY username`);
+        res.json({ users: result.rows, roles: ROLES });
+    } catch (error) {
+        console.error('Error fetching users:', error);
+        res.status(500).json({ error: 'Failed to fetch users' });
+    }
+});
+
+// New accounts get a temporary password and must change it at first login
+app.post('/api/admin/users', [
+    adminLimiter,
+    body('username').trim().matches(/^[A-Za-z0-9_.-]{3,50}$/)
+        .withMessage('Username must have 3-50 letters, digits, dots, dashes or underscores'),
+    body('email').optional({ checkFalsy: true }).trim().isEmail(),
+    body('role').isIn(ROLES),
+    body('password').isLength({ min: PASSWORD_MIN_LENGTH })
+        .withMessage(`Password must have at least ${PASSWORD_MIN_LENGTH} characters`)
+], authenticateToken, requirePermission('users:manage'), async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const { username, email, role, password } = req.body;
+        const result = await pool.query(`
+            INSERT INTO admin_users (username, email, password_hash, role, must_change_password)
+            VALUES ($1, $2, $3, $4, true)
+            RETURNING ${USER_COLUMNS}
+        `, [username, email || null, await bcrypt.hash(password, BCRYPT_ROUNDS), role]);
+
+        await logUserChange(result.rows[0].id, 'INSERT', null, result.rows[0], req.user.id);
+        console.log(`👤 User ${username} (${role}) created by ${req.user.username}`);
+
+        res.status(201).json(result.rows[0]);
+    } catch (error) {
+        if (error.code === '23505') {
+            return res.status(409).json({ error: 'Username or email already in use' });
+        }
+        console.error('Error creating user:', error);
+        res.status(500).json({ error: 'Failed to create user' });
+    }
+});
+
+// Change email, role or active state. Admins can't demote or deactivate
+// themselves, so there is always an admin left to undo mistakes.
+app.put('/api/admin/users/:userId', [
+    adminLimiter,
+    body('email').optional({ nullable: true, checkFalsy: true }).trim().isEmail(),
+    body('role').optional().isIn(ROLES),
+    body('is_active').optional().isBoolean()
+], authenticateToken, requirePermission('users:manage'), async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const id = req.params.userId;
+        const existing = await findUser(id);
+        if (!existing) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const updates = {};
+        if (req.body.email !== undefined) updates.email = req.body.email || null;
+        if (req.body.role !== undefined) updates.role = req.body.role;
+        if (req.body.is_active !== undefined) updates.is_active = req.body.is_active === true || req.body.is_active === 'true';
+
+        if (Object.keys(updates).length === 0) {
+            return res.status(400).json({ error: 'No valid fields to update' });
+        }
+        if (id === req.user.id && ((updates.role && updates.role !== existing.role) || updates.is_active === false)) {
+            return res.status(400).json({ error: 'You can\'t change your own role or deactivate your own account' });
+        }
+
+        const columns = Object.keys(updates);
+        const result = await pool.query(`
+            UPDATE admin_users
+            SET ${columns.map((column, index) => `${column} = $${index + 1}`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+            WHERE id = $${columns.length + 1}
+            RETURNING ${USER_COLUMNS}
+        `, [...columns.map(column => updates[column]), id]);
+
+        await logUserChange(id, 'UPDATE', existing, updates, req.user.id);
+        if (updates.is_active === false) {
+            await sessionStore.revokeAllForUser(id);
+        }
+        res.json(result.rows[0]);
+    } catch (error) {
+        if (error.code === '23505') {
+            return res.status(409).json({ error: 'Email already in use' });
+        }
+        console.error('Error updating user:', error);
+        res.status(500).json({ error: 'Failed to update user' });
+    }
+});
+
+// Set a temporary password; the user has to replace it at the next login
+app.post('/api/admin/users/:userId/reset-password', [
+    adminLimiter,
+    body('password').isLength({ min: PASSWORD_MIN_LENGTH })
+        .withMessage(`Password must have at least ${PASSWORD_MIN_LENGTH} characters`)
+], authenticateToken, requirePermission('users:manage'), async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const id = req.params.userId;
+        const result = await pool.query(`
+            UPDATE admin_users
+            SET password_hash = $1, must_change_password = true, updated_at = CURRENT_TIMESTAMP
+            WHERE id = $2
+            RETURNING ${USER_COLUMNS}
+        `, [await bcrypt.hash(req.body.password, BCRYPT_ROUNDS), id]);
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        await logUserChange(id, 'UPDATE', null, { password_reset: true }, req.user.id);
+        await sessionStore.revokeAllForUser(id);
+        res.json(result.rows[0]);
+    } catch (error) {
+        console.error('Error resetting password:', error);
+        res.status(500).json({ error: 'Failed to reset password' });
+    }
+});
+
+// Accounts are deactivated rather than deleted, so audit log entries keep their author
+app.delete('/api/admin/users/:userId', adminLimiter, authenticateToken, requirePermission('users:manage'), async (req, res) => {
+    try {
+        const id = req.params.userId;
+        if (id === req.user.id) {
+            return res.status(400).json({ error: 'You can\'t deactivate your own account' });
+        }
+
+        const existing = await findUser(id);
+        if (!existing) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const result = await pool.query(`
+            UPDATE admin_users SET is_active = false, updated_at = CURRENT_TIMESTAMP
+            WHERE id = $1
+            RETURNING ${USER_COLUMNS}
+        `, [id]);
+
+        await logUserChange(id, 'UPDATE', existing, { is_active: false }, req.user.id);
+        await sessionStore.revokeAllForUser(id);
+        res.json(result.rows[0]);
+    } catch (error) {
+        console.error('Error deactivating user:', error);
+        res.status(500).json({ error: 'Failed to deactivate user' });
+    }
+});
+
+app.get('/api/admin/users/:userId/sessions', adminLimiter, authenticateToken, requirePermission('users:manage'), async (req, res) => {
+    try {
+        const sessions = await sessionStore.listForUser(req.params.userId);
+        res.json(sessions.map(session => ({ ...session, current: session.id === req.user.sid })));
+    } catch (error) {
+        console.error('Error fetching user sessions:', error);
+        res.status(500).json({ error: 'Failed to fetch sessions' });
+    }
+});
+
+// Sign a user out everywhere (keeps the caller's own session when revoking their own)
+app.delete('/api/admin/users/:userId/sessions', adminLimiter, authenticateToken, requirePermission('users:manage'), async (req, res) => {
+    try {
+        const keep = req.params.userId === req.user.id ? req.user.sid : null;
+        const revoked = await sessionStore.revokeAllForUser(req.params.userId, keep);
+        res.json({ revoked });
+    } catch (error) {
+        console.error('Error revoking user sessions:', error);
+        res.status(500).json({ error: 'Failed to revoke sessions' });
+    }
+});
+
+// Layer tables can be reverted; accounts and uploaded layer definitions can't
+const isRevertableTable = (tableName) => Boolean(getLayer(tableName));
+
+// Restore the state of a record before the given audit entry: deleted rows are
+// inserted again, inserts are deleted, updates are undone column by column.
+// Refuses with 409 when the record changed later unless ?force=true.
+app.post('/api/admin/audit-log/:entryId/revert', adminLimiter, authenticateToken, requirePermission('audit:read'), requirePermission('features:edit'), async (req, res) => {
+    let client = null;
+
+    try {
+        if (!(await tableExists('audit_log'))) {
+            return res.status(503).json({ error: 'Audit log not available' });
+        }
+
+        const entryResult = await pool.query('SELECT * FROM audit_log WHERE id = $1', [parseInt(req.params.entryId, 10) || 0]);
+        const entry = entryResult.rows[0];
+        if (!entry) {
+            return res.status(404).json({ error: 'Audit entry not found' });
+        }
+        if (!isRevertableTable(entry.table_name) || !entry.record_id || !(await tableExists(entry.table_name))) {
+            return res.status(400).json({ error: `Changes to ${entry.table_name} can't be reverted` });
+        }
+
+        const table = entry.table_name;
+        const laterResult = await pool.query(
+            'SELECT COUNT(*) AS count FROM audit_log WHERE table_name = $1 AND record_id = $2 AND id > $3',
+            [table, entry.record_id, entry.id]
+        );
+        const laterChanges = parseInt(laterResult.rows[0].count, 10);
+        if (laterChanges > 0 && req.query.force !== 'true') {
+            return res.status(409).json({
+                error: `The record was changed ${laterChanges} time(s) after this entry; reverting overwrites those changes`,
+                later_changes: laterChanges
+            });
+        }
+
+        const plan = planRevert(entry);
+        const columns = schemaCache.getColumns(table).map(column => column.name);
+
+        client = await pool.connect();
+        await client.query('BEGIN');
+
+        const currentResult = await client.query(`SELECT * FROM ${table} WHERE id = $1 FOR UPDATE`, [entry.record_id]);
+        const current = currentResult.rows[0] || null;
+
+        if (plan.operation === 'delete') {
+            if (!current) {
+                await client.query('ROLLBACK');
+                return res.status(409).json({ error: 'The record no longer exists' });
+            }
+            await client.query(`DELETE FROM ${table} WHERE id = $1`, [entry.record_id]);
+        } else if (plan.operation === 'insert') {
+            if (current) {
+                await client.query('ROLLBACK');
+                return res.status(409).json({ error: `A record with id ${entry.record_id} exists again` });
+            }
+            const sql = buildColumnSql(toColumnValues(plan.values, columns), 1);
+            await client.query(`
+                INSERT INTO ${table} (id${sql.columns.map(column => `, ${column}`).join('')})
+                VALUES ($1${sql.expressions.map(expression => `, ${expression}`).join('')})
+            `, [entry.record_id, ...sql.params]);
+        } else {
+            if (!current) {
+                await client.query('ROLLBACK');
+                return res.status(409).json({ error: 'The record was deleted; revert the deletion first' });
+            }
+            const sql = buildColumnSql(toColumnValues(plan.values, columns), 1);
+            if (sql.columns.length === 0) {
+                await client.query('ROLLBACK');
+                return res.status(400).json({ error: 'The entry has no values to restore' });
+            }
+            const assignments = sql.columns.map((column, index) => `${column} = ${sql.expressions[index]}`);
+            const geomIndex = sql.columns.indexOf('geom');
+            if (geomIndex !== -1 && columns.includes('simplified_geom') && !sql.columns.includes('simplified_geom')) {
+                assignments.push(`simplified_geom = ST_Simplify(${sql.expressions[geomIndex]}, ${SIMPLIFY_TOLERANCE})`);
+            }
+            if (columns.includes('updated_at')) {
+                assignments.push('updated_at = CURRENT_TIMESTAMP');
+            }
+            await client.query(`UPDATE ${table} SET ${assignments.join(', ')} WHERE id = $1`, [entry.record_id, ...sql.params]);
+        }
+
+        const afterResult = await client.query(`SELECT * FROM ${table} WHERE id = $1`, [entry.record_id]);
+        const after = afterResult.rows[0] || null;
+
+        const auditResult = await client.query(`
+            INSERT INTO audit_log (table_name, record_id, action, old_values, new_values, user_id, reverts_entry_id)
+            VALUES ($1, $2, 'REVERT', $3, $4, $5, $6)
+            RETURNING id
+        `, [
+            table, entry.record_id,
+            current && JSON.stringify(current), after && JSON.stringify(after), req.user.id, entry.id
+        ]);
+
+        await client.query('COMMIT');
+        console.log(`↩️ Audit entry ${entry.id} (${entry.action} ${table} #${entry.record_id}) reverted by ${req.user.username}`);
+
+        res.json({
+            reverted: entry.id,
+            audit_id: auditResult.rows[0].id,
+            operation: plan.operation,
+            table_name: table,
+            record_id: entry.record_id,
+            record: after
+        });
+    } catch (error) {
+        if (client) {
+            await client.query('ROLLBACK').catch(() => {});
+        }
+        console.error('Error reverting audit entry:', error);
+        res.status(500).json({
+            error: 'Failed to revert change',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    } finally {
+        if (client) {
+            client.release();
+        }
+    }
+});
+
 // Root route serves the main application
 app.get('/', (req, res) => {
     res.sendFile(path.join(__dirname, 'public', 'index.html'));
@@ -1157,9 +4381,35 @@ process.on('SIGINT', () => gracefulShutdown('SIGINT'));
 
 // Start server with enhanced logging and PostGIS detection
 const startServer = async () => {
+    if (process.env.NODE_ENV === 'production' && !process.env.JWT_SECRET) {
+        console.error('❌ JWT_SECRET is not set. Refusing to start in production with the development fallback secret.');
+        process.exit(1);
+    }
+
     try {
         await testDatabaseConnection();
         hasPostGIS = await checkPostGIS();
+        schemaVersion = await checkSchemaVersion();
+        if (schemaVersion && !schemaVersion.current) {
+            console.error(`❌ ${schemaVersion.problem}. Refusing to start.`);
+            process.exit(1);
+        }
+
+        try {
+            const schema = await schemaCache.refresh();
+            console.log(`✓ Schema cache loaded: ${schema.tables} tables, ${schema.geometryColumns} geometry columns`);
+        } catch (error) {
+            console.error('❌ Schema cache could not be loaded, retrying on demand:', error.message);
+        }
+
+        try {
+            const uploadedCount = await loadUploadedLayers();
+            if (uploadedCount > 0) {
+                console.log(`✓ Registered ${uploadedCount} uploaded layers`);
+            }
+        } catch (error) {
+            console.error('❌ Uploaded layers could not be registered:', error.message);
+        }
         
         app.listen(PORT, '0.0.0.0', () => {
             console.log(`
@@ -1172,7 +4422,10 @@ Database: ${process.env.DB_NAME || 'co2_storage_atlas'}
 Host: ${process.env.DB_HOST || 'localhost'}:${process.env.DB_PORT || 5432}
 DATABASE_URL: ${process.env.DATABASE_URL ? 'Configured' : 'Not configured'}
 PostGIS: ${hasPostGIS ? 'Available' : 'Not available'}
-JWT Secret: ${process.env.JWT_SECRET ? 'Configured' : 'Using default'}
+Schema version: ${schemaVersion ? `${schemaVersion.version} (latest ${schemaVersion.latest})` : 'Unknown'}
+Schema cache: ${schemaCache.loadedAt ? `${schemaCache.tables.size} tables` : 'Not loaded'}
+JWT Secret: ${process.env.JWT_SECRET ? 'Configured' : 'Development fallback'}
+Access tokens: ${ACCESS_TOKEN_TTL}, refresh tokens: ${sessionStore.ttlDays} days
 SSL: ${process.env.NODE_ENV === 'production' ? 'Enabled' : 'Disabled'}
 ========================================
 Features:
@@ -1198,100 +4451,4 @@ Main App: ${process.env.NODE_ENV === 'production' ? 'https://your-app.onrender.c
 
 startServer();
 
-module.exports = app;].trim();
-                
-                if (field.includes('COALESCE') || await columnExists(tableName, columnName)) {
-                    safeFields.push(field);
-                }
-            }
-            
-            let geomField = 'geom';
-            if (tolerance > 0) {
-                geomField = `ST_Simplify(geom, ${tolerance})`;
-            }
-            
-            let query = `
-                SELECT ${safeFields.join(', ')},
-                       ST_AsGeoJSON(ST_Transform(${geomField}, 4326)) as geometry
-                FROM ${tableName}
-                WHERE geom IS NOT NULL
-            `;
-            
-            const params = [];
-            
-            if (bbox) {
-                const [minLng, minLat, maxLng, maxLat] = bbox.split(',').map(Number);
-                query += ` AND geom && ST_Transform(ST_MakeEnvelope($${params.length + 1}, $${params.length + 2}, $${params.length + 3}, $${params.length + 4}, 4326), ST_SRID(geom))`;
-                params.push(minLng, minLat, maxLng, maxLat);
-            }
-            
-            const result = await pool.query(query, params);
-            
-            console.log(`Retrieved ${result.rows.length} ${tableName.replace('_', ' ')}`);
-            res.json(result.rows);
-        } catch (error) {
-            console.error(`Error fetching ${tableName}:`, error);
-            res.status(500).json({ 
-                error: `Failed to fetch ${tableName.replace('_', ' ')}`,
-                details: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
-            });
-        }
-    };
-};
-
-// Line-based layer endpoints
-app.get('/api/gas-pipelines-enhanced', createLineLayerEndpoint('gas_pipelines', [
-    'id', 
-    'COALESCE(name, \'\') as name', 
-    'COALESCE(operator, \'\') as operator', 
-    'COALESCE(diameter, \'\') as diameter', 
-    'COALESCE(pressure_level, \'\') as pressure_level', 
-    'COALESCE(pipeline_type, \'\') as pipeline_type',
-    '\'#00aa44\' as line_color', 
-    '4 as line_weight', 
-    '0.8 as line_opacity'
-]));
-
-app.get('/api/highways', createLineLayerEndpoint('highways', [
-    'id', 
-    'COALESCE(name, \'\') as name', 
-    'COALESCE(highway_number, \'\') as highway_number', 
-    'COALESCE(road_type, \'\') as road_type',
-    '\'#666666\' as line_color', 
-    '3 as line_weight', 
-    '0.7 as line_opacity'
-]));
-
-app.get('/api/railways', createLineLayerEndpoint('railways', [
-    'id', 
-    'COALESCE(name, \'\') as name', 
-    'COALESCE(railway_type, \'\') as railway_type', 
-    'COALESCE(operator, \'\') as operator',
-    '\'#8B4513\' as line_color', 
-    '3 as line_weight', 
-    '0.8 as line_opacity'
-]));
-
-// Generic endpoint for polygon-based layers with fallbacks
-const createPolygonLayerEndpoint = (tableName, fields) => {
-    return async (req, res) => {
-        try {
-            if (!(await tableExists(tableName))) {
-                return res.json([]);
-            }
-
-            const hasGeom = await columnExists(tableName, 'geom');
-            
-            if (!hasPostGIS || !hasGeom) {
-                return res.json([]);
-            }
-
-            const { bbox, simplify } = req.query;
-            const tolerance = simplify === 'true' ? 0.002 : 0; // Larger tolerance for polygons
-            
-            // Build safe fields
-            const safeFields = [];
-            for (const field of fields) {
-                const columnName = field.includes('(') ? 
-                    field.split('(')[1].split(',')[0].trim() : 
-                    field.split(' as ')[0
+module.exports = app;
@@ -0,0 +1,132 @@
+const { buildColumnSql, planRevert, toColumnValues } = require('../lib/audit-revert');
+
+const GEOM_HEX = '0101000020E61000000000000000002A400000000000004740';
+
+describe('planRevert', () => {
+    test('INSERT entries are undone by deleting the record', () => {
+        expect(planRevert({ action: 'INSERT', old_values: null, new_values: { name: 'Pit' } }))
+            .toEqual({ operation: 'delete', values: null });
+    });
+
+    test('DELETE entries are undone by inserting the deleted row', () => {
+        const row = { id: 7, name: 'Pit', geom: GEOM_HEX };
+        expect(planRevert({ action: 'DELETE', old_values: row, new_values: null }))
+            .toEqual({ operation: 'insert', values: row });
+    });
+
+    test('UPDATE entries with the full old row restore only the changed columns', () => {
+        const plan = planRevert({
+            action: 'UPDATE',
+            old_values: { id: 7, name: 'Old name', resource: 'Gravel', geom: GEOM_HEX },
+            new_values: { name: 'New name' }
+        });
+        expect(plan).toEqual({ operation: 'update', values: { name: 'Old name' } });
+    });
+
+    test('UPDATE entries from the bulk import carry only the changed columns', () => {
+        const plan = planRevert({
+            action: 'UPDATE',
+            old_values: { total_co2_t: 100, fossil_co2_t: 80 },
+            new_values: { total_co2_t: 120, fossil_co2_t: 90 }
+        });
+        expect(plan).toEqual({ operation: 'update', values: { total_co2_t: 100, fossil_co2_t: 80 } });
+    });
+
+    test('coordinates of a form edit are restored from the old geom', () => {
+        const plan = planRevert({
+            action: 'UPDATE',
+            old_values: { id: 7, name: 'Plant', geom: GEOM_HEX },
+            new_values: { longitude: 14, latitude: 48 }
+        });
+        expect(plan).toEqual({ operation: 'update', values: { geom: GEOM_HEX } });
+    });
+
+    test('changed columns missing from the old values are left alone', () => {
+        const plan = planRevert({
+            action: 'UPDATE',
+            old_values: { name: 'Old name' },
+            new_values: { name: 'New name', comment: 'Added' }
+        });
+        expect(plan.values).toEqual({ name: 'Old name' });
+    });
+
+    describe('REVERT entries', () => {
+        const row = { id: 7, name: 'Pit', updated_at: '2024-01-01T00:00:00Z' };
+
+        test('a revert that recreated a record is undone by deleting it', () => {
+            expect(planRevert({ action: 'REVERT', old_values: null, new_values: row }).operation).toBe('delete');
+        });
+
+        test('a revert that deleted a record is undone by inserting it again', () => {
+            expect(planRevert({ action: 'REVERT', old_values: row, new_values: null }))
+                .toEqual({ operation: 'insert', values: row });
+        });
+
+        test('a revert of an update restores the full row before it', () => {
+            const plan = planRevert({ action: 'REVERT', old_values: row, new_values: { ...row, name: 'Quarry' } });
+            expect(plan).toEqual({ operation: 'update', values: row });
+        });
+    });
+});
+
+describe('toColumnValues', () => {
+    const sql = (columnValues) => columnValues.map(({ column, value, sql: toSql }) =>
+        [column, value, toSql('$a', '$b')]);
+
+    test('skips id, updated_at and columns the table no longer has', () => {
+        const result = toColumnValues({ id: 7, name: 'Pit', updated_at: 'x', dropped: 1 }, ['id', 'name', 'updated_at']);
+        expect(sql(result)).toEqual([['name', 'Pit', '$a']]);
+    });
+
+    test('casts hex EWKB geometries and serializes JSON values', () => {
+        const result = toColumnValues({ geom: GEOM_HEX, properties: { source: 'import' } }, ['geom', 'properties']);
+        expect(sql(result)).toEqual([
+            ['geom', GEOM_HEX, '$a::geometry'],
+            ['properties', '{"source":"import"}', '$a']
+        ]);
+    });
+
+    test('turns longitude/latitude into a point when the table stores geom', () => {
+        const result = toColumnValues({ name: 'Plant', longitude: '13.5', latitude: 47.8 }, ['name', 'geom']);
+        expect(sql(result)).toEqual([
+            ['name', 'Plant', '$a'],
+            ['geom', [13.5, 47.8], 'ST_SetSRID(ST_MakePoint($a, $b), 4326)']
+        ]);
+    });
+
+    test('keeps longitude/latitude columns of tables that have them', () => {
+        const result = toColumnValues({ longitude: 13.5, latitude: 47.8 }, ['longitude', 'latitude', 'geom']);
+        expect(sql(result)).toEqual([
+            ['longitude', 13.5, '$a'],
+            ['latitude', 47.8, '$a']
+        ]);
+    });
+
+    test('prefers a restored geom over coordinates', () => {
+        const result = toColumnValues({ geom: GEOM_HEX, longitude: 13.5, latitude: 47.8 }, ['geom']);
+        expect(result.map(({ column }) => column)).toEqual(['geom']);
+    });
+
+    test('needs both coordinates for a point', () => {
+        expect(toColumnValues({ longitude: 13.5, latitude: null }, ['geom'])).toEqual([]);
+    });
+});
+
+describe('buildColumnSql', () => {
+    test('numbers parameters after the offset, one per value', () => {
+        const columnValues = toColumnValues({ name: 'Plant', longitude: 13.5, latitude: 47.8 }, ['name', 'geom']);
+        expect(buildColumnSql(columnValues, 1)).toEqual({
+            columns: ['name', 'geom'],
+            expressions: ['$2', 'ST_SetSRID(ST_MakePoint($3, $4), 4326)'],
+            params: ['Plant', 13.5, 47.8]
+        });
+    });
+
+    test('starts at $1 without an offset', () => {
+        expect(buildColumnSql(toColumnValues({ name: 'Pit' }, ['name']))).toEqual({
+            columns: ['name'],
+            expressions: ['$1'],
+            params: ['Pit']
+        });
+    });
+});
@@ -0,0 +1,227 @@
+const XLSX = require('xlsx');
+const {
+    PROMINENT_CO2_T,
+    classifyCO2SourceRows,
+    classifyEmissionRows,
+    getPinStyle,
+    readSpreadsheet
+} = require('../lib/co2-import');
+
+const BOUNDS = [9, 46, 17, 49];
+
+// Spreadsheet row in the CO2 sources layout
+const sourceRow = (name, options = {}) => ({
+    'Plant Name': name,
+    'Plant Type': 'Cement',
+    'Total_CO2_t': 1000,
+    'Fossil_CO2_t': 800,
+    'Biogenic_CO2_t': 200,
+    'Comment': null,
+    'Longitude': 13.5,
+    'Latitude': 47.5,
+    ...options
+});
+
+// co2_sources row as queryExistingCO2Sources returns it (numeric columns as strings)
+const existingSource = (id, name, options = {}) => ({
+    id,
+    plant_name: name,
+    plant_type: 'Cement',
+    total_co2_t: '1000',
+    fossil_co2_t: '800',
+    biogenic_co2_t: '200',
+    comment: '',
+    longitude: 13.5,
+    latitude: 47.5,
+    ...options
+});
+
+const emissionRow = (name, year, total = 1000) => ({
+    'Plant Name': name,
+    'Year': year,
+    'Total_CO2_t': total,
+    'Fossil_CO2_t': total,
+    'Biogenic_CO2_t': 0
+});
+
+const rowNumbers = (entries) => entries.map(entry => entry.row);
+
+describe('readSpreadsheet', () => {
+    test('reads CSV as UTF-8 and drops the byte order mark', () => {
+        const csv = Buffer.from('\ufeffPlant Name,Total_CO2_t\nKläranlage Süd,12.5\nPit,\n');
+        expect(readSpreadsheet(csv, 'sources.CSV')).toEqual([
+            { 'Plant Name': 'Kläranlage Süd', 'Total_CO2_t': 12.5 },
+            { 'Plant Name': 'Pit', 'Total_CO2_t': null }
+        ]);
+    });
+
+    test('reads the first sheet of an XLSX workbook', () => {
+        const workbook = XLSX.utils.book_new();
+        XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet([{ 'Plant Name': 'Werk', 'Year': 2022 }]), 'Emissions');
+        XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet([{ other: 1 }]), 'Notes');
+
+        expect(readSpreadsheet(XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' }), 'sources.xlsx'))
+            .toEqual([{ 'Plant Name': 'Werk', 'Year': 2022 }]);
+    });
+});
+
+describe('classifyCO2SourceRows', () => {
+    test('sorts rows into new, changed and unchanged sources', () => {
+        const result = classifyCO2SourceRows([
+            sourceRow('New plant'),
+            sourceRow('Cement works', { 'Total_CO2_t': 1500 }),
+            sourceRow('Paper mill')
+        ], [existingSource(1, 'Cement works'), existingSource(2, 'Paper mill')], BOUNDS);
+
+        expect(rowNumbers(result.new)).toEqual([2]);
+        expect(result.new[0].values).toEqual({
+            plant_name: 'New plant',
+            plant_type: 'Cement',
+            comment: '',
+            total_co2_t: 1000,
+            fossil_co2_t: 800,
+            biogenic_co2_t: 200,
+            longitude: 13.5,
+            latitude: 47.5
+        });
+        expect(result.changed).toEqual([expect.objectContaining({
+            row: 3,
+            id: 1,
+            changes: { total_co2_t: { old: '1000', new: 1500 } }
+        })]);
+        expect(result.unchanged).toEqual([expect.objectContaining({ row: 4, id: 2, changes: {} })]);
+        expect(result.invalid).toEqual([]);
+    });
+
+    test('matches plant names case-insensitively and ignores surrounding spaces', () => {
+        const result = classifyCO2SourceRows([sourceRow('  CEMENT Works ')], [existingSource(1, 'Cement works')], BOUNDS);
+        expect(result.changed).toEqual([expect.objectContaining({
+            id: 1,
+            changes: { plant_name: { old: 'Cement works', new: 'CEMENT Works' } }
+        })]);
+    });
+
+    test('ignores rounding noise in emissions and coordinates', () => {
+        const result = classifyCO2SourceRows([
+            sourceRow('Cement works', { 'Total_CO2_t': 1000.0004, 'Longitude': 13.50000001 })
+        ], [existingSource(1, 'Cement works')], BOUNDS);
+        expect(result.unchanged).toHaveLength(1);
+    });
+
+    test('reports moved sources and coordinates missing in the database', () => {
+        const result = classifyCO2SourceRows([
+            sourceRow('Cement works', { 'Latitude': 47.6 }),
+            sourceRow('Paper mill')
+        ], [existingSource(1, 'Cement works'), existingSource(2, 'Paper mill', { longitude: null, latitude: null })], BOUNDS);
+
+        expect(result.changed.map(({ changes }) => Object.keys(changes))).toEqual([['latitude'], ['longitude', 'latitude']]);
+    });
+
+    test('treats blank emission cells as 0', () => {
+        const result = classifyCO2SourceRows([
+            sourceRow('New plant', { 'Fossil_CO2_t': '', 'Biogenic_CO2_t': null })
+        ], [], BOUNDS);
+        expect(result.new[0].values).toMatchObject({ fossil_co2_t: 0, biogenic_co2_t: 0 });
+    });
+
+    test.each([
+        ['a missing plant name', { 'Plant Name': '  ' }, 'Plant Name is missing'],
+        ['a negative emission', { 'Total_CO2_t': -5 }, 'Total_CO2_t must be a non-negative number'],
+        ['a text emission', { 'Fossil_CO2_t': 'n/a' }, 'Fossil_CO2_t must be a non-negative number'],
+        ['a missing coordinate', { 'Latitude': null }, 'Longitude and Latitude must be numbers'],
+        ['coordinates outside the bounds', { 'Longitude': 20 }, 'Coordinates 47.5, 20 are outside 46–49°N / 9–17°E']
+    ])('rejects %s', (_, options, error) => {
+        const result = classifyCO2SourceRows([sourceRow('Plant', options)], [], BOUNDS);
+        expect(result.invalid).toEqual([expect.objectContaining({ row: 2, errors: [error] })]);
+        expect(result.new).toEqual([]);
+    });
+
+    test('rejects plant names that repeat in the file, keeping the first row', () => {
+        const result = classifyCO2SourceRows([sourceRow('Plant'), sourceRow('Other'), sourceRow('plant')], [], BOUNDS);
+        expect(rowNumbers(result.new)).toEqual([2, 3]);
+        expect(result.invalid).toEqual([expect.objectContaining({ row: 4, errors: ['Plant Name repeats row 2'] })]);
+    });
+
+    test('rejects plant names that match several existing sources', () => {
+        const result = classifyCO2SourceRows([sourceRow('Plant')], [existingSource(1, 'Plant'), existingSource(2, 'PLANT')], BOUNDS);
+        expect(result.invalid[0].errors).toEqual(['Plant Name matches 2 existing sources']);
+    });
+});
+
+describe('classifyEmissionRows', () => {
+    const sources = [{ id: 1, plant_name: 'Cement works' }, { id: 2, plant_name: 'Paper mill' }];
+    const existing = [
+        { id: 10, source_id: 1, year: 2021, total_co2_t: '1000', fossil_co2_t: '1000', biogenic_co2_t: '0' },
+        { id: 11, source_id: 1, year: 2022, total_co2_t: '1000', fossil_co2_t: '1000', biogenic_co2_t: '0' }
+    ];
+
+    test('sorts rows into new, changed and unchanged plant years', () => {
+        const result = classifyEmissionRows([
+            emissionRow('Cement works', 2021),
+            emissionRow('cement works', 2022, 1200),
+            emissionRow('Paper mill', 2022)
+        ], sources, existing);
+
+        expect(result.unchanged).toEqual([expect.objectContaining({ row: 2, id: 10, source_id: 1 })]);
+        expect(result.changed).toEqual([expect.objectContaining({
+            row: 3,
+            id: 11,
+            source_id: 1,
+            changes: {
+                total_co2_t: { old: '1000', new: 1200 },
+                fossil_co2_t: { old: '1000', new: 1200 }
+            }
+        })]);
+        expect(result.new).toEqual([expect.objectContaining({
+            row: 4,
+            source_id: 2,
+            values: { plant_name: 'Paper mill', year: 2022, total_co2_t: 1000, fossil_co2_t: 1000, biogenic_co2_t: 0 }
+        })]);
+        expect(result.invalid).toEqual([]);
+    });
+
+    test('rejects a plant year that repeats in the file, keeping the first row', () => {
+        const result = classifyEmissionRows([
+            emissionRow('Paper mill', 2022),
+            emissionRow('Paper mill', 2023),
+            emissionRow('PAPER MILL', 2022, 5)
+        ], sources, []);
+
+        expect(rowNumbers(result.new)).toEqual([2, 3]);
+        expect(result.invalid).toEqual([expect.objectContaining({ row: 4, errors: ['Plant Name and Year repeat row 2'] })]);
+    });
+
+    test('rejects plant names without exactly one source', () => {
+        const result = classifyEmissionRows([
+            emissionRow('Unknown plant', 2022),
+            emissionRow('Twin', 2022)
+        ], [...sources, { id: 3, plant_name: 'Twin' }, { id: 4, plant_name: 'twin' }], []);
+
+        expect(result.invalid.map(({ errors }) => errors)).toEqual([
+            ['No CO₂ source with this Plant Name'],
+            ['Plant Name matches 2 existing sources']
+        ]);
+    });
+
+    test.each([
+        ['a missing plant name', { 'Plant Name': null }, ['Plant Name is missing']],
+        ['a fractional year', { 'Year': 2022.5 }, ['Year must be a whole year between 1900 and 2100']],
+        ['a year out of range', { 'Year': 1850 }, ['Year must be a whole year between 1900 and 2100']],
+        ['a negative emission', { 'Biogenic_CO2_t': -1 }, ['Biogenic_CO2_t must be a non-negative number']]
+    ])('rejects %s', (_, options, errors) => {
+        const result = classifyEmissionRows([{ ...emissionRow('Paper mill', 2022), ...options }], sources, []);
+        expect(result.invalid).toEqual([expect.objectContaining({ row: 2, errors })]);
+    });
+});
+
+describe('getPinStyle', () => {
+    test('uses the large pin above the prominence threshold', () => {
+        expect(getPinStyle(PROMINENT_CO2_T + 1)).toEqual({ is_prominent: true, pin_size: 4 });
+        expect(getPinStyle(String(PROMINENT_CO2_T * 2))).toEqual({ is_prominent: true, pin_size: 4 });
+    });
+
+    test('uses the small pin at or below it and without emissions', () => {
+        expect(getPinStyle(PROMINENT_CO2_T)).toEqual({ is_prominent: false, pin_size: 2 });
+        expect(getPinStyle(null)).toEqual({ is_prominent: false, pin_size: 2 });
+    });
+});
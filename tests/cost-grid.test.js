@@ -0,0 +1,107 @@
+const CostGrid = require('../lib/cost-grid');
+
+// 5 x 5 cells of 10 m from the origin; cell index = row * 5 + col
+const grid = () => new CostGrid({ originX: 0, originY: 0, cellSize: 10, cols: 5, rows: 5 });
+
+describe('CostGrid.around', () => {
+    test('covers both points plus the margin', () => {
+        const costGrid = CostGrid.around([0, 0], [1000, 500], { margin: 100 });
+        expect(costGrid).toMatchObject({ originX: -100, originY: -100, cellSize: 100, cols: 12, rows: 7 });
+        expect(costGrid.size).toBe(84);
+        expect(Array.from(costGrid.costs).every(cost => cost === 1)).toBe(true);
+    });
+
+    test('grows the cells to stay within maxCells along the longer side', () => {
+        const costGrid = CostGrid.around([1000, 500], [0, 0], { margin: 100, maxCells: 4 });
+        expect(costGrid).toMatchObject({ cellSize: 300, cols: 4, rows: 3 });
+    });
+
+    test('keeps cells at least minCellSize wide', () => {
+        expect(CostGrid.around([0, 0], [10, 10], { margin: 0, minCellSize: 50 }))
+            .toMatchObject({ cellSize: 50, cols: 1, rows: 1 });
+    });
+});
+
+describe('cells', () => {
+    test('cellAt numbers cells row by row from the lower-left corner', () => {
+        expect(grid().cellAt([25, 15])).toBe(7);
+        expect(grid().cellAt([49.9, 49.9])).toBe(24);
+    });
+
+    test('cellAt clamps points outside the grid to the edge cells', () => {
+        expect(grid().cellAt([-50, -50])).toBe(0);
+        expect(grid().cellAt([100, 5])).toBe(4);
+        expect(grid().cellAt([5, 100])).toBe(20);
+    });
+
+    test('center returns the middle of a cell', () => {
+        expect(grid().center(7)).toEqual([25, 15]);
+    });
+
+    test('applyFactor multiplies the costs of the given cells', () => {
+        const costGrid = grid();
+        costGrid.applyFactor([1, 2], 3);
+        costGrid.applyFactor([2], 2);
+        expect(Array.from(costGrid.costs.slice(0, 4))).toEqual([1, 3, 6, 1]);
+    });
+});
+
+describe('route', () => {
+    test('goes straight through cell centres on a uniform grid', () => {
+        expect(grid().route([5, 5], [45, 5])).toEqual({
+            coordinates: [[5, 5], [15, 5], [25, 5], [35, 5], [45, 5]],
+            cost: 40
+        });
+    });
+
+    test('starts and ends at the given points rather than their cell centres', () => {
+        const { coordinates, cost } = grid().route([1, 2], [48, 9]);
+        expect(coordinates[0]).toEqual([1, 2]);
+        expect(coordinates[coordinates.length - 1]).toEqual([48, 9]);
+        expect(cost).toBe(40);
+    });
+
+    test('moves diagonally at sqrt(2) times the cell size', () => {
+        expect(grid().route([5, 5], [45, 45]).cost).toBeCloseTo(40 * Math.SQRT2);
+    });
+
+    test('weighs each step by the mean cost of both cells', () => {
+        const costGrid = new CostGrid({ originX: 0, originY: 0, cellSize: 10, cols: 3, rows: 1 });
+        costGrid.applyFactor([1], 3);
+        expect(costGrid.route([5, 5], [25, 5]).cost).toBe(10 * (1 + 3) / 2 + 10 * (3 + 1) / 2);
+    });
+
+    test('detours around expensive cells when that is cheaper', () => {
+        const costGrid = grid();
+        costGrid.applyFactor([1, 2, 3], 10);
+
+        const { coordinates, cost } = costGrid.route([5, 5], [45, 5]);
+        expect(coordinates).toEqual([[5, 5], [15, 15], [25, 15], [35, 15], [45, 5]]);
+        expect(cost).toBeCloseTo(20 + 20 * Math.SQRT2);
+    });
+
+    test('goes around blocked cells', () => {
+        const costGrid = grid();
+        costGrid.applyFactor([2, 7, 12, 17], Infinity);
+
+        const { coordinates, cost } = costGrid.route([5, 5], [45, 5]);
+        expect(coordinates).toContainEqual([25, 45]);
+        expect(cost).toBeCloseTo(40 + 40 * Math.SQRT2);
+    });
+
+    test('returns null when blocked cells separate the points', () => {
+        const costGrid = grid();
+        costGrid.applyFactor([2, 7, 12, 17, 22], Infinity);
+        expect(costGrid.route([5, 5], [45, 5])).toBeNull();
+    });
+
+    test('always lets the route leave the start and enter the end cell', () => {
+        const costGrid = grid();
+        costGrid.applyFactor([0, 4], Infinity);
+        expect(costGrid.route([5, 5], [45, 5]).cost).toBe(40);
+    });
+
+    test('connects two points in the same cell directly', () => {
+        expect(grid().route([1, 1], [9, 9])).toEqual({ coordinates: [[1, 1], [9, 9]], cost: 0 });
+    });
+});
@@ -0,0 +1,212 @@
+const AdmZip = require('adm-zip');
+const { EXPORT_FORMATS, toCsv, toKml, toShapefileZip } = require('../lib/export');
+
+const point = (lng, lat) => ({ type: 'Point', coordinates: [lng, lat] });
+
+const POINTS = [
+    { id: 1, geometry: point(13.5, 47.25), properties: { name: 'Kläranlage', capacity: 1.5, active: true } },
+    { id: 2, geometry: null, properties: { name: 'Pit', capacity: 20, active: null } },
+    { id: 3, geometry: point(16, 48.5), properties: { name: 'Depot', capacity: null, active: false } }
+];
+
+// Files of the zipped shapefile by extension
+const unzip = (buffer) => Object.fromEntries(new AdmZip(buffer).getEntries()
+    .map(entry => [entry.entryName.split('.').pop(), entry.getData()]));
+
+const readBbox = (buffer, offset) => [0, 1, 2, 3].map(i => buffer.readDoubleLE(offset + i * 8));
+
+describe('shapefile export', () => {
+    const zip = toShapefileZip(POINTS, { name: 'sites', geometryType: 'point' });
+    const files = unzip(zip);
+
+    test('zips shp, shx, dbf, prj and cpg under the layer name', () => {
+        const names = new AdmZip(zip).getEntries().map(entry => entry.entryName).sort();
+        expect(names).toEqual(['sites.cpg', 'sites.dbf', 'sites.prj', 'sites.shp', 'sites.shx']);
+        expect(files.cpg.toString()).toBe('UTF-8');
+        expect(files.prj.toString()).toMatch(/^GEOGCS\["GCS_WGS_1984"/);
+    });
+
+    describe('.shp', () => {
+        const { shp } = files;
+
+        test('has the main file header', () => {
+            expect(shp.readInt32BE(0)).toBe(9994);
+            expect(shp.readInt32BE(24) * 2).toBe(shp.length);
+            expect(shp.readInt32LE(28)).toBe(1000);
+            expect(shp.readInt32LE(32)).toBe(1);
+            expect(readBbox(shp, 36)).toEqual([13.5, 47.25, 16, 48.5]);
+        });
+
+        test('writes numbered point records and a null shape for missing geometries', () => {
+            // record header (8) + shape type, x, y (20)
+            expect(shp.readInt32BE(100)).toBe(1);
+            expect(shp.readInt32BE(104)).toBe(10);
+            expect(shp.readInt32LE(108)).toBe(1);
+            expect(shp.readDoubleLE(112)).toBe(13.5);
+            expect(shp.readDoubleLE(120)).toBe(47.25);
+
+            // record header (8) + shape type 0 (4)
+            expect(shp.readInt32BE(128)).toBe(2);
+            expect(shp.readInt32BE(132)).toBe(2);
+            expect(shp.readInt32LE(136)).toBe(0);
+
+            expect(shp.readInt32BE(140)).toBe(3);
+            expect(shp.readDoubleLE(152)).toBe(16);
+            expect(shp.length).toBe(168);
+        });
+    });
+
+    test('.shx indexes every record by offset and content length in 16 bit words', () => {
+        const { shx, shp } = files;
+        expect(shx.subarray(0, 24)).toEqual(shp.subarray(0, 24));
+        expect(shx.readInt32BE(24) * 2).toBe(shx.length);
+        expect(shx.length).toBe(100 + 3 * 8);
+        expect(readBbox(shx, 36)).toEqual(readBbox(shp, 36));
+
+        const entries = [0, 1, 2].map(i => [shx.readInt32BE(100 + i * 8), shx.readInt32BE(104 + i * 8)]);
+        expect(entries).toEqual([[50, 10], [64, 2], [70, 10]]);
+        entries.forEach(([offset], i) => expect(shp.readInt32BE(offset * 2)).toBe(i + 1));
+    });
+
+    describe('.dbf', () => {
+        const { dbf } = files;
+        const fieldCount = (dbf.readUInt16LE(8) - 33) / 32;
+        const fields = Array.from({ length: fieldCount }, (_, i) => {
+            const offset = 32 + i * 32;
+            return {
+                name: dbf.toString('latin1', offset, offset + 11).replace(/\0+$/, ''),
+                type: dbf.toString('latin1', offset + 11, offset + 12),
+                length: dbf.readUInt8(offset + 16),
+                decimals: dbf.readUInt8(offset + 17)
+            };
+        });
+        const records = () => {
+            const headerLength = dbf.readUInt16LE(8);
+            const recordLength = dbf.readUInt16LE(10);
+            return Array.from({ length: dbf.readUInt32LE(4) }, (_, i) =>
+                dbf.subarray(headerLength + i * recordLength, headerLength + (i + 1) * recordLength));
+        };
+
+        test('has a dBASE III header with record count and lengths', () => {
+            expect(dbf.readUInt8(0)).toBe(0x03);
+            expect(dbf.readUInt32LE(4)).toBe(3);
+            expect(dbf.readUInt16LE(8)).toBe(32 + 4 * 32 + 1);
+            expect(dbf.readUInt16LE(10)).toBe(1 + 19 + 11 + 19 + 1);
+            expect(dbf.readUInt8(dbf.readUInt16LE(8) - 1)).toBe(0x0d);
+            expect(dbf.length).toBe(dbf.readUInt16LE(8) + 3 * dbf.readUInt16LE(10) + 1);
+            expect(dbf.readUInt8(dbf.length - 1)).toBe(0x1a);
+        });
+
+        test('types columns from their values and sizes text in UTF-8 bytes', () => {
+            expect(fields).toEqual([
+                { name: 'id', type: 'N', length: 19, decimals: 0 },
+                { name: 'name', type: 'C', length: 11, decimals: 0 },
+                { name: 'capacity', type: 'N', length: 19, decimals: 1 },
+                { name: 'active', type: 'L', length: 1, decimals: 0 }
+            ]);
+        });
+
+        test('writes fixed width records, numbers right aligned and nulls blank', () => {
+            expect(records().map(record => record.toString('utf8'))).toEqual([
+                ` ${'1'.padStart(19)}Kläranlage${'1.5'.padStart(19)}T`,
+                ` ${'2'.padStart(19)}Pit${' '.repeat(8)}${'20.0'.padStart(19)}?`,
+                ` ${'3'.padStart(19)}Depot${' '.repeat(6)}${' '.repeat(19)}F`
+            ]);
+        });
+    });
+
+    test('shortens field names to 10 characters and keeps them unique', () => {
+        const { dbf } = unzip(toShapefileZip([
+            { id: 1, geometry: point(14, 47), properties: { operator_name: 'A', operator_nameplate: 'B', 'Größe': 'C' } }
+        ], { name: 'x', geometryType: 'point' }));
+        const names = [1, 2, 3].map(i => dbf.toString('latin1', 32 + i * 32, 43 + i * 32).replace(/\0+$/, ''));
+        expect(names).toEqual(['operator_n', 'operator_1', 'Gr__e']);
+    });
+
+    test('cuts long text at 254 bytes without splitting a character', () => {
+        const { dbf } = unzip(toShapefileZip([
+            { id: 1, geometry: point(14, 47), properties: { note: 'ä'.repeat(200) } }
+        ], { name: 'x', geometryType: 'point' }));
+        expect(dbf.readUInt8(32 + 32 + 16)).toBe(254);
+        const value = dbf.subarray(dbf.readUInt16LE(8) + 20, dbf.readUInt16LE(8) + 20 + 254);
+        expect(value.toString('utf8')).toBe('ä'.repeat(127));
+    });
+
+    describe('polygons', () => {
+        // Counter-clockwise outer ring with a clockwise hole, as GeoJSON has them
+        const polygon = {
+            type: 'Polygon',
+            coordinates: [
+                [[0, 0], [4, 0], [4, 4], [0, 4], [0, 0]],
+                [[1, 1], [1, 2], [2, 2], [2, 1], [1, 1]]
+            ]
+        };
+        const { shp } = unzip(toShapefileZip([{ id: 1, geometry: polygon, properties: {} }], {
+            name: 'areas',
+            geometryType: 'polygon'
+        }));
+        const points = Array.from({ length: shp.readInt32LE(148) }, (_, i) =>
+            [shp.readDoubleLE(160 + i * 16), shp.readDoubleLE(168 + i * 16)]);
+
+        test('writes the record with bounding box, parts and points', () => {
+            expect(shp.readInt32LE(32)).toBe(5);
+            expect(shp.readInt32BE(104) * 2).toBe(44 + 2 * 4 + 10 * 16);
+            expect(shp.readInt32LE(108)).toBe(5);
+            expect(readBbox(shp, 112)).toEqual([0, 0, 4, 4]);
+            expect(shp.readInt32LE(144)).toBe(2);
+            expect([shp.readInt32LE(152), shp.readInt32LE(156)]).toEqual([0, 5]);
+        });
+
+        test('turns the outer ring clockwise and holes counter-clockwise', () => {
+            expect(points.slice(0, 5)).toEqual([[0, 0], [0, 4], [4, 4], [4, 0], [0, 0]]);
+            expect(points.slice(5)).toEqual([[1, 1], [2, 1], [2, 2], [1, 2], [1, 1]]);
+        });
+    });
+
+    test('writes a line layer with one part per line', () => {
+        const { shp } = unzip(toShapefileZip([{
+            id: 1,
+            geometry: { type: 'MultiLineString', coordinates: [[[13, 47], [14, 48]], [[15, 47], [16, 46], [17, 45]]] },
+            properties: {}
+        }], { name: 'pipes', geometryType: 'line' }));
+
+        expect(shp.readInt32LE(108)).toBe(3);
+        expect([shp.readInt32LE(144), shp.readInt32LE(148)]).toEqual([2, 5]);
+        expect([shp.readInt32LE(152), shp.readInt32LE(156)]).toEqual([0, 2]);
+        expect(readBbox(shp, 36)).toEqual([13, 45, 17, 48]);
+    });
+});
+
+describe('tabular and KML export', () => {
+    test('CSV starts with a byte order mark and flattens point coordinates', () => {
+        const csv = toCsv(POINTS.slice(0, 1), 'point');
+        expect(csv.startsWith('\ufeff')).toBe(true);
+        expect(csv.slice(1).split('\n')).toEqual([
+            'id,name,capacity,active,longitude,latitude',
+            '1,Kläranlage,1.5,TRUE,13.5,47.25'
+        ]);
+    });
+
+    test('CSV writes line and polygon geometries as WKT', () => {
+        const csv = toCsv([{ id: 1, geometry: { type: 'LineString', coordinates: [[13, 47], [14, 48]] }, properties: {} }], 'line');
+        expect(csv.slice(1).split('\n')[1]).toBe('1,"LINESTRING (13 47, 14 48)"');
+    });
+
+    test('KML escapes names and data and skips empty values', () => {
+        const kml = toKml([
+            { id: 1, geometry: point(13.5, 47.25), properties: { name: 'A & B', capacity: null } }
+        ], { name: 'Sites <test>', labelField: 'name' });
+
+        expect(kml).toContain('<Document><name>Sites &lt;test&gt;</name>');
+        expect(kml).toContain('<Placemark><name>A &amp; B</name>');
+        expect(kml).toContain('<Data name="name"><value>A &amp; B</value></Data>');
+        expect(kml).not.toContain('capacity');
+        expect(kml).toContain('<Point><coordinates>13.5,47.25</coordinates></Point>');
+    });
+
+    test('every format names its content type and extension', () => {
+        Object.values(EXPORT_FORMATS).forEach(format => {
+            expect(format).toEqual({ contentType: expect.any(String), extension: expect.any(String), write: expect.any(Function) });
+        });
+    });
+});
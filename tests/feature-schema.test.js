@@ -0,0 +1,158 @@
+const { COORDINATE_BOUNDS, getEditableFields, validateFeature } = require('../lib/feature-schema');
+
+const column = (name, udtName, options = {}) => ({
+    name,
+    dataType: udtName,
+    udtName,
+    nullable: true,
+    hasDefault: false,
+    maxLength: null,
+    ...options
+});
+
+const COLUMNS = [
+    column('id', 'int4', { nullable: false, hasDefault: true }),
+    column('name', 'varchar', { nullable: false, maxLength: 10 }),
+    column('capacity', 'int4'),
+    column('area_km2', 'numeric'),
+    column('active', 'bool', { nullable: false, hasDefault: true }),
+    column('opened', 'date'),
+    column('geom', 'geometry'),
+    column('pin_color', 'varchar'),
+    column('longitude', 'float8'),
+    column('latitude', 'float8'),
+    column('properties', 'jsonb'),
+    column('updated_at', 'timestamp')
+];
+
+const FIELDS = getEditableFields(COLUMNS);
+
+const paths = (errors) => errors.map(error => error.path);
+
+describe('getEditableFields', () => {
+    test('keeps editable columns with their form type', () => {
+        expect(FIELDS).toEqual([
+            { name: 'name', type: 'text', maxLength: 10, required: true },
+            { name: 'capacity', type: 'integer', maxLength: null, required: false },
+            { name: 'area_km2', type: 'number', maxLength: null, required: false },
+            { name: 'active', type: 'boolean', maxLength: null, required: false },
+            { name: 'opened', type: 'date', maxLength: null, required: false }
+        ]);
+    });
+
+    test('leaves out ids, geometries, styles, coordinates, timestamps and unsupported types', () => {
+        const names = FIELDS.map(field => field.name);
+        ['id', 'geom', 'pin_color', 'longitude', 'latitude', 'properties', 'updated_at']
+            .forEach(name => expect(names).not.toContain(name));
+    });
+});
+
+describe('validateFeature for point layers', () => {
+    const valid = { name: 'Plant', longitude: 13.5, latitude: 47.8 };
+
+    test('accepts a complete create body', () => {
+        const { values, errors } = validateFeature(FIELDS, valid);
+        expect(errors).toEqual([]);
+        expect(values).toEqual({ name: 'Plant', longitude: 13.5, latitude: 47.8 });
+    });
+
+    test('requires required fields and both coordinates on create', () => {
+        const { errors } = validateFeature(FIELDS, {});
+        expect(paths(errors).sort()).toEqual(['latitude', 'longitude', 'name']);
+    });
+
+    test('partial updates only check the submitted keys', () => {
+        const { values, errors } = validateFeature(FIELDS, { capacity: '5' }, { partial: true });
+        expect(errors).toEqual([]);
+        expect(values).toEqual({ capacity: 5 });
+    });
+
+    test('partial updates still move coordinates only as a pair', () => {
+        const { errors } = validateFeature(FIELDS, { latitude: 47.5 }, { partial: true });
+        expect(errors).toEqual([{ path: 'longitude', msg: 'is required with both coordinates' }]);
+    });
+
+    test('partial updates still reject clearing a required field', () => {
+        const { errors } = validateFeature(FIELDS, { name: '' }, { partial: true });
+        expect(errors).toEqual([{ path: 'name', msg: 'is required' }]);
+    });
+
+    test('rejects coordinates outside the study area bounds', () => {
+        const { errors } = validateFeature(FIELDS, { name: 'Plant', longitude: 20, latitude: 45 });
+        expect(errors).toEqual([
+            { path: 'latitude', msg: `must be between ${COORDINATE_BOUNDS.latitude.min} and ${COORDINATE_BOUNDS.latitude.max}` },
+            { path: 'longitude', msg: `must be between ${COORDINATE_BOUNDS.longitude.min} and ${COORDINATE_BOUNDS.longitude.max}` }
+        ]);
+    });
+
+    test('accepts coordinates on the bounds and as numeric strings', () => {
+        const { values, errors } = validateFeature(FIELDS, { name: 'Edge', longitude: '17', latitude: '46' });
+        expect(errors).toEqual([]);
+        expect(values).toMatchObject({ longitude: 17, latitude: 46 });
+    });
+
+    test('rejects columns that are not editable', () => {
+        const { errors } = validateFeature(FIELDS, { ...valid, pin_color: '#000000', geometry: {} });
+        expect(paths(errors)).toEqual(['pin_color', 'geometry']);
+    });
+});
+
+describe('type coercion', () => {
+    const coerce = (body) => validateFeature(FIELDS, body, { partial: true });
+
+    test('converts strings to the column types', () => {
+        const { values, errors } = coerce({
+            name: '  Plant  ',
+            capacity: '12',
+            area_km2: '1.5',
+            active: 'false',
+            opened: '2024-05-01'
+        });
+        expect(errors).toEqual([]);
+        expect(values).toEqual({ name: 'Plant', capacity: 12, area_km2: 1.5, active: false, opened: '2024-05-01' });
+    });
+
+    test('turns empty optional values into null', () => {
+        const { values, errors } = coerce({ capacity: '', opened: null });
+        expect(errors).toEqual([]);
+        expect(values).toEqual({ capacity: null, opened: null });
+    });
+
+    test.each([
+        ['capacity', '1.5', 'must be an integer'],
+        ['capacity', 'ten', 'must be an integer'],
+        ['area_km2', 'abc', 'must be a number'],
+        ['active', 'yes', 'must be true or false'],
+        ['opened', 'not a date', 'must be a valid date'],
+        ['name', 'Much too long', 'must be at most 10 characters']
+    ])('rejects %s = %p', (name, value, msg) => {
+        const { values, errors } = coerce({ [name]: value });
+        expect(errors).toEqual([{ path: name, msg }]);
+        expect(values).not.toHaveProperty(name);
+    });
+});
+
+describe('validateFeature for line and polygon layers', () => {
+    const line = { type: 'LineString', coordinates: [[13, 47], [14, 48]] };
+
+    test('takes a GeoJSON geometry of the layer type', () => {
+        const { values, errors } = validateFeature(FIELDS, { name: 'Pipe', geometry: line }, { geometryType: 'line' });
+        expect(errors).toEqual([]);
+        expect(values.geometry).toBe(line);
+    });
+
+    test('requires the geometry on create but not on partial updates', () => {
+        expect(paths(validateFeature(FIELDS, { name: 'Pipe' }, { geometryType: 'line' }).errors)).toEqual(['geometry']);
+        expect(validateFeature(FIELDS, { name: 'Pipe' }, { geometryType: 'line', partial: true }).errors).toEqual([]);
+    });
+
+    test('rejects geometries of another type', () => {
+        const { errors } = validateFeature(FIELDS, { geometry: line }, { geometryType: 'polygon', partial: true });
+        expect(errors).toEqual([{ path: 'geometry', msg: 'must be a GeoJSON Polygon or MultiPolygon' }]);
+    });
+
+    test('treats coordinates as unknown keys', () => {
+        const { errors } = validateFeature(FIELDS, { longitude: 13 }, { geometryType: 'line', partial: true });
+        expect(errors).toEqual([{ path: 'longitude', msg: 'is not an editable column' }]);
+    });
+});
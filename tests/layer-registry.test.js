@@ -0,0 +1,123 @@
+const {
+    LAYERS,
+    buildUploadedLayer,
+    getConstraintLayers,
+    getFieldAlias,
+    getLayer,
+    getLayerFields,
+    getLayerTables,
+    getRoutingLayers,
+    getSearchLayers,
+    getUploadStyle,
+    registerLayer
+} = require('../lib/layer-registry');
+
+const BUILT_IN_TABLES = LAYERS.map(layer => layer.table);
+
+// uploaded_layers row as the upload route stores it
+const uploadedRow = (tableName, options = {}) => ({
+    table_name: tableName,
+    title: 'Gas pipelines',
+    geometry_type: 'line',
+    columns: [{ name: 'operator', type: 'text' }, { name: 'diameter_mm', type: 'integer' }],
+    style: getUploadStyle('line', 0),
+    restricted: null,
+    ...options
+});
+
+// Undo registerLayer so every test starts from the built-in layers
+afterEach(() => {
+    LAYERS.splice(BUILT_IN_TABLES.length);
+});
+
+describe('lookups', () => {
+    test('every built-in layer has a unique table and key', () => {
+        expect(new Set(BUILT_IN_TABLES).size).toBe(LAYERS.length);
+        expect(new Set(LAYERS.map(layer => layer.key)).size).toBe(LAYERS.length);
+    });
+
+    test('getLayer finds a layer by table and returns undefined otherwise', () => {
+        expect(getLayer('co2_sources')).toMatchObject({ key: 'co2Sources', geometryType: 'point' });
+        expect(getLayer('missing_table')).toBeUndefined();
+    });
+
+    test('getLayerTables lists the tables in registry order', () => {
+        expect(getLayerTables()).toEqual(BUILT_IN_TABLES);
+        expect(getLayerTables()[0]).toBe('voting_districts');
+    });
+
+    test('getConstraintLayers, getRoutingLayers and getSearchLayers pick layers by their settings', () => {
+        expect(getConstraintLayers().every(layer => layer.constraintBuffer !== undefined)).toBe(true);
+        expect(getConstraintLayers().map(layer => layer.table)).toContain('conservation_areas');
+        expect(getRoutingLayers().every(layer => layer.routingCost !== undefined)).toBe(true);
+        expect(getSearchLayers().map(layer => layer.table)).toEqual(expect.arrayContaining(['co2_sources', 'landfills']));
+        expect(getSearchLayers().every(layer => Array.isArray(layer.searchFields))).toBe(true);
+    });
+});
+
+describe('getFieldAlias', () => {
+    test.each([
+        ['id', 'id'],
+        ['COALESCE(name, \'\') as name', 'name'],
+        ['COALESCE(choropleth_color, \'#cccccc\') as fill_color', 'fill_color']
+    ])('%p is selected as %p', (field, alias) => {
+        expect(getFieldAlias(field)).toBe(alias);
+    });
+});
+
+describe('getLayerFields', () => {
+    test('adds the style as constant columns for the geometry type', () => {
+        const layer = { geometryType: 'point', fields: ['id'], style: { color: '#ff8800', pinSize: 2, radius: 8, opacity: 0.8 } };
+        expect(getLayerFields(layer)).toEqual(['id', '\'#ff8800\' as pin_color', '2 as pin_size', '0.8 as opacity']);
+    });
+
+    test('lets a data field win over the style column of the same name', () => {
+        expect(getLayerFields(getLayer('voting_districts')).filter(field => field.endsWith(' fill_color')))
+            .toEqual(['COALESCE(choropleth_color, \'#cccccc\') as fill_color']);
+    });
+
+    test('returns just the data fields without a style', () => {
+        expect(getLayerFields({ geometryType: 'line', fields: ['id', 'name'] })).toEqual(['id', 'name']);
+    });
+});
+
+describe('uploaded layers', () => {
+    test('getUploadStyle cycles through the palette by upload order', () => {
+        expect(getUploadStyle('point', 0)).toEqual({ color: '#e91e63', radius: 6, opacity: 0.8 });
+        expect(getUploadStyle('line', 8).color).toBe('#e91e63');
+        expect(getUploadStyle('polygon', 1)).toEqual({ fillColor: '#9c27b0', fillOpacity: 0.3, borderColor: '#9c27b0', borderWeight: 2 });
+    });
+
+    test('buildUploadedLayer turns an uploaded_layers row into a registry entry', () => {
+        expect(buildUploadedLayer(uploadedRow('upload_gas_pipelines_2'))).toEqual({
+            table: 'upload_gas_pipelines_2',
+            key: 'uploadGasPipelines2',
+            title: 'Gas pipelines',
+            description: 'Uploaded shapefile',
+            group: 'uploaded',
+            geometryType: 'line',
+            endpoint: '/api/uploaded-layers/upload_gas_pipelines_2',
+            fields: ['id', 'operator', 'diameter_mm'],
+            style: { color: '#e91e63', weight: 3, opacity: 0.8 },
+            visible: true,
+            uploaded: true,
+            restricted: false
+        });
+    });
+
+    test('registerLayer makes the layer visible to the lookups', () => {
+        const layer = registerLayer(buildUploadedLayer(uploadedRow('upload_pipes', { restricted: true })));
+
+        expect(getLayer('upload_pipes')).toBe(layer);
+        expect(getLayerTables()).toEqual([...BUILT_IN_TABLES, 'upload_pipes']);
+        expect(getLayer('upload_pipes').restricted).toBe(true);
+    });
+
+    test('registerLayer replaces the entry of a table in place', () => {
+        registerLayer(buildUploadedLayer(uploadedRow('upload_pipes')));
+        registerLayer(buildUploadedLayer(uploadedRow('upload_pipes', { title: 'Renamed' })));
+
+        expect(getLayerTables().filter(table => table === 'upload_pipes')).toHaveLength(1);
+        expect(getLayer('upload_pipes').title).toBe('Renamed');
+    });
+});
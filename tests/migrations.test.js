@@ -0,0 +1,219 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MigrationError, Migrator, loadMigrations } = require('../lib/migrations');
+
+const tempDirs = [];
+
+// Directory of migration files; files maps a file name to its module source
+const writeMigrations = (files) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-'));
+    tempDirs.push(dir);
+    Object.entries(files).forEach(([file, source]) => fs.writeFileSync(path.join(dir, file), source));
+    return dir;
+};
+
+// Migration module whose steps run a recognisable statement
+const migration = (name, { down = true, fail = false } = {}) => `
+    module.exports = {
+        description: '${name}',
+        up: async (client) => { await client.query('${fail ? 'FAIL' : 'UP'} ${name}'); },
+        ${down ? `down: async (client) => { await client.query('DOWN ${name}'); }` : ''}
+    };
+`;
+
+// pg client stub that keeps schema_migrations in memory and records every statement
+const createClient = (appliedVersions = []) => {
+    const applied = new Map(appliedVersions.map(([version, name]) => [version, { version, name, applied_at: new Date() }]));
+    let hasTable = appliedVersions.length > 0;
+    const statements = [];
+
+    const query = jest.fn(async (text, params = []) => {
+        const sql = text.trim().replace(/\s+/g, ' ');
+        statements.push(sql);
+
+        if (sql.startsWith('FAIL')) throw new Error('syntax error');
+        if (sql.startsWith('SELECT to_regclass')) return { rows: [{ exists: hasTable }] };
+        if (sql.startsWith('CREATE TABLE IF NOT EXISTS schema_migrations')) hasTable = true;
+        if (sql.startsWith('SELECT version')) {
+            return { rows: [...applied.values()].sort((a, b) => a.version - b.version) };
+        }
+        if (sql.startsWith('INSERT INTO schema_migrations')) {
+            applied.set(params[0], { version: params[0], name: params[1], applied_at: new Date() });
+        }
+        if (sql.startsWith('DELETE FROM schema_migrations')) applied.delete(params[0]);
+        return { rows: [] };
+    });
+
+    return { query, statements, applied };
+};
+
+// Statements of the migration steps and transactions, without the bookkeeping reads
+const steps = (client) => client.statements.filter(sql => /^(UP|DOWN|FAIL|BEGIN|COMMIT|ROLLBACK)/.test(sql));
+
+const quiet = { log: () => {} };
+
+afterAll(() => {
+    tempDirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true }));
+});
+
+describe('loadMigrations', () => {
+    test('sorts by numeric version and ignores other files', () => {
+        const dir = writeMigrations({
+            '010_tenth.js': migration('tenth'),
+            '002_second.js': migration('second'),
+            '001_first.js': migration('first', { down: false }),
+            'README.md': '# notes',
+            'helper.js': 'module.exports = {};'
+        });
+
+        expect(loadMigrations(dir).map(({ version, name, down }) => [version, name, Boolean(down)])).toEqual([
+            [1, 'first', false],
+            [2, 'second', true],
+            [10, 'tenth', true]
+        ]);
+    });
+
+    test('rejects two migrations with the same version', () => {
+        const dir = writeMigrations({ '001_a.js': migration('a'), '1_b.js': migration('b') });
+        expect(() => loadMigrations(dir)).toThrow(new MigrationError('Two migrations have version 1'));
+    });
+
+    test('rejects a migration without up()', () => {
+        const dir = writeMigrations({ '001_empty.js': 'module.exports = {};' });
+        expect(() => loadMigrations(dir)).toThrow(MigrationError);
+    });
+
+    test('the repository migrations load in order, with an irreversible baseline', () => {
+        const migrations = loadMigrations();
+        const versions = migrations.map(({ version }) => version);
+        expect(versions).toEqual([...versions].sort((a, b) => a - b));
+        expect(migrations[0]).toMatchObject({ version: 1, name: 'baseline', down: null });
+        migrations.slice(1).forEach(({ down }) => expect(down).toEqual(expect.any(Function)));
+    });
+});
+
+describe('Migrator', () => {
+    const dir = () => writeMigrations({
+        '001_first.js': migration('first', { down: false }),
+        '002_second.js': migration('second'),
+        '003_third.js': migration('third')
+    });
+
+    test('status lists everything as pending on an empty database', async () => {
+        const status = await new Migrator(createClient(), { dir: dir() }).status();
+        expect(status).toMatchObject({ current: 0, latest: 3, unknown: [] });
+        expect(status.pending.map(({ version }) => version)).toEqual([1, 2, 3]);
+        expect(status.migrations.map(({ reversible }) => reversible)).toEqual([false, true, true]);
+    });
+
+    test('migrate applies pending migrations oldest first, each in its own transaction', async () => {
+        const client = createClient();
+        const applied = await new Migrator(client, { dir: dir(), ...quiet }).migrate();
+
+        expect(applied).toEqual([
+            { version: 1, name: 'first' },
+            { version: 2, name: 'second' },
+            { version: 3, name: 'third' }
+        ]);
+        expect(steps(client)).toEqual([
+            'BEGIN', 'UP first', 'COMMIT',
+            'BEGIN', 'UP second', 'COMMIT',
+            'BEGIN', 'UP third', 'COMMIT'
+        ]);
+        expect([...client.applied.keys()]).toEqual([1, 2, 3]);
+    });
+
+    test('migrate holds the advisory lock for the whole run', async () => {
+        const client = createClient();
+        await new Migrator(client, { dir: dir(), ...quiet }).migrate();
+
+        expect(client.statements[0]).toMatch(/^SELECT pg_advisory_lock/);
+        expect(client.statements[client.statements.length - 1]).toMatch(/^SELECT pg_advisory_unlock/);
+    });
+
+    test('migrate skips applied versions and fills gaps', async () => {
+        const client = createClient([[1, 'first'], [3, 'third']]);
+        const applied = await new Migrator(client, { dir: dir(), ...quiet }).migrate();
+
+        expect(applied).toEqual([{ version: 2, name: 'second' }]);
+        expect(steps(client)).toEqual(['BEGIN', 'UP second', 'COMMIT']);
+    });
+
+    test('migrate --to stops at the given version, inclusive', async () => {
+        const client = createClient();
+        const migrator = new Migrator(client, { dir: dir(), ...quiet });
+
+        expect((await migrator.migrate({ to: 2 })).map(({ version }) => version)).toEqual([1, 2]);
+        expect((await migrator.migrate({ to: 0 }))).toEqual([]);
+        expect((await migrator.status()).current).toBe(2);
+        expect((await migrator.migrate()).map(({ version }) => version)).toEqual([3]);
+    });
+
+    test('a failing migration is rolled back and stops the run', async () => {
+        const client = createClient();
+        const migrator = new Migrator(client, {
+            dir: writeMigrations({
+                '001_first.js': migration('first'),
+                '002_broken.js': migration('broken', { fail: true }),
+                '003_third.js': migration('third')
+            }),
+            ...quiet
+        });
+
+        await expect(migrator.migrate()).rejects.toThrow('Migration 2_broken (up) failed: syntax error');
+        expect(steps(client)).toEqual(['BEGIN', 'UP first', 'COMMIT', 'BEGIN', 'FAIL broken', 'ROLLBACK']);
+        expect([...client.applied.keys()]).toEqual([1]);
+        expect(client.statements[client.statements.length - 1]).toMatch(/^SELECT pg_advisory_unlock/);
+    });
+
+    test('rollback undoes the newest migration by default', async () => {
+        const client = createClient([[1, 'first'], [2, 'second'], [3, 'third']]);
+        const rolledBack = await new Migrator(client, { dir: dir(), ...quiet }).rollback();
+
+        expect(rolledBack).toEqual([{ version: 3, name: 'third' }]);
+        expect(steps(client)).toEqual(['BEGIN', 'DOWN third', 'COMMIT']);
+        expect([...client.applied.keys()]).toEqual([1, 2]);
+    });
+
+    test('rollback --steps undoes several migrations newest first', async () => {
+        const client = createClient([[1, 'first'], [2, 'second'], [3, 'third']]);
+        await new Migrator(client, { dir: dir(), ...quiet }).rollback({ steps: 2 });
+
+        expect(steps(client)).toEqual(['BEGIN', 'DOWN third', 'COMMIT', 'BEGIN', 'DOWN second', 'COMMIT']);
+    });
+
+    test('rollback --to undoes every migration after the version', async () => {
+        const client = createClient([[1, 'first'], [2, 'second'], [3, 'third']]);
+        const migrator = new Migrator(client, { dir: dir(), ...quiet });
+
+        expect(await migrator.rollback({ to: 3 })).toEqual([]);
+        expect((await migrator.rollback({ to: 1 })).map(({ version }) => version)).toEqual([3, 2]);
+        expect((await migrator.status()).current).toBe(1);
+    });
+
+    test('rollback refuses irreversible migrations before changing anything', async () => {
+        const client = createClient([[1, 'first'], [2, 'second'], [3, 'third']]);
+        const migrator = new Migrator(client, { dir: dir(), ...quiet });
+
+        await expect(migrator.rollback({ to: 0 })).rejects.toThrow('Migration 1_first cannot be rolled back');
+        expect(steps(client)).toEqual([]);
+        expect([...client.applied.keys()]).toEqual([1, 2, 3]);
+    });
+
+    test('rollback refuses applied versions without a migration file', async () => {
+        const client = createClient([[1, 'first'], [2, 'second'], [3, 'third'], [4, 'future']]);
+        const migrator = new Migrator(client, { dir: dir(), ...quiet });
+
+        await expect(migrator.rollback()).rejects.toThrow('Migration 4_future is applied but its file is missing');
+        expect(steps(client)).toEqual([]);
+    });
+
+    test('status reports applied versions the code does not know', async () => {
+        const client = createClient([[1, 'first'], [2, 'second'], [3, 'third'], [4, 'future']]);
+        const status = await new Migrator(client, { dir: dir() }).status();
+
+        expect(status).toMatchObject({ current: 4, latest: 3, pending: [] });
+        expect(status.unknown.map(({ version }) => version)).toEqual([4]);
+    });
+});
@@ -0,0 +1,115 @@
+const { LineNetwork, MinHeap, shortestPaths, tracePath } = require('../lib/network');
+
+// Adjacency lists as forEachNeighbor: edges[node] = [[next, cost], ...]
+const neighbours = (edges) => (node, visit) => (edges[node] || []).forEach(([next, cost]) => visit(next, cost));
+
+const line = (...coordinates) => ({ type: 'LineString', coordinates });
+
+describe('MinHeap', () => {
+    test('pops nodes by ascending priority', () => {
+        const heap = new MinHeap();
+        [5, 1, 4, 1.5, 9, 0, 3].forEach((priority, node) => heap.push(priority, node));
+
+        const popped = [];
+        while (heap.size > 0) popped.push(heap.pop());
+        expect(popped).toEqual([[0, 5], [1, 1], [1.5, 3], [3, 6], [4, 2], [5, 0], [9, 4]]);
+    });
+
+    test('pop on an empty heap returns undefined', () => {
+        expect(new MinHeap().pop()).toBeUndefined();
+    });
+});
+
+describe('shortestPaths', () => {
+    // 0 -1- 1 -1- 2, plus a direct 0 -5- 2 and a lone node 3
+    const edges = [
+        [[1, 1], [2, 5]],
+        [[0, 1], [2, 1]],
+        [[1, 1], [0, 5]],
+        []
+    ];
+
+    test('finds the cheapest distance to every node', () => {
+        const { distances, previous } = shortestPaths(4, 0, neighbours(edges));
+        expect(Array.from(distances)).toEqual([0, 1, 2, Infinity]);
+        expect(Array.from(previous)).toEqual([-1, 0, 1, -1]);
+    });
+
+    test.each([
+        ['a negative', -1],
+        ['an infinite', Infinity],
+        ['a NaN', NaN]
+    ])('treats %s cost as a blocked edge', (_, cost) => {
+        const blocked = [[[1, 1], [2, 5]], [[2, cost]], [], []];
+        expect(shortestPaths(4, 0, neighbours(blocked)).distances[2]).toBe(5);
+    });
+
+    test('stops once the target is settled', () => {
+        const visited = [];
+        shortestPaths(4, 0, (node, visit) => {
+            visited.push(node);
+            neighbours(edges)(node, visit);
+        }, 1);
+        expect(visited).toEqual([0]);
+    });
+});
+
+describe('tracePath', () => {
+    const { previous } = shortestPaths(4, 0, neighbours([[[1, 1]], [[2, 1]], [], []]));
+
+    test('walks back from the target', () => {
+        expect(tracePath(previous, 0, 2)).toEqual([0, 1, 2]);
+    });
+
+    test('returns just the start when it is the target', () => {
+        expect(tracePath(previous, 0, 0)).toEqual([0]);
+    });
+
+    test('returns null for unreachable targets', () => {
+        expect(tracePath(previous, 0, 3)).toBeNull();
+    });
+});
+
+describe('LineNetwork', () => {
+    test('merges vertices within the snap tolerance so lines connect', () => {
+        const network = LineNetwork.fromGeometries([
+            line([0, 0], [100, 0], [200, 0]),
+            line([210, 5], [210, 100])
+        ], 50);
+
+        expect(network.size).toBe(4);
+        expect(network.nodes).toEqual([[0, 0], [100, 0], [200, 0], [210, 100]]);
+
+        const { distances, previous } = network.shortestPaths(0, 3);
+        expect(distances[3]).toBe(295);
+        expect(tracePath(previous, 0, 3)).toEqual([0, 1, 2, 3]);
+    });
+
+    test('edges are undirected and weighted by segment length', () => {
+        const network = LineNetwork.fromGeometries([line([0, 0], [300, 400])], 10);
+        expect(network.edges).toEqual([[[1, 500]], [[0, 500]]]);
+    });
+
+    test('reads MultiLineStrings and skips other or missing geometries', () => {
+        const network = LineNetwork.fromGeometries([
+            { type: 'MultiLineString', coordinates: [[[0, 0], [100, 0]], [[500, 0], [600, 0]]] },
+            { type: 'Point', coordinates: [1000, 1000] },
+            null
+        ], 10);
+
+        expect(network.size).toBe(4);
+        expect(network.shortestPaths(0).distances[3]).toBe(Infinity);
+    });
+
+    test('drops segments that collapse into one vertex', () => {
+        const network = LineNetwork.fromGeometries([line([0, 0], [10, 0])], 50);
+        expect(network.size).toBe(1);
+        expect(network.edges).toEqual([[]]);
+    });
+
+    test('nearestNode finds the closest vertex with its distance', () => {
+        const network = LineNetwork.fromGeometries([line([0, 0], [100, 0], [200, 0])], 10);
+        expect(network.nearestNode([120, 30])).toEqual({ node: 1, distance: Math.hypot(20, 30) });
+        expect(new LineNetwork().nearestNode([0, 0])).toBeNull();
+    });
+});
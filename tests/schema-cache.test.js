@@ -0,0 +1,162 @@
+const SchemaCache = require('../lib/schema-cache');
+
+// information_schema.columns row
+const column = (tableName, name, options = {}) => ({
+    table_name: tableName,
+    column_name: name,
+    data_type: 'integer',
+    udt_name: 'int4',
+    is_nullable: 'YES',
+    column_default: null,
+    character_maximum_length: null,
+    ...options
+});
+
+const SCHEMA = {
+    tables: [{ table_name: 'landfills' }, { table_name: 'co2_sources' }],
+    columns: [
+        column('landfills', 'id', { is_nullable: 'NO', column_default: 'nextval(\'landfills_id_seq\'::regclass)' }),
+        column('landfills', 'company_name', { data_type: 'character varying', udt_name: 'varchar', character_maximum_length: 255 }),
+        column('landfills', 'geom', { data_type: 'USER-DEFINED', udt_name: 'geometry' }),
+        column('co2_sources', 'id'),
+        // Columns of a table the tables query did not return are skipped
+        column('some_view', 'id')
+    ],
+    geometry: [{ f_table_name: 'landfills', f_geometry_column: 'geom', srid: '4326', type: 'POINT' }]
+};
+
+// pg pool stub answering the three schema queries; pass geometry: Error when PostGIS is missing
+const createPool = (schema = SCHEMA) => ({
+    query: jest.fn(async (text) => {
+        if (text.includes('information_schema.tables')) return { rows: schema.tables };
+        if (text.includes('information_schema.columns')) return { rows: schema.columns };
+        if (text.includes('geometry_columns')) {
+            if (schema.geometry instanceof Error) throw schema.geometry;
+            return { rows: schema.geometry };
+        }
+        throw new Error(`Unexpected query: ${text}`);
+    })
+});
+
+describe('SchemaCache', () => {
+    test('refresh loads tables, columns and geometry columns', async () => {
+        const cache = new SchemaCache(createPool());
+
+        expect(await cache.refresh()).toEqual({
+            loadedAt: expect.any(String),
+            tables: 2,
+            columns: 4,
+            geometryColumns: 1
+        });
+        expect(cache.hasTable('landfills')).toBe(true);
+        expect(cache.hasTable('some_view')).toBe(false);
+        expect(cache.getGeometryInfo('landfills')).toEqual({ srid: 4326, type: 'POINT' });
+        expect(cache.getGeometryInfo('co2_sources')).toBeNull();
+    });
+
+    test('getColumns returns the columns in table order with their metadata', async () => {
+        const cache = new SchemaCache(createPool());
+        await cache.refresh();
+
+        expect(cache.getColumns('landfills')).toEqual([
+            { name: 'id', dataType: 'integer', udtName: 'int4', nullable: false, hasDefault: true, maxLength: null },
+            { name: 'company_name', dataType: 'character varying', udtName: 'varchar', nullable: true, hasDefault: false, maxLength: 255 },
+            { name: 'geom', dataType: 'USER-DEFINED', udtName: 'geometry', nullable: true, hasDefault: false, maxLength: null }
+        ]);
+        expect(cache.getColumns('missing_table')).toEqual([]);
+    });
+
+    test('hasColumn and getColumn answer from memory', async () => {
+        const pool = createPool();
+        const cache = new SchemaCache(pool);
+        await cache.refresh();
+        pool.query.mockClear();
+
+        expect(cache.hasColumn('landfills', 'company_name')).toBe(true);
+        expect(cache.hasColumn('landfills', 'longitude')).toBe(false);
+        expect(cache.hasColumn('missing_table', 'id')).toBe(false);
+        expect(cache.getColumn('co2_sources', 'id')).toMatchObject({ name: 'id', nullable: true });
+        expect(cache.getColumn('co2_sources', 'geom')).toBeNull();
+        expect(pool.query).not.toHaveBeenCalled();
+    });
+
+    test('loads without geometry columns when PostGIS is missing', async () => {
+        const cache = new SchemaCache(createPool({ ...SCHEMA, geometry: new Error('relation "geometry_columns" does not exist') }));
+
+        expect((await cache.refresh()).geometryColumns).toBe(0);
+        expect(cache.hasColumn('landfills', 'geom')).toBe(true);
+        expect(cache.getGeometryInfo('landfills')).toBeNull();
+    });
+
+    test('concurrent refreshes share one load', async () => {
+        const pool = createPool();
+        const cache = new SchemaCache(pool);
+
+        const [first, second] = await Promise.all([cache.refresh(), cache.refresh()]);
+        expect(first).toBe(second);
+        expect(pool.query).toHaveBeenCalledTimes(3);
+
+        await cache.refresh();
+        expect(pool.query).toHaveBeenCalledTimes(6);
+    });
+
+    test('refresh forgets tables that were dropped', async () => {
+        const schema = { ...SCHEMA };
+        const cache = new SchemaCache(createPool(schema));
+        await cache.refresh();
+
+        schema.tables = [{ table_name: 'co2_sources' }];
+        await cache.refresh();
+        expect(cache.hasTable('landfills')).toBe(false);
+        expect(cache.getColumns('landfills')).toEqual([]);
+    });
+
+    test('toJSON lists the tables by name', async () => {
+        const cache = new SchemaCache(createPool());
+        await cache.refresh();
+
+        const json = cache.toJSON();
+        expect(Object.keys(json.tables)).toEqual(['co2_sources', 'landfills']);
+        expect(json.tables.landfills.geometry).toEqual({ geom: { srid: 4326, type: 'POINT' } });
+    });
+});
+
+describe('SchemaCache.ensureLoaded', () => {
+    let now;
+
+    beforeEach(() => {
+        now = 1000000;
+        jest.spyOn(Date, 'now').mockImplementation(() => now);
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('loads once and then answers from the cache', async () => {
+        const pool = createPool();
+        const cache = new SchemaCache(pool);
+
+        expect(await cache.ensureLoaded()).toBe(true);
+        expect(await cache.ensureLoaded()).toBe(true);
+        expect(pool.query).toHaveBeenCalledTimes(3);
+    });
+
+    test('waits 30 seconds before retrying a failed load', async () => {
+        const pool = createPool();
+        pool.query.mockRejectedValueOnce(new Error('connect ECONNREFUSED'));
+        const cache = new SchemaCache(pool);
+
+        expect(await cache.ensureLoaded()).toBe(false);
+        const attempts = pool.query.mock.calls.length;
+
+        now += 29 * 1000;
+        expect(await cache.ensureLoaded()).toBe(false);
+        expect(pool.query).toHaveBeenCalledTimes(attempts);
+
+        now += 1000;
+        expect(await cache.ensureLoaded()).toBe(true);
+        expect(cache.hasTable('landfills')).toBe(true);
+    });
+});
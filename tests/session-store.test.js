@@ -0,0 +1,214 @@
+const { SessionError, SessionStore } = require('../lib/session-store');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// pg pool stub that keeps admin_sessions in memory with a clock the tests can advance
+const createPool = () => {
+    const sessions = new Map();
+    let nextId = 1;
+    let now = Date.now();
+
+    const live = (session) => session && session.revoked_at === null && session.expires_at > now;
+    const publicColumns = ({ id, user_id, user_agent, ip_address, created_at, last_used_at, expires_at }) =>
+        ({ id, user_id, user_agent, ip_address, created_at, last_used_at, expires_at });
+
+    const query = jest.fn(async (text, params = []) => {
+        const sql = text.trim().replace(/\s+/g, ' ');
+
+        if (sql.startsWith('INSERT INTO admin_sessions')) {
+            const [userId, hash, userAgent, ipAddress, ttlDays] = params;
+            const session = {
+                id: nextId++,
+                user_id: userId,
+                refresh_token_hash: hash,
+                previous_token_hash: null,
+                user_agent: userAgent,
+                ip_address: ipAddress,
+                created_at: now,
+                last_used_at: now,
+                expires_at: now + ttlDays * DAY_MS,
+                revoked_at: null
+            };
+            sessions.set(session.id, session);
+            return { rows: [publicColumns(session)] };
+        }
+        if (sql.startsWith('UPDATE admin_sessions SET refresh_token_hash')) {
+            const [id, hash, newHash, ttlDays] = params;
+            const session = sessions.get(id);
+            if (!live(session) || session.refresh_token_hash !== hash) return { rows: [] };
+            Object.assign(session, {
+                refresh_token_hash: newHash,
+                previous_token_hash: session.refresh_token_hash,
+                last_used_at: now,
+                expires_at: now + ttlDays * DAY_MS
+            });
+            return { rows: [publicColumns(session)] };
+        }
+        if (sql.startsWith('SELECT id FROM admin_sessions WHERE id = $1 AND previous_token_hash')) {
+            const session = sessions.get(params[0]);
+            const reused = session && session.revoked_at === null && session.previous_token_hash === params[1];
+            return { rows: reused ? [{ id: session.id }] : [] };
+        }
+        if (sql.startsWith('SELECT id, user_id FROM admin_sessions')) {
+            const session = sessions.get(params[0]);
+            const found = session && session.revoked_at === null && session.refresh_token_hash === params[1];
+            return { rows: found ? [{ id: session.id, user_id: session.user_id }] : [] };
+        }
+        if (sql.startsWith('SELECT 1 FROM admin_sessions')) {
+            return { rows: live(sessions.get(params[0])) ? [{}] : [] };
+        }
+        if (sql.startsWith('SELECT id, user_id, user_agent')) {
+            const rows = [...sessions.values()].filter(session => session.user_id === params[0] && live(session));
+            return { rows: rows.map(publicColumns) };
+        }
+        if (sql.startsWith('UPDATE admin_sessions SET revoked_at')) {
+            const [key, other] = params;
+            const revoked = [...sessions.values()].filter(session => session.revoked_at === null && (sql.includes('WHERE id = $1')
+                ? session.id === key && (other === null || session.user_id === other)
+                : session.user_id === key && (other === null || session.id !== other)));
+            revoked.forEach(session => { session.revoked_at = now; });
+            return { rows: [], rowCount: revoked.length };
+        }
+        throw new Error(`Unexpected query: ${sql}`);
+    });
+
+    return { query, sessions, advance: (days) => { now += days * DAY_MS; } };
+};
+
+// Error a rejected promise settles with
+const failure = (promise) => promise.then(() => null, error => error);
+
+describe('SessionStore', () => {
+    let pool;
+    let store;
+
+    beforeEach(() => {
+        pool = createPool();
+        store = new SessionStore(pool, { ttlDays: 7 });
+    });
+
+    describe('create', () => {
+        test('stores only a hash of the refresh token', async () => {
+            const { session, refreshToken } = await store.create(42, { userAgent: 'Firefox', ipAddress: '10.0.0.1' });
+
+            expect(refreshToken).toMatch(new RegExp(`^${session.id}\\.[A-Za-z0-9_-]{43}$`));
+            expect(session).toMatchObject({ user_id: 42, user_agent: 'Firefox', ip_address: '10.0.0.1' });
+            expect(session).not.toHaveProperty('refresh_token_hash');
+
+            const stored = pool.sessions.get(session.id).refresh_token_hash;
+            expect(stored).toMatch(/^[0-9a-f]{64}$/);
+            expect(refreshToken).not.toContain(stored);
+        });
+
+        test('cuts the user agent and address to the column sizes', async () => {
+            const { session } = await store.create(1, { userAgent: 'x'.repeat(300), ipAddress: '1'.repeat(80) });
+            expect(session.user_agent).toHaveLength(255);
+            expect(session.ip_address).toHaveLength(64);
+        });
+    });
+
+    describe('rotate', () => {
+        test('replaces the refresh token and extends the session', async () => {
+            const { session, refreshToken } = await store.create(1);
+            pool.advance(5);
+
+            const rotated = await store.rotate(refreshToken);
+            expect(rotated.refreshToken).not.toBe(refreshToken);
+            expect(rotated.session.id).toBe(session.id);
+
+            // Past the original 7 days, but within 7 days of the rotation
+            pool.advance(5);
+            expect(await store.isActive(session.id)).toBe(true);
+            expect(await store.findByRefreshToken(rotated.refreshToken)).toEqual({ id: session.id, user_id: 1 });
+            expect(await store.findByRefreshToken(refreshToken)).toBeNull();
+        });
+
+        test('revokes the session when a replaced token is presented again', async () => {
+            const { refreshToken } = await store.create(1);
+            const rotated = await store.rotate(refreshToken);
+
+            const error = await failure(store.rotate(refreshToken));
+            expect(error).toBeInstanceOf(SessionError);
+            expect(error.message).toBe('Refresh token was already used; the session has been revoked');
+            expect(await store.isActive(1)).toBe(false);
+
+            // The token handed out by the legitimate rotation is dead as well
+            expect((await failure(store.rotate(rotated.refreshToken))).message).toBe('Session expired or revoked');
+        });
+
+        test('rejects a token of an expired session', async () => {
+            const { refreshToken } = await store.create(1);
+            pool.advance(8);
+
+            const error = await failure(store.rotate(refreshToken));
+            expect(error).toBeInstanceOf(SessionError);
+            expect(error.message).toBe('Session expired or revoked');
+        });
+
+        test('rejects a token with an unknown secret without revoking the session', async () => {
+            const { refreshToken } = await store.create(1);
+            const forged = `1.${store.newSecret()}`;
+
+            expect((await failure(store.rotate(forged))).message).toBe('Session expired or revoked');
+            expect(await store.isActive(1)).toBe(true);
+            await expect(store.rotate(refreshToken)).resolves.toHaveProperty('refreshToken');
+        });
+
+        test.each([
+            ['a missing token', undefined],
+            ['a token without a session id', 'abc.def'],
+            ['a token with a short secret', '1.abc'],
+            ['a token with a session id only', '12']
+        ])('rejects %s before querying', async (_, refreshToken) => {
+            const error = await failure(store.rotate(refreshToken));
+            expect(error).toBeInstanceOf(SessionError);
+            expect(error.message).toBe('Invalid refresh token');
+            expect(pool.query).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('isActive', () => {
+        test('is true for a live session until it expires', async () => {
+            const { session } = await store.create(1);
+            pool.advance(6);
+            expect(await store.isActive(session.id)).toBe(true);
+            pool.advance(2);
+            expect(await store.isActive(session.id)).toBe(false);
+        });
+
+        test('is false for unknown sessions', async () => {
+            expect(await store.isActive(99)).toBe(false);
+        });
+    });
+
+    describe('revoke', () => {
+        test('ends the session and its refresh token at once', async () => {
+            const { session, refreshToken } = await store.create(1);
+
+            expect(await store.revoke(session.id)).toBe(true);
+            expect(await store.isActive(session.id)).toBe(false);
+            expect(await store.findByRefreshToken(refreshToken)).toBeNull();
+            expect((await failure(store.rotate(refreshToken))).message).toBe('Session expired or revoked');
+            expect(await store.revoke(session.id)).toBe(false);
+        });
+
+        test('only revokes a session of the given user', async () => {
+            const { session } = await store.create(1);
+
+            expect(await store.revoke(session.id, 2)).toBe(false);
+            expect(await store.isActive(session.id)).toBe(true);
+            expect(await store.revoke(session.id, 1)).toBe(true);
+        });
+
+        test('revokeAllForUser keeps the excepted session and other users', async () => {
+            const current = await store.create(1);
+            await store.create(1);
+            await store.create(1);
+            const other = await store.create(2);
+
+            expect(await store.revokeAllForUser(1, current.session.id)).toBe(2);
+            expect((await store.listForUser(1)).map(session => session.id)).toEqual([current.session.id]);
+            expect(await store.isActive(other.session.id)).toBe(true);
+        });
+    });
+});
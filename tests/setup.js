@@ -0,0 +1,7 @@
+// ========================================
+// JEST SETUP
+// ========================================
+// Runs before every test file. Unit tests cover the lib/ and migrations/
+// modules and need no database.
+
+process.env.NODE_ENV = 'test';
@@ -0,0 +1,138 @@
+const AdmZip = require('adm-zip');
+const { toShapefileZip } = require('../lib/export');
+const { ShapefileImportError, readZippedShapefile, sanitizeIdentifier, uniqueName } = require('../lib/shapefile-import');
+
+const UTM_33N_PRJ = 'PROJCS["WGS_1984_UTM_Zone_33N",GEOGCS["GCS_WGS_1984",DATUM["D_WGS_1984",' +
+    'SPHEROID["WGS_1984",6378137.0,298.257223563]],PRIMEM["Greenwich",0.0],UNIT["Degree",0.0174532925199433]],' +
+    'PROJECTION["Transverse_Mercator"],PARAMETER["False_Easting",500000.0],PARAMETER["False_Northing",0.0],' +
+    'PARAMETER["Central_Meridian",15.0],PARAMETER["Scale_Factor",0.9996],PARAMETER["Latitude_Of_Origin",0.0],' +
+    'UNIT["Meter",1.0]]';
+
+const point = (lng, lat) => ({ type: 'Point', coordinates: [lng, lat] });
+
+// Zipped shapefile written by the export module
+const shapefileZip = (features, geometryType = 'point', name = 'sites') =>
+    toShapefileZip(features.map((feature, index) => ({ id: index + 1, ...feature })), { name, geometryType });
+
+// The same archive with entries replaced (a buffer) or removed (null)
+const withEntries = (buffer, changes) => {
+    const source = new AdmZip(buffer);
+    const zip = new AdmZip();
+    source.getEntries().forEach(entry => {
+        if (!(entry.entryName in changes)) zip.addFile(entry.entryName, entry.getData());
+    });
+    Object.entries(changes).forEach(([name, data]) => {
+        if (data !== null) zip.addFile(name, data);
+    });
+    return zip.toBuffer();
+};
+
+const SITES = shapefileZip([
+    { geometry: point(13.5, 47.25), properties: { name: 'Kläranlage', select: 'x', capacity: 12, area: 1.5, active: true } },
+    { geometry: null, properties: { name: 'No geometry', select: null, capacity: null, area: null, active: null } },
+    { geometry: point(16, 48.5), properties: { name: 'Depot', select: null, capacity: 3, area: 2, active: false } }
+]);
+
+describe('sanitizeIdentifier', () => {
+    test.each([
+        ['Gas Pipelines (2024)', 'gas_pipelines_2024'],
+        ['Größe m²', 'grosse_m'],
+        ['Kläranlagen-Süd', 'klaranlagen_sud'],
+        ['__id__', 'id'],
+        ['2020 Value', 'field_2020_value'],
+        ['€€€', 'field']
+    ])('%p becomes %p', (name, identifier) => {
+        expect(sanitizeIdentifier(name, 'field')).toBe(identifier);
+    });
+
+    test('cuts identifiers at 50 characters', () => {
+        expect(sanitizeIdentifier('a'.repeat(80), 'field')).toBe('a'.repeat(50));
+    });
+});
+
+describe('uniqueName', () => {
+    test('numbers names that are taken from 2 upwards', () => {
+        const taken = new Set(['layer', 'layer_2']);
+        expect(uniqueName('layer', name => taken.has(name))).toBe('layer_3');
+        expect(uniqueName('other', name => taken.has(name))).toBe('other');
+    });
+});
+
+describe('readZippedShapefile', () => {
+    test('reads features in EPSG:4326 and skips ones without geometry', async () => {
+        const result = await readZippedShapefile(SITES);
+
+        expect(result).toMatchObject({ name: 'sites', geometryType: 'point', skipped: 1 });
+        expect(result.features.map(feature => feature.geometry)).toEqual([point(13.5, 47.25), point(16, 48.5)]);
+        expect(result.features[0].properties).toMatchObject({ name: 'Kläranlage', capacity: 12, active: true });
+    });
+
+    test('maps attributes to safe columns and infers their types', async () => {
+        const { columns } = await readZippedShapefile(SITES);
+        expect(columns).toEqual([
+            { name: 'id_2', source: 'id', type: 'integer' },
+            { name: 'name', source: 'name', type: 'text' },
+            { name: 'select_', source: 'select', type: 'text' },
+            { name: 'capacity', source: 'capacity', type: 'integer' },
+            { name: 'area', source: 'area', type: 'double precision' },
+            { name: 'active', source: 'active', type: 'boolean' }
+        ]);
+    });
+
+    test('reprojects from the coordinate system of the .prj', async () => {
+        const zip = withEntries(shapefileZip([{ geometry: point(500000, 5262000), properties: {} }]), {
+            'sites.prj': Buffer.from(UTM_33N_PRJ)
+        });
+        const [lng, lat] = (await readZippedShapefile(zip)).features[0].geometry.coordinates;
+        expect(lng).toBeCloseTo(15, 6);
+        expect(lat).toBeGreaterThan(47.4);
+        expect(lat).toBeLessThan(47.6);
+    });
+
+    test('decodes the .dbf as windows-1252 without a .cpg', async () => {
+        const latin1 = new AdmZip(shapefileZip([{ geometry: point(14, 47), properties: { name: 'XXX' } }]));
+        const dbf = latin1.getEntry('sites.dbf').getData();
+        // Record flag (1) and the id field (19) come before the name
+        dbf.write('Mür', dbf.readUInt16LE(8) + 1 + 19, 'latin1');
+
+        const zip = withEntries(latin1.toBuffer(), { 'sites.dbf': dbf, 'sites.cpg': null });
+        expect((await readZippedShapefile(zip)).features[0].properties.name).toBe('Mür');
+    });
+
+    test('reads lines and polygons', async () => {
+        const line = { type: 'LineString', coordinates: [[13, 47], [14, 48]] };
+        const polygon = { type: 'Polygon', coordinates: [[[13, 47], [13, 48], [14, 48], [13, 47]]] };
+
+        expect(await readZippedShapefile(shapefileZip([{ geometry: line, properties: {} }], 'line', 'pipes')))
+            .toMatchObject({ name: 'pipes', geometryType: 'line' });
+        expect((await readZippedShapefile(shapefileZip([{ geometry: polygon, properties: {} }], 'polygon'))).geometryType)
+            .toBe('polygon');
+    });
+
+    test('finds files in a folder and ignores macOS metadata', async () => {
+        const source = new AdmZip(SITES);
+        const zip = new AdmZip();
+        source.getEntries().forEach(entry => zip.addFile(`data/${entry.entryName}`, entry.getData()));
+        zip.addFile('__MACOSX/data/._sites.shp', Buffer.from('junk'));
+
+        expect(await readZippedShapefile(zip.toBuffer())).toMatchObject({ name: 'sites', skipped: 1 });
+    });
+
+    test.each([
+        ['a file that is not a zip', () => Buffer.from('not a zip'), /^Not a valid zip archive/],
+        ['an archive without .shp', () => withEntries(SITES, { 'sites.shp': null }), /^The archive contains no \.shp file$/],
+        ['a missing .dbf', () => withEntries(SITES, { 'sites.dbf': null }), /^sites\.dbf is missing$/],
+        ['a missing .prj', () => withEntries(SITES, { 'sites.prj': null }), /^sites\.prj is missing/],
+        ['an unreadable .prj', () => withEntries(SITES, { 'sites.prj': Buffer.from('PROJCS["broken"') }), /^Unsupported coordinate system/],
+        ['a truncated .shp', () => withEntries(SITES, { 'sites.shp': Buffer.alloc(50) }), /^Could not read sites\.shp/],
+        [
+            'a shapefile without geometries',
+            () => shapefileZip([{ geometry: null, properties: { name: 'Empty' } }]),
+            /^The shapefile contains no features with geometry$/
+        ]
+    ])('rejects %s', async (_, zip, message) => {
+        const error = await readZippedShapefile(zip()).catch(caught => caught);
+        expect(error).toBeInstanceOf(ShapefileImportError);
+        expect(error.message).toMatch(message);
+    });
+});
@@ -0,0 +1,137 @@
+const { WfsError, buildExceptionReport, crsUrn, parseFilter, parseSrsName } = require('../lib/wfs');
+
+const ENVELOPE = '<gml:Envelope srsName="urn:ogc:def:crs:EPSG::4326">' +
+    '<gml:lowerCorner>47 13</gml:lowerCorner><gml:upperCorner>48 14</gml:upperCorner>' +
+    '</gml:Envelope>';
+
+// Error thrown by fn, so code and locator can be checked together
+const thrown = (fn) => {
+    try {
+        fn();
+    } catch (error) {
+        return error;
+    }
+    throw new Error('expected an error');
+};
+
+describe('parseFilter', () => {
+    test('reads PropertyIsEqualTo and BBOX combined with And', () => {
+        const filter = parseFilter(
+            '<fes:Filter xmlns:fes="http://www.opengis.net/fes/2.0"><fes:And>' +
+            '<fes:PropertyIsEqualTo><fes:ValueReference>atlas:name</fes:ValueReference><fes:Literal>A &amp; B</fes:Literal></fes:PropertyIsEqualTo>' +
+            '<fes:PropertyIsEqualTo><fes:ValueReference>status</fes:ValueReference><fes:Literal> active </fes:Literal></fes:PropertyIsEqualTo>' +
+            `<fes:BBOX><fes:ValueReference>geom</fes:ValueReference>${ENVELOPE}</fes:BBOX>` +
+            '</fes:And></fes:Filter>'
+        );
+
+        expect(filter).toEqual({
+            equals: [
+                { property: 'name', value: 'A & B' },
+                { property: 'status', value: 'active' }
+            ],
+            bbox: { coords: [47, 13, 48, 14], srsName: 'urn:ogc:def:crs:EPSG::4326' }
+        });
+    });
+
+    test.each([
+        ['FES 2.0', '<fes:PropertyIsEqualTo><fes:ValueReference>name</fes:ValueReference><fes:Literal>Pit</fes:Literal></fes:PropertyIsEqualTo>'],
+        ['legacy OGC Filter', '<ogc:PropertyIsEqualTo matchCase="true"><ogc:PropertyName>atlas:name</ogc:PropertyName><ogc:Literal>Pit</ogc:Literal></ogc:PropertyIsEqualTo>'],
+        ['unprefixed', '<PropertyIsEqualTo><PropertyName>name</PropertyName><Literal>Pit</Literal></PropertyIsEqualTo>']
+    ])('accepts %s tags', (_, xml) => {
+        expect(parseFilter(`<Filter>${xml}</Filter>`)).toEqual({ equals: [{ property: 'name', value: 'Pit' }], bbox: null });
+    });
+
+    test('unescapes XML entities in literals', () => {
+        const { equals } = parseFilter('<Filter><PropertyIsEqualTo><ValueReference>name</ValueReference>' +
+            '<Literal>&lt;b&gt; &quot;x&quot; &apos;y&apos; &amp;lt;</Literal></PropertyIsEqualTo></Filter>');
+        expect(equals[0].value).toBe('<b> "x" \'y\' &lt;');
+    });
+
+    test('leaves the BBOX srsName null when the envelope has none', () => {
+        const { bbox } = parseFilter('<Filter><BBOX><Envelope><lowerCorner>13 47</lowerCorner><upperCorner>14 48</upperCorner></Envelope></BBOX></Filter>');
+        expect(bbox).toEqual({ coords: [13, 47, 14, 48], srsName: null });
+    });
+
+    test('passes non-numeric corners through for the caller to reject', () => {
+        const { bbox } = parseFilter('<Filter><BBOX><Envelope><lowerCorner>a 47</lowerCorner><upperCorner>14</upperCorner></Envelope></BBOX></Filter>');
+        expect(bbox.coords).toEqual([NaN, 47, 14]);
+    });
+
+    test.each([
+        ['Or', '<fes:Or><fes:PropertyIsEqualTo/></fes:Or>'],
+        ['Not', '<Not><PropertyIsEqualTo/></Not>']
+    ])('rejects %s', (_, xml) => {
+        const error = thrown(() => parseFilter(`<Filter>${xml}</Filter>`));
+        expect(error).toBeInstanceOf(WfsError);
+        expect(error).toMatchObject({
+            code: 'OperationProcessingFailed',
+            message: 'Only PropertyIsEqualTo and BBOX combined with And are supported',
+            locator: 'FILTER'
+        });
+    });
+
+    test.each([
+        ['a missing Literal', '<PropertyIsEqualTo><ValueReference>name</ValueReference></PropertyIsEqualTo>', 'PropertyIsEqualTo needs a ValueReference and a Literal'],
+        ['a missing ValueReference', '<PropertyIsEqualTo><Literal>Pit</Literal></PropertyIsEqualTo>', 'PropertyIsEqualTo needs a ValueReference and a Literal'],
+        ['a BBOX without envelope', '<BBOX><ValueReference>geom</ValueReference></BBOX>', 'BBOX needs a gml:Envelope with lowerCorner and upperCorner'],
+        ['a BBOX without upperCorner', '<BBOX><Envelope><lowerCorner>13 47</lowerCorner></Envelope></BBOX>', 'BBOX needs a gml:Envelope with lowerCorner and upperCorner']
+    ])('rejects %s as an invalid parameter', (_, xml, message) => {
+        expect(thrown(() => parseFilter(`<Filter>${xml}</Filter>`)))
+            .toMatchObject({ code: 'InvalidParameterValue', message, locator: 'FILTER' });
+    });
+
+    test.each([
+        ['an empty filter', ''],
+        ['text that is not XML', 'name = Pit'],
+        ['an unclosed PropertyIsEqualTo', '<Filter><PropertyIsEqualTo><ValueReference>name</ValueReference><Literal>Pit</Literal></Filter>'],
+        ['an unclosed BBOX', `<Filter><BBOX>${ENVELOPE}</Filter>`],
+        ['an unsupported operator', '<Filter><PropertyIsLike><ValueReference>name</ValueReference><Literal>P*</Literal></PropertyIsLike></Filter>']
+    ])('rejects %s', (_, xml) => {
+        expect(thrown(() => parseFilter(xml))).toMatchObject({
+            code: 'OperationProcessingFailed',
+            message: 'Only PropertyIsEqualTo and BBOX filters are supported',
+            locator: 'FILTER'
+        });
+    });
+});
+
+describe('parseSrsName', () => {
+    test.each([
+        ['urn:ogc:def:crs:EPSG::4326', 4326, true],
+        ['urn:ogc:def:crs:EPSG:6.6:4326', 4326, true],
+        ['http://www.opengis.net/def/crs/EPSG/0/4326', 4326, true],
+        ['https://www.opengis.net/def/crs/EPSG/0/31287', 31287, false],
+        ['urn:ogc:def:crs:EPSG::31287', 31287, false],
+        ['EPSG:4326', 4326, false],
+        ['epsg:31287', 31287, false],
+        ['urn:ogc:def:crs:OGC:1.3:CRS84', 4326, false],
+        ['CRS:84', 4326, false],
+        ['  EPSG:4326  ', 4326, false]
+    ])('%s is EPSG:%i, lat/lon order %p', (srsName, srid, latLonOrder) => {
+        expect(parseSrsName(srsName)).toEqual({ srid, latLonOrder, srsName: srsName.trim() });
+    });
+
+    test.each([
+        [undefined],
+        [''],
+        ['EPSG:abc'],
+        ['urn:ogc:def:crs:EPSG:4326'],
+        ['http://www.opengis.net/def/crs/EPSG/1/4326'],
+        ['+proj=longlat +datum=WGS84']
+    ])('%p is not recognised', (srsName) => {
+        expect(parseSrsName(srsName)).toBeNull();
+    });
+
+    test('reads back the URNs it writes', () => {
+        expect(parseSrsName(crsUrn(31287))).toMatchObject({ srid: 31287 });
+    });
+});
+
+describe('buildExceptionReport', () => {
+    test('escapes the message and locator', () => {
+        const xml = buildExceptionReport('InvalidParameterValue', 'Unknown type <a & b>', 'typeNames"');
+        expect(xml).toContain('exceptionCode="InvalidParameterValue"');
+        expect(xml).toContain('locator="typeNames&quot;"');
+        expect(xml).toContain('Unknown type &lt;a &amp; b&gt;');
+    });
+});